@@ -0,0 +1,157 @@
+// Local server for trying "Fetch from URL" without a real API.
+//
+//   npm run mock-server            (PORT=4000 by default)
+//
+//   /sample.json        the app's sample document
+//   /sample.json.gz     the same, gzip-compressed as a file (not Content-Encoding)
+//   /large.json?items=N a generated array of N records (default 50000)
+//   /private.json       401 unless sent "Authorization: Bearer secret-token"
+//   /slow.json          the sample after a 2 second delay
+//
+// and, for watch mode, a service status that changes every 2 seconds:
+//
+//   /live.json          the current status, to poll
+//   /live/events        a server-sent event stream of it
+//   /live/socket        a WebSocket sending it
+//
+// Every response allows cross-origin requests with any headers, like an API
+// the page would fetch from.
+import http from 'node:http';
+import zlib from 'node:zlib';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.PORT) || 4000;
+const sample = readFileSync(new URL('../src/sample.json', import.meta.url));
+
+function largeDocument(items) {
+  const rows = [];
+  for (let i = 0; i < items; i++) {
+    rows.push({ id: i, name: `item ${i}`, price: Math.round(Math.random() * 10000) / 100, tags: ['mock', i % 2 ? 'odd' : 'even'], active: i % 3 !== 0 });
+  }
+  return JSON.stringify(rows);
+}
+
+// the live status: a queue and workers that pick up and finish jobs
+const LIVE_EVERY = 2000;
+const live = {
+  service: 'orders',
+  tick: 0,
+  updatedAt: new Date().toISOString(),
+  queue: { depth: 12, oldestSeconds: 4 },
+  workers: [1, 2, 3, 4].map((id) => ({ id, status: 'idle', jobsDone: 0 })),
+  errors: 0,
+};
+const liveListeners = new Set();
+
+function advanceLive() {
+  live.tick++;
+  live.updatedAt = new Date().toISOString();
+  for (const w of live.workers) {
+    if (w.status === 'busy' && Math.random() < 0.5) {
+      w.status = 'idle';
+      w.jobsDone++;
+    } else if (w.status === 'idle' && live.queue.depth > 0 && Math.random() < 0.6) {
+      w.status = 'busy';
+      live.queue.depth--;
+    }
+  }
+  live.queue.depth += Math.floor(Math.random() * 3);
+  live.queue.oldestSeconds = live.queue.depth ? Math.max(0, live.queue.oldestSeconds + 2 - Math.floor(Math.random() * 4)) : 0;
+  if (Math.random() < 0.1) live.errors++;
+  const text = JSON.stringify(live);
+  for (const listener of liveListeners) listener(text);
+}
+setInterval(advanceLive, LIVE_EVERY);
+
+// server-sent events: one "data:" message per update, starting with the current status
+function liveEvents(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const listener = (text) => res.write(`data: ${text}\n\n`);
+  listener(JSON.stringify(live));
+  liveListeners.add(listener);
+  req.on('close', () => liveListeners.delete(listener));
+}
+
+// a WebSocket text frame (RFC 6455): server frames are not masked
+function textFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x81, 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// just enough of the WebSocket protocol to push updates: the handshake, text
+// frames out, and answering the client's close frame
+function liveSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  const listener = (text) => socket.write(textFrame(text));
+  listener(JSON.stringify(live));
+  liveListeners.add(listener);
+  socket.on('data', (chunk) => {
+    // opcode 8: the client is closing
+    if ((chunk[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+  });
+  socket.on('close', () => liveListeners.delete(listener));
+  socket.on('error', () => liveListeners.delete(listener));
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(body);
+}
+
+const routes = {
+  '/sample.json': (req, res) => send(res, 200, sample),
+  '/sample.json.gz': (req, res) => send(res, 200, zlib.gzipSync(sample), 'application/gzip'),
+  '/large.json': (req, res, url) => send(res, 200, largeDocument(Math.min(Number(url.searchParams.get('items')) || 50000, 2000000))),
+  '/private.json': (req, res) => {
+    if (req.headers.authorization !== 'Bearer secret-token') send(res, 401, JSON.stringify({ error: 'Send "Authorization: Bearer secret-token"' }));
+    else send(res, 200, JSON.stringify({ secret: true, user: { id: 7, role: 'admin' } }));
+  },
+  '/slow.json': (req, res) => setTimeout(() => send(res, 200, sample), 2000),
+  '/live.json': (req, res) => send(res, 200, JSON.stringify(live)),
+  '/live/events': liveEvents,
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  // "*" doesn't cover Authorization, so allow whatever the preflight asks for
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Authorization, Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = routes[url.pathname];
+  if (route) route(req, res, url);
+  else send(res, 404, JSON.stringify({ error: 'Not found', routes: [...Object.keys(routes), '/live/socket'] }));
+});
+
+server.on('upgrade', (req, socket) => {
+  if (new URL(req.url, `http://${req.headers.host}`).pathname === '/live/socket') liveSocket(req, socket);
+  else socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock server on http://localhost:${PORT}`);
+  for (const path of Object.keys(routes)) console.log(`  http://localhost:${PORT}${path}`);
+  console.log(`  ws://localhost:${PORT}/live/socket`);
+});
@@ -1,56 +1,571 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback, useDeferredValue } from 'react';
 import JsonEditor from './components/JsonEditor';
+import CompareEditor from './components/CompareEditor';
+import SchemaPanel from './components/SchemaPanel';
+import StatsPanel from './components/StatsPanel';
+import TransformPanel from './components/TransformPanel';
+import StyleRulesPanel from './components/StyleRulesPanel';
+import AnnotationsPanel from './components/AnnotationsPanel';
+import WatchPanel from './components/WatchPanel';
+import TypesPanel from './components/TypesPanel';
+import RedactionPanel from './components/RedactionPanel';
 import TreeVisualizer from './components/TreeVisualizer';
 import Controls from './components/Controls';
+import DocumentsSidebar from './components/DocumentsSidebar';
+import ProgressIndicator from './components/ProgressIndicator';
+import { createTreeWorker, TreeJobCancelled } from './utils/treeWorkerClient';
+import { applyEdit, stringifyLike } from './utils/jsonEdit';
+import { parseDocument, stringifyDocument } from './utils/formats';
+import { createHistory, historyShortcut, pushHistory, redo, undo } from './utils/history';
+import { diffJson, diffToJsonPatch, diffView } from './utils/jsonDiff';
+import { downloadText } from './utils/download';
+import { detectDraft, generateSchema, validateSchema } from './utils/jsonSchema';
+import { JsonParseError, parseJson, stringifyJson } from './utils/jsonParser';
+import { createShareLink, decodeSession, describeDocument, sharedSessionParam } from './utils/session';
+import { getDocument, loadSession, loadStyleRules, pruneRecent, saveDocument, saveSession, saveStyleRules } from './utils/documentStore';
+import { fetchDocument, readClipboard, readDocumentFile } from './utils/loadSource';
+import { runPipeline } from './utils/jq';
+import { splitAnnotations } from './utils/annotations';
+import { DEFAULT_REDACTION, redactDocument, redactDocuments } from './utils/redaction';
 
 // Load sample JSON for placeholder UI; user can paste/replace it.
 import sampleJson from './sample.json';
 
+// wait this long after the last change before saving to IndexedDB
+const AUTOSAVE_DELAY = 800;
+
 export default function App() {
-  // parsedData holds the actual JS object after parsing JSON text
-  const [jsonText, setJsonText] = useState(JSON.stringify(sampleJson, null, 2));
-  const [parsedData, setParsedData] = useState(null);
+  // the document lives in an undo/redo history of { text, data, docId, format, dirty }:
+  // text is the editor content, data the parsed object shown in the tree,
+  // docId changes whenever a new document is visualized (edits keep it),
+  // format is the input format data came from, so tree edits write it back
+  // alike, and dirty marks text typed since data was parsed
+  const [history, setHistory] = useState(() => createHistory({
+    text: JSON.stringify(sampleJson, null, 2),
+    data: sampleJson,
+    docId: 0,
+    format: 'json',
+  }));
+  const { text: jsonText, data: parsedData, docId, format } = history.present;
+  const nextDocId = useRef(1);
+  // Error from the last parse (a JsonParseError carries its location)
   const [error, setError] = useState(null);
+  // format selected in the editor, a key of FORMATS (utils/formats)
+  const [inputFormat, setInputFormat] = useState('json');
   const [searchQuery, setSearchQuery] = useState('');
   const [themeDark, setThemeDark] = useState(true);
+  // parsing runs in a worker so large documents don't freeze the page
+  const parserRef = useRef(null);
+  const [parseProgress, setParseProgress] = useState(null);
+  // 'edit' shows one document; 'compare' diffs two documents
+  const [mode, setMode] = useState('edit');
+  const [compare, setCompare] = useState({ beforeText: '', afterText: '', arrayKey: 'id', onlyChanged: false });
+  // last successfully parsed pair: { before, after, docId }
+  const [compared, setCompared] = useState(null);
+  const [compareError, setCompareError] = useState(null);
+
+  // JSON Schema validation of the edited document
+  const [schemaText, setSchemaText] = useState('');
+  const [schemaDraft, setSchemaDraft] = useState('auto');
+  // node the tree should reveal and pan to: { segments, nonce }
+  const [focusRequest, setFocusRequest] = useState(null);
+  // jq-style expression (utils/jq) whose result is shown beside the tree
+  const [transform, setTransform] = useState('');
+  const [showTransform, setShowTransform] = useState(true);
+  // typing stays responsive while a big document is transformed
+  const deferredTransform = useDeferredValue(transform);
+  // conditional formatting of nodes (utils/styleRules), saved apart from the
+  // session once the saved rules have been loaded
+  const [styleRules, setStyleRules] = useState([]);
+  const [styleRulesLoaded, setStyleRulesLoaded] = useState(false);
+  // notes pinned to paths (utils/annotations), kept across new versions of
+  // the document; notesReport is { orphaned } when the last one lost some
+  const [annotations, setAnnotations] = useState([]);
+  const [notesReport, setNotesReport] = useState(null);
+  // snapshot of a watched live source shown instead of the document ({ data, session })
+  const [watched, setWatched] = useState(null);
+  // node selected in the main tree ({ path, segments, tree }), for the types
+  // panel; tree is the documentId it was selected in
+  const [treeSelection, setTreeSelection] = useState(null);
+  // redaction (utils/redaction) of the trees, share links and exports;
+  // revealOriginals shows the original values in the trees again, here only
+  const [redaction, setRedaction] = useState({ enabled: false, ...DEFAULT_REDACTION });
+  const [revealOriginals, setRevealOriginals] = useState(false);
+  const deferredRedaction = useDeferredValue(redaction);
+
+  // session persistence: expansion/layout/viewport reported by the tree, the
+  // view to bring back for a restored document, and the autosaved document
+  // (id in IndexedDB) the editor belongs to. Nothing is saved until the
+  // stored or shared session has been restored.
+  const [viewState, setViewState] = useState(null);
+  const [restoreView, setRestoreView] = useState(null);
+  const [recentId, setRecentId] = useState(null);
+  const [restored, setRestored] = useState(false);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  // bumped after saving, so the sidebar reloads its list
+  const [savedRevision, setSavedRevision] = useState(0);
+  const [share, setShare] = useState(null);
+  // message about the last "fetch from URL", and whether a file is dragged over the tree
+  const [loadStatus, setLoadStatus] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  // bumped for every document opened from outside the editor (file, clipboard,
+  // URL, sidebar, shared link, watched snapshot), so the editor asks again before showing a large one
+  const [loadedSource, setLoadedSource] = useState(0);
+
+  const schemaResult = useMemo(() => {
+    if (!schemaText.trim() || parsedData === null) return null;
+    let schema;
+    try {
+      schema = JSON.parse(schemaText);
+    } catch (err) {
+      return { error: `Invalid schema JSON: ${err.message}` };
+    }
+    try {
+      return { errors: validateSchema(schema, parsedData, { draft: schemaDraft === 'auto' ? detectDraft(schema) : schemaDraft }) };
+    } catch (err) {
+      return { error: `Schema error: ${err.message}` };
+    }
+  }, [schemaText, schemaDraft, parsedData]);
+
+  const transformResult = useMemo(() => {
+    if (parsedData === null) return null;
+    try {
+      return runPipeline(parsedData, deferredTransform);
+    } catch (err) {
+      // e.g. recursion too deep for the stack
+      return { error: `Transform failed: ${err.message}` };
+    }
+  }, [parsedData, deferredTransform]);
+  const transformOutputs = transformResult?.outputs;
+
+  // redacted versions of the document, the watched snapshot and the transform
+  // outputs; null while redaction is off
+  const redactedDoc = useMemo(
+    () => (deferredRedaction.enabled && parsedData !== null ? redactDocument(parsedData, deferredRedaction) : null),
+    [deferredRedaction, parsedData],
+  );
+  const redactedWatch = useMemo(
+    () => (deferredRedaction.enabled && watched ? redactDocument(watched.data, deferredRedaction) : null),
+    [deferredRedaction, watched],
+  );
+  const redactedOutputs = useMemo(
+    () => (deferredRedaction.enabled && transformOutputs ? transformOutputs.map((o) => redactDocument(o, deferredRedaction).data) : null),
+    [deferredRedaction, transformOutputs],
+  );
+
+  // the compared documents redacted with shared fakes, so a value both sides
+  // hold still compares equal; null while redaction is off
+  const redactedCompare = useMemo(
+    () => (deferredRedaction.enabled && compared ? redactDocuments([compared.before, compared.after], deferredRedaction) : null),
+    [deferredRedaction, compared],
+  );
+  // what the redaction panel lists in compare mode: the paths of both sides
+  const compareRedaction = useMemo(() => {
+    if (!redactedCompare) return null;
+    const [before, after] = redactedCompare;
+    return { items: [...new Map([...before.items, ...after.items].map((item) => [`${item.key} ${item.path}`, item])).values()], problems: after.problems };
+  }, [redactedCompare]);
+  // the diff of the redacted documents unless the originals are revealed
+  const diffPair = useMemo(
+    () => (redactedCompare && !revealOriginals ? { before: redactedCompare[0].data, after: redactedCompare[1].data } : compared),
+    [redactedCompare, revealOriginals, compared],
+  );
+
+  const diffResult = useMemo(() => {
+    if (!diffPair) return null;
+    const diff = diffJson(diffPair.before, diffPair.after, { arrayKey: compare.arrayKey.trim() });
+    return { diff, ...diffView(diff, { onlyChanged: compare.onlyChanged }) };
+  }, [diffPair, compare.arrayKey, compare.onlyChanged]);
   
   useEffect(() => {
     document.body.className = themeDark ? 'dark' : 'light';
   }, [themeDark]);
 
+  useEffect(() => () => parserRef.current?.dispose(), []);
+
+  // on startup, restore the session from a share link, else the one saved last time
   useEffect(() => {
-    // try parsing initial sample
+    let cancelled = false;
+    (async () => {
+      let session = null;
+      const shared = sharedSessionParam(window.location.hash);
+      if (shared) {
+        try {
+          session = await decodeSession(shared);
+        } catch (err) {
+          setError(err);
+        }
+        // from now on the autosave holds the session; leaving the link in
+        // the address bar would bring back this old state on every reload
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+      if (!session) {
+        try {
+          const saved = await loadSession();
+          const doc = saved?.recentId != null ? await getDocument(saved.recentId) : null;
+          if (doc) session = { ...saved, text: doc.text, format: doc.format };
+        } catch { /* no IndexedDB: start from the sample */ }
+      }
+      if (cancelled) return;
+      if (session) {
+        setThemeDark(session.theme !== 'light');
+        setSearchQuery(session.query ?? '');
+        setTransform(session.transform ?? '');
+        setAnnotations(Array.isArray(session.annotations) ? session.annotations : []);
+        setRecentId(session.recentId ?? null);
+        openDocument(session.text, session.format, session.view);
+      }
+      setRestored(true);
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadStyleRules()
+      .then((saved) => { if (!cancelled && Array.isArray(saved)) setStyleRules(saved); })
+      .catch(() => { /* no IndexedDB: start without rules */ })
+      .finally(() => { if (!cancelled) setStyleRulesLoaded(true); });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!styleRulesLoaded) return undefined;
+    const timer = setTimeout(() => {
+      saveStyleRules(styleRules).catch(() => { /* storage is best effort */ });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [styleRulesLoaded, styleRules]);
+
+  // autosave the editor content as a recent document
+  useEffect(() => {
+    if (!restored || !jsonText.trim()) return undefined;
+    const timer = setTimeout(() => {
+      const isNew = recentId === null;
+      saveDocument({ id: recentId, kind: 'recent', name: describeDocument(parsedData, jsonText), text: jsonText, format: inputFormat })
+        .then((id) => {
+          if (isNew) {
+            setRecentId(id);
+            return pruneRecent(id);
+          }
+          return undefined;
+        })
+        .then(() => setSavedRevision((n) => n + 1))
+        .catch(() => { /* storage is best effort */ });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [restored, jsonText, inputFormat, parsedData, recentId]);
+
+  // autosave the rest of the session
+  useEffect(() => {
+    if (!restored || recentId === null) return undefined;
+    const timer = setTimeout(() => {
+      saveSession({ recentId, query: searchQuery, theme: themeDark ? 'dark' : 'light', view: viewState, transform, annotations })
+        .catch(() => { /* storage is best effort */ });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [restored, recentId, searchQuery, themeDark, viewState, transform, annotations]);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z outside text fields undo/redo tree edits;
+  // the JSON editor handles the same keys itself
+  useEffect(() => {
+    function onKeyDown(e) {
+      const t = e.target;
+      if (t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName))) return;
+      const action = historyShortcut(e);
+      if (!action) return;
+      e.preventDefault();
+      setHistory(action === 'undo' ? undo : redo);
+    }
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // "/" outside text fields jumps to the search box
+  const searchRef = useRef(null);
+  useEffect(() => {
+    function onKeyDown(e) {
+      const t = e.target;
+      if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName))) return;
+      e.preventDefault();
+      searchRef.current?.focus();
+    }
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // typing in the editor; consecutive keystrokes form one undo step
+  function setJsonText(text) {
+    setHistory((h) => pushHistory(h, { ...h.present, text, dirty: true }, 'typing'));
+  }
+
+  // Called when user clicks "Visualize"
+  function handleVisualize(text, format = inputFormat) {
+    if (!parserRef.current) parserRef.current = createTreeWorker();
+    setParseProgress({ phase: 'parse', done: 0, total: text.length });
+    parserRef.current.parse(text, { format }, setParseProgress)
+      .then((obj) => {
+        const id = nextDocId.current++;
+        setHistory((h) => pushHistory(h, { text, data: obj, docId: id, format }));
+        setError(null);
+        setParseProgress(null);
+        // only report the notes this version orphaned, not ones already adrift
+        const before = new Set(splitAnnotations(parsedData, annotations).orphaned.map((a) => a.id));
+        const lost = splitAnnotations(obj, annotations).orphaned.filter((a) => !before.has(a.id)).length;
+        setNotesReport(lost ? { orphaned: lost } : null);
+      })
+      .catch((err) => {
+        setParseProgress(null);
+        // cancelling keeps whatever tree is currently shown
+        if (err instanceof TreeJobCancelled) return;
+        setHistory((h) => ({ ...h, present: { ...h.present, data: null } }));
+        setError(err);
+      });
+  }
+
+  // replace the document (and its undo history) with a stored or shared one;
+  // view, if given, is handed to the tree once the new document is shown
+  function openDocument(text, format, view = null) {
+    setLoadedSource((n) => n + 1);
+    setInputFormat(format);
+    setError(null);
+    if (!text.trim()) {
+      setHistory(createHistory({ text, data: null, docId: nextDocId.current++, format }));
+      return;
+    }
+    if (!parserRef.current) parserRef.current = createTreeWorker();
+    setParseProgress({ phase: 'parse', done: 0, total: text.length });
+    parserRef.current.parse(text, { format }, setParseProgress)
+      .then((obj) => {
+        const id = nextDocId.current++;
+        setHistory(createHistory({ text, data: obj, docId: id, format }));
+        setRestoreView(view ? { ...view, documentId: id } : null);
+        setParseProgress(null);
+      })
+      .catch((err) => {
+        setParseProgress(null);
+        if (err instanceof TreeJobCancelled) return;
+        // keep the text so it can be fixed
+        setHistory(createHistory({ text, data: null, docId: nextDocId.current++, format }));
+        setError(err);
+      });
+  }
+
+  function handleOpenStored(doc) {
+    // snapshots stay as saved: editing one autosaves a new recent document
+    setRecentId(doc.kind === 'recent' ? doc.id : null);
+    setMode('edit');
+    openDocument(doc.text, doc.format);
+    setSidebarOpen(false);
+  }
+
+  function handleSaveSnapshot(name) {
+    saveDocument({ kind: 'snapshot', name, text: jsonText, format: inputFormat })
+      .then(() => setSavedRevision((n) => n + 1))
+      .catch((err) => setShare({ error: `Could not save the snapshot: ${err.message}` }));
+  }
+
+  async function handleShare() {
+    // a redacted link carries the redacted document, as JSON, and nothing
+    // else that could quote the originals: notes, the query and the transform
+    // are free text, and expanded paths name the original keys
+    if (redaction.enabled && !redactedDoc) {
+      setShare({ error: 'Only a document that parses can be redacted: fix it before sharing, or turn redaction off' });
+      return;
+    }
+    setShare({ message: 'Creating link…' });
+    const session = redactedDoc
+      ? { text: stringifyJson(redactedDoc.data, 2), format: 'json', query: '', view: viewState && { ...viewState, expandOverrides: {} }, transform: '', annotations: [] }
+      : { text: jsonText, format: inputFormat, query: searchQuery, view: viewState, transform, annotations };
+    let url;
     try {
-      setParsedData(JSON.parse(jsonText));
-      setError(null);
+      url = await createShareLink({ ...session, theme: themeDark ? 'dark' : 'light' });
     } catch (err) {
-      setParsedData(null);
-      setError(err.message);
+      setShare({ error: err.message });
+      return;
     }
-  }, []); // only on mount; editor will control later
+    const left = redactedDoc ? ' Notes, the search query and the transform were left out of the redacted link.' : '';
+    try {
+      await navigator.clipboard.writeText(url);
+      setShare({ url, message: `Link copied to the clipboard.${left}` });
+    } catch {
+      setShare({ url, message: `Copy the link below.${left}` });
+    }
+  }
 
-  // Called when user clicks "Visualize"
-  function handleVisualize(text) {
+  // documents from files, the clipboard or URLs start a new recent document
+  // and go straight to the tree
+  function openLoaded({ text, format }) {
+    setRecentId(null);
+    setMode('edit');
+    openDocument(text, format);
+  }
+
+  function handleOpenFile(file) {
+    readDocumentFile(file, inputFormat).then(openLoaded, setError);
+  }
+
+  function handlePasteClipboard() {
+    readClipboard(inputFormat).then(openLoaded, setError);
+  }
+
+  // errors are shown by the URL form, so they are rethrown
+  async function handleFetchUrl({ url, headers, useCache }) {
+    const result = await fetchDocument(url, { headers, useCache, fallbackFormat: inputFormat });
+    openLoaded(result);
+    setLoadStatus(result.cachedAt
+      ? `Loaded from the cache (fetched ${new Date(result.cachedAt).toLocaleString()}). Untick "Use cached copy" to fetch it again.`
+      : `Fetched ${result.name}.`);
+  }
+
+  function isFileDrag(e) {
+    return Array.from(e.dataTransfer?.types ?? []).includes('Files');
+  }
+
+  const closeSidebar = useCallback(() => setSidebarOpen(false), []);
+
+  // rewrite the editor text as strict JSON by parsing it leniently; runs on
+  // the main thread since it only follows a failed parse the user asked to fix
+  function handleFix() {
+    let data;
     try {
-      const obj = JSON.parse(text);
-      setParsedData(obj);
-      setJsonText(text);
-      setError(null);
+      data = parseJson(jsonText, { mode: 'json5' });
     } catch (err) {
-      setParsedData(null);
-      setError(err.message);
+      setError(err);
+      return;
     }
+    const id = nextDocId.current++;
+    setHistory((h) => pushHistory(h, { text: stringifyLike(data, h.present.text), data, docId: id, format: 'json' }));
+    setError(null);
+  }
+
+  // replace the document with the transform's output (one value, or an array
+  // of them) as JSON; undo brings the original back
+  function handleApplyTransform(outputs) {
+    const data = outputs.length === 1 ? outputs[0] : outputs;
+    const id = nextDocId.current++;
+    setHistory((h) => pushHistory(h, { text: stringifyLike(data, h.present.text), data, docId: id, format: 'json' }));
+    setInputFormat('json');
+    setTransform('');
+    setError(null);
+  }
+
+  // edits made in the tree; regenerates the text with the user's indentation.
+  // Throws for invalid edits (e.g. duplicate keys) so the tree can report them.
+  // Text typed since the last parse is parsed first, so the edit doesn't
+  // overwrite it; text that doesn't parse refuses the edit.
+  function handleEdit(edit) {
+    let base = parsedData;
+    let baseFormat = format;
+    if (history.present.dirty) {
+      try {
+        base = parseDocument(jsonText, inputFormat);
+        baseFormat = inputFormat;
+      } catch (err) {
+        const message = `${err.message}. The tree edit was not applied: fix the text, or undo the typing, first`;
+        setError(typeof err.offset === 'number' ? new JsonParseError(message, err) : new Error(message));
+        throw new Error('The editor text has changes that do not parse; the edit was not applied');
+      }
+    }
+    const data = applyEdit(base, edit);
+    // serialized here so data the format can't hold (e.g. an empty list in
+    // XML) refuses the edit too
+    const text = stringifyDocument(data, baseFormat, history.present.text);
+    setHistory((h) => pushHistory(h, { ...h.present, text, data, format: baseFormat, dirty: false }));
+    setError(null);
+  }
+
+  // re-serialize the loaded document in another format and load that text
+  function handleConvert(target) {
+    if (parsedData === null) {
+      setError(new Error('Generate the tree first, then convert it'));
+      return;
+    }
+    let text;
+    try {
+      text = stringifyDocument(parsedData, target, jsonText);
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setInputFormat(target);
+    handleVisualize(text, target);
+  }
+
+  function handleUndo() {
+    setHistory(undo);
+    setError(null);
+  }
+
+  function handleRedo() {
+    setHistory(redo);
+    setError(null);
   }
 
   function handleClear() {
-    setJsonText('');
-    setParsedData(null);
+    parserRef.current?.cancel();
+    // the next content is a new recent document
+    setRecentId(null);
+    const id = nextDocId.current++;
+    setHistory((h) => pushHistory(h, { text: '', data: null, docId: id, format: inputFormat }));
     setError(null);
   }
 
+  function handleModeChange(next) {
+    // start a comparison from the current document
+    if (next === 'compare' && !compare.beforeText) setCompare((c) => ({ ...c, beforeText: jsonText }));
+    setMode(next);
+  }
+
+  // parse both panes (one after the other on the same worker) and diff them
+  async function handleCompare() {
+    if (!parserRef.current) parserRef.current = createTreeWorker();
+    const parser = parserRef.current;
+    let side = 'Before';
+    try {
+      setParseProgress({ phase: 'parse', done: 0, total: compare.beforeText.length });
+      const before = await parser.parse(compare.beforeText, { format: inputFormat }, setParseProgress);
+      side = 'After';
+      const after = await parser.parse(compare.afterText, { format: inputFormat }, setParseProgress);
+      setCompared({ before, after, docId: nextDocId.current++ });
+      setCompareError(null);
+      setParseProgress(null);
+    } catch (err) {
+      setParseProgress(null);
+      if (err instanceof TreeJobCancelled) return;
+      setCompareError(`${side}: ${err.message}`);
+    }
+  }
+
+  function handleExportPatch() {
+    if (!diffResult || exportBlocked) return;
+    downloadText('diff.patch.json', stringifyJson(diffToJsonPatch(diffResult.diff), 2));
+  }
+
+  function focusNode(segments) {
+    setFocusRequest((prev) => ({ segments, nonce: (prev ? prev.nonce : 0) + 1 }));
+  }
+
+  function markNodes(targets) {
+    setFocusRequest((prev) => ({ targets, nonce: (prev ? prev.nonce : 0) + 1 }));
+  }
+
+  const comparing = mode === 'compare';
+  const showingTransform = !comparing && !watched && showTransform && !!transformOutputs;
+  const treeRedaction = comparing ? compareRedaction : watched ? redactedWatch : redactedDoc;
+  // redacted values stay hidden in the trees unless revealed; exports are
+  // blocked while the originals show
+  const hidingValues = Boolean(treeRedaction) && !revealOriginals;
+  const exportBlocked = redaction.enabled && revealOriginals ? 'Hide the original values to export' : undefined;
+  const treeData = comparing ? diffResult?.data ?? null : hidingValues ? treeRedaction.data : watched ? watched.data : parsedData;
+  const shownOutputs = hidingValues && redactedOutputs ? redactedOutputs : transformOutputs;
+  const treeDocumentId = comparing ? `compare-${compared?.docId}` : watched ? `watch-${watched.session}` : docId;
+
   return (
     <>
-      <div className="theme-toggle">
+      <div className="theme-toggle" style={{display:'flex', alignItems:'center', gap:12}}>
+        <button className="btn secondary small" onClick={() => setSidebarOpen((o) => !o)} title="Recent documents, snapshots and share links">Documents</button>
         <Controls
           searchQuery={searchQuery}
           setSearchQuery={setSearchQuery}
@@ -59,42 +574,192 @@ export default function App() {
           setThemeDark={setThemeDark}
         />
       </div>
-      
+
+      {sidebarOpen ? (
+        <DocumentsSidebar
+          onClose={closeSidebar}
+          revision={savedRevision}
+          currentId={recentId}
+          onOpen={handleOpenStored}
+          onSaveSnapshot={handleSaveSnapshot}
+          onShare={handleShare}
+          share={share}
+        />
+      ) : null}
+
       <div className="app">
         <div className="card left-card">
           <div className="header">
             <div>
               <h1>JSON Tree Visualizer</h1>
-              <div className="info small">Paste or type JSON on the left and click "Generate Tree".</div>
+              <div className="info small">
+                {comparing
+                  ? 'Paste two versions of a document and click "Compare".'
+                  : 'Paste or type JSON on the left and click "Generate Tree".'}
+              </div>
+            </div>
+            <div className="mode-tabs">
+              <button className={`btn secondary small ${comparing ? '' : 'active'}`} onClick={() => handleModeChange('edit')}>Edit</button>
+              <button className={`btn secondary small ${comparing ? 'active' : ''}`} onClick={() => handleModeChange('compare')}>Compare</button>
             </div>
           </div>
 
-          <JsonEditor
-            jsonText={jsonText}
-            setJsonText={setJsonText}
-            onVisualize={handleVisualize}
-            onClear={handleClear}
-            error={error}
-            setError={setError}
+          {comparing ? (
+            <CompareEditor
+              compare={compare}
+              setCompare={setCompare}
+              onCompare={handleCompare}
+              onExportPatch={handleExportPatch}
+              exportBlocked={exportBlocked}
+              summary={diffResult?.summary}
+              error={compareError}
+            />
+          ) : (
+            <JsonEditor
+              jsonText={jsonText}
+              source={loadedSource}
+              setJsonText={setJsonText}
+              onVisualize={handleVisualize}
+              onClear={handleClear}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
+              canUndo={history.past.length > 0}
+              canRedo={history.future.length > 0}
+              error={error}
+              setError={setError}
+              format={inputFormat}
+              setFormat={setInputFormat}
+              onFix={handleFix}
+              onConvert={handleConvert}
+              onOpenFile={handleOpenFile}
+              onPasteClipboard={handlePasteClipboard}
+              onFetchUrl={handleFetchUrl}
+              loadStatus={loadStatus}
+            />
+          )}
+
+          {!comparing ? (
+            <SchemaPanel
+              schemaText={schemaText}
+              setSchemaText={setSchemaText}
+              draft={schemaDraft}
+              setDraft={setSchemaDraft}
+              result={schemaResult}
+              onGenerate={() => { if (parsedData !== null) setSchemaText(JSON.stringify(generateSchema(parsedData), null, 2)); }}
+              onSelectError={(err) => focusNode(err.segments)}
+            />
+          ) : null}
+          {!comparing ? <StatsPanel data={hidingValues && redactedDoc ? redactedDoc.data : parsedData} onSelect={markNodes} /> : null}
+          {!comparing ? (
+            <TransformPanel
+              expression={transform}
+              setExpression={setTransform}
+              result={transformResult}
+              showResult={showTransform}
+              setShowResult={setShowTransform}
+              onApply={handleApplyTransform}
+            />
+          ) : null}
+          {!comparing ? <StyleRulesPanel rules={styleRules} setRules={setStyleRules} /> : null}
+          {!comparing ? (
+            <AnnotationsPanel
+              data={redactedDoc ? redactedDoc.data : parsedData}
+              annotations={annotations}
+              setAnnotations={setAnnotations}
+              report={notesReport}
+              onDismissReport={() => setNotesReport(null)}
+              onJump={focusNode}
+            />
+          ) : null}
+          {!comparing ? (
+            <TypesPanel
+              data={treeData}
+              selection={treeSelection?.tree === treeDocumentId ? treeSelection : null}
+              onClearSelection={() => setTreeSelection(null)}
+            />
+          ) : null}
+          <RedactionPanel
+            settings={redaction}
+            setSettings={setRedaction}
+            result={treeRedaction}
+            reveal={revealOriginals}
+            setReveal={setRevealOriginals}
+            onJump={focusNode}
           />
+          {!comparing ? (
+            <WatchPanel
+              onShow={setWatched}
+              onOpen={(text) => { setLoadedSource((n) => n + 1); setInputFormat('json'); handleVisualize(text, 'json'); }}
+            />
+          ) : null}
+
+          <ProgressIndicator progress={parseProgress} onCancel={() => parserRef.current?.cancel()} />
         </div>
 
-        <div className="card right-card" style={{display:'flex', flexDirection:'column', minHeight:520}}>
+        <div
+          className="card right-card"
+          style={{display:'flex', flexDirection:'column', minHeight:520, position:'relative'}}
+          onDragOver={(e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            setDragging(true);
+          }}
+          onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); }}
+          onDrop={(e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            setDragging(false);
+            if (e.dataTransfer.files[0]) handleOpenFile(e.dataTransfer.files[0]);
+          }}
+        >
+          {dragging ? <div className="drop-overlay">Drop a file to open it</div> : null}
           <div className="search-box" style={{marginBottom:16}}>
             <input
+              ref={searchRef}
               type="text"
               className="search-input"
-              placeholder="Search nodes..."
+              aria-label="Search with JSONPath (press / to focus)"
+              placeholder="JSONPath, e.g. $..city or $.items[?(@.price > 10)]"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
             />
           </div>
 
-          <TreeVisualizer
-            data={parsedData}
-            searchQuery={searchQuery}
-            themeDark={themeDark}
-          />
+          <div className={showingTransform ? 'tree-pair' : 'tree-single'}>
+            <TreeVisualizer
+              title={showingTransform ? 'Original' : undefined}
+              data={treeData}
+              documentId={treeDocumentId}
+              onSelect={({ path, segments }) => setTreeSelection({ path, segments, tree: treeDocumentId })}
+              diff={comparing ? diffResult?.statuses : null}
+              onEdit={comparing || watched || hidingValues ? undefined : handleEdit}
+              validationErrors={comparing || watched ? null : schemaResult?.errors}
+              flashChanges={Boolean(watched)}
+              exportBlocked={exportBlocked}
+              focus={focusRequest}
+              multiRoot={!comparing && format === 'ndjson'}
+              onViewChange={comparing || watched ? undefined : setViewState}
+              restoreView={restoreView}
+              searchQuery={searchQuery}
+              themeDark={themeDark}
+              styleRules={styleRules}
+              annotations={comparing ? undefined : annotations}
+              onAnnotationsChange={comparing ? undefined : setAnnotations}
+            />
+            {showingTransform ? (
+              <TreeVisualizer
+                title="Transformed"
+                data={shownOutputs.length === 1 ? shownOutputs[0] : shownOutputs}
+                documentId={`transform-${docId} ${deferredTransform}`}
+                multiRoot={transformOutputs.length !== 1}
+                searchQuery={searchQuery}
+                themeDark={themeDark}
+                styleRules={styleRules}
+                exportBlocked={exportBlocked}
+              />
+            ) : null}
+          </div>
         </div>
       </div>
     </>
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { exportAnnotated, importAnnotations, splitAnnotations } from '../utils/annotations';
+import { parsePath } from '../utils/paths';
+import { downloadText } from '../utils/download';
+
+// Bookmarks: every note pinned to the tree (utils/annotations), grouped by
+// node. Clicking one pans the tree to it; notes whose node is missing from the
+// current document are listed apart so they can be cleaned up.
+// report is { orphaned } after loading a version that dropped noted nodes.
+export default function AnnotationsPanel({ data, annotations, setAnnotations, report, onDismissReport, onJump }) {
+  const [open, setOpen] = useState(true);
+  const [importError, setImportError] = useState(null);
+
+  const { attached, orphaned } = useMemo(() => splitAnnotations(data, annotations), [data, annotations]);
+
+  function remove(ids) {
+    const gone = new Set(ids);
+    setAnnotations((list) => list.filter((a) => !gone.has(a.id)));
+  }
+
+  function loadFile(e) {
+    const file = e.target.files && e.target.files[0];
+    // allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      const imported = importAnnotations(text);
+      setAnnotations((list) => [...list, ...imported]);
+      setImportError(null);
+      setOpen(true);
+    }).catch((err) => setImportError(err.message));
+  }
+
+  return (
+    <div className="annotations-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">
+          Notes{annotations.length ? <span className="muted"> ({annotations.length})</span> : null}
+        </strong>
+        <button className="btn secondary small" onClick={() => setOpen((o) => !o)}>{open ? 'Hide' : 'Show'}</button>
+      </div>
+
+      {report && report.orphaned > 0 ? (
+        <div className="notes-report small" role="status">
+          The new version has no node for {report.orphaned} {report.orphaned === 1 ? 'note' : 'notes'}; {report.orphaned === 1 ? 'it is' : 'they are'} listed under Orphaned.
+          <button className="link-button" onClick={onDismissReport}>Dismiss</button>
+        </div>
+      ) : null}
+
+      {open ? (
+        <>
+          {annotations.length === 0 ? (
+            <div className="small muted">Right-click a node, or select it and press n, to pin a note to it. Notes stay with their path when you load a new version of the document.</div>
+          ) : null}
+          {attached.length ? (
+            <ul className="bookmarks small">
+              {attached.map((a) => (
+                <li key={a.id}>
+                  <button className="link-button bookmark-path" onClick={() => onJump(parsePath(a.path))} title="Show in the tree">{a.path}</button>
+                  <span className="notes-text">{a.note}</span>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+          {orphaned.length ? (
+            <>
+              <div className="top-controls small" style={{marginTop:8}}>
+                <strong>Orphaned</strong>
+                <button className="btn secondary small" onClick={() => remove(orphaned.map((a) => a.id))}>Remove all</button>
+              </div>
+              <ul className="bookmarks orphaned small">
+                {orphaned.map((a) => (
+                  <li key={a.id}>
+                    <span className="bookmark-path muted">{a.path}</span>
+                    <span className="notes-text">{a.note}</span>
+                    <button className="link-button" onClick={() => remove([a.id])} aria-label={`Remove note "${a.note}"`}>Remove</button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : null}
+          <div className="controls-row">
+            <button
+              className="btn secondary small"
+              onClick={() => downloadText('annotated.json', exportAnnotated(data, annotations))}
+              disabled={annotations.length === 0 || data === null}
+              title="The document and its notes in one JSON file"
+            >
+              Export with notes
+            </button>
+            <label className="btn secondary small" title="Add the notes of a file saved with Export with notes">
+              Import notes…
+              <input type="file" accept=".json,application/json" onChange={loadFile} style={{display:'none'}} />
+            </label>
+          </div>
+          {importError ? <div className="error">{importError}</div> : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
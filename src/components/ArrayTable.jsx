@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { cellOf, cellText, tableColumns, tableRows, tableToCsv } from '../utils/tableView';
+import { countBadge } from '../utils/treeLayout';
+import { pathFileName } from '../utils/treeExport';
+import { downloadText } from '../utils/download';
+
+// rows rendered at first and added by "Show more"; the filters and sorting
+// always cover every item
+const PAGE_SIZE = 200;
+
+// a value inside a cell; objects and arrays start collapsed to their size
+function CellValue({ value }) {
+  const [open, setOpen] = useState(false);
+  if (value === null) return <span className="muted">null</span>;
+  if (typeof value !== 'object') return <span>{String(value)}</span>;
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+  return (
+    <span className="table-nested">
+      <button
+        className="link-button"
+        aria-expanded={open}
+        onClick={(e) => { e.stopPropagation(); setOpen((o) => !o); }}
+      >
+        {open ? '▾' : '▸'} {countBadge(value)}
+      </button>
+      {open ? (
+        <table>
+          <tbody>
+            {entries.map(([k, v]) => (
+              <tr key={k}>
+                <th scope="row">{k}</th>
+                <td><CellValue value={v} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+    </span>
+  );
+}
+
+// The items of the array at path as a table: a column per key, sortable by
+// clicking a header and filtered per column. onSelectRow(segments) shows the
+// row's node in the tree. exportBlocked, a reason, disables the CSV export.
+export default function ArrayTable({ value, path, segments, onSelectRow, onClose, exportBlocked }) {
+  const [filters, setFilters] = useState({});
+  // { column, descending } or null for document order
+  const [sort, setSort] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [shown, setShown] = useState(PAGE_SIZE);
+
+  const columns = useMemo(() => tableColumns(value), [value]);
+  const rows = useMemo(() => tableRows(value, { filters, sort }), [value, filters, sort]);
+
+  // ascending, then descending, then back to document order
+  function toggleSort(column) {
+    setSort((s) => (s?.column !== column ? { column, descending: false } : s.descending ? null : { column, descending: true }));
+  }
+
+  function selectRow(index) {
+    setSelected(index);
+    onSelectRow([...segments, index]);
+  }
+
+  return (
+    <section className="array-table" aria-label={`Table of ${path}`}>
+      <div className="header">
+        <strong className="small">Table: <code>{path}</code></strong>
+        <span className="small muted">
+          {rows.length === value.length ? `${value.length} rows` : `${rows.length} of ${value.length} rows`}, {columns.length} columns
+        </span>
+        <button className="btn secondary small" onClick={() => downloadText(pathFileName(path, 'csv'), tableToCsv(columns, rows), 'text/csv')} disabled={Boolean(exportBlocked)} title={exportBlocked ?? 'The rows as filtered and sorted'}>
+          Export CSV
+        </button>
+        <button className="btn secondary small" onClick={onClose} aria-label="Close table">×</button>
+      </div>
+      <div className="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              {columns.map((c) => (
+                <th key={c} aria-sort={sort?.column === c ? (sort.descending ? 'descending' : 'ascending') : 'none'}>
+                  <button className="link-button" onClick={() => toggleSort(c)} title="Sort by this column">
+                    {c}{sort?.column === c ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr className="table-filters">
+              <th />
+              {columns.map((c) => (
+                <th key={c}>
+                  <input
+                    className="input"
+                    placeholder="Filter"
+                    aria-label={`Filter ${c}`}
+                    value={filters[c] ?? ''}
+                    onChange={(e) => { setFilters((f) => ({ ...f, [c]: e.target.value })); setShown(PAGE_SIZE); }}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, shown).map(({ index, item }) => (
+              <tr
+                key={index}
+                className={selected === index ? 'selected' : ''}
+                onClick={() => selectRow(index)}
+                onKeyDown={(e) => { if (e.key === 'Enter' && e.target === e.currentTarget) selectRow(index); }}
+                tabIndex={0}
+              >
+                <td className="muted">{index}</td>
+                {columns.map((c) => {
+                  const cell = cellOf(item, c);
+                  return cell.missing
+                    ? <td key={c} className="missing" title="No such key in this item">—</td>
+                    : <td key={c} title={typeof cell.value === 'object' ? undefined : cellText(cell)}><CellValue value={cell.value} /></td>;
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 ? <div className="small muted" style={{padding:8}}>No rows match the filters.</div> : null}
+      </div>
+      {rows.length > shown ? (
+        <button className="btn secondary small" onClick={() => setShown((n) => n + PAGE_SIZE)}>
+          Show {Math.min(PAGE_SIZE, rows.length - shown)} more of {rows.length - shown}
+        </button>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+
+// two-pane input for compare mode; compare holds the pane texts and options
+export default function CompareEditor({ compare, setCompare, onCompare, onExportPatch, exportBlocked, summary, error }) {
+  const update = (patch) => setCompare((c) => ({ ...c, ...patch }));
+
+  return (
+    <div className="input-panel" style={{marginTop:12}}>
+      <div className="compare-panes">
+        <label className="small muted">
+          Before
+          <textarea
+            className="textarea compare-textarea"
+            placeholder="Paste the old JSON here"
+            value={compare.beforeText}
+            onChange={(e) => update({ beforeText: e.target.value })}
+          />
+        </label>
+        <label className="small muted">
+          After
+          <textarea
+            className="textarea compare-textarea"
+            placeholder="Paste the new JSON here"
+            value={compare.afterText}
+            onChange={(e) => update({ afterText: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="controls-row" style={{marginTop:12}}>
+        <label className="small muted" htmlFor="array-key">Match array items by</label>
+        <input
+          id="array-key"
+          className="input"
+          style={{width:90}}
+          placeholder="index"
+          value={compare.arrayKey}
+          onChange={(e) => update({ arrayKey: e.target.value })}
+          title="Identity key such as id; leave empty to match by index"
+        />
+        <label className="small muted" style={{display:'flex', alignItems:'center', gap:4}}>
+          <input type="checkbox" checked={compare.onlyChanged} onChange={(e) => update({ onlyChanged: e.target.checked })} />
+          Only changes
+        </label>
+      </div>
+
+      <div className="controls-row" style={{marginTop:12}}>
+        <button className="btn primary" onClick={() => onCompare()}>Compare</button>
+        <button className="btn secondary" onClick={() => onExportPatch()} disabled={!summary || Boolean(exportBlocked)} title={exportBlocked ?? 'Download the diff as an RFC 6902 JSON Patch'}>
+          Export JSON Patch
+        </button>
+      </div>
+
+      {summary ? (
+        <div className="small info diff-summary">
+          <span className="diff-chip added">{summary.added} added</span>
+          <span className="diff-chip removed">{summary.removed} removed</span>
+          <span className="diff-chip changed">{summary.changed} changed</span>
+        </div>
+      ) : null}
+
+      {error && <div className="error">Invalid JSON: {error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { deleteDocument, listDocuments } from '../utils/documentStore';
+import { FORMATS } from '../utils/formats';
+
+function timeAgo(ms) {
+  const s = Math.round((Date.now() - ms) / 1000);
+  if (s < 60) return 'just now';
+  if (s < 3600) return `${Math.floor(s / 60)} min ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)} h ago`;
+  return new Date(ms).toLocaleDateString();
+}
+
+function sizeLabel(text) {
+  return text.length < 1024 ? `${text.length} B` : `${Math.ceil(text.length / 1024)} KB`;
+}
+
+// Recent (autosaved) documents and named snapshots, plus the share link.
+// revision changes whenever the parent saved something, to reload the list.
+// share is { url?, message?, error? } from the last "Copy share link".
+export default function DocumentsSidebar({ onClose, revision, currentId, onOpen, onSaveSnapshot, onShare, share }) {
+  const [docs, setDocs] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listDocuments()
+      .then((list) => { if (!cancelled) { setDocs(list); setLoadError(null); } })
+      .catch((err) => { if (!cancelled) setLoadError(err.message); });
+    return () => { cancelled = true; };
+  }, [revision, reload]);
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  function remove(doc) {
+    deleteDocument(doc.id).then(() => setReload((n) => n + 1), (err) => setLoadError(err.message));
+  }
+
+  function saveSnapshot(e) {
+    e.preventDefault();
+    onSaveSnapshot(snapshotName.trim() || `Snapshot ${new Date().toLocaleString()}`);
+    setSnapshotName('');
+  }
+
+  function renderList(kind, empty) {
+    const list = docs.filter((d) => d.kind === kind);
+    if (list.length === 0) return <div className="small muted">{empty}</div>;
+    return (
+      <ul className="documents-list">
+        {list.map((doc) => (
+          <li key={doc.id} className={doc.id === currentId ? 'current' : ''}>
+            <button className="documents-open" onClick={() => onOpen(doc)} title="Open this document">
+              <span className="documents-name">{doc.name}</span>
+              <span className="small muted">{FORMATS[doc.format]?.name ?? doc.format} · {sizeLabel(doc.text)} · {timeAgo(doc.updatedAt)}</span>
+            </button>
+            <button className="btn secondary small" onClick={() => remove(doc)} title="Delete" aria-label={`Delete ${doc.name}`}>×</button>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <aside className="documents-sidebar card" aria-label="Documents">
+      <div className="header">
+        <strong>Documents</strong>
+        <button className="btn secondary small" onClick={onClose}>Close</button>
+      </div>
+
+      <section>
+        <div className="small muted">Share this document, search, theme, expanded nodes and viewport as a link.</div>
+        <button className="btn small" onClick={onShare}>Copy share link</button>
+        {share?.error ? <div className="error small">{share.error}</div> : null}
+        {share?.message ? <div className="small info">{share.message}</div> : null}
+        {share?.url ? <input className="input" readOnly value={share.url} onFocus={(e) => e.target.select()} /> : null}
+      </section>
+
+      <section>
+        <strong className="small">Snapshots</strong>
+        <form onSubmit={saveSnapshot} style={{display:'flex', gap:8}}>
+          <input className="input" style={{flex:1}} placeholder="Snapshot name" value={snapshotName} onChange={(e) => setSnapshotName(e.target.value)} />
+          <button className="btn secondary small" type="submit">Save</button>
+        </form>
+        {renderList('snapshot', 'Save a snapshot to keep this version of the document.')}
+      </section>
+
+      <section>
+        <strong className="small">Recent</strong>
+        {renderList('recent', 'Documents are saved here automatically while you work.')}
+      </section>
+
+      {loadError ? <div className="error small">{loadError}</div> : null}
+    </aside>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// "Export" dropdown for the tree. items are { label, title?, action } where
+// action may return a promise; a failed action keeps the menu open with its error.
+// title explains the button, e.g. why it is disabled.
+export default function ExportMenu({ items, disabled, title }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const ref = useRef(null);
+
+  // close on outside click or Escape
+  useEffect(() => {
+    if (!open) return undefined;
+    function onMouseDown(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    }
+    function onKeyDown(e) {
+      if (e.key === 'Escape') setOpen(false);
+    }
+    document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open]);
+
+  async function run(item) {
+    setError(null);
+    setBusy(true);
+    try {
+      await item.action();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="export-menu" ref={ref}>
+      <button className="btn secondary small" disabled={disabled} title={title} onClick={() => { setOpen((o) => !o); setError(null); }}>
+        Export ▾
+      </button>
+      {open ? (
+        <div className="context-menu" role="menu">
+          {items.map((item) => (
+            <button key={item.label} role="menuitem" title={item.title} disabled={busy} onClick={() => run(item)}>
+              {item.label}
+            </button>
+          ))}
+          {error ? <div className="error small" style={{padding:'4px 8px'}}>{error}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
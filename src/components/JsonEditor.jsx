@@ -1,16 +1,123 @@
-import React from 'react';
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { historyShortcut } from '../utils/history';
+import { FORMATS } from '../utils/formats';
+import { LARGE_TEXT_LENGTH } from '../utils/loadSource';
+import UrlLoader from './UrlLoader';
+
+const FILE_TYPES = '.json,.json5,.jsonc,.ndjson,.jsonl,.yaml,.yml,.csv,.tsv,.xml,.toml,.gz';
+
+function sizeLabel(length) {
+  return length >= 1e6 ? `${(length / 1e6).toFixed(1)} MB` : `${Math.ceil(length / 1e3)} KB`;
+}
+
+// error is the Error from the last parse; JsonParseError adds offset, length,
+// line, column and suggestion, which are used to underline the bad span.
+// format is a key of FORMATS; onFix (optional) rewrites lenient input as
+// strict JSON and onConvert(format) re-serializes the loaded document.
+// onOpenFile(file), onPasteClipboard() and onFetchUrl({ url, headers, useCache })
+// load documents without going through the textarea; loadStatus describes the
+// last fetch. Text longer than LARGE_TEXT_LENGTH isn't shown unless asked for;
+// source changes with every document loaded, which asks again.
+export default function JsonEditor({ jsonText, setJsonText, onVisualize, onClear, onUndo, onRedo, canUndo, canRedo, error, setError, format, setFormat, onFix, onConvert, onOpenFile, onPasteClipboard, onFetchUrl, loadStatus, source }) {
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [showUrl, setShowUrl] = useState(false);
+  // the source whose large text the user chose to see
+  const [shownSource, setShownSource] = useState(null);
+  const hidden = jsonText.length > LARGE_TEXT_LENGTH && shownSource !== source;
+  const located = error && typeof error.offset === 'number' ? error : null;
+
+  // the overlay repeats the text up to the error in transparent ink over the
+  // textarea, so its <mark> lands exactly under the bad characters
+  function syncOverlay() {
+    const ta = textareaRef.current;
+    const overlay = overlayRef.current;
+    if (!ta || !overlay) return;
+    overlay.style.width = `${ta.clientWidth}px`;
+    overlay.style.height = `${ta.clientHeight}px`;
+    overlay.scrollTop = ta.scrollTop;
+    overlay.scrollLeft = ta.scrollLeft;
+  }
+
+  useLayoutEffect(syncOverlay, [located]);
+
+  function goToError() {
+    if (!located) return;
+    // a hidden document has to be rendered before the error can be selected
+    if (hidden) setShownSource(source);
+    requestAnimationFrame(() => {
+      const ta = textareaRef.current;
+      if (!ta) return;
+      ta.focus();
+      ta.setSelectionRange(located.offset, located.offset + located.length);
+    });
+  }
 
-export default function JsonEditor({ jsonText, setJsonText, onVisualize, onClear, error, setError }) {
   return (
     <div className="input-panel" style={{marginTop:12}}>
-      <textarea
-        className="textarea"
-        placeholder="Paste JSON here"
-        value={jsonText}
-        onChange={(e) => { setJsonText(e.target.value); setError(null); }}
-      />
+      <div className="controls-row" style={{marginTop:0, marginBottom:10}}>
+        <button className="btn secondary small" onClick={() => fileInputRef.current?.click()} title="Open a local file; .gz files are decompressed">Open file…</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={FILE_TYPES}
+          style={{display:'none'}}
+          onChange={(e) => {
+            if (e.target.files[0]) onOpenFile(e.target.files[0]);
+            // allow picking the same file again
+            e.target.value = '';
+          }}
+        />
+        <button className="btn secondary small" onClick={() => onPasteClipboard()} title="Open the clipboard contents without pasting them into the editor">Paste from clipboard</button>
+        <button className={`btn secondary small ${showUrl ? 'active' : ''}`} onClick={() => setShowUrl((s) => !s)}>From URL…</button>
+        <span className="small muted">or drop a file on the tree</span>
+      </div>
+      {showUrl ? <UrlLoader onFetch={onFetchUrl} onClose={() => setShowUrl(false)} status={loadStatus} /> : null}
+
+      {hidden ? (
+        <div className="large-document">
+          <div>This document is {sizeLabel(jsonText.length)}, too large to edit here comfortably. It is shown in the tree only.</div>
+          <button className="btn secondary small" onClick={() => setShownSource(source)}>Show the text anyway</button>
+        </div>
+      ) : (
+        <div className="editor-wrap">
+          <textarea
+            ref={textareaRef}
+            className="textarea"
+            placeholder={format === 'ndjson' ? 'Paste NDJSON here, one value per line' : `Paste ${FORMATS[format].name} here`}
+            value={jsonText}
+            onScroll={syncOverlay}
+            onMouseUp={syncOverlay}
+            onChange={(e) => { setJsonText(e.target.value); setError(null); }}
+            onKeyDown={(e) => {
+              // the app history also covers tree edits, so it replaces the textarea's own undo
+              const action = historyShortcut(e);
+              if (!action) return;
+              e.preventDefault();
+              if (action === 'undo') onUndo();
+              else onRedo();
+            }}
+          />
+          {located ? (
+            <div ref={overlayRef} className="editor-overlay" aria-hidden="true">
+              {jsonText.slice(0, located.offset)}
+              <mark className="parse-error-mark">{jsonText.slice(located.offset, located.offset + located.length) || '\u00a0'}</mark>
+            </div>
+          ) : null}
+        </div>
+      )}
 
       <div className="controls-row" style={{marginTop:12}}>
+        <select
+          className="btn secondary"
+          value={format}
+          onChange={(e) => { setFormat(e.target.value); setError(null); }}
+          title="Input format; JSON5 / JSONC allows comments, trailing commas, single quotes and unquoted keys"
+        >
+          {Object.entries(FORMATS).map(([value, f]) => <option key={value} value={value}>{f.label}</option>)}
+        </select>
+
         <button
           className="btn primary"
           onClick={() => onVisualize(jsonText)}
@@ -44,9 +151,42 @@ export default function JsonEditor({ jsonText, setJsonText, onVisualize, onClear
         >
           Load sample
         </button>
+
+        <button className="btn secondary" onClick={() => onUndo()} disabled={!canUndo} title="Undo (Ctrl+Z)">
+          Undo
+        </button>
+
+        <button className="btn secondary" onClick={() => onRedo()} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+          Redo
+        </button>
+
+        {onConvert ? (
+          <select
+            className="btn secondary"
+            value=""
+            onChange={(e) => { if (e.target.value) onConvert(e.target.value); }}
+            title="Rewrite the loaded document in another format"
+          >
+            <option value="">Convert to…</option>
+            {Object.entries(FORMATS).filter(([value]) => value !== 'json5').map(([value, f]) => <option key={value} value={value}>{f.name}</option>)}
+          </select>
+        ) : null}
       </div>
 
-      {error && <div className="error">Invalid JSON: {error}</div>}
+      {error ? (
+        <div className="error">
+          <div>{located ? `Invalid ${FORMATS[format].name}` : 'Error'}: {error.message}{located && hidden ? ` (line ${located.line}, column ${located.column})` : ''}</div>
+          {error.suggestion ? <div className="small">Suggestion: {error.suggestion}</div> : null}
+          {located ? (
+            <div className="controls-row" style={{marginTop:6}}>
+              <button className="btn secondary small" onClick={goToError}>Go to error</button>
+              {onFix && format === 'json' && error.suggestion ? (
+                <button className="btn secondary small" onClick={onFix} title="Parse leniently (JSON5) and rewrite as strict JSON">Fix automatically</button>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
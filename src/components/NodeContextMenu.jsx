@@ -0,0 +1,89 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { VALUE_TYPES, valueType } from '../utils/jsonEdit';
+
+// right-click menu for a tree node: edit, rename, add child, delete, change type.
+// onEdit applies an edit (see utils/jsonEdit) and throws if it is invalid;
+// without it only "Add note…" (onAddNote) is offered.
+export default function NodeContextMenu({ node, x, y, onEdit, onEditValue, onAddNote, onClose }) {
+  // 'menu' lists the actions; 'rename' and 'addKey' ask for a key; 'type' lists types
+  const [mode, setMode] = useState('menu');
+  const [keyText, setKeyText] = useState('');
+  const [error, setError] = useState(null);
+  const ref = useRef(null);
+
+  const segments = node.segments;
+  const isRoot = segments.length === 0;
+  const isObjectKey = typeof segments[segments.length - 1] === 'string';
+  const currentType = node.type === 'primitive' ? valueType(node.value) : node.type;
+
+  // close on outside click or Escape
+  useEffect(() => {
+    function onMouseDown(e) {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    }
+    function onKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [onClose]);
+
+  function run(edit) {
+    try {
+      onEdit(edit);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function submitKey(e) {
+    e.preventDefault();
+    if (mode === 'rename') run({ type: 'rename', segments, key: keyText });
+    else run({ type: 'add', segments, key: keyText, value: null });
+  }
+
+  return (
+    <div className="context-menu" ref={ref} style={{ left: x, top: y }} onContextMenu={(e) => e.preventDefault()}>
+      <div className="context-menu-title small">{node.path}</div>
+
+      {mode === 'menu' && onAddNote ? <button onClick={() => { onAddNote(); onClose(); }}>Add note…</button> : null}
+      {mode === 'menu' && onEdit ? (
+        <>
+          {node.type === 'primitive' ? <button onClick={() => { onEditValue(); onClose(); }}>Edit value</button> : null}
+          {isObjectKey ? <button onClick={() => { setKeyText(String(segments[segments.length - 1])); setMode('rename'); }}>Rename key</button> : null}
+          {node.type === 'object' ? <button onClick={() => { setKeyText(''); setMode('addKey'); }}>Add key</button> : null}
+          {node.type === 'array' ? <button onClick={() => run({ type: 'add', segments, value: null })}>Add item</button> : null}
+          <button onClick={() => setMode('type')}>Change type ›</button>
+          {!isRoot ? <button className="danger" onClick={() => run({ type: 'delete', segments })}>Delete {node.type === 'primitive' ? 'value' : 'subtree'}</button> : null}
+        </>
+      ) : null}
+
+      {mode === 'rename' || mode === 'addKey' ? (
+        <form onSubmit={submitKey} style={{display:'flex', flexDirection:'column', gap:6}}>
+          <label className="small muted">{mode === 'rename' ? 'New key name' : 'Key for the new value'}</label>
+          <input className="input" autoFocus value={keyText} onChange={(e) => { setKeyText(e.target.value); setError(null); }} />
+          <div style={{display:'flex', gap:6}}>
+            <button type="submit" className="btn secondary small">{mode === 'rename' ? 'Rename' : 'Add'}</button>
+            <button type="button" className="btn secondary small" onClick={() => setMode('menu')}>Back</button>
+          </div>
+        </form>
+      ) : null}
+
+      {mode === 'type' ? (
+        <>
+          {VALUE_TYPES.filter((t) => t !== currentType).map((t) => (
+            <button key={t} onClick={() => run({ type: 'changeType', segments, to: t })}>{t}</button>
+          ))}
+          <button onClick={() => setMode('menu')}>‹ Back</button>
+        </>
+      ) : null}
+
+      {error ? <div className="error">{error}</div> : null}
+    </div>
+  );
+}
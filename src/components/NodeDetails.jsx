@@ -0,0 +1,88 @@
+import React, { useMemo, useState } from 'react';
+import { pathSyntaxes } from '../utils/paths';
+import { describeNodeValue, detectString, formatBytes } from '../utils/nodeDetails';
+
+// copies text, then briefly says whether that worked
+export function CopyButton({ text, label = 'Copy' }) {
+  const [state, setState] = useState(null);
+  function copy() {
+    if (!navigator.clipboard) {
+      setState('Unavailable');
+      return;
+    }
+    navigator.clipboard.writeText(text).then(() => setState('Copied'), () => setState('Failed'));
+    setTimeout(() => setState(null), 1200);
+  }
+  return <button className="btn secondary small" onClick={copy}>{state ?? label}</button>;
+}
+
+function StringInsight({ item }) {
+  switch (item.kind) {
+    case 'date':
+      return <div><strong>Date</strong> {item.date.toLocaleString()} <span className="muted">({item.date.toISOString()})</span></div>;
+    case 'url':
+      return <div><strong>URL</strong> <a href={item.href} target="_blank" rel="noopener noreferrer">{item.href}</a></div>;
+    case 'color':
+      return <div><strong>Color</strong> <span className="color-swatch" style={{background:item.color}} /> {item.color}</div>;
+    case 'image':
+      return <div><strong>Image</strong><img className="details-image" src={item.src} alt="Embedded image" /></div>;
+    case 'json':
+      return <div><strong>Embedded JSON</strong><pre className="details-preview">{item.text}</pre></div>;
+    case 'base64':
+      return <div><strong>Base64, decoded</strong><pre className="details-preview">{item.text.length > 2000 ? item.text.slice(0, 2000) + '…' : item.text}</pre></div>;
+    default:
+      return null;
+  }
+}
+
+// Side panel for the clicked node: its path in several syntaxes, facts about
+// the value and a preview, each with a copy button.
+export default function NodeDetails({ value, segments, onClose }) {
+  const info = useMemo(() => describeNodeValue(value, segments), [value, segments]);
+  const insights = useMemo(() => (typeof value === 'string' ? detectString(value) : []), [value]);
+
+  return (
+    <aside className="node-details" aria-label="Node details">
+      <div className="header">
+        <strong className="small">Node details</strong>
+        <button className="btn secondary small" onClick={onClose} aria-label="Close details">×</button>
+      </div>
+
+      <section>
+        {pathSyntaxes(segments).map(({ label, text }) => (
+          <div key={label} className="details-path">
+            <span className="small muted">{label}</span>
+            <code title={text}>{text || '(empty: the whole document)'}</code>
+            <CopyButton text={text} />
+          </div>
+        ))}
+      </section>
+
+      <section className="details-facts small">
+        <div><span className="muted">Type</span> {info.type}</div>
+        <div><span className="muted">Size</span> {formatBytes(info.bytes)}</div>
+        {info.type === 'object' || info.type === 'array' ? (
+          <>
+            <div><span className="muted">{info.type === 'array' ? 'Items' : 'Keys'}</span> {info.children}</div>
+            <div><span className="muted">Nesting below</span> {info.nestedDepth}</div>
+          </>
+        ) : null}
+        <div><span className="muted">Depth</span> {info.depth}</div>
+      </section>
+
+      {insights.length ? (
+        <section className="details-insights small">
+          {insights.map((item) => <StringInsight key={item.kind} item={item} />)}
+        </section>
+      ) : null}
+
+      <section>
+        <div className="header">
+          <span className="small muted">Value{info.truncated ? ' (preview cut short)' : ''}</span>
+          <CopyButton text={info.text} label="Copy value" />
+        </div>
+        <pre className="details-preview">{info.preview}{info.truncated ? '\n…' : ''}</pre>
+      </section>
+    </aside>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// The notes pinned to one node (utils/annotations), with a box to add
+// another. Opened from a node's note badge, its context menu or the n key;
+// closes on an outside click or Escape like the context menu.
+export default function NotesPopover({ path, notes, x, y, onAdd, onRemove, onClose }) {
+  const [text, setText] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    function onMouseDown(e) {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    }
+    function onKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [onClose]);
+
+  function submit(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onAdd(text.trim());
+    setText('');
+  }
+
+  return (
+    <div className="context-menu notes-popover" ref={ref} style={{ left: x, top: y }} role="dialog" aria-label={`Notes on ${path}`}>
+      <div className="context-menu-title small" title={path}>{path}</div>
+      {notes.length ? (
+        <ul className="notes-list small">
+          {notes.map((a) => (
+            <li key={a.id}>
+              <span className="notes-text">{a.note}</span>
+              <span className="muted">{new Date(a.createdAt).toLocaleString()}</span>
+              <button className="link-button" onClick={() => onRemove(a.id)} aria-label={`Delete note "${a.note}"`}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <form onSubmit={submit} style={{display:'flex', flexDirection:'column', gap:6}}>
+        <textarea
+          className="textarea notes-textarea"
+          placeholder="Note, e.g. this id is wrong"
+          aria-label="New note"
+          autoFocus
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit(e); }}
+        />
+        <div style={{display:'flex', gap:6}}>
+          <button type="submit" className="btn secondary small" disabled={!text.trim()}>Add note</button>
+          <button type="button" className="btn secondary small" onClick={onClose}>Close</button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// human readable size for the parse phase, e.g. "5.2 MB"
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// progress bar for worker jobs; progress is { phase, done, total }
+export default function ProgressIndicator({ progress, onCancel }) {
+  if (!progress) return null;
+  const { phase, done, total } = progress;
+  // a parse without progress reports (the native fast path) has no measurable fraction
+  const fraction = total > 0 && (phase !== 'parse' || done > 0) ? Math.min(1, done / total) : null;
+  const label = phase === 'parse'
+    ? `Parsing ${formatBytes(total)}…`
+    : `Laying out ${total.toLocaleString()} nodes… ${fraction === null ? '' : `${Math.round(fraction * 100)}%`}`;
+
+  return (
+    <div className="progress" role="status">
+      <div className="progress-label small">{label}</div>
+      <div className="progress-track">
+        <div
+          className={fraction === null ? 'progress-bar indeterminate' : 'progress-bar'}
+          style={fraction === null ? undefined : { width: `${fraction * 100}%` }}
+        />
+      </div>
+      {onCancel ? <button className="btn secondary small" onClick={onCancel}>Cancel</button> : null}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React from 'react';
+import { DETECTORS } from '../utils/redaction';
+
+// redacted values listed at most; the count still covers all of them
+const MAX_LISTED = 500;
+
+const KIND_LABELS = {
+  email: 'email',
+  jwt: 'JWT',
+  apiKey: 'API key',
+  secret: 'secret',
+  card: 'card',
+  phone: 'phone',
+  path: 'pattern',
+};
+
+// Settings of the redaction (utils/redaction) applied to the tree, share links
+// and exports, and a preview of every value and key it replaced. settings is
+// { enabled, detectors, patterns, mode }; result is what redactDocument
+// returned for the shown document (null while off). reveal shows the
+// originals in this browser only, so the list then points into the original.
+export default function RedactionPanel({ settings, setSettings, result, reveal, setReveal, onJump }) {
+  const set = (fields) => setSettings((s) => ({ ...s, ...fields }));
+
+  function toggleDetector(id, checked) {
+    setSettings((s) => ({ ...s, detectors: checked ? [...s.detectors, id] : s.detectors.filter((d) => d !== id) }));
+  }
+
+  return (
+    <div className="redaction-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">Redaction</strong>
+        <label className="small">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => set({ enabled: e.target.checked })} /> Redact sensitive values
+        </label>
+      </div>
+
+      {settings.enabled ? (
+        <>
+          <div className="redaction-detectors small">
+            {DETECTORS.map((d) => (
+              <label key={d.id}>
+                <input type="checkbox" checked={settings.detectors.includes(d.id)} onChange={(e) => toggleDetector(d.id, e.target.checked)} /> {d.label}
+              </label>
+            ))}
+          </div>
+          <textarea
+            className="textarea redaction-patterns"
+            placeholder={'Paths to redact as well, one per line\n$..name\ncustomer.address'}
+            value={settings.patterns}
+            onChange={(e) => set({ patterns: e.target.value })}
+            aria-label="JSONPath patterns to redact, one per line"
+          />
+          {result?.problems.map((p) => <div key={p.line} className="error small">Line {p.line}: {p.message}</div>)}
+          <div className="controls-row">
+            <select className="input" style={{padding:'4px 8px'}} value={settings.mode} onChange={(e) => set({ mode: e.target.value })} aria-label="Replace values with">
+              <option value="mask">Mask values</option>
+              <option value="fake">Fake values</option>
+            </select>
+            <label className="small" title="Exports and share links stay redacted">
+              <input type="checkbox" checked={reveal} onChange={(e) => setReveal(e.target.checked)} /> Reveal originals here
+            </label>
+          </div>
+          <div className="small muted">
+            The tree, share links and exports show the redacted values; the editor still holds the original text. Share links leave out notes, the search query, the transform and the expanded paths.
+          </div>
+
+          {result ? (
+            <>
+              <div className="small" style={{marginTop:8}}>
+                <strong>{result.items.length}</strong> {result.items.length === 1 ? 'value or key' : 'values and keys'} redacted
+              </div>
+              {result.items.length ? (
+                <ul className="bookmarks redaction-list small">
+                  {result.items.slice(0, MAX_LISTED).map((item) => (
+                    <li key={`${item.key ? 'key' : 'value'} ${item.path}`}>
+                      <button className="link-button bookmark-path" onClick={() => onJump(reveal ? item.originalSegments : item.segments)} title={reveal ? item.originalPath : item.path}>{reveal ? item.originalPath : item.path}</button>
+                      <span className="muted">{KIND_LABELS[item.kind]}{item.key ? ' key' : ''}</span>
+                      <span className="notes-text">{reveal ? String(item.original) : String(item.replacement)}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+              {result.items.length > MAX_LISTED ? <div className="small muted">and {result.items.length - MAX_LISTED} more</div> : null}
+            </>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+
+// JSON Schema input, validation summary and clickable error list
+export default function SchemaPanel({ schemaText, setSchemaText, draft, setDraft, result, onGenerate, onSelectError }) {
+  function loadFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    file.text().then(setSchemaText);
+    // allow picking the same file again
+    e.target.value = '';
+  }
+
+  return (
+    <div className="schema-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">JSON Schema</strong>
+        <select className="input" style={{padding:'4px 8px'}} value={draft} onChange={(e) => setDraft(e.target.value)} title="Schema draft">
+          <option value="auto">Draft: from $schema</option>
+          <option value="2020-12">Draft 2020-12</option>
+          <option value="07">Draft-07</option>
+        </select>
+      </div>
+
+      <textarea
+        className="textarea schema-textarea"
+        placeholder="Paste a JSON Schema to validate the document"
+        value={schemaText}
+        onChange={(e) => setSchemaText(e.target.value)}
+      />
+
+      <div className="controls-row">
+        <label className="btn secondary small">
+          Load schema file
+          <input type="file" accept=".json,application/json,application/schema+json" onChange={loadFile} style={{display:'none'}} />
+        </label>
+        <button className="btn secondary small" onClick={() => onGenerate()} title="Infer a schema from the current document">
+          Generate from document
+        </button>
+        {schemaText ? <button className="btn secondary small" onClick={() => setSchemaText('')}>Remove schema</button> : null}
+      </div>
+
+      {result && result.error ? <div className="error">{result.error}</div> : null}
+      {result && result.errors ? (
+        result.errors.length === 0 ? (
+          <div className="small info schema-valid">✓ Document is valid</div>
+        ) : (
+          <>
+            <div className="error">
+              {result.errors.length + result.errors.omitted} validation {result.errors.length + result.errors.omitted === 1 ? 'error' : 'errors'}
+              {result.errors.omitted ? ` (the first ${result.errors.length} are listed)` : ''}
+            </div>
+            <ul className="schema-errors">
+              {result.errors.map((err, i) => (
+                <li key={i}>
+                  <button onClick={() => onSelectError(err)} title="Show in tree">
+                    <span className="schema-error-path">{err.instancePath}</span> {err.message}
+                    <span className="schema-error-schema">{err.schemaPath}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )
+      ) : null}
+    </div>
+  );
+}
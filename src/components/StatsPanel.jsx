@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { documentStats } from '../utils/docStats';
+import { formatBytes } from '../utils/nodeDetails';
+import { stringifyJson } from '../utils/jsonParser';
+
+// patterns listed before "Show all paths"
+const PATTERNS_SHOWN = 15;
+
+function percent(share) {
+  return share >= 0.995 ? '100%' : share < 0.01 ? '<1%' : `${Math.round(share * 100)}%`;
+}
+
+function preview(value) {
+  const s = stringifyJson(value);
+  return s.length > 40 ? s.slice(0, 39) + '…' : s;
+}
+
+// Summary of the document's shape. onSelect(targets) highlights the nodes at
+// targets (arrays of segments) in the tree. Statistics are computed only
+// while the panel is open.
+export default function StatsPanel({ data, onSelect }) {
+  const [open, setOpen] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [allPatterns, setAllPatterns] = useState(false);
+
+  useEffect(() => {
+    if (!open || data === null || data === undefined) {
+      setStats(null);
+      return undefined;
+    }
+    // let "Computing…" render first; large documents take a moment
+    const timer = setTimeout(() => setStats(documentStats(data)), 0);
+    return () => clearTimeout(timer);
+  }, [open, data]);
+
+  const entry = (key, targets, content, title = 'Highlight in tree') => (
+    <li key={key}>
+      <button onClick={() => onSelect(targets)} title={title}>{content}</button>
+    </li>
+  );
+
+  return (
+    <div className="stats-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">Document summary</strong>
+        <button className="btn secondary small" onClick={() => setOpen((o) => !o)} disabled={data === null}>{open ? 'Hide' : 'Show'}</button>
+      </div>
+
+      {open && !stats && data !== null ? <div className="small muted">Computing…</div> : null}
+      {open && stats ? (
+        <>
+          <div className="stats-overview small">
+            <span>{stats.total.toLocaleString()} nodes</span>
+            <span>{formatBytes(stats.bytes)}</span>
+            <button className="link-button" onClick={() => onSelect([stats.deepest])} title="Show the deepest node">max depth {stats.maxDepth}</button>
+          </div>
+          <ul className="stats-list stats-types">
+            {Object.entries(stats.counts).filter(([, c]) => c.count > 0).map(([type, c]) => entry(type, c.targets, (
+              <><span>{type}</span><span className="muted">{c.count.toLocaleString()}</span></>
+            ), `Highlight ${type} nodes`))}
+          </ul>
+
+          <h4>Largest subtrees</h4>
+          <ul className="stats-list">
+            {stats.largest.map((l) => entry(l.path, [l.segments], (
+              <><code>{l.path}</code><span className="muted">{formatBytes(l.bytes)} · {l.children} {l.children === 1 ? 'child' : 'children'}</span></>
+            )))}
+          </ul>
+
+          <h4>Keys <span className="muted">({stats.distinctKeys.toLocaleString()} distinct)</span></h4>
+          <ul className="stats-list">
+            {stats.keys.map((k) => entry(k.key, k.targets, (
+              <><code>{k.key}</code><span className="muted">×{k.count.toLocaleString()}</span></>
+            )))}
+          </ul>
+
+          <h4>Arrays with mixed item shapes</h4>
+          {stats.arrays.length === 0 ? <div className="small muted">Every array's items share one shape.</div> : (
+            <ul className="stats-list">
+              {stats.arrays.map((a) => entry(a.path, [a.segments], (
+                <>
+                  <code>{a.path}</code>
+                  <span className="muted">
+                    {a.length} items, {a.shapes} shapes
+                    {Object.keys(a.types).length > 1 ? ` · ${Object.entries(a.types).map(([t, n]) => `${n} ${t}`).join(', ')}` : ''}
+                    {a.partialKeys.length ? ` · ${a.partialKeys.slice(0, 3).map((k) => `${k.key} in ${k.present}/${a.objects}`).join(', ')}` : ''}
+                  </span>
+                </>
+              )))}
+            </ul>
+          )}
+
+          <h4>Duplicated values</h4>
+          {stats.duplicates.length === 0 ? <div className="small muted">No repeated strings or numbers.</div> : (
+            <ul className="stats-list">
+              {stats.duplicates.map((d, i) => entry(i, d.targets, (
+                <><code>{preview(d.value)}</code><span className="muted">×{d.count.toLocaleString()}</span></>
+              )))}
+            </ul>
+          )}
+
+          <h4>Types by path</h4>
+          <ul className="stats-list stats-patterns">
+            {stats.patterns.slice(0, allPatterns ? undefined : PATTERNS_SHOWN).map((p) => (
+              <li key={p.pattern} className={p.mixed ? 'mixed' : ''}>
+                <code title={p.pattern}>{p.pattern}</code>
+                <span className="type-bar">
+                  {p.types.map((t) => (
+                    <button key={t.type} onClick={() => onSelect(t.targets)} title={`Highlight the ${t.type} values (${t.count})`} style={{flexGrow: Math.max(t.share, 0.08)}} className={`type-${t.type}`}>
+                      {t.type} {percent(t.share)}
+                    </button>
+                  ))}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {stats.patterns.length > PATTERNS_SHOWN ? (
+            <button className="btn secondary small" onClick={() => setAllPatterns((a) => !a)}>
+              {allPatterns ? 'Show fewer paths' : `Show all ${stats.patterns.length} paths`}
+            </button>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
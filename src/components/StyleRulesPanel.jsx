@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { exampleRules, exportRules, importRules, newRule, RULE_TESTS, ruleProblem } from '../utils/styleRules';
+import { VALUE_TYPES } from '../utils/jsonEdit';
+import { downloadText } from '../utils/download';
+
+// color picked when a rule's color is switched on
+const DEFAULT_RULE_COLOR = '#dc2626';
+
+function RuleEditor({ rule, index, count, onChange, onMove, onRemove }) {
+  const problem = ruleProblem(rule);
+  const set = (fields) => onChange({ ...rule, ...fields });
+  const label = rule.name || `Rule ${index + 1}`;
+
+  return (
+    <li className={`style-rule${rule.enabled ? '' : ' disabled'}`}>
+      <div className="style-rule-row">
+        <input type="checkbox" checked={rule.enabled} onChange={(e) => set({ enabled: e.target.checked })} aria-label={`Apply ${label}`} />
+        <input className="input" placeholder={`Rule ${index + 1}`} value={rule.name} onChange={(e) => set({ name: e.target.value })} aria-label="Rule name" />
+        <button className="btn secondary small" onClick={() => onMove(-1)} disabled={index === 0} aria-label={`Move ${label} up`}>↑</button>
+        <button className="btn secondary small" onClick={() => onMove(1)} disabled={index === count - 1} aria-label={`Move ${label} down`}>↓</button>
+        <button className="btn secondary small" onClick={onRemove} aria-label={`Remove ${label}`}>×</button>
+      </div>
+      <div className="style-rule-row">
+        <input
+          className="input"
+          placeholder="Path, e.g. $..status (empty: every node)"
+          value={rule.path}
+          onChange={(e) => set({ path: e.target.value })}
+          aria-label="JSONPath the rule applies to"
+        />
+        <select className="input" value={rule.test} onChange={(e) => set({ test: e.target.value, value: e.target.value === 'type' ? 'null' : rule.value })} aria-label="Value condition">
+          {RULE_TESTS.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+        </select>
+        {rule.test === 'type' ? (
+          <select className="input" value={rule.value} onChange={(e) => set({ value: e.target.value })} aria-label="Value type">
+            {VALUE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+        ) : rule.test !== 'any' ? (
+          <input className="input" placeholder="Value" value={rule.value} onChange={(e) => set({ value: e.target.value })} aria-label="Value to compare with" />
+        ) : null}
+      </div>
+      <div className="style-rule-row small">
+        <label>
+          <input type="checkbox" checked={Boolean(rule.color)} onChange={(e) => set({ color: e.target.checked ? DEFAULT_RULE_COLOR : '' })} />
+          Color
+        </label>
+        {rule.color ? <input type="color" value={rule.color} onChange={(e) => set({ color: e.target.value })} aria-label="Node color" /> : null}
+        <input className="input style-rule-icon" placeholder="Icon" maxLength={4} value={rule.icon} onChange={(e) => set({ icon: e.target.value })} aria-label="Icon shown before the label" />
+        <input className="input" placeholder="Badge" value={rule.badge} onChange={(e) => set({ badge: e.target.value })} aria-label="Badge text" />
+        <label>
+          <input type="checkbox" checked={rule.dim} onChange={(e) => set({ dim: e.target.checked })} />
+          Dim
+        </label>
+      </div>
+      {problem ? <div className="error" style={{marginTop:4}}>{problem}</div> : null}
+    </li>
+  );
+}
+
+// Editor for the conditional formatting rules (utils/styleRules) applied to
+// the tree's nodes, with JSON export and import for sharing rule sets.
+export default function StyleRulesPanel({ rules, setRules }) {
+  const [open, setOpen] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  function update(index, rule) {
+    setRules((list) => list.map((r, i) => (i === index ? rule : r)));
+  }
+
+  function move(index, delta) {
+    setRules((list) => {
+      const next = [...list];
+      [next[index], next[index + delta]] = [next[index + delta], next[index]];
+      return next;
+    });
+  }
+
+  function loadFile(e) {
+    const file = e.target.files && e.target.files[0];
+    // allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      const imported = importRules(text);
+      setRules((list) => [...list, ...imported]);
+      setImportError(null);
+      setOpen(true);
+    }).catch((err) => setImportError(err.message));
+  }
+
+  const active = rules.filter((r) => r.enabled).length;
+
+  return (
+    <div className="style-rules-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">
+          Style rules{rules.length ? <span className="muted"> ({active} of {rules.length} on)</span> : null}
+        </strong>
+        <button className="btn secondary small" onClick={() => setOpen((o) => !o)}>{open ? 'Hide' : 'Show'}</button>
+      </div>
+
+      {open ? (
+        <>
+          <div className="small muted">
+            Color, mark or dim the nodes a JSONPath selects and whose value meets a condition. Each style comes from the first matching rule that sets it; other nodes keep their type colors.
+          </div>
+          {rules.length ? (
+            <ol className="style-rules">
+              {rules.map((rule, i) => (
+                <RuleEditor
+                  key={rule.id}
+                  rule={rule}
+                  index={i}
+                  count={rules.length}
+                  onChange={(r) => update(i, r)}
+                  onMove={(delta) => move(i, delta)}
+                  onRemove={() => setRules((list) => list.filter((r) => r.id !== rule.id))}
+                />
+              ))}
+            </ol>
+          ) : null}
+          <div className="controls-row">
+            <button className="btn secondary small" onClick={() => setRules((list) => [...list, newRule()])}>Add rule</button>
+            <button className="btn secondary small" onClick={() => setRules((list) => [...list, ...exampleRules()])} title="Errors in red, numbers above 1000 in amber, nulls dimmed">
+              Add examples
+            </button>
+            <button className="btn secondary small" onClick={() => downloadText('style-rules.json', exportRules(rules))} disabled={rules.length === 0}>Export</button>
+            <label className="btn secondary small">
+              Import…
+              <input type="file" accept=".json,application/json" onChange={loadFile} style={{display:'none'}} />
+            </label>
+          </div>
+          {importError ? <div className="error">{importError}</div> : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
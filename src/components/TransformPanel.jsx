@@ -0,0 +1,64 @@
+import React from 'react';
+
+function stageStatus(stage) {
+  if (stage.error) return <span className="error" style={{marginTop:0}}>{stage.error.message}</span>;
+  if (stage.skipped) return <span className="muted">not run</span>;
+  return <span className="transform-count">{stage.count} {stage.count === 1 ? 'result' : 'results'}</span>;
+}
+
+// jq-style expression applied to the document (see utils/jq), with the result
+// of each | stage. result is what runPipeline returns, or { error } when the
+// evaluation itself failed; onApply replaces the document with the output.
+export default function TransformPanel({ expression, setExpression, result, showResult, setShowResult, onApply }) {
+  const outputs = result?.outputs;
+
+  return (
+    <div className="transform-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">Transform</strong>
+        <label className="small muted" style={{display:'flex', alignItems:'center', gap:6}}>
+          <input type="checkbox" checked={showResult} onChange={(e) => setShowResult(e.target.checked)} />
+          Show the result beside the tree
+        </label>
+      </div>
+
+      <textarea
+        className="textarea transform-textarea"
+        placeholder=".items | map({name, id}) | map(select(.id > 1))"
+        aria-label="jq expression"
+        spellCheck={false}
+        value={expression}
+        onChange={(e) => setExpression(e.target.value)}
+      />
+      <div className="small muted">
+        A subset of jq: paths (<code>.a[0]</code>, <code>.[]</code>), <code>|</code>, <code>,</code>, <code>{'{name, id}'}</code>, <code>if … then … else … end</code>,
+        {' '}map, select, keys, length, sort_by, group_by, unique_by, min_by, to_entries, del, join, test and more.
+      </div>
+
+      {result?.error ? <div className="error">{result.error}</div> : null}
+      {result?.stages ? (
+        <ol className="transform-stages small">
+          {result.stages.map((stage) => (
+            <li key={stage.start}>
+              <code>{stage.text.trim() || '(empty)'}</code>
+              {stageStatus(stage)}
+            </li>
+          ))}
+        </ol>
+      ) : null}
+
+      <div className="controls-row">
+        <button
+          className="btn secondary small"
+          onClick={() => onApply(outputs)}
+          disabled={!outputs}
+          title="Replace the document with the result; undo brings the original back"
+        >
+          Send result to editor
+        </button>
+        {expression ? <button className="btn secondary small" onClick={() => setExpression('')}>Clear</button> : null}
+        {outputs && outputs.length !== 1 ? <span className="small muted">{outputs.length} results are sent as an array</span> : null}
+      </div>
+    </div>
+  );
+}
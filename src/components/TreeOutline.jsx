@@ -0,0 +1,99 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { describeForScreenReader } from '../utils/treeNavigation';
+
+// rows are fixed height so only the ones in view need rendering
+const ROW_HEIGHT = 26;
+const OVERSCAN = 10;
+
+// The visible nodes of the tree as an indented list with the ARIA tree role,
+// an alternative to the canvas for keyboard and screen reader users. It shares
+// the canvas's nodes, expansion and selection; onKeyDown handles the keys
+// (see TreeVisualizer). Only the rows scrolled into view are rendered.
+export default function TreeOutline({ nodes, navigation, selectedId, onSelect, onToggle, onKeyDown }) {
+  const listRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(400);
+
+  useEffect(() => {
+    const el = listRef.current;
+    if (!el) return undefined;
+    const observer = new ResizeObserver(() => setHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const selectedIndex = selectedId ? navigation.index.get(selectedId) ?? -1 : -1;
+
+  // scroll the selected row into view (the scroll event renders it)
+  useEffect(() => {
+    const el = listRef.current;
+    if (!el || selectedIndex < 0) return;
+    const top = selectedIndex * ROW_HEIGHT;
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + ROW_HEIGHT > el.scrollTop + el.clientHeight) el.scrollTop = top + ROW_HEIGHT - el.clientHeight;
+  }, [selectedIndex]);
+
+  // while the outline has focus, focus follows the selected row
+  useLayoutEffect(() => {
+    const el = listRef.current;
+    if (!el || !el.contains(document.activeElement)) return;
+    const row = el.querySelector(`[data-index="${selectedIndex}"]`);
+    if (row && row !== document.activeElement) row.focus({ preventScroll: true });
+  });
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(nodes.length, Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+  // NDJSON documents have no $ row; their items start at depth 1
+  const topDepth = nodes.length ? nodes[0].data.depth : 0;
+  // the row reached with Tab: the selected one, or the first
+  const tabIndex = selectedIndex >= 0 ? selectedIndex : 0;
+
+  const rows = [];
+  for (let i = first; i < last; i++) {
+    const node = nodes[i];
+    const { data } = node;
+    const parent = navigation.parent.get(node.id);
+    const siblings = parent === undefined ? navigation.roots : navigation.children.get(parent);
+    const expandable = data.childCount > 0;
+    rows.push(
+      <div
+        key={node.id}
+        role="treeitem"
+        data-index={i}
+        className={`outline-row${node.id === selectedId ? ' selected' : ''}`}
+        style={{ top: i * ROW_HEIGHT, height: ROW_HEIGHT, paddingLeft: 6 + (data.depth - topDepth) * 14 }}
+        tabIndex={i === tabIndex ? 0 : -1}
+        aria-level={data.depth - topDepth + 1}
+        aria-setsize={siblings.length}
+        aria-posinset={navigation.position.get(node.id) + 1}
+        aria-expanded={expandable ? !data.collapsed : undefined}
+        aria-selected={node.id === selectedId}
+        aria-label={describeForScreenReader(data)}
+        onClick={() => onSelect(node.id)}
+      >
+        <span
+          className="outline-toggle"
+          aria-hidden="true"
+          onClick={expandable ? (e) => { e.stopPropagation(); onToggle(node.id); } : undefined}
+        >
+          {expandable ? (data.collapsed ? '▸' : '▾') : ''}
+        </span>
+        <span className="outline-label">{data.label}</span>
+        {data.type !== 'primitive' ? <span className="muted">{data.badge}</span> : null}
+      </div>,
+    );
+  }
+
+  return (
+    <div
+      ref={listRef}
+      className="tree-outline"
+      role="tree"
+      aria-label="Document outline"
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      onKeyDown={onKeyDown}
+    >
+      <div style={{ position: 'relative', height: nodes.length * ROW_HEIGHT }}>{rows}</div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
   Background,
   Controls as FlowControls,
@@ -6,307 +6,734 @@ import ReactFlow, {
   Handle,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import { normalizeQuery, queryJsonPath } from '../utils/jsonPath';
+import { canonicalPath, toJsonPath } from '../utils/paths';
+import { COLORS, containerPaths, countBadge, makeIsExpanded, patchTreeNodes, valueAtPath } from '../utils/treeLayout';
+import { createTreeWorker, TreeJobCancelled } from '../utils/treeWorkerClient';
+import { DEFAULT_LAYOUT, LAYOUTS } from '../utils/layouts';
+import { stringifyJson } from '../utils/jsonParser';
+import { valueType } from '../utils/jsonEdit';
+import { compileStyleRules, ruleStyle } from '../utils/styleRules';
+import { pathFileName, printableHtml, svgToPngBlob, treeToSvg } from '../utils/treeExport';
+import { downloadBlob, downloadText } from '../utils/download';
+import ProgressIndicator from './ProgressIndicator';
+import ValueEditor from './ValueEditor';
+import NodeContextMenu from './NodeContextMenu';
+import ExportMenu from './ExportMenu';
+import NodeDetails from './NodeDetails';
+import TreeOutline from './TreeOutline';
+import ArrayTable from './ArrayTable';
+import NotesPopover from './NotesPopover';
+import { annotationsByPath, newAnnotation } from '../utils/annotations';
+import { buildNavigation, describeForScreenReader, neighbour } from '../utils/treeNavigation';
 
-/*
- Node type colors
- - object: blue/purple
- - array: green
- - primitive: orange
-*/
-const COLORS = {
-  object: '#60a5fa', // light blue
-  array: '#34d399',  // green
-  primitive: '#f59e0b', // orange
-  highlight: '#ef4444'
-};
-
-// utility: determine type of value
-function nodeType(value) {
-  if (value === null) return 'primitive';
-  if (Array.isArray(value)) return 'array';
-  if (typeof value === 'object') return 'object';
-  return 'primitive';
+// paths of every ancestor of a match (root first), used to reveal it in collapsed branches
+function ancestorPaths(path) {
+  const out = [];
+  for (let i = 0; i < path.length; i++) out.push(toJsonPath(path.slice(0, i)));
+  return out;
 }
 
-// Build a labeled node id
-function makeNodeId(path) {
-  // path is like $ or $.user.address
-  return path.replace(/\./g, '_').replace(/\[/g, '_').replace(/\]/g, '');
-}
-
-// simple recursive tree walker to build an array of nodes and edges.
-// Also returns a map of path -> node id.
-function buildTreeNodes(data) {
-  const nodes = [];
-  const edges = [];
-  const pathToNode = {};
-
-  // layout helpers: compute positions using a simple top-down layout.
-  // We'll compute subtree width (number of leaf nodes) and then spread children horizontally.
-  function measure(node) {
-    // returns number of leaf columns
-    const t = nodeType(node.value);
-    if (t === 'primitive') return 1;
-    let total = 0;
-    if (t === 'array') {
-      for (let i = 0; i < node.value.length; i++) {
-        const child = { key: String(i), value: node.value[i], parent: node };
-        total += measure(child);
-      }
-    } else {
-      // object
-      const keys = Object.keys(node.value);
-      for (const k of keys) {
-        total += measure({ key: k, value: node.value[k], parent: node });
-      }
-    }
-    return total || 1;
-  }
-
-  function build(node, x, y) {
-    // x is center x of this node; y is level * vertical spacing.
-    const t = nodeType(node.value);
-    const label = node.key === undefined ? '$' : node.key;
-    const path = node.path;
-    const id = makeNodeId(path);
-
-    // node label for primitives include value
-    // keep $ for the root node
-    const displayLabel = t === 'primitive' && node.key !== undefined
-      ? `${node.key}: ${String(node.value)}`
-      : String(label);
-
-    pathToNode[path] = id;
-
-    nodes.push({
-      id,
-      position: { x: x - 70, y },
-      data: {
-        label: displayLabel,
-        path,
-        value: node.value,
-        type: t,
-      },
-      style: {
-        width: 140,
-        padding: 12,
-        borderRadius: 12,
-        background: t === 'object' ? COLORS.object : t === 'array' ? COLORS.array : COLORS.primitive,
-        color: 'white',
-        textAlign: 'center',
-        boxShadow: '0 8px 20px rgba(11,18,32,0.08)',
-      }
-    });
-
-    // Now build child nodes and edges using subtree width measurement
-    const childY = y + 110;
-    if (t === 'object' || t === 'array') {
-      const children = t === 'object'
-        ? Object.keys(node.value).map(k => ({ key: k, value: node.value[k], path: path + (path === '$' ? '' : '.') + k }))
-        : node.value.map((v, i) => ({ key: String(i), value: v, path: `${path}[${i}]` }));
-
-      // compute subtree widths (number of leaf columns) for each child
-      const childWidths = children.map((c) => measure({ key: c.key, value: c.value, path: c.path }));
-      const totalCols = childWidths.reduce((s, w) => s + w, 0) || 1;
-      // column gap: horizontal distance per leaf column
-      const COLUMN_GAP = 180;
-      // leftmost center x for first child
-      let curX = x - ((totalCols - 1) * COLUMN_GAP) / 2;
-
-      for (let i = 0; i < children.length; i++) {
-        const child = children[i];
-        const cw = childWidths[i] || 1;
-        // child center should be in the middle of its subtree span
-        const childCenter = curX + ((cw - 1) * COLUMN_GAP) / 2;
-  const childId = makeNodeId(child.path);
-  build({ ...child, path: child.path }, childCenter, childY);
-  edges.push({ id: `${id}-${childId}`, source: id, target: childId, sourceHandle: 'b', targetHandle: 't', animated: false, style: { stroke: 'rgba(34,50,84,0.08)', strokeWidth: 2 } });
-        // advance curX by cw columns for next child
-        curX += cw * COLUMN_GAP;
-      }
-    } else {
-      // primitives have no children
-    }
+// id of the node that shows path: its own node, or the deepest visible
+// (collapsed) ancestor when path is hidden inside a collapsed branch
+function visibleNodeFor(path, ancestors, pathToNode) {
+  if (pathToNode[path]) return { id: pathToNode[path], hidden: false };
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const id = pathToNode[ancestors[i]];
+    if (id) return { id, hidden: true };
   }
-
-  // compute node positions using measured subtree widths (no external libs)
-  const rootCols = measure({ key: undefined, value: data, path: '$' });
-  const COLUMN_GAP = 180;
-  // start X such that tree is reasonably centered within a wide canvas
-  const rootX = ((rootCols - 1) * COLUMN_GAP) / 2 + 120;
-  build({ key: undefined, value: data, path: '$' }, rootX, 20);
-
-  // ensure edges are visible and use smoothstep curves
-  const styledEdges = edges.map((e) => ({
-    ...e,
-    type: 'smoothstep',
-    style: { stroke: 'rgba(51,65,85,0.18)', strokeWidth: 2 }
-  }));
-
-  return { nodes, edges: styledEdges, pathToNode };
+  return { id: null, hidden: true };
 }
 
-// helper to find path match list for simple path syntax:
-// supports $.user.address.city or items[0].name or $ or nested combination.
-// returns array of matching path strings (exact match only).
-function normalizePathQuery(q) {
-  if (!q) return null;
-  q = String(q).trim();
-  if (q === '' || q === '.' ) return '$';
-
-  // if user passes just '$' or '$.' return root
-  if (q === '$' || q === '$.') return '$';
+// node backgrounds in compare mode; 'modified' containers keep their type color
+const DIFF_COLORS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+  changed: '#9333ea',
+  moved: '#0284c7',
+};
 
-  // accept queries that start with '.' (like .user.name)
-  if (q.startsWith('.')) q = '$' + q;
+// short form of a value for "old → new" labels
+function previewValue(value) {
+  if (value === undefined) return '—';
+  if (value !== null && typeof value === 'object') return countBadge(value);
+  const s = stringifyJson(value);
+  return s.length > 24 ? s.slice(0, 23) + '…' : s;
+}
 
-  // accept queries that don't start with '$' — prefix with '$.'
-  if (!q.startsWith('$')) q = '$.' + q;
+const HIDDEN_HANDLE = { opacity: 0, pointerEvents: 'none', width: 0, height: 0 };
 
-  // remove any accidental double-dots
-  q = q.replace(/\.\./g, '.');
+// node renderer - compact default node with label & small path on hover via title attribute.
+// Defined once at module level: a new nodeTypes object on every render makes
+// React Flow re-mount all nodes.
+function TreeNode({ data }) {
+  const Renderer = data.renderer;
+  // inline style inside node rendering is easier to control than trying to style via CSS classes
+  return (
+    <div title={data.path} style={{display:'flex', alignItems:'center', justifyContent:'center', gap:6, flexDirection:'column', paddingTop:6, paddingBottom:6}}>
+      {/* invisible handles for each layout's edges: top/bottom (top-down),
+          left/right (left to right) and center (radial) */}
+      <Handle type="target" id="t" position="top" style={HIDDEN_HANDLE} />
+      <Handle type="target" id="l" position="left" style={HIDDEN_HANDLE} />
+      <Handle type="target" id="c" position="top" style={{ ...HIDDEN_HANDLE, top: '50%' }} />
+      {Renderer && !data.editing ? (
+        <Renderer label={data.label} value={data.rendererValue} path={data.path} segments={data.segments} collapsed={data.collapsed} />
+      ) : (
+        <>
+          <div style={{fontWeight:600, fontSize:13}}>{data.ruleIcon ? `${data.ruleIcon} ` : ''}{diffLabel(data) ?? data.label}</div>
+          {data.editing ? (
+            <ValueEditor value={data.value} onCommit={(v) => data.onCommitEdit(data.segments, v)} onCancel={data.onCancelEdit} />
+          ) : data.diff?.status === 'changed' ? (
+            <div style={{fontSize:11, opacity:0.95}}>{previewValue(data.diff.before)} → {previewValue(data.diff.after)}</div>
+          ) : (
+            <div style={{fontSize:11, opacity:0.95}}>{data.type === 'primitive' ? String(data.value) : ''}</div>
+          )}
+        </>
+      )}
+      {data.ruleBadge ? <div className="node-badge node-rule-badge">{data.ruleBadge}</div> : null}
+      {data.notes ? (
+        <button
+          className="node-badge node-note"
+          title={data.notes.map((a) => a.note).join('\n')}
+          aria-label={`${data.notes.length} ${data.notes.length === 1 ? 'note' : 'notes'}`}
+          onClick={(e) => { e.stopPropagation(); data.onOpenNotes(data.path, e.currentTarget.getBoundingClientRect()); }}
+        >
+          📝 {data.notes.length}
+        </button>
+      ) : null}
+      {data.collapsed ? <div className="node-badge">{data.badge}</div> : null}
+      {data.errors ? (
+        <div className="node-error" title={data.errors.map((e) => `${e.message} (${e.schemaPath})`).join('\n')}>
+          {data.errors[0].message}{data.errors.length > 1 ? ` (+${data.errors.length - 1})` : ''}
+        </div>
+      ) : null}
+      {data.hiddenErrors ? (
+        <div className="node-error" title="Expand to see the errors">
+          {data.hiddenErrors} schema {data.hiddenErrors === 1 ? 'error' : 'errors'} inside
+        </div>
+      ) : null}
+      {data.childCount > 0 ? (
+        <button
+          className="node-toggle"
+          title={data.collapsed ? 'Expand' : 'Collapse'}
+          onClick={(e) => { e.stopPropagation(); data.onToggle(data.path, data.depth); }}
+        >
+          {data.collapsed ? '+' : '−'}
+        </button>
+      ) : null}
+      {data.type === 'array' && data.childCount > 0 ? (
+        <button
+          className="node-toggle node-table"
+          title="Show the items as a table"
+          onClick={(e) => { e.stopPropagation(); data.onOpenTable(data.path, data.segments); }}
+        >
+          ⊞
+        </button>
+      ) : null}
+      <Handle type="source" id="b" position="bottom" style={HIDDEN_HANDLE} />
+      <Handle type="source" id="r" position="right" style={HIDDEN_HANDLE} />
+      <Handle type="source" id="c" position="top" style={{ ...HIDDEN_HANDLE, top: '50%' }} />
+    </div>
+  );
+}
 
-  // trim spaces around dots and brackets
-  q = q.replace(/\s*\.\s*/g, '.').replace(/\s*\[\s*/g, '[').replace(/\s*\]\s*/g, ']');
+// in compare mode array items are labelled by their original index or identity key
+function diffLabel(data) {
+  const label = data.diff?.label;
+  if (label === undefined || data.segments.length === 0) return null;
+  return data.type === 'primitive' ? `${label}: ${String(data.value)}` : label;
+}
 
-  // remove trailing dot
-  if (q.endsWith('.')) q = q.slice(0, -1);
+const nodeTypes = { default: TreeNode };
 
-  return q;
+// text lines of a node for exported images, in the order TreeNode shows them
+function describeNode(node) {
+  const data = node.data;
+  const lines = [];
+  if (data.diff?.status === 'changed') lines.push({ text: `${previewValue(data.diff.before)} → ${previewValue(data.diff.after)}` });
+  else if (data.type === 'primitive') lines.push({ text: String(data.value) });
+  if (data.ruleBadge) lines.push({ text: data.ruleBadge });
+  if (data.collapsed) lines.push({ text: data.badge });
+  if (data.errors) lines.push({ text: data.errors[0].message, color: '#fee2e2' });
+  if (data.hiddenErrors) lines.push({ text: `${data.hiddenErrors} schema ${data.hiddenErrors === 1 ? 'error' : 'errors'} inside`, color: '#fee2e2' });
+  return { title: `${data.ruleIcon ? `${data.ruleIcon} ` : ''}${diffLabel(data) ?? data.label}`, lines };
 }
 
-export default function TreeVisualizer({ data, searchQuery, themeDark }) {
+// default number of levels shown expanded when a document is loaded
+const DEFAULT_EXPAND_DEPTH = 3;
+// nodes marked at once by a focus with targets; more would expand most of a big tree
+const MAX_FOCUS_TARGETS = 200;
+const MARK_COLOR = '#a855f7';
+// keys of the outline, following the ARIA tree pattern: up/down walk the rows,
+// right opens a node or enters it, left closes it or goes to its parent
+const OUTLINE_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowRight: 'open', ArrowLeft: 'close', Home: 'first', End: 'last' };
+// space kept between a node reached with the keyboard and the canvas edges
+const KEEP_IN_VIEW_MARGIN = 40;
+// how long nodes changed by a live update stay outlined (ms)
+const FLASH_DURATION = 1200;
+
+// onEdit is optional; without it the tree is read-only.
+// diff (compare mode) maps node paths to { status, before, after, label } from utils/jsonDiff.
+// validationErrors come from utils/jsonSchema; focus ({ segments, nonce }) reveals and pans to a node,
+// focus ({ targets, nonce }) reveals and marks several nodes (segments lists) and fits them into view.
+// multiRoot draws each item of an array document as its own tree (NDJSON).
+// title labels the tree when several are shown side by side.
+// styleRules are the conditional formatting rules (utils/styleRules) to apply.
+// annotations are notes pinned to paths (utils/annotations); with
+// onAnnotationsChange(next) they can be added and deleted from the tree.
+// onViewChange receives { expandDepth, expandOverrides, layout, viewport } whenever
+// they change; restoreView (the same shape plus documentId) is applied when that
+// document is shown, to bring back a saved or shared session.
+// The rest is for embedding (see lib/JsonTree): selectedPath makes the selection
+// controlled and onSelect receives { path, segments, value } for each new one;
+// collapsedPaths makes expansion controlled (everything else is open) and
+// onExpand(changes, collapsedPaths) receives [{ path, expanded }] for each change,
+// plus the new collapsedPaths when controlled. nodeRenderers maps a value type
+// (object, array, string, number, boolean, null) to a component drawing the node
+// content, given { label, value, path, segments, collapsed }.
+// flashChanges briefly outlines the nodes a new version of data changed (live watch).
+// exportBlocked, a reason, disables the export menu (e.g. while redacted values are revealed).
+export default function TreeVisualizer({ data, documentId, searchQuery, themeDark, onEdit, diff, validationErrors, focus, multiRoot = false, onViewChange, restoreView, title = 'Visualizer', styleRules, annotations, onAnnotationsChange, flashChanges = false, exportBlocked, selectedPath: selection, onSelect, collapsedPaths, onExpand, nodeRenderers }) {
   const [rfNodes, setRfNodes] = useState([]);
   const [rfEdges, setRfEdges] = useState([]);
   const [pathToNode, setPathToNode] = useState({});
-  const reactFlowWrapper = useRef(null);
   const [highlighted, setHighlighted] = useState(null);
   // store the reactflow instance returned in onInit so we can call methods safely
   const [rfInstance, setRfInstance] = useState(null);
+  // containers shallower than expandDepth start expanded; expandOverrides
+  // holds explicit per-path choices (path -> true/false) made by the user
+  const [expandDepth, setExpandDepth] = useState(DEFAULT_EXPAND_DEPTH);
+  const [expandOverrides, setExpandOverrides] = useState({});
+  // key of LAYOUTS (utils/layouts)
+  const [layoutName, setLayoutName] = useState(DEFAULT_LAYOUT);
+  // last clicked node; target of "expand all" / "collapse all"
+  const [ownSelection, setOwnSelection] = useState(null);
+  // paths from outside may quote keys differently ($["a"]); match them as the tree writes them
+  const selectedPath = selection === undefined ? ownSelection : selection && (canonicalPath(selection) ?? selection);
+  // whether the details panel shows the selected node
+  const [detailsOpen, setDetailsOpen] = useState(false);
+  // layout runs in a worker; progress is { phase, done, total } while it runs
+  const [layoutProgress, setLayoutProgress] = useState(null);
+  const [layoutError, setLayoutError] = useState(null);
+  // bumped by "Retry" after a cancelled layout
+  const [layoutAttempt, setLayoutAttempt] = useState(0);
+  // primitive node being edited inline, and the open context menu ({ x, y, node })
+  const [editingPath, setEditingPath] = useState(null);
+  const [menu, setMenu] = useState(null);
+  const workerRef = useRef(null);
+  // document and layout the view was last fitted to
+  const lastFitted = useRef(null);
+  const needsFit = useRef(false);
+  // viewport to show instead of fitting the view, from restoreView
+  const pendingViewport = useRef(null);
+  const viewport = useRef(null);
+
+  // paths marked by a focus with targets, and whether they still need fitting into view
+  const [marked, setMarked] = useState(null);
+  const pendingFit = useRef(false);
+  // the outline beside the canvas, and the message read out by screen readers
+  const [outlineOpen, setOutlineOpen] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const flowRef = useRef(null);
+  const helpId = useId();
+  // set when the canvas moves the selection: focus follows to the new node
+  const focusCanvasNode = useRef(false);
+  // array shown in the table view ({ path, segments })
+  const [table, setTable] = useState(null);
+  // node whose notes are open ({ path, x, y })
+  const [notesFor, setNotesFor] = useState(null);
+  // the last layout and what it was made for, so a new version of the same
+  // document can update those nodes in place (see patchTreeNodes)
+  const laidOut = useRef(null);
+  // ids of the nodes the last update changed, while they flash
+  const [flashed, setFlashed] = useState(null);
+  const flashTimer = useRef(null);
+
+  // a fresh document starts from the default depth again (reset during render
+  // so the first layout of the new document already uses the reset state);
+  // edits keep the document id, so they keep expansion and selection
+  const [layoutDocument, setLayoutDocument] = useState(documentId);
+  if (layoutDocument !== documentId) {
+    setLayoutDocument(documentId);
+    const restored = restoreView?.documentId === documentId ? restoreView : null;
+    setExpandOverrides(restored?.expandOverrides ?? {});
+    if (restored) {
+      if (Number.isInteger(restored.expandDepth)) setExpandDepth(restored.expandDepth);
+      if (LAYOUTS[restored.layout]) setLayoutName(restored.layout);
+      pendingViewport.current = restored.viewport ?? null;
+    }
+    setOwnSelection(null);
+    setEditingPath(null);
+    setMenu(null);
+    setMarked(null);
+    setTable(null);
+    setNotesFor(null);
+  }
+
+  useEffect(() => () => {
+    workerRef.current?.dispose();
+    clearTimeout(flashTimer.current);
+  }, []);
+
+  // with collapsedPaths the expansion belongs to the parent: every other
+  // container is open, and changes go to onExpand instead of the state above
+  const controlledOverrides = useMemo(
+    () => (collapsedPaths ? Object.fromEntries(collapsedPaths.map((p) => [canonicalPath(p) ?? p, false])) : null),
+    [collapsedPaths],
+  );
+  const shownDepth = controlledOverrides ? Infinity : expandDepth;
+  const shownOverrides = controlledOverrides ?? expandOverrides;
+  const isExpanded = useMemo(() => makeIsExpanded(shownDepth, shownOverrides), [shownDepth, shownOverrides]);
 
-  // Rebuild nodes/edges whenever data changes
+  const flashNodes = useCallback((ids) => {
+    if (!flashChanges || ids.length === 0) return;
+    clearTimeout(flashTimer.current);
+    setFlashed(new Set(ids));
+    flashTimer.current = setTimeout(() => setFlashed(null), FLASH_DURATION);
+  }, [flashChanges]);
+
+  // Rebuild nodes/edges in the worker whenever data or expansion state changes
   useEffect(() => {
     if (!data) {
+      laidOut.current = null;
       setRfNodes([]);
       setRfEdges([]);
       setPathToNode({});
       return;
     }
-    const { nodes, edges, pathToNode } = buildTreeNodes(data);
-    setRfNodes(nodes);
-    // adapt edge color for theme (white in dark mode)
-    const themedEdges = edges.map((e) => ({
-      ...e,
-      style: {
-        ...(e.style || {}),
-        stroke: themeDark ? 'rgba(255,255,255,0.95)' : (e.style && e.style.stroke) || '#0b1220',
-        strokeWidth: (e.style && e.style.strokeWidth) || 2.5,
-      }
-    }));
-    setRfEdges(themedEdges);
-    setPathToNode(pathToNode);
-    setHighlighted(null);
-    // after render, try to fit view to show everything (if instance available)
+    const view = { documentId, shownDepth, shownOverrides, multiRoot, layoutName, layoutAttempt };
+    const last = laidOut.current;
+    const sameView = last !== null && Object.keys(view).every((key) => last.view[key] === view[key]);
+    // only the data changed (an edit or a live update): update the last layout here
+    const patched = sameView ? patchTreeNodes(last, data, { isExpanded, hideRoot: multiRoot, layout: layoutName }) : null;
+    if (patched) {
+      laidOut.current = { view, nodes: patched.nodes, edges: patched.edges, pathToNode: patched.pathToNode };
+      setRfNodes(patched.nodes);
+      setRfEdges(patched.edges);
+      setPathToNode(patched.pathToNode);
+      flashNodes(patched.changed);
+      return;
+    }
+    if (!workerRef.current) workerRef.current = createTreeWorker();
+    // a newer layout supersedes this one; ignore whatever it resolves with
+    let stale = false;
+    setLayoutError(null);
+    setLayoutProgress({ phase: 'layout', done: 0, total: 0 });
+    workerRef.current.layout(data, { expandDepth: shownDepth, expandOverrides: shownOverrides, hideRoot: multiRoot, layout: layoutName }, (p) => { if (!stale) setLayoutProgress(p); })
+      .then(({ nodes, edges, pathToNode }) => {
+        if (stale) return;
+        laidOut.current = { view, nodes, edges, pathToNode };
+        if (sameView) {
+          const before = new Map(last.nodes.map((n) => [n.id, n.data]));
+          flashNodes(nodes.filter((n) => before.get(n.id)?.label !== n.data.label || before.get(n.id)?.badge !== n.data.badge).map((n) => n.id));
+        }
+        setRfNodes(nodes);
+        setRfEdges(edges);
+        setPathToNode(pathToNode);
+        setHighlighted(null);
+        setLayoutProgress(null);
+        // only fit the view for a new document or layout; expanding/collapsing and edits keep the viewport
+        const fitKey = `${documentId} ${layoutName}`;
+        if (lastFitted.current !== fitKey) {
+          lastFitted.current = fitKey;
+          needsFit.current = true;
+        }
+      })
+      .catch((err) => {
+        if (stale) return;
+        setLayoutProgress(null);
+        setLayoutError(err instanceof TreeJobCancelled ? 'Layout cancelled. Lower the expand depth, then retry.' : err.message);
+      });
+    return () => { stale = true; };
+  }, [data, documentId, shownDepth, shownOverrides, isExpanded, layoutAttempt, multiRoot, layoutName, flashNodes]);
+
+  useEffect(() => {
+    if (!needsFit.current || !rfInstance) return;
+    needsFit.current = false;
+    const saved = pendingViewport.current;
+    pendingViewport.current = null;
+    // after render, try to fit view to show everything (or go back to a saved viewport)
     setTimeout(() => {
-      try { rfInstance?.fitView({ padding: 0.2 }); } catch (e) {}
+      try {
+        if (saved) rfInstance.setViewport(saved);
+        else rfInstance.fitView({ padding: 0.2 });
+      } catch { /* instance not ready */ }
     }, 100);
-  }, [data, themeDark, rfInstance]);
+  }, [rfNodes, rfInstance]);
 
-  // handle searchQuery: when changed, try to find node and center/highlight
   useEffect(() => {
-    if (!searchQuery || !rfNodes || rfNodes.length === 0) {
-      setHighlighted(null);
-      return;
+    onViewChange?.({ expandDepth, expandOverrides, layout: layoutName, viewport: viewport.current });
+  }, [onViewChange, expandDepth, expandOverrides, layoutName]);
+
+  const onMoveEnd = useCallback((event, vp) => {
+    viewport.current = vp;
+    onViewChange?.({ expandDepth, expandOverrides, layout: layoutName, viewport: vp });
+  }, [onViewChange, expandDepth, expandOverrides, layoutName]);
+
+  // adapt edge color for theme (white in dark mode)
+  const themedEdges = useMemo(() => rfEdges.map((e) => ({
+    ...e,
+    style: {
+      ...(e.style || {}),
+      stroke: themeDark ? 'rgba(255,255,255,0.95)' : (e.style && e.style.stroke) || '#0b1220',
+      strokeWidth: (e.style && e.style.strokeWidth) || 2.5,
     }
-    const q = normalizePathQuery(searchQuery);
-    if (!q) {
-      setHighlighted(null);
-      return;
+  })), [rfEdges, themeDark]);
+
+  // what changeExpansion compares against; kept in a ref so the callbacks using
+  // it don't change (and re-run the effects depending on them) on every toggle
+  const expansion = useRef(null);
+
+  // apply update (overrides -> new overrides) and report the paths it opens or
+  // closes to onExpand; controlled trees only report them
+  const changeExpansion = useCallback((update) => {
+    const current = expansion.current;
+    const next = update(current.overrides);
+    const changes = [];
+    for (const [path, expanded] of Object.entries(next)) {
+      // a hidden node's state is unknown unless controlled, where it defaults to open
+      const node = current.nodesById.get(current.pathToNode[path]);
+      let before = current.controlled ? true : undefined;
+      if (Object.prototype.hasOwnProperty.call(current.overrides, path)) before = current.overrides[path];
+      else if (node) before = !node.data.collapsed;
+      if (before !== expanded) changes.push({ path, expanded });
+    }
+    if (changes.length === 0) return;
+    // later calls in the same event build on this one
+    current.overrides = next;
+    if (current.controlled) {
+      current.onExpand?.(changes, Object.keys(next).filter((p) => next[p] === false));
+    } else {
+      setExpandOverrides(next);
+      current.onExpand?.(changes);
     }
+  }, []);
 
-    // exact match only
-      // try exact match first (path match)
-      let matchedId = pathToNode[q];
-
-      // If no exact path match, try matching by node value (helps when user searches for a literal like "USA")
-      const rawQuery = String(searchQuery || '').trim();
-      const rawLower = rawQuery.toLowerCase();
-
-      if (!matchedId && rawQuery) {
-        // look for nodes whose data.value equals or contains the query (case-insensitive)
-        const valueMatch = rfNodes.find((n) => {
-          if (!n || !n.data) return false;
-          const v = n.data.value;
-          if (v === null) return rawLower === 'null';
-          if (typeof v === 'boolean' || typeof v === 'number') return String(v).toLowerCase() === rawLower;
-          if (typeof v === 'string') return v.toLowerCase() === rawLower || v.toLowerCase().includes(rawLower);
-          return false;
-        });
-        if (valueMatch) matchedId = valueMatch.id;
-      }
+  const toggleNode = useCallback((path, depth) => {
+    changeExpansion((prev) => ({ ...prev, [path]: !isExpanded(path, depth) }));
+  }, [isExpanded, changeExpansion]);
 
-      // If still no match, try a few fallbacks on paths: strip root prefix, suffix match, contains match
-      if (!matchedId) {
-        const allPaths = Object.keys(pathToNode || {});
-        // compute a q without the leading '$.' or leading '$'
-        let qNoRoot = q;
-        if (q === '$') qNoRoot = '';
-        else if (q.startsWith('$.')) qNoRoot = q.slice(2);
-        else if (q.startsWith('$')) qNoRoot = q.slice(1);
-        else if (q.startsWith('.')) qNoRoot = q.slice(1);
-
-        // prefer exact match with $ prefix variations
-        const altExact = allPaths.find(p => p === `$${qNoRoot ? '.' + qNoRoot : ''}` || p === qNoRoot || p === '$.' + qNoRoot);
-        if (altExact) matchedId = pathToNode[altExact];
-
-        // suffix match (e.g., searching for user.address.city when path is $.user.address.city)
-        if (!matchedId && qNoRoot) {
-          const suffix = allPaths.find(p => p.endsWith('.' + qNoRoot) || p.endsWith('[' + qNoRoot + ']') || p.endsWith(qNoRoot));
-          if (suffix) matchedId = pathToNode[suffix];
-        }
+  // expand or collapse every container under the selected node (root if none)
+  const setSubtreeExpanded = useCallback((expanded) => {
+    const path = selectedPath || '$';
+    const node = rfNodes.find((n) => n.data.path === path);
+    if (!node) return;
+    const paths = containerPaths(valueAtPath(data, node.data.segments), path);
+    changeExpansion((prev) => {
+      const next = { ...prev };
+      for (const p of paths) next[p] = expanded;
+      // keep the chosen node itself open when collapsing its descendants
+      if (!expanded) next[path] = true;
+      return next;
+    });
+  }, [selectedPath, rfNodes, data, changeExpansion]);
 
-        // contains match (fallback)
-        if (!matchedId && qNoRoot) {
-          const contains = allPaths.find(p => p.indexOf(qNoRoot) !== -1);
-          if (contains) matchedId = pathToNode[contains];
-        }
-      }
+  // evaluate the search box as a JSONPath query against the whole document,
+  // so matches inside collapsed branches are found too
+  const search = useMemo(() => {
+    const query = normalizeQuery(searchQuery);
+    if (!data || !query) return { query: null, matches: [], error: null };
+    try {
+      const matches = queryJsonPath(data, query).map((m) => ({
+        path: toJsonPath(m.path),
+        ancestors: ancestorPaths(m.path),
+      }));
+      return { query, matches, error: null };
+    } catch (err) {
+      return { query, matches: [], error: err.message };
+    }
+  }, [data, searchQuery]);
+  const [matchIndex, setMatchIndex] = useState(0);
+  // { path, flash } to pan to once the (re)built layout contains it; bumping
+  // centerRequest pans right away when the path needed no expanding
+  const pendingCenter = useRef(null);
+  const [centerRequest, setCenterRequest] = useState(0);
 
-      if (matchedId) {
-        setHighlighted(matchedId);
-        // center on the node
-        const node = rfNodes.find((n) => n.id === matchedId);
-        if (node) {
-          // setCenter expects coordinates in view; center on node position + half height/width if needed
-          try {
-            rfInstance?.setCenter(node.position.x + 80, node.position.y + 30, { zoom: 1.4, duration: 400 });
-          } catch (e) {
-            // some reactflow versions require using ReactFlow instance from context
-          }
-        }
-      } else {
-        setHighlighted('__NO_MATCH__' + q);
-      }
-  }, [searchQuery, rfNodes, pathToNode, rfInstance]);
+  // expand the ancestors of path and pan to it; flash briefly highlights it
+  const revealPath = useCallback((path, ancestors, flash = false) => {
+    changeExpansion((prev) => {
+      const next = { ...prev };
+      for (const p of ancestors) next[p] = true;
+      return next;
+    });
+    pendingCenter.current = { path, flash };
+    setCenterRequest((n) => n + 1);
+  }, [changeExpansion]);
 
-  // when user clicks a node: copy path to clipboard and flash highlight
-  const onNodeClick = useCallback((event, node) => {
-    const path = node.data.path;
-    if (navigator.clipboard) {
-      navigator.clipboard.writeText(path).then(() => {
-        // small UX: show a temporary highlight
-        setHighlighted(node.id);
-        // revert highlight after a short delay
-        setTimeout(() => setHighlighted(null), 1200);
-      }).catch(() => {
-        // fallback: no clipboard support
-      });
-    } else {
-      // fallback: just set highlight
+  // make a match the active one: expand its ancestors and pan to it
+  const focusMatch = useCallback((idx) => {
+    const match = search.matches[idx];
+    if (!match) return;
+    setMatchIndex(idx);
+    revealPath(match.path, match.ancestors);
+  }, [search, revealPath]);
+
+  // external requests to show a node (e.g. a schema error picked from a list)
+  // or several (e.g. an entry of the document summary)
+  useEffect(() => {
+    if (!focus) return;
+    if (!focus.targets) {
+      setMarked(null);
+      revealPath(toJsonPath(focus.segments), ancestorPaths(focus.segments), true);
+      return;
+    }
+    const targets = focus.targets.slice(0, MAX_FOCUS_TARGETS);
+    changeExpansion((prev) => {
+      const next = { ...prev };
+      for (const segments of targets) for (const p of ancestorPaths(segments)) next[p] = true;
+      return next;
+    });
+    setMarked({ paths: new Set(targets.map((t) => toJsonPath(t))), total: focus.targets.length });
+    pendingFit.current = true;
+  }, [focus, revealPath, changeExpansion]);
+
+  // fit the marked nodes into view once the layout contains them
+  useEffect(() => {
+    if (!pendingFit.current || !marked || !rfInstance) return;
+    const nodes = rfNodes.filter((n) => marked.paths.has(n.data.path));
+    if (nodes.length === 0) return;
+    pendingFit.current = false;
+    const xs = nodes.map((n) => n.position.x);
+    const ys = nodes.map((n) => n.position.y);
+    const right = Math.max(...nodes.map((n) => n.position.x + n.style.width));
+    const bottom = Math.max(...ys) + 80;
+    try {
+      rfInstance.fitBounds({ x: Math.min(...xs), y: Math.min(...ys), width: right - Math.min(...xs), height: bottom - Math.min(...ys) }, { padding: 0.2, duration: 400 });
+    } catch { /* instance not ready */ }
+  }, [rfNodes, marked, rfInstance]);
+
+  // jump to the first match whenever the results change
+  useEffect(() => {
+    setMatchIndex(0);
+    focusMatch(0);
+  }, [focusMatch]);
+
+  useEffect(() => {
+    const pending = pendingCenter.current;
+    if (!pending || !rfInstance) return;
+    const node = rfNodes.find((n) => n.id === pathToNode[pending.path]);
+    if (!node) return;
+    pendingCenter.current = null;
+    // setCenter expects coordinates in view; center on node position + half height/width
+    try {
+      rfInstance.setCenter(node.position.x + node.style.width / 2, node.position.y + 30, { zoom: 1.4, duration: 400 });
+    } catch {
+      // some reactflow versions require using ReactFlow instance from context
+    }
+    if (pending.flash) {
       setHighlighted(node.id);
       setTimeout(() => setHighlighted(null), 1200);
     }
+  }, [rfNodes, pathToNode, rfInstance, centerRequest]);
+
+  // node ids of visible matches, plus collapsed nodes that hide matches
+  const { matchIds, hiddenMatchHosts } = useMemo(() => {
+    const ids = new Set();
+    const hosts = new Set();
+    for (const m of search.matches) {
+      const { id, hidden } = visibleNodeFor(m.path, m.ancestors, pathToNode);
+      if (id) (hidden ? hosts : ids).add(id);
+    }
+    return { matchIds: ids, hiddenMatchHosts: hosts };
+  }, [search, pathToNode]);
+
+  // schema errors by node id, and counts of errors hidden inside collapsed nodes
+  const { errorsByNode, hiddenErrorCounts } = useMemo(() => {
+    const own = new Map();
+    const hidden = new Map();
+    for (const err of validationErrors || []) {
+      const { id, hidden: isHidden } = visibleNodeFor(err.instancePath, ancestorPaths(err.segments), pathToNode);
+      if (!id) continue;
+      if (isHidden) hidden.set(id, (hidden.get(id) || 0) + 1);
+      else own.set(id, [...(own.get(id) || []), err]);
+    }
+    return { errorsByNode: own, hiddenErrorCounts: hidden };
+  }, [validationErrors, pathToNode]);
+  const activeMatchId = search.matches.length ? pathToNode[search.matches[matchIndex]?.path] : null;
+  const matchCount = search.matches.length;
+
+  // every selection goes through here so onSelect hears about it
+  const selectPath = useCallback((path, segments) => {
+    setOwnSelection(path);
+    onSelect?.({ path, segments, value: valueAtPath(data, segments) });
+  }, [onSelect, data]);
+
+  // clicking a node selects it and shows it in the details panel
+  const onNodeClick = useCallback((event, node) => {
+    selectPath(node.data.path, node.data.segments);
+    setDetailsOpen(true);
+  }, [selectPath]);
+
+  const selectedNode = useMemo(
+    () => (selectedPath ? rfNodes.find((n) => n.data.path === selectedPath) ?? null : null),
+    [selectedPath, rfNodes],
+  );
+  const selectedValue = useMemo(() => (selectedNode ? valueAtPath(data, selectedNode.data.segments) : undefined), [selectedNode, data]);
+
+  const navigation = useMemo(() => buildNavigation(rfNodes, rfEdges), [rfNodes, rfEdges]);
+  const nodesById = useMemo(() => new Map(rfNodes.map((n) => [n.id, n])), [rfNodes]);
+
+  useLayoutEffect(() => {
+    expansion.current = { overrides: shownOverrides, controlled: Boolean(controlledOverrides), onExpand, nodesById, pathToNode };
+  });
+
+  // pan just enough to bring node inside the canvas, keeping the zoom
+  const keepInView = useCallback((node) => {
+    const el = flowRef.current;
+    if (!rfInstance || !el) return;
+    try {
+      const { x, y, zoom } = rfInstance.getViewport();
+      const left = node.position.x * zoom + x;
+      const top = node.position.y * zoom + y;
+      const m = KEEP_IN_VIEW_MARGIN;
+      if (left >= m && top >= m && left + node.style.width * zoom <= el.clientWidth - m && top + 60 * zoom <= el.clientHeight - m) return;
+      rfInstance.setCenter(node.position.x + node.style.width / 2, node.position.y + 30, { zoom, duration: 200 });
+    } catch { /* instance not ready */ }
+  }, [rfInstance]);
+
+  // keyboard selection from the canvas or the outline (source)
+  const selectById = useCallback((id, source) => {
+    const node = nodesById.get(id);
+    if (!node) return;
+    selectPath(node.data.path, node.data.segments);
+    keepInView(node);
+    if (source === 'canvas') focusCanvasNode.current = true;
+  }, [nodesById, keepInView, selectPath]);
+
+  // move focus to the node selected from the canvas once the pan has rendered it
+  useEffect(() => {
+    if (!focusCanvasNode.current) return undefined;
+    const id = pathToNode[selectedPath];
+    const timer = setTimeout(() => {
+      focusCanvasNode.current = false;
+      const el = id && flowRef.current?.querySelector(`.react-flow__node[data-id="${CSS.escape(id)}"]`);
+      (el || flowRef.current)?.focus({ preventScroll: true });
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [selectedPath, pathToNode]);
+
+  // open the notes of path below anchor (a DOMRect), kept inside the window
+  const openNotes = useCallback((path, anchor) => {
+    setNotesFor({
+      path,
+      x: Math.max(8, Math.min(anchor.left, window.innerWidth - 300)),
+      y: Math.max(8, Math.min(anchor.bottom + 4, window.innerHeight - 280)),
+    });
   }, []);
+  const closeNotes = useCallback(() => setNotesFor(null), []);
+
+  // keys shared by the canvas and the outline; keys maps arrow keys to moves
+  // (see utils/treeNavigation) and source says which of them has focus
+  const onTreeKeyDown = useCallback((event, keys, source) => {
+    const t = event.target;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName)) return;
+    const action = { Enter: 'activate', Escape: 'escape', c: 'copy', t: 'table', n: 'notes' }[event.key] ?? keys[event.key];
+    // a focused button (a node's +/−) handles Enter itself
+    if (!action || (action === 'activate' && t.tagName === 'BUTTON')) return;
+    const id = pathToNode[selectedPath];
+    const node = id ? nodesById.get(id) : null;
+    if (action === 'escape') {
+      if (detailsOpen) setDetailsOpen(false);
+      return;
+    }
+    event.preventDefault();
+    if (!node) {
+      // nothing selected yet: start at the top
+      if (navigation.order.length) selectById(navigation.order[0], source);
+      return;
+    }
+    const { data: d } = node;
+    const expandable = d.childCount > 0;
+    switch (action) {
+      case 'activate':
+        if (expandable) {
+          toggleNode(d.path, d.depth);
+          setAnnouncement(`${d.collapsed ? 'Expanded' : 'Collapsed'} ${d.path}`);
+        } else {
+          setDetailsOpen(true);
+        }
+        return;
+      case 'copy':
+        if (!navigator.clipboard) {
+          setAnnouncement('Clipboard access is not available');
+          return;
+        }
+        navigator.clipboard.writeText(d.path).then(() => setAnnouncement(`Copied ${d.path}`), () => setAnnouncement('Copying failed'));
+        return;
+      case 'table':
+        if (d.type === 'array' && expandable) setTable({ path: d.path, segments: d.segments });
+        return;
+      case 'notes': {
+        if (!onAnnotationsChange) return;
+        const el = flowRef.current?.querySelector(`.react-flow__node[data-id="${CSS.escape(id)}"]`) ?? flowRef.current;
+        openNotes(d.path, el.getBoundingClientRect());
+        return;
+      }
+      case 'open':
+        if (expandable && d.collapsed) toggleNode(d.path, d.depth);
+        else selectById(neighbour(navigation, id, 'child'), source);
+        return;
+      case 'close':
+        if (expandable && !d.collapsed) toggleNode(d.path, d.depth);
+        else selectById(neighbour(navigation, id, 'parent'), source);
+        return;
+      default:
+        selectById(neighbour(navigation, id, action), source);
+    }
+  }, [pathToNode, selectedPath, nodesById, navigation, detailsOpen, toggleNode, selectById, onAnnotationsChange, openNotes]);
+
+  const canvasKeys = useMemo(() => ({ ...LAYOUTS[layoutName].keys, Home: 'first', End: 'last' }), [layoutName]);
+
+  // Tab moves through the nodes too; the focused node becomes the selection
+  const onCanvasFocus = useCallback((event) => {
+    const id = event.target.classList?.contains('react-flow__node') ? event.target.dataset.id : null;
+    const node = id ? nodesById.get(id) : null;
+    if (node && node.data.path !== selectedPath) selectPath(node.data.path, node.data.segments);
+  }, [nodesById, selectedPath, selectPath]);
+
+  // double-click a primitive to edit its value in place
+  const onNodeDoubleClick = useCallback((event, node) => {
+    if (!onEdit || node.data.type !== 'primitive') return;
+    setEditingPath(node.data.path);
+  }, [onEdit]);
+
+  const onNodeContextMenu = useCallback((event, node) => {
+    if (!onEdit && !onAnnotationsChange) return;
+    event.preventDefault();
+    setMenu({ x: event.clientX, y: event.clientY, node: node.data });
+  }, [onEdit, onAnnotationsChange]);
+
+  const commitEdit = useCallback((segments, value) => {
+    try {
+      onEdit({ type: 'set', segments, value });
+    } catch (err) {
+      // e.g. the editor text has unparsed changes; the editor panel says why
+      setAnnouncement(err.message);
+    }
+    setEditingPath(null);
+  }, [onEdit]);
+
+  const cancelEdit = useCallback(() => setEditingPath(null), []);
+  const closeMenu = useCallback(() => setMenu(null), []);
+  const openTable = useCallback((path, segments) => setTable({ path, segments }), []);
+
+  const notesByPath = useMemo(() => annotationsByPath(annotations || []), [annotations]);
+
+  // the table's array; gone if an edit replaced it with something else
+  const tableValue = useMemo(() => {
+    const value = table ? valueAtPath(data, table.segments) : undefined;
+    return Array.isArray(value) ? value : null;
+  }, [table, data]);
+
+  // a table row shows its item's node in the tree
+  const showTableRow = useCallback((segments) => {
+    const path = toJsonPath(segments);
+    selectPath(path, segments);
+    revealPath(path, ancestorPaths(segments), true);
+  }, [revealPath, selectPath]);
+
+  const compiledRules = useMemo(() => compileStyleRules(data, styleRules), [data, styleRules]);
 
   // custom node styling to apply highlight
   const nodesWithCustomStyle = useMemo(() => {
@@ -314,93 +741,309 @@ export default function TreeVisualizer({ data, searchQuery, themeDark }) {
       if (!n) return n;
       // clone style and modify border if highlighted
       const newStyle = { ...(n.style || {}) };
-      if (highlighted && highlighted === n.id) {
+      const diffInfo = diff ? diff[n.data.path] : undefined;
+      // rule colors give way to the diff colors below
+      const custom = compiledRules.length ? ruleStyle(compiledRules, n.data.path, n.data.type, n.data.value) : null;
+      if (custom?.color) newStyle.background = custom.color;
+      if (custom?.dim) newStyle.opacity = 0.45;
+      const renderer = nodeRenderers?.[n.data.type === 'primitive' ? valueType(n.data.value) : n.data.type];
+      if (diffInfo) {
+        newStyle.background = DIFF_COLORS[diffInfo.status] || newStyle.background;
+        if (diffInfo.status === 'unchanged') newStyle.opacity = 0.5;
+      }
+      if ((highlighted && highlighted === n.id) || activeMatchId === n.id) {
         newStyle.boxShadow = '0 8px 24px rgba(239,68,68,0.25)';
+        newStyle.border = `3px solid ${COLORS.highlight}`;
+      } else if (matchIds.has(n.id)) {
         newStyle.border = `2px solid ${COLORS.highlight}`;
-      } else if (highlighted && highlighted.startsWith('__NO_MATCH__')) {
-        // no match - do nothing special on nodes
+      } else if (marked?.paths.has(n.data.path)) {
+        newStyle.border = `3px solid ${MARK_COLOR}`;
+      } else if (hiddenMatchHosts.has(n.id)) {
+        // collapsed node with matches inside
+        newStyle.border = `2px dashed ${COLORS.highlight}`;
+      } else if (selectedPath === n.data.path) {
+        // selected node: target of expand all / collapse all
+        newStyle.border = '2px dashed rgba(255,255,255,0.85)';
       } else {
         // restore default border
         newStyle.border = '0';
       }
+      const notes = notesByPath.get(n.data.path);
       return {
         ...n,
         style: newStyle,
+        className: flashed?.has(n.id) ? 'node-flash' : undefined,
+        ariaLabel: describeForScreenReader(n.data) + (notes ? `, ${notes.length} ${notes.length === 1 ? 'note' : 'notes'}` : ''),
         // display label in node content
         data: {
           ...n.data,
-          label: n.data.label
+          label: n.data.label,
+          onToggle: toggleNode,
+          diff: diffInfo,
+          errors: errorsByNode.get(n.id),
+          hiddenErrors: hiddenErrorCounts.get(n.id),
+          editing: editingPath === n.data.path,
+          onCommitEdit: commitEdit,
+          onCancelEdit: cancelEdit,
+          onOpenTable: openTable,
+          notes,
+          onOpenNotes: openNotes,
+          ruleIcon: custom?.icon,
+          ruleBadge: custom?.badge,
+          // containers don't carry their value (see utils/treeLayout); look it up for the renderer
+          ...(renderer ? { renderer, rendererValue: n.data.type === 'primitive' ? n.data.value : valueAtPath(data, n.data.segments) } : null),
         },
       };
     });
-  }, [rfNodes, highlighted]);
-
-  // node renderer - compact default node with label & small path on hover via title attribute
-  const nodeTypes = {
-    default: ({ data }) => {
-      // inline style inside node rendering is easier to control than trying to style via CSS classes
-      return (
-        <div title={data.path} style={{display:'flex', alignItems:'center', justifyContent:'center', gap:6, flexDirection:'column', paddingTop:6, paddingBottom:6}}>
-          {/* attach a top handle for incoming edges */}
-          <Handle type="target" id="t" position="top" style={{ opacity: 0, pointerEvents: 'none', width: 0, height: 0 }} />
-          <div style={{fontWeight:600, fontSize:13}}>{data.label}</div>
-          <div style={{fontSize:11, opacity:0.95}}>{typeof data.value === 'object' && data.value !== null ? '' : String(data.value)}</div>
-          {/* bottom handle for outgoing edges */}
-          <Handle type="source" id="b" position="bottom" style={{ opacity: 0, pointerEvents: 'none', width: 0, height: 0 }} />
-        </div>
-      );
+  }, [rfNodes, highlighted, selectedPath, toggleNode, activeMatchId, matchIds, hiddenMatchHosts, marked, editingPath, commitEdit, cancelEdit, openTable, diff, errorsByNode, hiddenErrorCounts, nodeRenderers, data, compiledRules, notesByPath, openNotes, flashed]);
+
+  // sizes React Flow measured; nodes outside the viewport were never rendered
+  function measuredSizes() {
+    const sizes = new Map();
+    for (const n of rfInstance?.getNodes() ?? []) {
+      if (n.width && n.height) sizes.set(n.id, { width: n.width, height: n.height });
     }
-  };
+    return sizes;
+  }
+
+  // the selected node's subtree, or the whole document
+  function selectedSubtree() {
+    return selectedNode ? { path: selectedNode.data.path, value: selectedValue } : { path: '$', value: data };
+  }
+
+  const exportItems = [
+    {
+      label: 'Image (SVG)',
+      title: 'The whole tree with the current theme and highlights',
+      action: () => {
+        const { svg } = treeToSvg(nodesWithCustomStyle, themedEdges, { sizes: measuredSizes(), describe: describeNode, background: themeDark ? '#1a1a1a' : '#ffffff' });
+        downloadText('json-tree.svg', svg, 'image/svg+xml');
+      },
+    },
+    {
+      label: 'Image (PNG)',
+      title: 'The whole tree with the current theme and highlights',
+      action: async () => {
+        const { svg, width, height } = treeToSvg(nodesWithCustomStyle, themedEdges, { sizes: measuredSizes(), describe: describeNode, background: themeDark ? '#1a1a1a' : '#ffffff' });
+        downloadBlob('json-tree.png', await svgToPngBlob(svg, width, height));
+      },
+    },
+    {
+      label: 'Print / PDF…',
+      title: 'Split the tree over A4 pages and open the print dialog',
+      action: () => {
+        // paper is white, so edges use the light theme colors
+        const html = printableHtml(nodesWithCustomStyle, rfEdges, { sizes: measuredSizes(), describe: describeNode, title: 'JSON tree' });
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const win = window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        if (!win) throw new Error('Allow pop-ups for this page to print the tree');
+      },
+    },
+    {
+      label: `Copy subtree as JSON (${selectedSubtree().path})`,
+      title: 'Formatted JSON under the selected node',
+      action: () => {
+        if (!navigator.clipboard) throw new Error('Clipboard access is not available');
+        return navigator.clipboard.writeText(stringifyJson(selectedSubtree().value, 2));
+      },
+    },
+    {
+      label: 'Download subtree',
+      title: 'JSON under the selected node, named after its path',
+      action: () => {
+        const { path, value } = selectedSubtree();
+        downloadText(pathFileName(path), stringifyJson(value, 2) + '\n');
+      },
+    },
+  ];
 
   return (
     <div style={{height:'100%', display:'flex', flexDirection:'column'}}>
       <div className="top-controls" style={{marginBottom:8}}>
         <div>
-          <strong className="small">Visualizer</strong>
-          <div className="small info">Click node to copy its JSON path. Hover to see full path.</div>
+          <strong className="small">{title}</strong>
+          <div className="small info">
+            Click a node for its paths and details. Use +/− to expand or collapse.
+            {onEdit ? ' Double-click a value to edit it; right-click a node for more actions.' : ''}
+            {' '}Arrays have a ⊞ button that shows their items as a table.
+            {onAnnotationsChange ? ' Right-click a node or press n to pin a note to it.' : ''}
+            {' '}Keyboard: arrows move between nodes, Enter expands or shows details, c copies the path, t opens an array's table, / goes to the search box.
+          </div>
         </div>
         <div style={{display:'flex', gap:8}}>
-          <button className="btn secondary small" onClick={() => { try { rfInstance?.fitView({ padding:0.2 }); } catch(e){} }}>Fit View</button>
-          <button className="btn secondary small" onClick={() => { /* zoom in */ try { const z = rfInstance?.getZoom ? rfInstance.getZoom() : 1; rfInstance?.setCenter(600, 200, { zoom: Math.min(2, z + 0.3) }); } catch(e){} }}>Zoom In</button>
-          <button className="btn secondary small" onClick={() => { /* zoom out */ try { const z = rfInstance?.getZoom ? rfInstance.getZoom() : 1; rfInstance?.setCenter(600, 200, { zoom: Math.max(0.4, z - 0.3) }); } catch(e){} }}>Zoom Out</button>
+          <button className="btn secondary small" aria-pressed={outlineOpen} onClick={() => setOutlineOpen((o) => !o)} title="List the visible nodes as an outline, for keyboard and screen reader use">Outline</button>
+          <button className="btn secondary small" onClick={() => { try { rfInstance?.fitView({ padding:0.2 }); } catch { /* instance not ready */ } }}>Fit View</button>
+          <button className="btn secondary small" onClick={() => { /* zoom in */ try { const z = rfInstance?.getZoom ? rfInstance.getZoom() : 1; rfInstance?.setCenter(600, 200, { zoom: Math.min(2, z + 0.3) }); } catch { /* instance not ready */ } }}>Zoom In</button>
+          <button className="btn secondary small" onClick={() => { /* zoom out */ try { const z = rfInstance?.getZoom ? rfInstance.getZoom() : 1; rfInstance?.setCenter(600, 200, { zoom: Math.max(0.4, z - 0.3) }); } catch { /* instance not ready */ } }}>Zoom Out</button>
+          <ExportMenu items={exportItems} disabled={!data || rfNodes.length === 0 || Boolean(exportBlocked)} title={exportBlocked} />
         </div>
       </div>
 
-      <div style={{flex:1, borderRadius:12, overflow:'hidden', border: themeDark ? '1px solid rgba(255,255,255,0.1)' : '1px solid rgba(0,0,0,0.1)'}}>
-        <ReactFlowProvider>
-          <ReactFlow
-            nodes={nodesWithCustomStyle}
-            edges={rfEdges}
-            fitView
-            nodesDraggable
-            zoomOnScroll
-            panOnDrag
-            onNodeClick={onNodeClick}
-            onInit={(instance) => setRfInstance(instance)}
-            nodeTypes={nodeTypes}
-            fitViewOptions={{ padding: 0.2 }}
-            defaultZoom={1}
-            style={{background: themeDark ? '#1a1a1a' : '#ffffff', height:'100%'}}
-            proOptions={{ hideAttribution: true }}
-          >
-            <Background variant="lines" gap={16} color={themeDark ? '#333333' : '#f0f0f0'} />
-            <FlowControls showInteractive={false} style={{
-              button: {
-                backgroundColor: themeDark ? '#333333' : '#ffffff',
-                color: themeDark ? '#ffffff' : '#000000',
-                border: themeDark ? '1px solid rgba(255,255,255,0.1)' : '1px solid rgba(0,0,0,0.1)',
-                '&:hover': {
-                  backgroundColor: themeDark ? '#444444' : '#f5f5f5'
+      <div className="top-controls" style={{marginBottom:8, justifyContent:'flex-start'}}>
+        {/* a controlled tree is opened and closed by its collapsedPaths alone */}
+        {controlledOverrides ? null : (
+          <>
+            <label className="small muted" htmlFor="expand-depth">Expand to depth</label>
+            <input
+              id="expand-depth"
+              type="number"
+              className="input depth-input"
+              min={0}
+              value={expandDepth}
+              onChange={(e) => {
+                const n = parseInt(e.target.value, 10);
+                setExpandDepth(Number.isNaN(n) ? 0 : Math.max(0, n));
+                // a new default depth replaces any manual expand/collapse choices
+                setExpandOverrides({});
+              }}
+            />
+          </>
+        )}
+        <button className="btn secondary small" onClick={() => setSubtreeExpanded(true)} title="Expand every node under the selected node">Expand all</button>
+        <button className="btn secondary small" onClick={() => setSubtreeExpanded(false)} title="Collapse every node under the selected node">Collapse all</button>
+        <span className="small info" style={{marginTop:0}}>{selectedPath ? `in ${selectedPath}` : 'in whole tree'}</span>
+        <label className="small muted" htmlFor="tree-layout" style={{marginLeft:8}}>Layout</label>
+        <select id="tree-layout" className="input" style={{padding:'4px 8px'}} value={layoutName} onChange={(e) => setLayoutName(e.target.value)}>
+          {Object.entries(LAYOUTS).map(([key, l]) => <option key={key} value={key}>{l.label}</option>)}
+        </select>
+        {marked ? (
+          <span className="small info" style={{marginTop:0}}>
+            {marked.total > marked.paths.size ? `${marked.paths.size} of ${marked.total}` : marked.paths.size} marked{' '}
+            <button className="link-button" onClick={() => setMarked(null)}>clear</button>
+          </span>
+        ) : null}
+        {diff ? (
+          <span className="diff-summary" style={{marginLeft:'auto'}}>
+            {['added', 'removed', 'changed', 'moved', 'unchanged'].map((status) => (
+              <span key={status} className={`diff-chip ${status}`}>{status}</span>
+            ))}
+          </span>
+        ) : null}
+      </div>
+
+      <ProgressIndicator progress={layoutProgress} onCancel={() => workerRef.current?.cancel()} />
+      {layoutError ? (
+        <div className="error" style={{display:'flex', alignItems:'center', gap:8, marginBottom:8}}>
+          <span>{layoutError}</span>
+          <button className="btn secondary small" onClick={() => setLayoutAttempt((n) => n + 1)}>Retry</button>
+        </div>
+      ) : null}
+
+      <div style={{flex:1, display:'flex', position:'relative', borderRadius:12, overflow:'hidden', border: themeDark ? '1px solid rgba(255,255,255,0.1)' : '1px solid rgba(0,0,0,0.1)'}}>
+        {outlineOpen ? (
+          <TreeOutline
+            nodes={rfNodes}
+            navigation={navigation}
+            selectedId={pathToNode[selectedPath] ?? null}
+            onSelect={(id) => selectById(id, 'outline')}
+            onToggle={(id) => { const d = nodesById.get(id)?.data; if (d) toggleNode(d.path, d.depth); }}
+            onKeyDown={(e) => onTreeKeyDown(e, OUTLINE_KEYS, 'outline')}
+          />
+        ) : null}
+        <div
+          ref={flowRef}
+          className="tree-canvas"
+          style={{flex:1, minWidth:0}}
+          tabIndex={0}
+          role="group"
+          aria-label="JSON tree"
+          aria-describedby={helpId}
+          onKeyDown={(e) => onTreeKeyDown(e, canvasKeys, 'canvas')}
+          onFocus={onCanvasFocus}
+        >
+          <ReactFlowProvider>
+            <ReactFlow
+              nodes={nodesWithCustomStyle}
+              edges={themedEdges}
+              fitView
+              nodesDraggable
+              zoomOnScroll
+              panOnDrag
+              onNodeClick={onNodeClick}
+              onNodeDoubleClick={onNodeDoubleClick}
+              onNodeContextMenu={onNodeContextMenu}
+              onPaneClick={closeMenu}
+              onMoveEnd={onMoveEnd}
+              zoomOnDoubleClick={false}
+              onlyRenderVisibleElements
+              disableKeyboardA11y
+              onInit={(instance) => setRfInstance(instance)}
+              nodeTypes={nodeTypes}
+              fitViewOptions={{ padding: 0.2 }}
+              defaultZoom={1}
+              style={{background: themeDark ? '#1a1a1a' : '#ffffff', height:'100%'}}
+              proOptions={{ hideAttribution: true }}
+            >
+              <Background variant="lines" gap={16} color={themeDark ? '#333333' : '#f0f0f0'} />
+              <FlowControls showInteractive={false} style={{
+                button: {
+                  backgroundColor: themeDark ? '#333333' : '#ffffff',
+                  color: themeDark ? '#ffffff' : '#000000',
+                  border: themeDark ? '1px solid rgba(255,255,255,0.1)' : '1px solid rgba(0,0,0,0.1)',
+                  '&:hover': {
+                    backgroundColor: themeDark ? '#444444' : '#f5f5f5'
+                  }
                 }
-              }
-            }} />
-          </ReactFlow>
-        </ReactFlowProvider>
+              }} />
+            </ReactFlow>
+          </ReactFlowProvider>
+        </div>
+        <div id={helpId} className="sr-only">
+          Arrow keys move between a node's parent, children and siblings. Enter expands or collapses a node, or shows the details of a value. C copies the node's path. T shows an array as a table. N opens the node's notes.
+        </div>
+        <div className="sr-only" aria-live="polite">{announcement}</div>
+        {table && tableValue ? (
+          <ArrayTable
+            key={table.path}
+            value={tableValue}
+            path={table.path}
+            segments={table.segments}
+            onSelectRow={showTableRow}
+            onClose={() => setTable(null)}
+            exportBlocked={exportBlocked}
+          />
+        ) : null}
+        {detailsOpen && selectedNode && selectedValue !== undefined ? (
+          <NodeDetails value={selectedValue} segments={selectedNode.data.segments} onClose={() => setDetailsOpen(false)} />
+        ) : null}
       </div>
 
-      <div style={{marginTop:8}} className="small info">
-        {highlighted && highlighted.startsWith('__NO_MATCH__') ? <span>No match found for the query.</span> : null}
+      <div style={{marginTop:8, display:'flex', alignItems:'center', gap:8}} className="small info">
+        {search.error ? <span className="error" style={{marginTop:0}}>Invalid JSONPath: {search.error}</span> : null}
+        {!search.error && search.query && matchCount === 0 ? <span>No match found for the query.</span> : null}
+        {matchCount > 0 ? (
+          <>
+            <span>{matchIndex + 1} of {matchCount} {matchCount === 1 ? 'match' : 'matches'}</span>
+            <button className="btn secondary small" onClick={() => focusMatch((matchIndex - 1 + matchCount) % matchCount)}>‹ Prev</button>
+            <button className="btn secondary small" onClick={() => focusMatch((matchIndex + 1) % matchCount)}>Next ›</button>
+          </>
+        ) : null}
       </div>
+
+      {menu ? (
+        <NodeContextMenu
+          node={menu.node}
+          x={menu.x}
+          y={menu.y}
+          onEdit={onEdit}
+          onEditValue={() => setEditingPath(menu.node.path)}
+          onAddNote={onAnnotationsChange ? () => openNotes(menu.node.path, { left: menu.x, bottom: menu.y }) : undefined}
+          onClose={closeMenu}
+        />
+      ) : null}
+      {notesFor && onAnnotationsChange ? (
+        <NotesPopover
+          key={notesFor.path}
+          path={notesFor.path}
+          notes={notesByPath.get(notesFor.path) || []}
+          x={notesFor.x}
+          y={notesFor.y}
+          onAdd={(note) => onAnnotationsChange([...(annotations || []), newAnnotation(notesFor.path, note)])}
+          onRemove={(id) => onAnnotationsChange((annotations || []).filter((a) => a.id !== id))}
+          onClose={closeNotes}
+        />
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,78 @@
+import React, { useMemo, useState } from 'react';
+import { generateTypes, nameForPath, TYPE_FORMATS } from '../utils/typeGen';
+import { valueAtPath } from '../utils/treeLayout';
+import { downloadText } from '../utils/download';
+import { CopyButton } from './NodeDetails';
+
+// Type definitions inferred from the document (utils/typeGen), or from the
+// subtree of the node selected in the tree ({ path, segments }, or null).
+export default function TypesPanel({ data, selection, onClearSelection }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('typescript');
+  const [rootName, setRootName] = useState('');
+
+  // a selection the document no longer has counts as none
+  const value = selection ? valueAtPath(data, selection.segments) : undefined;
+  const target = value === undefined ? null : selection;
+  const defaultName = target ? nameForPath(target.segments) : 'Root';
+
+  const output = useMemo(() => {
+    if (!open || data === null) return null;
+    try {
+      return { text: generateTypes(target ? value : data, format, rootName.trim() || defaultName) };
+    } catch (err) {
+      // e.g. nesting too deep for the stack
+      return { error: `Could not generate types: ${err.message}` };
+    }
+  }, [open, data, target, value, format, rootName, defaultName]);
+
+  const { file, mime } = TYPE_FORMATS.find((f) => f.id === format);
+
+  return (
+    <div className="types-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">Types</strong>
+        <button className="btn secondary small" onClick={() => setOpen((o) => !o)}>{open ? 'Hide' : 'Show'}</button>
+      </div>
+
+      {open ? (
+        data === null ? (
+          <div className="small muted">Visualize a document to generate types for it.</div>
+        ) : (
+          <>
+            <div className="small muted">
+              {target ? (
+                <>
+                  For <code>{target.path}</code>.{' '}
+                  <button className="link-button" onClick={onClearSelection}>Whole document</button>
+                </>
+              ) : 'For the whole document; select a node in the tree to generate types for just its subtree.'}
+            </div>
+            <div className="controls-row">
+              <select className="input" style={{padding:'4px 8px'}} value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Output format">
+                {TYPE_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+              <input
+                className="input types-name"
+                placeholder={defaultName}
+                value={rootName}
+                onChange={(e) => setRootName(e.target.value)}
+                aria-label="Name of the top-level type"
+              />
+            </div>
+            {output?.error ? <div className="error">{output.error}</div> : null}
+            {output?.text ? (
+              <>
+                <pre className="details-preview types-output">{output.text}</pre>
+                <div className="controls-row">
+                  <CopyButton text={output.text} />
+                  <button className="btn secondary small" onClick={() => downloadText(file, output.text, mime)}>Download {file}</button>
+                </div>
+              </>
+            ) : null}
+          </>
+        )
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { parseHeaderLines } from '../utils/loadSource';
+
+// "Fetch from URL" form. onFetch({ url, headers, useCache }) returns a promise;
+// status is the message about the last fetch (e.g. that it came from the cache).
+export default function UrlLoader({ onFetch, onClose, status }) {
+  const [url, setUrl] = useState('');
+  const [headerText, setHeaderText] = useState('');
+  const [useCache, setUseCache] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    let headers;
+    try {
+      headers = parseHeaderLines(headerText);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setBusy(true);
+    try {
+      await onFetch({ url: url.trim(), headers, useCache });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form className="url-loader" onSubmit={submit}>
+      <input
+        className="input"
+        type="url"
+        required
+        placeholder="https://example.com/data.json"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        autoFocus
+      />
+      <textarea
+        className="input"
+        rows={2}
+        placeholder={'Headers, one per line\nAuthorization: Bearer …'}
+        value={headerText}
+        onChange={(e) => setHeaderText(e.target.value)}
+      />
+      <div className="controls-row" style={{marginTop:0}}>
+        <button className="btn primary small" type="submit" disabled={busy}>{busy ? 'Fetching…' : 'Fetch'}</button>
+        <label className="small muted" title="Reuse the response saved the last time this URL was fetched with the same headers">
+          <input type="checkbox" checked={useCache} onChange={(e) => setUseCache(e.target.checked)} /> Use cached copy
+        </label>
+        <button className="btn secondary small" type="button" onClick={onClose} style={{marginLeft:'auto'}}>Close</button>
+      </div>
+      {error ? <div className="error small">{error}</div> : null}
+      {status && !error ? <div className="small info">{status}</div> : null}
+    </form>
+  );
+}
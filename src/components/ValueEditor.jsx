@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { parseInputValue, valueType } from '../utils/jsonEdit';
+
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean', 'null'];
+
+// inline editor for a primitive node value; the input matches the chosen type
+export default function ValueEditor({ value, onCommit, onCancel }) {
+  const [type, setType] = useState(valueType(value));
+  const [raw, setRaw] = useState(value === null ? '' : String(value));
+  const [error, setError] = useState(null);
+
+  function commit() {
+    try {
+      onCommit(parseInputValue(type === 'boolean' && raw !== 'true' ? 'false' : raw, type));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Enter') { e.preventDefault(); commit(); }
+    if (e.key === 'Escape') { e.preventDefault(); onCancel(); }
+  }
+
+  return (
+    // nodrag/nowheel keep React Flow from panning while the editor is used
+    <div className="value-editor nodrag nowheel" onClick={(e) => e.stopPropagation()} onDoubleClick={(e) => e.stopPropagation()}>
+      <select className="input" value={type} onChange={(e) => { setType(e.target.value); setError(null); }}>
+        {PRIMITIVE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+      </select>
+      {type === 'boolean' ? (
+        <select className="input" value={raw === 'true' ? 'true' : 'false'} onChange={(e) => setRaw(e.target.value)} onKeyDown={onKeyDown}>
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      ) : null}
+      {type === 'string' || type === 'number' ? (
+        <input
+          className="input"
+          autoFocus
+          inputMode={type === 'number' ? 'decimal' : undefined}
+          value={raw}
+          onChange={(e) => { setRaw(e.target.value); setError(null); }}
+          onKeyDown={onKeyDown}
+        />
+      ) : null}
+      <div style={{display:'flex', gap:4, justifyContent:'center'}}>
+        <button className="btn secondary small" onClick={commit} title="Save (Enter)">Save</button>
+        <button className="btn secondary small" onClick={onCancel} title="Cancel (Esc)">Cancel</button>
+      </div>
+      {error ? <div className="value-editor-error">{error}</div> : null}
+    </div>
+  );
+}
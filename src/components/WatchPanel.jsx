@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULT_POLL_INTERVAL, LIVE_KINDS, MIN_POLL_INTERVAL, MOCK_URLS, sourceProblem, watchSource } from '../utils/liveSource';
+import { parseJson, stringifyJson } from '../utils/jsonParser';
+
+// snapshots kept for the timeline; older ones are dropped
+const MAX_SNAPSHOTS = 200;
+
+const STATUS_LABELS = {
+  connecting: 'Connecting…',
+  live: 'Live',
+  reconnecting: 'Reconnecting…',
+  closed: 'Disconnected',
+};
+
+// Watch mode: follows a live source (utils/liveSource) and keeps its updates
+// as snapshots on a timeline. onShow({ data, session }) receives the snapshot
+// to show in the tree (null when not watching); session changes only when a
+// new watch starts, so updates and scrubbing keep the tree's viewport and
+// selection. onOpen(text) makes a snapshot the edited document.
+export default function WatchPanel({ onShow, onOpen }) {
+  const [kind, setKind] = useState('websocket');
+  const [url, setUrl] = useState(MOCK_URLS.websocket);
+  const [pollInterval, setPollInterval] = useState(String(DEFAULT_POLL_INTERVAL));
+  // the source being watched, and the watch it belongs to
+  const [source, setSource] = useState(null);
+  const [session, setSession] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  // snapshot picked on the timeline; null follows the latest
+  const [pinned, setPinned] = useState(null);
+  const lastText = useRef(null);
+
+  useEffect(() => {
+    if (!source || paused) return undefined;
+    return watchSource(source, {
+      onText: (text) => {
+        if (text === lastText.current) return;
+        lastText.current = text;
+        let data;
+        try {
+          data = parseJson(text);
+        } catch (err) {
+          setStatus((s) => ({ ...s, message: `An update was not valid JSON: ${err.message}` }));
+          return;
+        }
+        setSnapshots((list) => [...list, { data, at: Date.now() }].slice(-MAX_SNAPSHOTS));
+      },
+      // polling reports 'live' after every request; keep the same object then
+      onStatus: (state, message = null) => setStatus((s) => (s?.state === state && s?.message === message ? s : { state, message })),
+    });
+  }, [source, paused]);
+
+  // a pinned snapshot that fell off the timeline gives way to the oldest one
+  const position = pinned ? Math.max(0, snapshots.indexOf(pinned)) : snapshots.length - 1;
+  const shown = snapshots[position] ?? null;
+
+  useEffect(() => {
+    onShow(shown ? { data: shown.data, session } : null);
+  }, [shown, session, onShow]);
+  useEffect(() => () => onShow(null), [onShow]);
+
+  const problem = useMemo(() => sourceProblem({ kind, url: url.trim(), interval: Number(pollInterval) }), [kind, url, pollInterval]);
+
+  function changeKind(next) {
+    // swap in the next kind's example unless a URL of one's own was typed
+    if (!url.trim() || Object.values(MOCK_URLS).includes(url.trim())) setUrl(MOCK_URLS[next]);
+    setKind(next);
+  }
+
+  function start(e) {
+    e.preventDefault();
+    if (problem) return;
+    lastText.current = null;
+    setSnapshots([]);
+    setPinned(null);
+    setPaused(false);
+    setSession((n) => n + 1);
+    setSource({ kind, url: url.trim(), interval: Number(pollInterval) });
+  }
+
+  function stop() {
+    setSource(null);
+    setStatus(null);
+    setSnapshots([]);
+    setPinned(null);
+    setPaused(false);
+  }
+
+  function go(index) {
+    setPinned(index >= snapshots.length - 1 ? null : snapshots[index]);
+  }
+
+  return (
+    <div className="watch-panel" style={{marginTop:16}}>
+      <div className="top-controls">
+        <strong className="small">
+          Watch{source ? <span className="muted"> ({paused ? 'Paused' : STATUS_LABELS[status?.state] ?? 'Starting…'})</span> : null}
+        </strong>
+      </div>
+
+      {!source ? (
+        <form className="watch-form" onSubmit={start}>
+          <div className="small muted">Follow a document that changes: each update replaces the tree in place and changed nodes flash.</div>
+          <div className="controls-row">
+            <select className="input" value={kind} onChange={(e) => changeKind(e.target.value)} aria-label="Source type">
+              {LIVE_KINDS.map((k) => <option key={k.id} value={k.id}>{k.label}</option>)}
+            </select>
+            {kind === 'poll' ? (
+              <label className="small">
+                every{' '}
+                <input
+                  className="input watch-interval"
+                  type="number"
+                  min={MIN_POLL_INTERVAL}
+                  step="0.5"
+                  value={pollInterval}
+                  onChange={(e) => setPollInterval(e.target.value)}
+                  aria-label="Polling interval in seconds"
+                />
+                {' '}s
+              </label>
+            ) : null}
+          </div>
+          <input className="input" value={url} onChange={(e) => setUrl(e.target.value)} placeholder={MOCK_URLS[kind]} aria-label="Source URL" />
+          <div className="controls-row">
+            <button className="btn primary small" type="submit" disabled={Boolean(problem)}>Watch</button>
+            <span className="small muted">Try <code>npm run mock-server</code> for the example URLs.</span>
+          </div>
+          {problem && url.trim() ? <div className="error small">{problem}</div> : null}
+        </form>
+      ) : (
+        <>
+          <div className="controls-row">
+            <button className="btn secondary small" onClick={() => setPaused((p) => !p)}>{paused ? 'Resume' : 'Pause'}</button>
+            <button className="btn secondary small" onClick={stop}>Stop</button>
+            <button
+              className="btn secondary small"
+              onClick={() => { onOpen(stringifyJson(shown.data, 2)); stop(); }}
+              disabled={!shown}
+              title="Stop watching and edit the snapshot shown"
+            >
+              Open in editor
+            </button>
+          </div>
+          <div className="small muted watch-source" title={source.url}>{source.url}</div>
+          {status?.message ? <div className="error small">{status.message}</div> : null}
+          {snapshots.length ? (
+            <>
+              <div className="watch-timeline">
+                <button className="btn secondary small" onClick={() => go(position - 1)} disabled={position === 0} aria-label="Previous snapshot">◀</button>
+                <input
+                  type="range"
+                  min={0}
+                  max={snapshots.length - 1}
+                  value={position}
+                  onChange={(e) => go(Number(e.target.value))}
+                  aria-label="Snapshot"
+                  aria-valuetext={`Snapshot ${position + 1} of ${snapshots.length}`}
+                />
+                <button className="btn secondary small" onClick={() => go(position + 1)} disabled={position === snapshots.length - 1} aria-label="Next snapshot">▶</button>
+                <button className="btn secondary small" onClick={() => setPinned(null)} disabled={!pinned}>Latest</button>
+              </div>
+              <div className="small muted">
+                Snapshot {position + 1} of {snapshots.length}, received {new Date(shown.at).toLocaleTimeString()}
+                {pinned ? ' (newer updates are kept on the timeline)' : ''}
+              </div>
+            </>
+          ) : (
+            <div className="small muted">Waiting for the first update…</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
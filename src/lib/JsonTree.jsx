@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import TreeVisualizer from '../components/TreeVisualizer';
+import { applyEdit } from '../utils/jsonEdit';
+
+// The visualizer as a component for other apps: <JsonTree data={value} />, where
+// data is a parsed JSON value. The other props are optional:
+// - theme: 'light' (default) or 'dark'
+// - searchQuery: JSONPath or plain text, matched like the app's search box
+// - selectedPath, onSelect({ path, segments, value }): the selection; it is
+//   controlled when selectedPath is given (null for none). Paths are JSONPath
+//   like $.items[0]['first name'] (see utils/paths)
+// - collapsedPaths, onExpand(changes, collapsedPaths): the closed containers;
+//   when given everything else is open, and onExpand passes the new list
+// - onEdit(nextData, edit): makes values editable; pass nextData back as data
+// - nodeRenderers: components for the content of nodes by value type
+//   (object, array, string, number, boolean, null); node sizes stay the same
+// - styleRules: conditional formatting rules, as exported from the app's
+//   style rules panel (see utils/styleRules)
+// - annotations, onAnnotationsChange(next): notes pinned to paths (see
+//   utils/annotations); they can be added and deleted when the callback is given
+// - height (default 480) and title
+export default function JsonTree({
+  data,
+  theme = 'light',
+  searchQuery = '',
+  selectedPath,
+  onSelect,
+  collapsedPaths,
+  onExpand,
+  onEdit,
+  nodeRenderers,
+  styleRules,
+  annotations,
+  onAnnotationsChange,
+  height = 480,
+  title = 'JSON',
+}) {
+  // a new document resets the view; the one handed back after an edit doesn't
+  const [shownData, setShownData] = useState(data);
+  const [documentId, setDocumentId] = useState(1);
+  const [edited, setEdited] = useState(undefined);
+  if (shownData !== data) {
+    setShownData(data);
+    if (data !== edited) setDocumentId((n) => n + 1);
+  }
+
+  function handleEdit(edit) {
+    const next = applyEdit(data, edit);
+    setEdited(next);
+    onEdit(next, edit);
+  }
+
+  return (
+    <div className={`json-tree ${theme === 'dark' ? 'dark' : 'light'}`} style={{height}}>
+      <TreeVisualizer
+        data={data}
+        documentId={documentId}
+        searchQuery={searchQuery}
+        themeDark={theme === 'dark'}
+        onEdit={onEdit ? handleEdit : undefined}
+        title={title}
+        selectedPath={selectedPath}
+        onSelect={onSelect}
+        collapsedPaths={collapsedPaths}
+        onExpand={onExpand}
+        nodeRenderers={nodeRenderers}
+        styleRules={styleRules}
+        annotations={annotations}
+        onAnnotationsChange={onAnnotationsChange}
+      />
+    </div>
+  );
+}
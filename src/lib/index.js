@@ -0,0 +1,6 @@
+// Entry point of the library build (npm run build:lib, see vite.lib.config.js).
+// The stylesheet comes out as json-tree.css, scoped to the .json-tree wrapper.
+import '../styles.css';
+
+export { default as JsonTree } from './JsonTree';
+export { mount } from './mount';
@@ -0,0 +1,37 @@
+// JsonTree for pages without React: mount(element, data, options) renders it
+// into element. options are JsonTree's props; with onEdit the tree shows each
+// edit itself and then calls onEdit(nextData, edit).
+// Returns { update(props), unmount() }; update merges new props, data included.
+import { createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import JsonTree from './JsonTree';
+
+export function mount(element, data, options = {}) {
+  const root = createRoot(element);
+  let props = { ...options, data };
+
+  function render() {
+    const { onEdit } = props;
+    root.render(createElement(JsonTree, {
+      ...props,
+      onEdit: onEdit
+        ? (next, edit) => {
+          props = { ...props, data: next };
+          render();
+          onEdit(next, edit);
+        }
+        : undefined,
+    }));
+  }
+
+  render();
+  return {
+    update(next) {
+      props = { ...props, ...next };
+      render();
+    },
+    unmount() {
+      root.unmount();
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// Notes pinned to tree nodes: { id, path, note, createdAt }, where path is the
+// node's JSONPath as utils/paths writes it. Notes belong to paths rather than
+// to one parsed document, so they re-attach when a new version is loaded;
+// the ones whose path is gone from it are orphaned.
+import { canonicalPath, parsePath } from './paths';
+import { stringifyJson } from './jsonParser';
+
+// written at the top of exported files, and checked on import
+const FILE_FORMAT = 'json-tree-annotated';
+
+let nextId = 1;
+
+export function newAnnotation(path, note, createdAt = Date.now()) {
+  return { id: `note-${createdAt.toString(36)}-${nextId++}`, path, note, createdAt };
+}
+
+// whether data has a value at path (a key holding null counts)
+export function pathExists(data, path) {
+  let segments;
+  try {
+    segments = parsePath(path);
+  } catch {
+    return false;
+  }
+  let v = data;
+  for (const seg of segments) {
+    const present = typeof seg === 'number'
+      ? Array.isArray(v) && seg < v.length
+      : v !== null && typeof v === 'object' && !Array.isArray(v) && Object.prototype.hasOwnProperty.call(v, seg);
+    if (!present) return false;
+    v = v[seg];
+  }
+  return true;
+}
+
+// { attached, orphaned }: the notes whose node is in data, and the rest
+export function splitAnnotations(data, annotations) {
+  const attached = [];
+  const orphaned = [];
+  for (const a of annotations) (data !== null && data !== undefined && pathExists(data, a.path) ? attached : orphaned).push(a);
+  return { attached, orphaned };
+}
+
+// path -> that node's notes, oldest first
+export function annotationsByPath(annotations) {
+  const out = new Map();
+  for (const a of annotations) out.set(a.path, [...(out.get(a.path) || []), a]);
+  return out;
+}
+
+// the document and its notes in one JSON file
+export function exportAnnotated(data, annotations) {
+  const notes = annotations.map(({ path, note, createdAt }) => ({ path, note, createdAt }));
+  return stringifyJson({ format: FILE_FORMAT, version: 1, annotations: notes, document: data }, 2) + '\n';
+}
+
+// the notes of a file written by exportAnnotated, with fresh ids; throws an
+// Error saying what is wrong
+export function importAnnotations(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (parsed?.format !== FILE_FORMAT || !Array.isArray(parsed.annotations)) throw new Error('Not a file of annotations; export one with "Export with notes"');
+  return parsed.annotations.map((item, i) => {
+    const path = typeof item?.path === 'string' ? canonicalPath(item.path) : null;
+    if (!path) throw new Error(`Note ${i + 1} has no valid path`);
+    if (typeof item.note !== 'string') throw new Error(`Note ${i + 1} has no text`);
+    return newAnnotation(path, item.note, Number.isFinite(item.createdAt) ? item.createdAt : Date.now());
+  });
+}
@@ -0,0 +1,126 @@
+// CSV / TSV reader and writer (RFC 4180 quoting).
+//
+// parseCsv() turns the header row into object keys and every following row
+// into an object. Cells that look like JSON numbers or true/false become
+// numbers and booleans; everything else stays a string. Short rows get null
+// for their missing cells; cells beyond the header go under "column N".
+//
+// stringifyCsv() writes an array of objects (header = union of their keys),
+// an array of arrays (rows as-is) or an array of primitives (one "value"
+// column). Nested objects and arrays are written as JSON text.
+import { parseErrorAt, stringifyJson, toNumber } from './jsonParser';
+
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+function cellValue(s) {
+  if (NUMBER.test(s)) return toNumber(s);
+  if (s === 'true') return true;
+  if (s === 'false') return false;
+  return s;
+}
+
+// rows of raw cell strings, each row as { cells, at } (offset of its first character)
+function readRows(text, delimiter) {
+  const rows = [];
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const n = text.length;
+  while (i < n) {
+    const at = i;
+    const cells = [];
+    for (;;) {
+      let cell = '';
+      if (text[i] === '"') {
+        const open = i;
+        i++;
+        for (;;) {
+          if (i >= n) throw parseErrorAt(text, 'Unterminated quoted cell', open, 1, 'Add the closing "');
+          if (text[i] === '"') {
+            if (text[i + 1] === '"') {
+              cell += '"';
+              i += 2;
+              continue;
+            }
+            i++;
+            break;
+          }
+          cell += text[i++];
+        }
+        if (i < n && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+          throw parseErrorAt(text, 'Unexpected text after a quoted cell', i, 1, 'Quote the whole cell and write quotes inside it as ""');
+        }
+      } else {
+        const start = i;
+        while (i < n && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') i++;
+        cell = text.slice(start, i);
+      }
+      cells.push(cell);
+      if (text[i] === delimiter) {
+        i++;
+        continue;
+      }
+      break;
+    }
+    if (text[i] === '\r') i++;
+    if (text[i] === '\n') i++;
+    // skip blank lines
+    if (!(cells.length === 1 && cells[0] === '')) rows.push({ cells, at });
+  }
+  return rows;
+}
+
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = readRows(text, delimiter);
+  if (rows.length === 0) return [];
+  // empty and repeated header names get unique keys
+  const seen = new Map();
+  const header = rows[0].cells.map((name, c) => {
+    let key = name.trim() || `column ${c + 1}`;
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    if (count > 0) key = `${key} ${count + 1}`;
+    return key;
+  });
+  return rows.slice(1).map(({ cells }) => {
+    const obj = {};
+    const width = Math.max(header.length, cells.length);
+    for (let c = 0; c < width; c++) {
+      const key = c < header.length ? header[c] : `column ${c + 1}`;
+      const value = c < cells.length ? cellValue(cells[c]) : null;
+      if (key === '__proto__') Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+      else obj[key] = value;
+    }
+    return obj;
+  });
+}
+
+function formatCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'object' ? stringifyJson(value) : String(value);
+  const needsQuotes = s.includes(delimiter) || /["\r\n]/.test(s) || s.trim() !== s;
+  return needsQuotes ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function stringifyCsv(data, { delimiter = ',' } = {}) {
+  const list = Array.isArray(data) ? data : [data];
+  let rows;
+  if (list.every((item) => Array.isArray(item))) {
+    rows = list;
+  } else if (list.every((item) => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+    const header = [];
+    const known = new Set();
+    for (const item of list) {
+      for (const key of Object.keys(item)) {
+        if (!known.has(key)) {
+          known.add(key);
+          header.push(key);
+        }
+      }
+    }
+    rows = [header, ...list.map((item) => header.map((key) => item[key]))];
+  } else if (list.every((item) => item === null || typeof item !== 'object')) {
+    rows = [['value'], ...list.map((item) => [item])];
+  } else {
+    throw new Error('CSV needs an array of objects, an array of arrays or an array of plain values');
+  }
+  return rows.map((row) => row.map((v) => formatCell(v, delimiter)).join(delimiter)).join('\n') + '\n';
+}
@@ -0,0 +1,169 @@
+// Statistics for the document summary panel, gathered in one walk.
+//
+// Entries that point at nodes carry `targets`: the segments of up to
+// MAX_TARGETS matching nodes, for highlighting them in the tree.
+import { stringifyJson } from './jsonParser';
+import { valueType } from './jsonEdit';
+import { childPath, toJsonPath } from './paths';
+
+const MAX_TARGETS = 200;
+// length of the lists shown
+const TOP = 10;
+const TOP_KEYS = 20;
+const MAX_PATTERNS = 500;
+// distinct primitive values tracked for duplicates; memory stays bounded on
+// huge documents at the cost of missing duplicates among later values
+const MAX_TRACKED_VALUES = 200000;
+
+function utf8Length(s) {
+  let n = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    // a surrogate pair is 4 bytes, 2 per half
+    n += c < 0x80 ? 1 : c < 0x800 || (c >= 0xd800 && c <= 0xdfff) ? 2 : 3;
+  }
+  return n;
+}
+
+function addTarget(list, segments) {
+  if (list.length < MAX_TARGETS) list.push(segments);
+}
+
+// what makes array items "the same shape": their type, and for objects their keys
+function itemSignature(item) {
+  const t = valueType(item);
+  return t === 'object' ? `object:${Object.keys(item).sort().join('\u0000')}` : t;
+}
+
+function arrayShapes(value, segments) {
+  const signatures = new Set(value.map(itemSignature));
+  if (signatures.size < 2) return null;
+  const types = {};
+  const keyCounts = new Map();
+  let objects = 0;
+  for (const item of value) {
+    const t = valueType(item);
+    types[t] = (types[t] || 0) + 1;
+    if (t !== 'object') continue;
+    objects++;
+    for (const k of Object.keys(item)) keyCounts.set(k, (keyCounts.get(k) || 0) + 1);
+  }
+  // keys present in some of the object items but not all
+  const partialKeys = [...keyCounts].filter(([, n]) => n < objects).map(([key, present]) => ({ key, present }))
+    .sort((a, b) => a.present - b.present);
+  return { path: toJsonPath(segments), segments, length: value.length, shapes: signatures.size, types, partialKeys, objects };
+}
+
+// {
+//   total, bytes, maxDepth, deepest,
+//   counts:    { object, array, string, number, boolean, null } -> { count, targets }
+//   largest:   [{ path, segments, bytes, children }]   biggest subtrees below the root
+//   keys:      [{ key, count, targets }], distinctKeys
+//   duplicates:[{ value, count, targets }]              repeated strings and numbers
+//   arrays:    [{ path, segments, length, shapes, types, partialKeys, objects }]
+//   patterns:  [{ pattern, total, mixed, types: [{ type, count, share, targets }] }]
+// }
+// bytes are the UTF-8 size of the compact JSON.
+export function documentStats(data) {
+  const counts = {};
+  for (const t of ['object', 'array', 'string', 'number', 'boolean', 'null']) counts[t] = { count: 0, targets: [] };
+  let total = 0;
+  let maxDepth = 0;
+  let deepest = [];
+  const containers = [];
+  const keys = new Map();
+  const values = new Map();
+  const patterns = new Map();
+  const arrays = [];
+
+  // returns the byte size of value's compact JSON; pattern is the path with
+  // [*] for indices, built up along the way (formatting it per node is slow)
+  function walk(value, segments, pattern) {
+    const t = valueType(value);
+    total++;
+    counts[t].count++;
+    addTarget(counts[t].targets, segments);
+    if (segments.length > maxDepth) {
+      maxDepth = segments.length;
+      deepest = segments;
+    }
+
+    let entry = patterns.get(pattern);
+    if (!entry && patterns.size < MAX_PATTERNS) {
+      entry = { pattern, total: 0, types: new Map() };
+      patterns.set(pattern, entry);
+    }
+    if (entry) {
+      entry.total++;
+      if (!entry.types.has(t)) entry.types.set(t, { type: t, count: 0, targets: [] });
+      const typeEntry = entry.types.get(t);
+      typeEntry.count++;
+      addTarget(typeEntry.targets, segments);
+    }
+
+    if (t === 'object') {
+      const ks = Object.keys(value);
+      let bytes = 2 + Math.max(0, ks.length - 1);
+      for (const k of ks) {
+        const childSegments = [...segments, k];
+        let keyEntry = keys.get(k);
+        if (!keyEntry) {
+          keyEntry = { key: k, count: 0, targets: [] };
+          keys.set(k, keyEntry);
+        }
+        keyEntry.count++;
+        addTarget(keyEntry.targets, childSegments);
+        bytes += utf8Length(JSON.stringify(k)) + 1 + walk(value[k], childSegments, childPath(pattern, k));
+      }
+      if (segments.length > 0) containers.push({ segments, bytes, children: ks.length });
+      return bytes;
+    }
+    if (t === 'array') {
+      let bytes = 2 + Math.max(0, value.length - 1);
+      const itemPattern = `${pattern}[*]`;
+      value.forEach((item, i) => { bytes += walk(item, [...segments, i], itemPattern); });
+      if (segments.length > 0) containers.push({ segments, bytes, children: value.length });
+      const shapes = arrayShapes(value, segments);
+      if (shapes) arrays.push(shapes);
+      return bytes;
+    }
+
+    // stringifyJson is BigInt-safe but slower than needed for one primitive
+    const text = typeof value === 'bigint' ? stringifyJson(value) : JSON.stringify(value);
+    if (t === 'string' || t === 'number') {
+      const id = `${t}:${text}`;
+      let dup = values.get(id);
+      if (!dup && values.size < MAX_TRACKED_VALUES) {
+        dup = { value, count: 0, targets: [] };
+        values.set(id, dup);
+      }
+      if (dup) {
+        dup.count++;
+        addTarget(dup.targets, segments);
+      }
+    }
+    return utf8Length(text);
+  }
+
+  const bytes = walk(data, [], '$');
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    total,
+    bytes,
+    counts,
+    maxDepth,
+    deepest,
+    largest: containers.sort((a, b) => b.bytes - a.bytes).slice(0, TOP).map((c) => ({ ...c, path: toJsonPath(c.segments) })),
+    keys: [...keys.values()].sort(byCount).slice(0, TOP_KEYS),
+    distinctKeys: keys.size,
+    duplicates: [...values.values()].filter((v) => v.count > 1).sort(byCount).slice(0, TOP),
+    arrays: arrays.sort((a, b) => b.length - a.length).slice(0, TOP),
+    patterns: [...patterns.values()].map((p) => ({
+      pattern: p.pattern,
+      total: p.total,
+      mixed: p.types.size > 1,
+      types: [...p.types.values()].sort(byCount).map((t) => ({ ...t, share: t.count / p.total })),
+    })).sort((a, b) => (b.mixed - a.mixed) || (b.total - a.total)),
+  };
+}
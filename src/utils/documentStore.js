@@ -0,0 +1,122 @@
+// Documents and the current session kept in IndexedDB.
+//
+// documents: { id, kind, name, text, format, updatedAt }
+//   kind 'recent' is autosaved while editing and pruned to the newest
+//   MAX_RECENT; kind 'snapshot' is saved by name and kept until deleted.
+// session:   one record under CURRENT_SESSION with the rest of the session
+//   (see utils/session) and recentId, the document it belongs to; the style
+//   rules (utils/styleRules) under STYLE_RULES, kept across documents.
+// fetches:   { key, url, name, text, format, fetchedAt }, responses of
+//   "fetch from URL" keyed by URL and a digest of the headers (see
+//   utils/loadSource), pruned to the newest MAX_FETCHES.
+//
+// Every function returns a promise and rejects when IndexedDB is unavailable
+// (e.g. some private browsing modes); callers treat storage as best effort.
+
+const DB_NAME = 'json-tree-visualizer';
+const DB_VERSION = 3;
+const CURRENT_SESSION = 'current';
+const STYLE_RULES = 'styleRules';
+const MAX_RECENT = 20;
+const MAX_FETCHES = 10;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Documents cannot be saved in this browser'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          db.createObjectStore('documents', { keyPath: 'id', autoIncrement: true });
+          db.createObjectStore('session');
+        }
+        if (e.oldVersion < 2) db.createObjectStore('fetches', { keyPath: 'key' });
+        // version 2 keys held header values (tokens) in plain text
+        else if (e.oldVersion < 3) req.transaction.objectStore('fetches').clear();
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // let a later call try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// run fn(store) in a transaction; resolves with the result of the request fn returns
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error('Saving was cancelled'));
+  });
+}
+
+// all documents, newest first
+export async function listDocuments() {
+  const docs = await withStore('documents', 'readonly', (store) => store.getAll());
+  return docs.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getDocument(id) {
+  return withStore('documents', 'readonly', (store) => store.get(id));
+}
+
+// insert or update; resolves with the document's id
+export function saveDocument(doc) {
+  const record = { ...doc, updatedAt: Date.now() };
+  if (record.id === undefined || record.id === null) delete record.id;
+  return withStore('documents', 'readwrite', (store) => store.put(record));
+}
+
+export function deleteDocument(id) {
+  return withStore('documents', 'readwrite', (store) => store.delete(id));
+}
+
+// drop the oldest autosaved documents beyond MAX_RECENT (keep is never dropped)
+export async function pruneRecent(keep) {
+  const old = (await listDocuments()).filter((d) => d.kind === 'recent' && d.id !== keep).slice(MAX_RECENT - 1);
+  if (old.length === 0) return;
+  await withStore('documents', 'readwrite', (store) => {
+    for (const d of old) store.delete(d.id);
+  });
+}
+
+export function loadSession() {
+  return withStore('session', 'readonly', (store) => store.get(CURRENT_SESSION));
+}
+
+export function saveSession(session) {
+  return withStore('session', 'readwrite', (store) => store.put(session, CURRENT_SESSION));
+}
+
+export function loadStyleRules() {
+  return withStore('session', 'readonly', (store) => store.get(STYLE_RULES));
+}
+
+export function saveStyleRules(rules) {
+  return withStore('session', 'readwrite', (store) => store.put(rules, STYLE_RULES));
+}
+
+export function getCachedFetch(key) {
+  return withStore('fetches', 'readonly', (store) => store.get(key));
+}
+
+export async function saveCachedFetch(entry) {
+  await withStore('fetches', 'readwrite', (store) => store.put({ ...entry, fetchedAt: Date.now() }));
+  const all = await withStore('fetches', 'readonly', (store) => store.getAll());
+  const old = all.sort((a, b) => b.fetchedAt - a.fetchedAt).slice(MAX_FETCHES);
+  if (old.length === 0) return;
+  await withStore('fetches', 'readwrite', (store) => {
+    for (const f of old) store.delete(f.key);
+  });
+}
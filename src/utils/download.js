@@ -0,0 +1,16 @@
+// Trigger a browser download of in-memory content.
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(filename, text, type = 'application/json') {
+  downloadBlob(filename, new Blob([text], { type }));
+}
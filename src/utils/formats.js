@@ -0,0 +1,57 @@
+// Input formats the editor can load, and write back after tree edits or a
+// "convert to". Every parser produces the same plain data model (objects,
+// arrays and primitives) that the tree is built from.
+import { parseJson, stringifyJson } from './jsonParser';
+import { stringifyLike } from './jsonEdit';
+import { parseYaml, stringifyYaml } from './yaml';
+import { parseCsv, stringifyCsv } from './csv';
+import { parseXml, stringifyXml } from './xml';
+import { parseToml, stringifyToml } from './toml';
+
+// label: shown in the format selector; name: in messages.
+// Lenient JSON is written back as strict JSON.
+export const FORMATS = {
+  json: { label: 'JSON (strict)', name: 'JSON', extension: 'json' },
+  json5: { label: 'JSON5 / JSONC', name: 'JSON5', extension: 'json' },
+  ndjson: { label: 'NDJSON', name: 'NDJSON', extension: 'ndjson' },
+  yaml: { label: 'YAML', name: 'YAML', extension: 'yaml' },
+  csv: { label: 'CSV', name: 'CSV', extension: 'csv' },
+  tsv: { label: 'TSV', name: 'TSV', extension: 'tsv' },
+  xml: { label: 'XML', name: 'XML', extension: 'xml' },
+  toml: { label: 'TOML', name: 'TOML', extension: 'toml' },
+};
+
+// parse text in the given format; syntax errors are JsonParseErrors with locations
+export function parseDocument(text, format = 'json', { onProgress } = {}) {
+  switch (format) {
+    case 'json':
+    case 'json5':
+    case 'ndjson':
+      return parseJson(text, { mode: format, onProgress });
+    case 'yaml': return parseYaml(text);
+    case 'csv': return parseCsv(text);
+    case 'tsv': return parseCsv(text, { delimiter: '\t' });
+    case 'xml': return parseXml(text);
+    case 'toml': return parseToml(text);
+    default: throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+// serialize data in the given format; JSON keeps previousText's indentation.
+// Throws when the data doesn't fit the format (e.g. null in TOML).
+export function stringifyDocument(data, format = 'json', previousText = '') {
+  switch (format) {
+    case 'json':
+    case 'json5':
+      return stringifyLike(data, previousText);
+    case 'ndjson':
+      // one root per line; anything else becomes a single line
+      return (Array.isArray(data) ? data : [data]).map((v) => stringifyJson(v)).join('\n') + '\n';
+    case 'yaml': return stringifyYaml(data);
+    case 'csv': return stringifyCsv(data);
+    case 'tsv': return stringifyCsv(data, { delimiter: '\t' });
+    case 'xml': return stringifyXml(data);
+    case 'toml': return stringifyToml(data);
+    default: throw new Error(`Unknown format: ${format}`);
+  }
+}
@@ -0,0 +1,57 @@
+// Undo/redo history shared by the text editor and tree edits.
+// Each state is { text, data, docId, dirty }: the editor text, the parsed
+// document shown in the tree, the id of the document it belongs to and whether
+// the text was typed since data was parsed.
+
+const HISTORY_LIMIT = 100;
+// keystrokes closer together than this are merged into one undo step
+const TYPING_COALESCE_MS = 1000;
+
+export function createHistory(present) {
+  return { past: [], present, future: [], lastKind: null, lastAt: 0 };
+}
+
+// record a new present state; kind 'typing' merges with the previous typing step
+export function pushHistory(history, present, kind = 'edit', now = Date.now()) {
+  if (kind === 'typing' && history.lastKind === 'typing' && now - history.lastAt < TYPING_COALESCE_MS) {
+    return { ...history, present, lastAt: now };
+  }
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present,
+    future: [],
+    lastKind: kind,
+    lastAt: now,
+  };
+}
+
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastKind: null,
+    lastAt: 0,
+  };
+}
+
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastKind: null,
+    lastAt: 0,
+  };
+}
+
+// 'undo', 'redo' or null for a keydown event (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl/Cmd+Y)
+export function historyShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key.toLowerCase();
+  if (key === 'z') return e.shiftKey ? 'redo' : 'undo';
+  if (key === 'y') return 'redo';
+  return null;
+}
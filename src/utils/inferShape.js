@@ -0,0 +1,49 @@
+// Structural shape inference: folds sample values into a summary of the
+// types, keys and array item shapes seen. Used to generate schemas from a
+// document; array items are merged into one item shape, so keys missing from
+// some items show up with a lower count than their parent.
+//
+// shape = {
+//   count,        number of samples folded in
+//   types,        { null, boolean, integer, number, string, object, array } -> sample count
+//   properties,   Map key -> child shape (objects only, in first-seen order)
+//   items,        shape of all array items merged (null until an array is seen)
+// }
+
+export function createShape() {
+  return { count: 0, types: {}, properties: new Map(), items: null };
+}
+
+// JSON Schema style type of a value (integers are told apart from other numbers)
+export function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'bigint') return 'integer';
+  return typeof value;
+}
+
+export function addSample(shape, value) {
+  const t = jsonType(value);
+  shape.count++;
+  shape.types[t] = (shape.types[t] || 0) + 1;
+  if (t === 'object') {
+    for (const key of Object.keys(value)) {
+      if (!shape.properties.has(key)) shape.properties.set(key, createShape());
+      addSample(shape.properties.get(key), value[key]);
+    }
+  } else if (t === 'array') {
+    if (!shape.items) shape.items = createShape();
+    for (const item of value) addSample(shape.items, item);
+  }
+  return shape;
+}
+
+export function inferShape(value) {
+  return addSample(createShape(), value);
+}
+
+// a key is required when every object sample of the parent had it
+export function isRequired(parent, child) {
+  return child.count === (parent.types.object || 0);
+}
@@ -0,0 +1,1122 @@
+// A subset of the jq language for the transform panel.
+//
+// Supported syntax:
+//   .  ..  .name  ."name"  .[0]  .[-1]  .[2:5]  .[]  .name?   paths
+//   a | b   a, b   a // b                                     pipe, comma, alternative
+//   == != < <= > >=   and or   + - * / %                     operators
+//   "text \(.name)"  42  true  false  null  [...]  {a, "b": .c, (.k): .v}
+//   if c then a elif d then b else e end
+//   builtins: see BUILTINS below (map, select, keys, group_by, sort_by, …)
+//
+// Variables ($x, as), reduce/foreach, def, try/catch, assignment (|=, +=)
+// and @formats are not supported.
+//
+// Like jq, every expression turns one input into a stream of outputs; here a
+// stream is simply an array.
+import { parseJson, stringifyJson, toNumber } from './jsonParser';
+
+export class JqError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'JqError';
+    this.position = position;
+  }
+}
+
+// longest stream any expression may produce; guards against range(1e9) and friends
+const MAX_OUTPUTS = 1000000;
+
+const IDENT_START = /[A-Za-z_]/;
+const IDENT_CHAR = /[A-Za-z0-9_]/;
+const UNSUPPORTED = new Set(['as', 'reduce', 'foreach', 'def', 'try', 'catch', 'label', 'import', 'include']);
+
+// ---------------------------------------------------------------------------
+// parser
+
+// parses source into an AST; positions in errors are offset by `offset`, the
+// place of source in a longer expression
+export function parseJq(source, offset = 0) {
+  const src = String(source);
+  let i = 0;
+
+  function fail(message, at = i) {
+    throw new JqError(message, at + offset);
+  }
+
+  function skipWs() {
+    for (;;) {
+      while (i < src.length && /\s/.test(src[i])) i++;
+      if (src[i] !== '#') return;
+      while (i < src.length && src[i] !== '\n') i++;
+    }
+  }
+
+  function peek(s) {
+    skipWs();
+    return src.startsWith(s, i);
+  }
+
+  function expect(s) {
+    if (!peek(s)) fail(i >= src.length ? `Expected '${s}' but the expression ended` : `Expected '${s}'`);
+    i += s.length;
+  }
+
+  // identifier at i without consuming it, or null
+  function peekWord() {
+    skipWs();
+    if (!IDENT_START.test(src[i] ?? '')) return null;
+    let j = i;
+    while (j < src.length && IDENT_CHAR.test(src[j])) j++;
+    return src.slice(i, j);
+  }
+
+  function keyword(word) {
+    if (peekWord() !== word) return false;
+    i += word.length;
+    return true;
+  }
+
+  function parseName() {
+    const start = i;
+    while (i < src.length && IDENT_CHAR.test(src[i])) i++;
+    return src.slice(start, i);
+  }
+
+  // "…" with \(…) interpolation; returns a literal or a format node
+  function parseString() {
+    const start = i;
+    i++;
+    const parts = [];
+    let text = '';
+    for (;;) {
+      if (i >= src.length) fail('Unterminated string', start);
+      const c = src[i];
+      if (c === '"') {
+        i++;
+        break;
+      }
+      if (c !== '\\') {
+        text += c;
+        i++;
+        continue;
+      }
+      const e = src[i + 1];
+      if (e === '(') {
+        i += 2;
+        if (text) parts.push(text);
+        text = '';
+        parts.push(parsePipe());
+        expect(')');
+        continue;
+      }
+      if (e === 'u') {
+        const hex = src.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid \\u escape');
+        text += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+      if (!(e in escapes)) fail(`Invalid escape '\\${e ?? ''}'`);
+      text += escapes[e];
+      i += 2;
+    }
+    if (parts.length === 0) return { type: 'literal', value: text };
+    if (text) parts.push(text);
+    return { type: 'format', parts };
+  }
+
+  // [ … ] after a term: iterate, index or slice
+  function parseBracket(target) {
+    const open = i;
+    i++;
+    if (peek(']')) {
+      i++;
+      return { type: 'iterate', target };
+    }
+    let from = null;
+    if (!peek(':')) from = parsePipe();
+    if (peek(':')) {
+      i++;
+      const to = peek(']') ? null : parsePipe();
+      if (!peek(']')) fail(i >= src.length ? 'Unclosed bracket' : "Expected ']'", i >= src.length ? open : i);
+      i++;
+      return { type: 'slice', target, from, to };
+    }
+    if (!peek(']')) fail(i >= src.length ? 'Unclosed bracket' : "Expected ']'", i >= src.length ? open : i);
+    i++;
+    return { type: 'index', target, index: from };
+  }
+
+  // .name, ."name", .[…] and [...] following a term, and ? after any of them
+  function parseSuffixes(term) {
+    for (;;) {
+      if (src[i] === '.' && IDENT_START.test(src[i + 1] ?? '')) {
+        i++;
+        term = { type: 'field', target: term, name: parseName() };
+      } else if (src[i] === '.' && src[i + 1] === '"') {
+        i++;
+        const key = parseString();
+        if (key.type !== 'literal') fail('Interpolated strings cannot be used as keys here', i);
+        term = { type: 'field', target: term, name: key.value };
+      } else if (src[i] === '.' && src[i + 1] === '[') {
+        i++;
+        term = parseBracket(term);
+      } else if (peek('[')) {
+        term = parseBracket(term);
+      } else if (peek('?') && !peek('?//')) {
+        i++;
+        term = { type: 'try', expr: term };
+      } else {
+        return term;
+      }
+    }
+  }
+
+  function parseObject() {
+    const open = i;
+    i++;
+    const entries = [];
+    if (peek('}')) {
+      i++;
+      return { type: 'object', entries };
+    }
+    for (;;) {
+      skipWs();
+      let key;
+      let shorthand = false;
+      if (src[i] === '"') {
+        key = parseString();
+        shorthand = true;
+      } else if (src[i] === '(') {
+        i++;
+        key = parsePipe();
+        expect(')');
+      } else if (IDENT_START.test(src[i] ?? '')) {
+        key = { type: 'literal', value: parseName() };
+        shorthand = true;
+      } else if (src[i] === '$') {
+        fail('Variables are not supported');
+      } else {
+        fail(i >= src.length ? 'Unclosed object' : 'Expected a key', i >= src.length ? open : i);
+      }
+      let value = null;
+      if (peek(':')) {
+        i++;
+        value = parseObjectValue();
+      } else if (!shorthand) {
+        fail("Expected ':' after a computed key");
+      }
+      entries.push({ key, value });
+      if (peek(',')) {
+        i++;
+        continue;
+      }
+      if (peek('}')) {
+        i++;
+        return { type: 'object', entries };
+      }
+      fail(i >= src.length ? 'Unclosed object' : "Expected ',' or '}'", i >= src.length ? open : i);
+    }
+  }
+
+  // an object value ends at the next comma, but may contain pipes: {a: .b | .c}
+  function parseObjectValue() {
+    const left = parseAlternative();
+    if (!peek('|') || peek('|=')) return left;
+    i++;
+    return { type: 'pipe', left, right: parseObjectValue() };
+  }
+
+  function parseIf() {
+    const branches = [];
+    let cond = parsePipe();
+    for (;;) {
+      if (!keyword('then')) fail("Expected 'then'");
+      branches.push({ cond, then: parsePipe() });
+      if (keyword('elif')) {
+        cond = parsePipe();
+        continue;
+      }
+      break;
+    }
+    const otherwise = keyword('else') ? parsePipe() : null;
+    if (!keyword('end')) fail("Expected 'end'");
+    return { type: 'if', branches, otherwise };
+  }
+
+  function parsePrimary() {
+    skipWs();
+    const start = i;
+    const c = src[i];
+    if (c === undefined) fail('Unexpected end of expression');
+    if (c === '.') {
+      if (src[i + 1] === '.') {
+        i += 2;
+        return { type: 'recurse' };
+      }
+      i++;
+      if (IDENT_START.test(src[i] ?? '')) return { type: 'field', target: { type: 'identity' }, name: parseName() };
+      if (src[i] === '"') {
+        const key = parseString();
+        if (key.type !== 'literal') fail('Interpolated strings cannot be used as keys here', start);
+        return { type: 'field', target: { type: 'identity' }, name: key.value };
+      }
+      if (src[i] === '[') return parseBracket({ type: 'identity' });
+      return { type: 'identity' };
+    }
+    const num = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      i += num[0].length;
+      // big integer literals stay exact, as in documents
+      return { type: 'literal', value: toNumber(num[0]) };
+    }
+    if (c === '"') return parseString();
+    if (c === '(') {
+      i++;
+      const expr = parsePipe();
+      expect(')');
+      return expr;
+    }
+    if (c === '[') {
+      i++;
+      if (peek(']')) {
+        i++;
+        return { type: 'array', body: null };
+      }
+      const body = parsePipe();
+      expect(']');
+      return { type: 'array', body };
+    }
+    if (c === '{') return parseObject();
+    if (c === '-') {
+      i++;
+      return { type: 'negate', expr: parsePostfix() };
+    }
+    if (c === '$') fail('Variables are not supported');
+    if (IDENT_START.test(c)) {
+      const name = parseName();
+      if (name === 'true' || name === 'false') return { type: 'literal', value: name === 'true' };
+      if (name === 'null') return { type: 'literal', value: null };
+      if (name === 'if') return parseIf();
+      if (UNSUPPORTED.has(name)) fail(`'${name}' is not supported`, start);
+      const args = [];
+      if (src[i] === '(') {
+        i++;
+        args.push(parsePipe());
+        while (peek(';')) {
+          i++;
+          args.push(parsePipe());
+        }
+        expect(')');
+      }
+      if (!BUILTINS[`${name}/${args.length}`]) {
+        const known = Object.keys(BUILTINS).filter((k) => k.startsWith(`${name}/`));
+        fail(known.length ? `${name} takes ${known.map((k) => k.split('/')[1]).join(' or ')} arguments, not ${args.length}` : `Unknown function '${name}'`, start);
+      }
+      return { type: 'call', name, args };
+    }
+    return fail(`Unexpected character '${c}'`);
+  }
+
+  function parsePostfix() {
+    return parseSuffixes(parsePrimary());
+  }
+
+  // binary operators from loosest to tightest
+  function parseMultiplicative() {
+    let left = parsePostfix();
+    for (;;) {
+      skipWs();
+      const op = src[i];
+      if (!(op === '*' || op === '%' || (op === '/' && src[i + 1] !== '/'))) return left;
+      i++;
+      left = { type: 'binary', op, left, right: parsePostfix() };
+    }
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    for (;;) {
+      skipWs();
+      const op = src[i];
+      if (op !== '+' && op !== '-') return left;
+      i++;
+      left = { type: 'binary', op, left, right: parseMultiplicative() };
+    }
+  }
+
+  function parseComparison() {
+    const left = parseAdditive();
+    for (const op of ['==', '!=', '<=', '>=', '<', '>']) {
+      if (peek(op)) {
+        i += op.length;
+        return { type: 'binary', op, left, right: parseAdditive() };
+      }
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseComparison();
+    while (keyword('and')) left = { type: 'binary', op: 'and', left, right: parseComparison() };
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (keyword('or')) left = { type: 'binary', op: 'or', left, right: parseAnd() };
+    return left;
+  }
+
+  function parseAlternative() {
+    const left = parseOr();
+    if (!peek('//')) return left;
+    i += 2;
+    return { type: 'binary', op: '//', left, right: parseAlternative() };
+  }
+
+  function parseComma() {
+    let left = parseAlternative();
+    while (peek(',')) {
+      i++;
+      left = { type: 'comma', left, right: parseAlternative() };
+    }
+    return left;
+  }
+
+  function parsePipe() {
+    const left = parseComma();
+    if (!peek('|')) return left;
+    if (peek('|=')) fail('Assignment is not supported');
+    i++;
+    return { type: 'pipe', left, right: parsePipe() };
+  }
+
+  skipWs();
+  if (i >= src.length) fail('Empty expression');
+  const ast = parsePipe();
+  skipWs();
+  if (UNSUPPORTED.has(peekWord())) fail(`'${peekWord()}' is not supported`);
+  if (i < src.length) fail(src[i] === ')' || src[i] === ']' || src[i] === '}' ? `Unmatched '${src[i]}'` : `Unexpected '${src[i]}'`);
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// values
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'bigint') return 'number';
+  return typeof v;
+}
+
+function truthy(v) {
+  return v !== null && v !== false;
+}
+
+function describe(v) {
+  const s = stringifyJson(v);
+  return `${typeOf(v)} (${s.length > 20 ? s.slice(0, 19) + '…' : s})`;
+}
+
+// big integers read as ordinary numbers, e.g. for indices and ranges;
+// arithmetic keeps them exact (see bigArithmetic)
+function num(v) {
+  return typeof v === 'bigint' ? Number(v) : v;
+}
+
+// back to a plain number when the result fits one exactly, as the parser does
+function fromBigInt(n) {
+  return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+}
+
+const ARITHMETIC_VERBS = { '+': 'add', '-': 'subtract', '*': 'multiply', '/': 'divide', '%': 'take the remainder of' };
+
+// a big integer with another number: exact with integers, an error where a
+// plain number would silently lose digits (fractions, inexact division)
+function bigArithmetic(op, a, b) {
+  for (const v of [a, b]) {
+    if (typeof v !== 'bigint' && !Number.isSafeInteger(v)) {
+      throw new JqError(`Cannot ${ARITHMETIC_VERBS[op]} ${describe(a)} and ${describe(b)} without losing precision: big integers only work with whole numbers`);
+    }
+  }
+  const x = BigInt(a);
+  const y = BigInt(b);
+  if ((op === '/' || op === '%') && y === 0n) throw new JqError(`${describe(a)} cannot be divided by zero`);
+  if (op === '/' && x % y !== 0n) throw new JqError(`${describe(a)} divided by ${describe(b)} is not a whole number and would lose precision`);
+  switch (op) {
+    case '+': return fromBigInt(x + y);
+    case '-': return fromBigInt(x - y);
+    case '*': return fromBigInt(x * y);
+    case '/': return fromBigInt(x / y);
+    default: return fromBigInt(x % y);
+  }
+}
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+// jq's ordering: null < false < true < numbers < strings < arrays < objects
+function compareValues(a, b) {
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (ta !== tb) return TYPE_ORDER.indexOf(ta) - TYPE_ORDER.indexOf(tb);
+  switch (ta) {
+    case 'boolean':
+      return Number(a) - Number(b);
+    case 'number':
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 'string':
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 'array':
+      for (let k = 0; k < Math.min(a.length, b.length); k++) {
+        const c = compareValues(a[k], b[k]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    case 'object': {
+      const ka = Object.keys(a).sort();
+      const kb = Object.keys(b).sort();
+      const c = compareValues(ka, kb);
+      if (c) return c;
+      for (const k of ka) {
+        const cv = compareValues(a[k], b[k]);
+        if (cv) return cv;
+      }
+      return 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+function sorted(list) {
+  return [...list].sort(compareValues);
+}
+
+function limited(list) {
+  if (list.length > MAX_OUTPUTS) throw new JqError(`More than ${MAX_OUTPUTS.toLocaleString()} results`);
+  return list;
+}
+
+function add(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  const ta = typeOf(a);
+  if (ta === typeOf(b)) {
+    if (ta === 'number') return typeof a === 'bigint' || typeof b === 'bigint' ? bigArithmetic('+', a, b) : a + b;
+    if (ta === 'string') return a + b;
+    if (ta === 'array') return [...a, ...b];
+    if (ta === 'object') return { ...a, ...b };
+  }
+  throw new JqError(`Cannot add ${describe(a)} and ${describe(b)}`);
+}
+
+function arithmetic(op, a, b) {
+  if (op === '+') return add(a, b);
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (op === '-' && ta === 'array' && tb === 'array') return a.filter((x) => !b.some((y) => compareValues(x, y) === 0));
+  if (op === '/' && ta === 'string' && tb === 'string') return a.split(b);
+  if (ta !== 'number' || tb !== 'number') {
+    throw new JqError(`Cannot ${ARITHMETIC_VERBS[op]} ${describe(a)} and ${describe(b)}`);
+  }
+  if (typeof a === 'bigint' || typeof b === 'bigint') return bigArithmetic(op, a, b);
+  const x = a;
+  const y = b;
+  if ((op === '/' || op === '%') && y === 0) throw new JqError(`${describe(a)} cannot be divided by zero`);
+  if (op === '-') return x - y;
+  if (op === '*') return x * y;
+  if (op === '/') return x / y;
+  return Math.trunc(x) % Math.trunc(y);
+}
+
+function compare(op, a, b) {
+  const c = compareValues(a, b);
+  switch (op) {
+    case '==': return c === 0;
+    case '!=': return c !== 0;
+    case '<': return c < 0;
+    case '<=': return c <= 0;
+    case '>': return c > 0;
+    default: return c >= 0;
+  }
+}
+
+function index(value, key) {
+  if (value === null) return null;
+  const tv = typeOf(value);
+  const tk = typeOf(key);
+  if (tv === 'object' && tk === 'string') return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : null;
+  if (tv === 'array' && tk === 'number') {
+    const k = Math.floor(num(key));
+    return value[k < 0 ? value.length + k : k] ?? null;
+  }
+  throw new JqError(`Cannot index ${tv} with ${tk === 'string' ? `"${key}"` : tk}`);
+}
+
+function slice(value, from, to) {
+  if (value === null) return null;
+  if (typeof value !== 'string' && !Array.isArray(value)) throw new JqError(`Cannot slice ${typeOf(value)}`);
+  const norm = (n, fallback) => {
+    if (n === null) return fallback;
+    if (typeOf(n) !== 'number') throw new JqError('Slice bounds must be numbers');
+    const k = Math.floor(num(n));
+    return k < 0 ? Math.max(0, value.length + k) : Math.min(k, value.length);
+  };
+  return value.slice(norm(from, 0), norm(to, value.length));
+}
+
+function iterate(value) {
+  if (Array.isArray(value)) return value;
+  if (typeOf(value) === 'object') return Object.values(value);
+  throw new JqError(`Cannot iterate over ${describe(value)}`);
+}
+
+function recurse(value, out = []) {
+  out.push(value);
+  if (value !== null && typeof value === 'object') for (const v of Object.values(value)) recurse(v, out);
+  return out;
+}
+
+// all combinations of the streams of several expressions, e.g. the entries
+// of {a: (1,2), b: (3,4)}, in jq's order (earlier expressions vary slowest)
+function product(streams) {
+  let combos = [[]];
+  for (const stream of streams) {
+    const next = [];
+    for (const combo of combos) for (const v of stream) next.push([...combo, v]);
+    combos = limited(next);
+  }
+  return combos;
+}
+
+// ---------------------------------------------------------------------------
+// evaluator
+
+function run(ast, input) {
+  switch (ast.type) {
+    case 'identity':
+      return [input];
+    case 'recurse':
+      return limited(recurse(input));
+    case 'literal':
+      return [ast.value];
+    case 'field':
+      return run(ast.target, input).map((v) => index(v, ast.name));
+    case 'index': {
+      const out = [];
+      for (const v of run(ast.target, input)) for (const k of run(ast.index, input)) out.push(index(v, k));
+      return out;
+    }
+    case 'slice': {
+      const out = [];
+      const froms = ast.from ? run(ast.from, input) : [null];
+      const tos = ast.to ? run(ast.to, input) : [null];
+      for (const v of run(ast.target, input)) for (const f of froms) for (const t of tos) out.push(slice(v, f, t));
+      return out;
+    }
+    case 'iterate':
+      return limited(run(ast.target, input).flatMap(iterate));
+    case 'try':
+      try {
+        return run(ast.expr, input);
+      } catch (err) {
+        if (err instanceof JqError) return [];
+        throw err;
+      }
+    case 'format':
+      return product(ast.parts.map((p) => (typeof p === 'string' ? [p] : run(p, input).map(toText)))).map((parts) => parts.join(''));
+    case 'array':
+      return [ast.body ? run(ast.body, input) : []];
+    case 'object':
+      return product(ast.entries.flatMap(({ key, value }) => {
+        const keys = run(key, input);
+        for (const k of keys) if (typeof k !== 'string') throw new JqError(`Object keys must be strings, not ${describe(k)}`);
+        return [keys, value ? run(value, input) : keys.map((k) => index(input, k))];
+      })).map((values) => {
+        const obj = {};
+        for (let k = 0; k < values.length; k += 2) obj[values[k]] = values[k + 1];
+        return obj;
+      });
+    case 'pipe':
+      return limited(run(ast.left, input).flatMap((v) => run(ast.right, v)));
+    case 'comma':
+      return limited([...run(ast.left, input), ...run(ast.right, input)]);
+    case 'negate':
+      return run(ast.expr, input).map((v) => {
+        if (typeOf(v) !== 'number') throw new JqError(`Cannot negate ${describe(v)}`);
+        return typeof v === 'bigint' ? fromBigInt(-v) : -v;
+      });
+    case 'if':
+      return runIf(ast, 0, input);
+    case 'call':
+      return BUILTINS[`${ast.name}/${ast.args.length}`](input, ast.args);
+    case 'binary':
+      return runBinary(ast, input);
+    default:
+      throw new JqError(`Cannot evaluate ${ast.type}`);
+  }
+}
+
+function runIf(ast, branch, input) {
+  if (branch === ast.branches.length) return ast.otherwise ? run(ast.otherwise, input) : [input];
+  const { cond, then } = ast.branches[branch];
+  return run(cond, input).flatMap((c) => (truthy(c) ? run(then, input) : runIf(ast, branch + 1, input)));
+}
+
+function runBinary({ op, left, right }, input) {
+  if (op === 'and' || op === 'or') {
+    return run(left, input).flatMap((l) => {
+      if (op === 'and' ? !truthy(l) : truthy(l)) return [op === 'or'];
+      return run(right, input).map(truthy);
+    });
+  }
+  if (op === '//') {
+    let found = [];
+    try {
+      found = run(left, input).filter(truthy);
+    } catch (err) {
+      if (!(err instanceof JqError)) throw err;
+    }
+    return found.length ? found : run(right, input);
+  }
+  const out = [];
+  const lefts = run(left, input);
+  for (const r of run(right, input)) {
+    for (const l of lefts) out.push(['==', '!=', '<', '<=', '>', '>='].includes(op) ? compare(op, l, r) : arithmetic(op, l, r));
+  }
+  return limited(out);
+}
+
+// paths (lists of keys and indices) an expression such as .a[0] or
+// .[] | select(.x) refers to, for del()
+function paths(ast, input) {
+  switch (ast.type) {
+    case 'identity':
+      return [[]];
+    case 'recurse': {
+      const out = [];
+      (function walk(v, path) {
+        out.push(path);
+        if (Array.isArray(v)) v.forEach((c, k) => walk(c, [...path, k]));
+        else if (v !== null && typeof v === 'object') for (const k of Object.keys(v)) walk(v[k], [...path, k]);
+      })(input, []);
+      return out;
+    }
+    case 'field':
+      return paths(ast.target, input).map((p) => [...p, ast.name]);
+    case 'index': {
+      const out = [];
+      for (const p of paths(ast.target, input)) for (const k of run(ast.index, input)) out.push([...p, typeOf(k) === 'number' ? Math.floor(num(k)) : k]);
+      return out;
+    }
+    case 'iterate':
+      return paths(ast.target, input).flatMap((p) => {
+        const v = getPath(input, p);
+        if (Array.isArray(v)) return v.map((_, k) => [...p, k]);
+        if (typeOf(v) === 'object') return Object.keys(v).map((k) => [...p, k]);
+        if (v === null) return [];
+        throw new JqError(`Cannot iterate over ${describe(v)}`);
+      });
+    case 'pipe':
+      return paths(ast.left, input).flatMap((p) => paths(ast.right, getPath(input, p)).map((q) => [...p, ...q]));
+    case 'comma':
+      return [...paths(ast.left, input), ...paths(ast.right, input)];
+    case 'try':
+      try {
+        return paths(ast.expr, input);
+      } catch (err) {
+        if (err instanceof JqError) return [];
+        throw err;
+      }
+    case 'if':
+      return (function branch(b) {
+        if (b === ast.branches.length) return ast.otherwise ? paths(ast.otherwise, input) : [[]];
+        return run(ast.branches[b].cond, input).flatMap((c) => (truthy(c) ? paths(ast.branches[b].then, input) : branch(b + 1)));
+      })(0);
+    case 'call':
+      if (ast.name === 'select') return run(ast.args[0], input).filter(truthy).map(() => []);
+      if (ast.name === 'empty') return [];
+      if (ast.name === 'first' && ast.args.length === 0) return [[0]];
+      if (ast.name === 'last' && ast.args.length === 0) return [[-1]];
+      break;
+    default:
+      break;
+  }
+  throw new JqError('Invalid path expression: del() needs paths such as .a, .[0], .[] or select(…)');
+}
+
+function getPath(value, path) {
+  let v = value;
+  for (const k of path) v = index(v, k);
+  return v;
+}
+
+// copy of value without the element at path
+function deletePath(value, path) {
+  if (value === null) return null;
+  const [k, ...rest] = path;
+  if (Array.isArray(value)) {
+    if (typeof k !== 'number') throw new JqError(`Cannot delete field "${k}" of array`);
+    const at = k < 0 ? value.length + k : k;
+    if (at < 0 || at >= value.length) return value;
+    const copy = [...value];
+    if (rest.length) copy[at] = deletePath(copy[at], rest);
+    else copy.splice(at, 1);
+    return copy;
+  }
+  if (typeOf(value) === 'object') {
+    if (typeof k !== 'string') throw new JqError(`Cannot delete index ${k} of object`);
+    if (!Object.prototype.hasOwnProperty.call(value, k)) return value;
+    const copy = { ...value };
+    if (rest.length) copy[k] = deletePath(copy[k], rest);
+    else delete copy[k];
+    return copy;
+  }
+  throw new JqError(`Cannot delete from ${describe(value)}`);
+}
+
+function toText(v) {
+  return typeof v === 'string' ? v : stringifyJson(v);
+}
+
+// key of each element for the *_by functions: all of f's outputs
+function keyed(input, f, name) {
+  if (!Array.isArray(input)) throw new JqError(`${name} needs an array, not ${describe(input)}`);
+  return input.map((value) => ({ value, key: run(f, value) }));
+}
+
+function needs(type, input, name) {
+  if (typeOf(input) !== type) throw new JqError(`${name} needs ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}, not ${describe(input)}`);
+}
+
+function stringArg(f, input, name) {
+  return run(f, input).map((s) => {
+    if (typeof s !== 'string') throw new JqError(`${name} needs a string argument, not ${describe(s)}`);
+    return s;
+  });
+}
+
+function contains(a, b) {
+  const ta = typeOf(a);
+  if (ta !== typeOf(b)) throw new JqError(`${describe(a)} and ${describe(b)} cannot have their containment checked`);
+  if (ta === 'string') return a.includes(b);
+  if (ta === 'array') return b.every((y) => a.some((x) => typeOf(x) === typeOf(y) && contains(x, y)));
+  if (ta === 'object') return Object.keys(b).every((k) => Object.prototype.hasOwnProperty.call(a, k) && typeOf(a[k]) === typeOf(b[k]) && contains(a[k], b[k]));
+  return compareValues(a, b) === 0;
+}
+
+function flatten(list, depth) {
+  return list.flatMap((v) => (Array.isArray(v) && depth > 0 ? flatten(v, depth - 1) : [v]));
+}
+
+function toEntries(input) {
+  needs('object', input, 'to_entries');
+  return Object.keys(input).map((key) => ({ key, value: input[key] }));
+}
+
+function fromEntries(input) {
+  needs('array', input, 'from_entries');
+  const out = {};
+  for (const e of input) {
+    if (typeOf(e) !== 'object') throw new JqError(`from_entries needs objects with a key, not ${describe(e)}`);
+    const key = e.key ?? e.k ?? e.name ?? e.Name ?? e.Key ?? e.K;
+    if (key === undefined || key === null) throw new JqError('from_entries needs objects with a key');
+    out[toText(key)] = e.value ?? e.v ?? e.Value ?? e.V ?? null;
+  }
+  return out;
+}
+
+// name/arity -> (input, args) => outputs. Arguments are unevaluated ASTs,
+// run against the input (or each element) as jq does.
+const BUILTINS = {
+  'empty/0': () => [],
+  'error/1': (input, [msg]) => {
+    const m = run(msg, input)[0];
+    throw new JqError(typeof m === 'string' ? m : stringifyJson(m));
+  },
+  'not/0': (input) => [!truthy(input)],
+  'type/0': (input) => [typeOf(input)],
+  'length/0': (input) => {
+    const t = typeOf(input);
+    if (t === 'null') return [0];
+    if (t === 'number') return [typeof input === 'bigint' ? (input < 0n ? -input : input) : Math.abs(input)];
+    if (t === 'string' || t === 'array') return [input.length];
+    if (t === 'object') return [Object.keys(input).length];
+    throw new JqError(`${describe(input)} has no length`);
+  },
+  'keys/0': (input) => {
+    if (Array.isArray(input)) return [input.map((_, k) => k)];
+    needs('object', input, 'keys');
+    return [Object.keys(input).sort()];
+  },
+  'keys_unsorted/0': (input) => {
+    needs('object', input, 'keys_unsorted');
+    return [Object.keys(input)];
+  },
+  'values/0': (input) => (input === null ? [] : [input]),
+  'has/1': (input, [k]) => run(k, input).map((key) => {
+    if (Array.isArray(input) && typeOf(key) === 'number') return key >= 0 && key < input.length;
+    if (typeOf(input) === 'object' && typeof key === 'string') return Object.prototype.hasOwnProperty.call(input, key);
+    throw new JqError(`Cannot check whether ${typeOf(input)} has a ${typeOf(key)} key`);
+  }),
+  'select/1': (input, [f]) => run(f, input).filter(truthy).map(() => input),
+  'map/1': (input, [f]) => [limited(iterate(input).flatMap((v) => run(f, v)))],
+  'map_values/1': (input, [f]) => {
+    if (Array.isArray(input)) return [input.flatMap((v) => run(f, v).slice(0, 1))];
+    needs('object', input, 'map_values');
+    const out = {};
+    for (const k of Object.keys(input)) {
+      const [v] = run(f, input[k]);
+      if (v !== undefined) out[k] = v;
+    }
+    return [out];
+  },
+  'recurse/0': (input) => limited(recurse(input)),
+  'to_entries/0': (input) => [toEntries(input)],
+  'from_entries/0': (input) => [fromEntries(input)],
+  'with_entries/1': (input, [f]) => [fromEntries(toEntries(input).flatMap((e) => run(f, e)))],
+  'del/1': (input, [f]) => {
+    // later paths first, so deleting an array item doesn't shift the others
+    const targets = paths(f, input).sort((a, b) => compareValues(b, a));
+    return [targets.reduce(deletePath, input)];
+  },
+  'add/0': (input) => [iterate(input).reduce((sum, v) => add(sum, v), null)],
+  'any/0': (input) => [iterate(input).some(truthy)],
+  'all/0': (input) => [iterate(input).every(truthy)],
+  'any/1': (input, [f]) => [iterate(input).some((v) => run(f, v).some(truthy))],
+  'all/1': (input, [f]) => [iterate(input).every((v) => run(f, v).every(truthy))],
+  'flatten/0': (input) => {
+    needs('array', input, 'flatten');
+    return [flatten(input, Infinity)];
+  },
+  'flatten/1': (input, [d]) => run(d, input).map((depth) => {
+    needs('array', input, 'flatten');
+    if (typeOf(depth) !== 'number' || depth < 0) throw new JqError('flatten depth must be a non-negative number');
+    return flatten(input, num(depth));
+  }),
+  'range/1': (input, [n]) => run(n, input).flatMap((to) => BUILTINS['range/2'](input, [{ type: 'literal', value: 0 }, { type: 'literal', value: to }])),
+  'range/2': (input, [a, b]) => {
+    const out = [];
+    for (const from of run(a, input)) {
+      for (const to of run(b, input)) {
+        if (typeOf(from) !== 'number' || typeOf(to) !== 'number') throw new JqError('range needs numbers');
+        if (num(to) - num(from) > MAX_OUTPUTS) throw new JqError(`More than ${MAX_OUTPUTS.toLocaleString()} results`);
+        for (let k = num(from); k < num(to); k++) out.push(k);
+      }
+    }
+    return limited(out);
+  },
+  'floor/0': (input) => {
+    needs('number', input, 'floor');
+    return [Math.floor(num(input))];
+  },
+  'ceil/0': (input) => {
+    needs('number', input, 'ceil');
+    return [Math.ceil(num(input))];
+  },
+  'round/0': (input) => {
+    needs('number', input, 'round');
+    return [Math.round(num(input))];
+  },
+  'sort/0': (input) => {
+    needs('array', input, 'sort');
+    return [sorted(input)];
+  },
+  'sort_by/1': (input, [f]) => [keyed(input, f, 'sort_by').sort((a, b) => compareValues(a.key, b.key)).map((e) => e.value)],
+  'group_by/1': (input, [f]) => {
+    const groups = [];
+    let last;
+    for (const e of keyed(input, f, 'group_by').sort((a, b) => compareValues(a.key, b.key))) {
+      if (groups.length && compareValues(e.key, last) === 0) groups[groups.length - 1].push(e.value);
+      else groups.push([e.value]);
+      last = e.key;
+    }
+    return [groups];
+  },
+  'unique/0': (input) => {
+    needs('array', input, 'unique');
+    return [sorted(input).filter((v, k, list) => k === 0 || compareValues(v, list[k - 1]) !== 0)];
+  },
+  'unique_by/1': (input, [f]) => [keyed(input, f, 'unique_by').sort((a, b) => compareValues(a.key, b.key))
+    .filter((e, k, list) => k === 0 || compareValues(e.key, list[k - 1].key) !== 0).map((e) => e.value)],
+  'min/0': (input) => {
+    needs('array', input, 'min');
+    return [input.length ? sorted(input)[0] : null];
+  },
+  'max/0': (input) => {
+    needs('array', input, 'max');
+    return [input.length ? sorted(input)[input.length - 1] : null];
+  },
+  'min_by/1': (input, [f]) => {
+    const list = keyed(input, f, 'min_by').sort((a, b) => compareValues(a.key, b.key));
+    return [list.length ? list[0].value : null];
+  },
+  'max_by/1': (input, [f]) => {
+    const list = keyed(input, f, 'max_by').sort((a, b) => compareValues(a.key, b.key));
+    return [list.length ? list[list.length - 1].value : null];
+  },
+  'reverse/0': (input) => {
+    if (input === null) return [[]];
+    if (typeof input === 'string') return [[...input].reverse().join('')];
+    needs('array', input, 'reverse');
+    return [[...input].reverse()];
+  },
+  'first/0': (input) => [index(input, 0)],
+  'last/0': (input) => [index(input, -1)],
+  'first/1': (input, [f]) => run(f, input).slice(0, 1),
+  'last/1': (input, [f]) => run(f, input).slice(-1),
+  'limit/2': (input, [n, f]) => run(n, input).flatMap((count) => (num(count) > 0 ? run(f, input).slice(0, num(count)) : [])),
+  'contains/1': (input, [b]) => run(b, input).map((x) => contains(input, x)),
+  'inside/1': (input, [b]) => run(b, input).map((x) => contains(x, input)),
+  'startswith/1': (input, [s]) => stringArg(s, input, 'startswith').map((x) => {
+    needs('string', input, 'startswith');
+    return input.startsWith(x);
+  }),
+  'endswith/1': (input, [s]) => stringArg(s, input, 'endswith').map((x) => {
+    needs('string', input, 'endswith');
+    return input.endsWith(x);
+  }),
+  'ltrimstr/1': (input, [s]) => stringArg(s, input, 'ltrimstr').map((x) => (typeof input === 'string' && input.startsWith(x) ? input.slice(x.length) : input)),
+  'rtrimstr/1': (input, [s]) => stringArg(s, input, 'rtrimstr').map((x) => (typeof input === 'string' && x && input.endsWith(x) ? input.slice(0, -x.length) : input)),
+  'split/1': (input, [s]) => stringArg(s, input, 'split').map((x) => {
+    needs('string', input, 'split');
+    return input.split(x);
+  }),
+  'join/1': (input, [s]) => stringArg(s, input, 'join').map((x) => {
+    needs('array', input, 'join');
+    return input.map((v) => (v === null ? '' : toText(v))).join(x);
+  }),
+  'ascii_downcase/0': (input) => {
+    needs('string', input, 'ascii_downcase');
+    return [input.replace(/[A-Z]/g, (c) => c.toLowerCase())];
+  },
+  'ascii_upcase/0': (input) => {
+    needs('string', input, 'ascii_upcase');
+    return [input.replace(/[a-z]/g, (c) => c.toUpperCase())];
+  },
+  'test/1': (input, [re]) => BUILTINS['test/2'](input, [re, { type: 'literal', value: '' }]),
+  'test/2': (input, [re, flags]) => {
+    needs('string', input, 'test');
+    const out = [];
+    for (const pattern of stringArg(re, input, 'test')) {
+      for (const f of stringArg(flags, input, 'test')) {
+        try {
+          out.push(new RegExp(pattern, f.replace(/[^imsu]/g, '')).test(input));
+        } catch (err) {
+          throw new JqError(`Invalid regular expression: ${err.message}`);
+        }
+      }
+    }
+    return out;
+  },
+  'tostring/0': (input) => [toText(input)],
+  'tonumber/0': (input) => {
+    if (typeOf(input) === 'number') return [input];
+    const n = typeof input === 'string' && input.trim() !== '' ? Number(input) : NaN;
+    if (Number.isNaN(n)) throw new JqError(`Cannot parse ${describe(input)} as a number`);
+    return [n];
+  },
+  'tojson/0': (input) => [stringifyJson(input)],
+  'fromjson/0': (input) => {
+    needs('string', input, 'fromjson');
+    try {
+      return [parseJson(input)];
+    } catch (err) {
+      throw new JqError(`fromjson: ${err.message}`);
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// pipelines
+
+// the expression's top-level stages: [{ text, start }] split at the | that
+// aren't inside brackets, strings or if … end
+export function splitStages(expression) {
+  const stages = [];
+  // open brackets, strings ('"') and ifs ('if'); \( inside a string opens a '('
+  const stack = [];
+  let start = 0;
+  let i = 0;
+  const src = expression;
+  while (i < src.length) {
+    const c = src[i];
+    const top = stack[stack.length - 1];
+    if (top === '"') {
+      if (c === '\\' && src[i + 1] === '(') {
+        stack.push('(');
+        i += 2;
+        continue;
+      }
+      if (c === '\\') i++;
+      else if (c === '"') stack.pop();
+      i++;
+      continue;
+    }
+    if (c === '#') {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (c === '"' || c === '(' || c === '[' || c === '{') {
+      stack.push(c);
+    } else if (c === ')' || c === ']' || c === '}') {
+      if (stack.length && stack[stack.length - 1] !== 'if') stack.pop();
+    } else if (IDENT_START.test(c) && !IDENT_CHAR.test(src[i - 1] ?? '') && src[i - 1] !== '.') {
+      let j = i;
+      while (j < src.length && IDENT_CHAR.test(src[j])) j++;
+      const word = src.slice(i, j);
+      if (word === 'if') stack.push('if');
+      else if (word === 'end' && top === 'if') stack.pop();
+      i = j;
+      continue;
+    } else if (c === '|' && stack.length === 0 && src[i + 1] !== '=') {
+      stages.push({ text: src.slice(start, i), start });
+      start = i + 1;
+    }
+    i++;
+  }
+  stages.push({ text: src.slice(start), start });
+  return stages;
+}
+
+// Runs expression against data one stage at a time. Returns null for an
+// empty expression, else
+//   { stages: [{ text, start, count, error, skipped }], outputs }
+// where count is the number of values a stage produced, error the JqError
+// that stopped it (positions are within the whole expression) and outputs
+// the last stage's values, or null if a stage failed.
+export function runPipeline(data, expression) {
+  if (!expression || !expression.trim()) return null;
+  const stages = splitStages(expression).map(({ text, start }) => {
+    try {
+      return { text, start, ast: parseJq(text, start) };
+    } catch (error) {
+      return { text, start, error };
+    }
+  });
+  // stages after the first failing one (parse or run) are skipped
+  let values = [data];
+  let stopped = false;
+  for (const stage of stages) {
+    if (stopped || stage.error) {
+      if (!stage.error) stage.skipped = true;
+      stopped = true;
+      continue;
+    }
+    try {
+      values = limited(values.flatMap((v) => run(stage.ast, v)));
+      stage.count = values.length;
+    } catch (error) {
+      if (!(error instanceof JqError)) throw error;
+      stage.error = error;
+      stopped = true;
+    }
+  }
+  return {
+    stages: stages.map(({ text, start, count, error, skipped }) => ({ text, start, count, error, skipped: !!skipped })),
+    outputs: stopped ? null : values,
+  };
+}
@@ -0,0 +1,151 @@
+import { describe, expect, it } from 'vitest';
+import { runPipeline } from './jq';
+import { parseJson } from './jsonParser';
+
+// the outputs of query on data, or the message of the stage that failed
+function run(data, query) {
+  const result = runPipeline(data, query);
+  return result.outputs ?? result.stages.find((s) => s.error).error.message;
+}
+
+describe('arithmetic with big integers', () => {
+  const data = parseJson('{"id": 9007199254740993, "n": 5, "neg": -9007199254740995}');
+
+  it('stays exact with whole numbers', () => {
+    expect(run(data, '.id + 1')).toEqual([9007199254740994n]);
+    expect(run(data, '.id * 2')).toEqual([18014398509481986n]);
+    expect(run(data, '.id - 9007199254740992')).toEqual([1]);
+    expect(run(data, '.id % 10')).toEqual([3]);
+    expect(run(data, '.id / 3')).toEqual([3002399751580331]);
+    expect(run(data, '-.neg')).toEqual([9007199254740995n]);
+  });
+
+  it('refuses results a plain number would get wrong', () => {
+    expect(run(data, '.id + 1.5')).toMatch(/losing precision/);
+    expect(run(data, '.id / 2')).toMatch(/would lose precision/);
+    expect(run(data, '.id / 0')).toMatch(/divided by zero/);
+  });
+
+  it('leaves ordinary numbers alone', () => {
+    expect(run(data, '.n + 1.5')).toEqual([6.5]);
+    expect(run(data, '.n / 2')).toEqual([2.5]);
+  });
+});
+
+const store = {
+  store: {
+    book: [
+      { title: 'Sayings', price: 8.95, tags: ['old'] },
+      { title: 'Sword', price: 12.99, tags: [] },
+      { title: 'Moby', price: 8.99 },
+    ],
+    'bi-cycle': { color: 'red' },
+  },
+};
+
+describe('paths', () => {
+  it('reads fields, indices, slices and iterations', () => {
+    expect(run(store, '.store.book[0].title')).toEqual(['Sayings']);
+    expect(run(store, '.store.book[-1].title')).toEqual(['Moby']);
+    expect(run(store, '.store."bi-cycle".color')).toEqual(['red']);
+    expect(run(store, '.store["bi-cycle"].color')).toEqual(['red']);
+    expect(run(store, '.store.book[1:].[].title')).toEqual(['Sword', 'Moby']);
+    expect(run(store, '.store.book[].price')).toEqual([8.95, 12.99, 8.99]);
+    expect(run('abcdef', '.[2:4]')).toEqual(['cd']);
+  });
+
+  it('gives null for missing keys and out-of-range indices', () => {
+    expect(run(store, '.store.missing')).toEqual([null]);
+    expect(run(store, '.store.book[9]')).toEqual([null]);
+    expect(run(null, '.a.b')).toEqual([null]);
+  });
+
+  it('recurses with .. and skips errors with ?', () => {
+    expect(run({ a: { b: 1 }, c: [2] }, '[..]')).toEqual([[{ a: { b: 1 }, c: [2] }, { b: 1 }, 1, [2], 2]]);
+    expect(run([1, { a: 2 }], '[.[] | .a?]')).toEqual([[2]]);
+    expect(run(3, '.[]?')).toEqual([]);
+  });
+});
+
+describe('select and map', () => {
+  it('keeps the inputs a condition holds for', () => {
+    expect(run(store, '.store.book[] | select(.price < 10) | .title')).toEqual(['Sayings', 'Moby']);
+    expect(run(store, '[.store.book[] | select(.tags)] | length')).toEqual([2]);
+    expect(run([1, null, false, 0, ''], 'map(select(.))')).toEqual([[1, 0, '']]);
+  });
+
+  it('maps arrays and object values', () => {
+    expect(run([1, 2, 3], 'map(. * 10)')).toEqual([[10, 20, 30]]);
+    expect(run({ a: 1, b: 2 }, 'map_values(. + 1)')).toEqual([{ a: 2, b: 3 }]);
+    expect(run([[1, 2], [3]], 'map(.[])')).toEqual([[1, 2, 3]]);
+  });
+});
+
+describe('builtins', () => {
+  it('inspect values', () => {
+    expect(run({ b: 1, a: [1, 2] }, 'keys, keys_unsorted, (.a | length), has("b"), (.a | type)')).toEqual([['a', 'b'], ['b', 'a'], 2, true, 'array']);
+    expect(run('héllo', 'length')).toEqual([5]);
+    expect(run({ a: 1 }, 'to_entries')).toEqual([[{ key: 'a', value: 1 }]]);
+    expect(run({ a: 1, b: 2 }, 'with_entries(select(.value > 1))')).toEqual([{ b: 2 }]);
+  });
+
+  it('sort, group and aggregate arrays', () => {
+    const rows = [{ k: 'b', n: 2 }, { k: 'a', n: 3 }, { k: 'b', n: 1 }];
+    expect(run(rows, 'sort_by(.n) | map(.n)')).toEqual([[1, 2, 3]]);
+    expect(run(rows, 'group_by(.k) | map(length)')).toEqual([[1, 2]]);
+    expect(run(rows, 'map(.n) | add, min, max')).toEqual([6, 1, 3]);
+    expect(run(rows, 'unique_by(.k) | map(.k)')).toEqual([['a', 'b']]);
+    expect(run([3, [1, [2]]], 'flatten, flatten(1)')).toEqual([[3, 1, 2], [3, 1, [2]]]);
+    expect(run(null, '[range(3)], [limit(2; range(10))], first(range(5; 8))')).toEqual([[0, 1, 2], [0, 1], 5]);
+  });
+
+  it('work on strings', () => {
+    expect(run('a,b,c', 'split(",") | join("-")')).toEqual(['a-b-c']);
+    expect(run('Hello', 'ascii_downcase, ascii_upcase, startswith("He"), ltrimstr("He")')).toEqual(['hello', 'HELLO', true, 'llo']);
+    expect(run('abc123', 'test("\\\\d+")')).toEqual([true]);
+    expect(run({ name: 'x', n: 2 }, '"\\(.name) has \\(.n)"')).toEqual(['x has 2']);
+  });
+
+  it('delete paths', () => {
+    expect(run({ a: 1, b: [1, 2, 3] }, 'del(.a, .b[0])')).toEqual([{ b: [2, 3] }]);
+    expect(run([1, 2, 3, 4], 'del(.[] | select(. % 2 == 0))')).toEqual([[1, 3]]);
+  });
+});
+
+describe('pipes', () => {
+  it('feeds every output of one side into the other', () => {
+    expect(run({ a: [1, 2] }, '.a[] | . + 1')).toEqual([2, 3]);
+    expect(run(null, '(1, 2) | (., . * 10)')).toEqual([1, 10, 2, 20]);
+    expect(run({ a: null }, '.a // "default"')).toEqual(['default']);
+    expect(run(5, 'if . > 3 then "big" elif . > 1 then "mid" else "small" end')).toEqual(['big']);
+    expect(run({ a: 1, b: 2 }, '{sum: (.a + .b), a}')).toEqual([{ sum: 3, a: 1 }]);
+  });
+
+  it('reports the output count of each top-level stage', () => {
+    const result = runPipeline(store, '.store.book[] | select(.price < 10) | .title');
+    expect(result.stages.map((s) => [s.text.trim(), s.count])).toEqual([['.store.book[]', 3], ['select(.price < 10)', 2], ['.title', 2]]);
+  });
+});
+
+describe('errors', () => {
+  it('names the stage that failed and skips the ones after it', () => {
+    const result = runPipeline({ a: 1 }, '.a | .[0] | length');
+    expect(result.outputs).toBeNull();
+    expect(result.stages[1].error.message).toBe('Cannot index number with number');
+    expect(result.stages[2].skipped).toBe(true);
+  });
+
+  it('explain what went wrong at run time', () => {
+    expect(run({ a: 'x' }, '.a + 1')).toBe('Cannot add string ("x") and number (1)');
+    expect(run(3, '.[]')).toBe('Cannot iterate over number (3)');
+    expect(run({ a: 1 }, 'sort')).toBe('sort needs an array, not object ({"a":1})');
+    expect(run(null, 'error("stop")')).toBe('stop');
+  });
+
+  it('point at the position of syntax errors', () => {
+    expect(run(null, '.a | nope')).toBe("Unknown function 'nope' at position 5");
+    expect(run(null, 'map(1; 2)')).toBe('map takes 1 arguments, not 2 at position 0');
+    expect(run(null, '.a as $x')).toBe("'as' is not supported at position 3");
+    expect(run(null, '[1, 2')).toBe("Expected ']' but the expression ended at position 5");
+  });
+});
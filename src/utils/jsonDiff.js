@@ -0,0 +1,224 @@
+// Structural diff between two JSON documents.
+//
+// diffJson() returns a diff tree of nodes:
+//   { status, before, after, beforeSegments, afterSegments, label, kind, children }
+// status is 'added', 'removed', 'changed' (value or type differs),
+// 'modified' (container with changes inside) or 'unchanged'. Containers of the
+// same kind on both sides get `children`; kind is 'object' or 'array'.
+//
+// diffView() turns the diff tree into a merged document the tree can render
+// plus a path -> status map, and diffToJsonPatch() into an RFC 6902 patch.
+import { toJsonPath, toJsonPointer } from './paths';
+import { stringifyJson } from './jsonParser';
+
+function kindOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value !== null && typeof value === 'object') return 'object';
+  return 'primitive';
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  const k = kindOf(a);
+  if (k !== kindOf(b) || k === 'primitive') return false;
+  if (k === 'array') return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function leaf(status, before, after, beforeSegments, afterSegments, label) {
+  return { status, before, after, beforeSegments, afterSegments, label, kind: 'primitive' };
+}
+
+function rollup(node) {
+  node.status = node.children.some((c) => c.status !== 'unchanged') ? 'modified' : 'unchanged';
+  return node;
+}
+
+// identity of an array item for keyed matching, or undefined
+function identity(item, arrayKey) {
+  if (kindOf(item) !== 'object' || !Object.prototype.hasOwnProperty.call(item, arrayKey)) return undefined;
+  const id = item[arrayKey];
+  return kindOf(id) === 'primitive' ? stringifyJson(id) : undefined;
+}
+
+// keyed matching only applies when every item on both sides has a unique identity
+function canMatchByKey(before, after, arrayKey) {
+  if (!arrayKey) return false;
+  for (const list of [before, after]) {
+    const seen = new Set();
+    for (const item of list) {
+      const id = identity(item, arrayKey);
+      if (id === undefined || seen.has(id)) return false;
+      seen.add(id);
+    }
+  }
+  return true;
+}
+
+function diffNode(before, after, bSegs, aSegs, label, opts) {
+  const kb = kindOf(before);
+  const ka = kindOf(after);
+  if (kb !== ka || kb === 'primitive') {
+    return leaf(deepEqual(before, after) ? 'unchanged' : 'changed', before, after, bSegs, aSegs, label);
+  }
+
+  const node = { status: 'unchanged', before, after, beforeSegments: bSegs, afterSegments: aSegs, label, kind: kb, children: [] };
+
+  if (kb === 'object') {
+    for (const key of Object.keys(before)) {
+      node.children.push(Object.prototype.hasOwnProperty.call(after, key)
+        ? diffNode(before[key], after[key], [...bSegs, key], [...aSegs, key], key, opts)
+        : leaf('removed', before[key], undefined, [...bSegs, key], undefined, key));
+    }
+    for (const key of Object.keys(after)) {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        node.children.push(leaf('added', undefined, after[key], undefined, [...aSegs, key], key));
+      }
+    }
+    return rollup(node);
+  }
+
+  if (canMatchByKey(before, after, opts.arrayKey)) {
+    node.matchedBy = opts.arrayKey;
+    const beforeIndex = new Map(before.map((item, i) => [identity(item, opts.arrayKey), i]));
+    const matched = new Set();
+    after.forEach((item, j) => {
+      const id = identity(item, opts.arrayKey);
+      const label = `${opts.arrayKey}=${item[opts.arrayKey]}`;
+      if (beforeIndex.has(id)) {
+        const i = beforeIndex.get(id);
+        matched.add(i);
+        const child = diffNode(before[i], item, [...bSegs, i], [...aSegs, j], label, opts);
+        // an item that only moved still counts as a change of the array
+        if (child.status === 'unchanged' && i !== j) child.moved = true;
+        node.children.push(child);
+      } else {
+        node.children.push(leaf('added', undefined, item, undefined, [...aSegs, j], label));
+      }
+    });
+    before.forEach((item, i) => {
+      if (!matched.has(i)) {
+        node.children.push(leaf('removed', item, undefined, [...bSegs, i], undefined, `${opts.arrayKey}=${item[opts.arrayKey]}`));
+      }
+    });
+    rollup(node);
+    if (node.status === 'unchanged' && node.children.some((c) => c.moved)) node.status = 'modified';
+    return node;
+  }
+
+  const len = Math.max(before.length, after.length);
+  for (let i = 0; i < len; i++) {
+    const label = String(i);
+    if (i >= after.length) node.children.push(leaf('removed', before[i], undefined, [...bSegs, i], undefined, label));
+    else if (i >= before.length) node.children.push(leaf('added', undefined, after[i], undefined, [...aSegs, i], label));
+    else node.children.push(diffNode(before[i], after[i], [...bSegs, i], [...aSegs, i], label, opts));
+  }
+  return rollup(node);
+}
+
+// arrayKey: match array items whose objects all carry this key (e.g. 'id')
+// instead of by index
+export function diffJson(before, after, { arrayKey } = {}) {
+  return diffNode(before, after, [], [], '$', { arrayKey: arrayKey || null });
+}
+
+// mark every node inside value with status (used for added/removed subtrees)
+function markSubtree(value, segments, status, statuses) {
+  if (kindOf(value) === 'primitive') return;
+  const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+  for (const k of keys) {
+    const segs = [...segments, k];
+    statuses[toJsonPath(segs)] = { status };
+    markSubtree(value[k], segs, status, statuses);
+  }
+}
+
+// Merged document for display: unchanged and changed values show the new
+// side, removed values the old side. With onlyChanged, unchanged branches are
+// dropped (array items are re-indexed, their original index kept as label).
+// Returns { data, statuses, summary } where statuses maps tree paths to
+// { status, before, after, label }; status can also be 'moved' there.
+export function diffView(diff, { onlyChanged = false } = {}) {
+  const statuses = {};
+  const summary = { added: 0, removed: 0, changed: 0 };
+
+  function build(node, segments) {
+    const path = toJsonPath(segments);
+    // items that only changed position in a keyed array show up as 'moved'
+    statuses[path] = { status: node.moved ? 'moved' : node.status, before: node.before, after: node.after, label: node.label };
+    if (node.status === 'added' || node.status === 'removed' || node.status === 'changed') summary[node.status]++;
+
+    if (!node.children) {
+      const value = node.status === 'removed' ? node.before : node.after;
+      // a subtree that appeared, disappeared or replaced a different type is new/old content as a whole
+      markSubtree(value, segments, node.status === 'removed' ? 'removed' : node.status === 'unchanged' ? 'unchanged' : 'added', statuses);
+      return value;
+    }
+
+    const kept = onlyChanged && !node.moved ? node.children.filter((c) => c.status !== 'unchanged' || c.moved) : node.children;
+    if (node.kind === 'array') return kept.map((c, i) => build(c, [...segments, i]));
+    const out = {};
+    for (const c of kept) Object.defineProperty(out, c.label, { value: build(c, [...segments, c.label]), enumerable: true, writable: true, configurable: true });
+    return out;
+  }
+
+  const data = build(diff, []);
+  return { data, statuses, summary };
+}
+
+// RFC 6902 operations that turn the "before" document into the "after" one.
+// Operations are ordered so every index refers to the array as it is at the
+// time the operation is applied.
+export function diffToJsonPatch(diff) {
+  const ops = [];
+
+  function walk(node, segs) {
+    if (node.status === 'unchanged' && !node.moved) return;
+    if (node.status === 'changed') {
+      ops.push({ op: 'replace', path: toJsonPointer(segs), value: node.after });
+      return;
+    }
+    if (!node.children) return;
+
+    if (node.kind === 'object') {
+      for (const c of node.children) {
+        const p = [...segs, c.label];
+        if (c.status === 'removed') ops.push({ op: 'remove', path: toJsonPointer(p) });
+        else if (c.status === 'added') ops.push({ op: 'add', path: toJsonPointer(p), value: c.after });
+        else walk(c, p);
+      }
+      return;
+    }
+
+    // arrays: nested edits first (indices still as in "before"), then
+    // removals from the back, then additions/moves into their final positions
+    const last = (s) => s[s.length - 1];
+    for (const c of node.children) {
+      if (c.status !== 'added' && c.status !== 'removed') walk(c, [...segs, last(c.beforeSegments)]);
+    }
+    const removed = node.children.filter((c) => c.status === 'removed').map((c) => last(c.beforeSegments)).sort((a, b) => b - a);
+    for (const i of removed) ops.push({ op: 'remove', path: toJsonPointer([...segs, i]) });
+
+    // working order of the surviving "before" items, identified by their before index
+    const removedSet = new Set(removed);
+    const working = node.before.map((_, i) => i).filter((i) => !removedSet.has(i));
+    const targets = node.children.filter((c) => c.status !== 'removed').sort((a, b) => last(a.afterSegments) - last(b.afterSegments));
+    targets.forEach((c, j) => {
+      if (c.status === 'added') {
+        ops.push({ op: 'add', path: toJsonPointer([...segs, j]), value: c.after });
+        working.splice(j, 0, null);
+        return;
+      }
+      const from = working.indexOf(last(c.beforeSegments));
+      if (from !== j) {
+        ops.push({ op: 'move', from: toJsonPointer([...segs, from]), path: toJsonPointer([...segs, j]) });
+        working.splice(j, 0, working.splice(from, 1)[0]);
+      }
+    });
+  }
+
+  walk(diff, []);
+  return ops;
+}
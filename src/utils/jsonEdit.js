@@ -0,0 +1,154 @@
+// Immutable edit operations on parsed JSON, addressed by path segments
+// (the key/index list from the root, as stored in node data.segments).
+//
+// Edits are plain objects so they can be passed around as events:
+//   { type: 'set', segments, value }
+//   { type: 'rename', segments, key }        rename the key at segments
+//   { type: 'add', segments, key?, value }   add a child; key is required for objects
+//   { type: 'delete', segments }
+//   { type: 'changeType', segments, to }     convert the value to another JSON type
+//
+// Integers too large for a double are BigInt values (see jsonParser).
+import { stringifyJson } from './jsonParser';
+
+export const VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'object', 'array'];
+
+// JSON type name of a value
+export function valueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'bigint') return 'number';
+  return typeof value;
+}
+
+// copy of data with the value at segments replaced by fn(old value)
+function updateAt(data, segments, fn) {
+  if (segments.length === 0) return fn(data);
+  const [head, ...rest] = segments;
+  if (data === null || typeof data !== 'object' || !Object.prototype.hasOwnProperty.call(data, head)) {
+    throw new Error(`Path not found: ${String(head)}`);
+  }
+  const child = updateAt(data[head], rest, fn);
+  if (Array.isArray(data)) {
+    const copy = data.slice();
+    copy[head] = child;
+    return copy;
+  }
+  return { ...data, [head]: child };
+}
+
+// best-effort conversion used by "change type"
+export function convertValue(value, to) {
+  const from = valueType(value);
+  if (from === to) return value;
+  switch (to) {
+    case 'string':
+      if (value === null) return '';
+      return from === 'object' || from === 'array' ? stringifyJson(value) : String(value);
+    case 'number': {
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      const n = Number(value);
+      return typeof value === 'string' && value.trim() !== '' && Number.isFinite(n) ? n : 0;
+    }
+    case 'boolean':
+      if (typeof value === 'string') return !['', 'false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+      if (from === 'object') return Object.keys(value).length > 0;
+      if (from === 'array') return value.length > 0;
+      return Boolean(value);
+    case 'null':
+      return null;
+    case 'object':
+      // arrays keep their items under index keys
+      return from === 'array' ? Object.fromEntries(value.map((v, i) => [String(i), v])) : {};
+    case 'array':
+      if (from === 'object') return Object.values(value);
+      return value === null ? [] : [value];
+    default:
+      throw new Error(`Unknown type: ${to}`);
+  }
+}
+
+// parse the text typed into the inline editor as a value of the given type
+export function parseInputValue(raw, type) {
+  switch (type) {
+    case 'string':
+      return raw;
+    case 'number': {
+      const n = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(n)) throw new Error('Not a valid number');
+      // keep every digit of integers a double can't hold
+      return /^-?\d+$/.test(raw.trim()) && !Number.isSafeInteger(n) ? BigInt(raw.trim()) : n;
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') throw new Error('Expected true or false');
+      return raw === 'true';
+    case 'null':
+      return null;
+    default:
+      throw new Error(`Cannot edit ${type} values inline`);
+  }
+}
+
+function renameKey(data, segments, key) {
+  if (segments.length === 0) throw new Error('The root has no key');
+  const oldKey = segments[segments.length - 1];
+  if (typeof oldKey !== 'string') throw new Error('Array items cannot be renamed');
+  if (key === oldKey) return data;
+  return updateAt(data, segments.slice(0, -1), (parent) => {
+    if (Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Key "${key}" already exists`);
+    // rebuild the object so the renamed key keeps its position
+    return Object.fromEntries(Object.entries(parent).map(([k, v]) => [k === oldKey ? key : k, v]));
+  });
+}
+
+function addChild(data, segments, key, value) {
+  return updateAt(data, segments, (container) => {
+    if (Array.isArray(container)) return [...container, value];
+    if (container === null || typeof container !== 'object') throw new Error('Only objects and arrays can have children');
+    if (key === undefined || key === '') throw new Error('A key is required');
+    if (Object.prototype.hasOwnProperty.call(container, key)) throw new Error(`Key "${key}" already exists`);
+    return { ...container, [key]: value };
+  });
+}
+
+function deleteAt(data, segments) {
+  if (segments.length === 0) throw new Error('The root cannot be deleted');
+  const last = segments[segments.length - 1];
+  return updateAt(data, segments.slice(0, -1), (parent) => {
+    if (Array.isArray(parent)) return parent.filter((_, i) => i !== last);
+    return Object.fromEntries(Object.entries(parent).filter(([k]) => k !== last));
+  });
+}
+
+// apply one edit and return the new document; throws on invalid edits
+export function applyEdit(data, edit) {
+  switch (edit.type) {
+    case 'set':
+      return updateAt(data, edit.segments, () => edit.value);
+    case 'rename':
+      return renameKey(data, edit.segments, edit.key);
+    case 'add':
+      return addChild(data, edit.segments, edit.key, edit.value === undefined ? null : edit.value);
+    case 'delete':
+      return deleteAt(data, edit.segments);
+    case 'changeType':
+      return updateAt(data, edit.segments, (v) => convertValue(v, edit.to));
+    default:
+      throw new Error(`Unknown edit: ${edit.type}`);
+  }
+}
+
+// indentation used by a JSON text: the leading whitespace of its first
+// indented line, 0 for single-line (minified) text, 2 when there's no text
+export function detectIndent(text) {
+  if (!text || !text.trim()) return 2;
+  const m = /\n([ \t]+)\S/.exec(text);
+  if (m) return m[1];
+  return text.trim().includes('\n') ? 2 : 0;
+}
+
+// serialize data the way previousText was formatted
+export function stringifyLike(data, previousText) {
+  const out = stringifyJson(data, detectIndent(previousText));
+  return previousText && previousText.endsWith('\n') ? out + '\n' : out;
+}
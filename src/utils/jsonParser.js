@@ -0,0 +1,364 @@
+// JSON parser with precise error locations, fix suggestions and lenient modes.
+//
+// Modes:
+//   json    strict RFC 8259
+//   json5   JSON5 / JSONC: comments, trailing commas, single-quoted strings,
+//           unquoted keys, hex numbers, leading/trailing decimal points,
+//           explicit + signs, Infinity and NaN
+//   ndjson  one strict JSON value per line; returns an array of the values
+//
+// Integers outside Number.MAX_SAFE_INTEGER are returned as BigInt so their
+// digits survive; use stringifyJson() to serialize documents containing them.
+
+// report parse progress every N characters
+const PROGRESS_EVERY = 1 << 20;
+
+export class JsonParseError extends Error {
+  // offset/length locate the bad span; line and column are 1-based
+  constructor(message, { offset = 0, line = 1, column = 1, length = 1, suggestion = null } = {}) {
+    super(message);
+    this.name = 'JsonParseError';
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+    this.length = length;
+    this.suggestion = suggestion;
+  }
+}
+
+// 1-based line and column of a character offset
+export function lineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let k = 0; k < offset && k < text.length; k++) {
+    if (text.charCodeAt(k) === 10) {
+      line++;
+      lineStart = k + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+// JsonParseError for the span text[offset, offset + length); the other input
+// format parsers (YAML, CSV, XML, TOML) report their errors through it too
+export function parseErrorAt(text, message, offset, length = 1, suggestion = null) {
+  const { line, column } = lineColumn(text, offset);
+  return new JsonParseError(`${message} at line ${line}, column ${column}`, { offset, line, column, length, suggestion });
+}
+
+const STRICT_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LENIENT_NUMBER = /[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|Infinity|NaN)/y;
+const IDENTIFIER = /[A-Za-z_$\u0080-\uFFFF][A-Za-z0-9_$\u0080-\uFFFF]*/y;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+function describe(ch) {
+  if (ch === undefined) return 'end of input';
+  if (ch === '\n') return 'line break';
+  return `'${ch}'`;
+}
+
+// JS value of a number token; unsafe integers become BigInt
+export function toNumber(token) {
+  if (/^[+-]?0[xX]/.test(token)) {
+    const n = Number(token.replace(/^[+-]/, ''));
+    return token.startsWith('-') ? -n : n;
+  }
+  const n = Number(token);
+  if (/^-?\d+$/.test(token) && !Number.isSafeInteger(n)) return BigInt(token);
+  return n;
+}
+
+// parse the value in text[start, end); throws JsonParseError
+function parseRange(text, start, end, lenient, onProgress) {
+  let i = start;
+  let lastReport = start;
+  // open containers, for "never closed" messages at the end of input
+  const open = [];
+
+  function fail(message, at = i, length = 1, suggestion = null) {
+    throw parseErrorAt(text, message, at, length, suggestion);
+  }
+
+  function failEnd() {
+    const last = open[open.length - 1];
+    if (!last) return fail('Unexpected end of input', end, 0, 'The document is empty or cut off');
+    const { line, column } = lineColumn(text, last.at);
+    const closer = last.ch === '{' ? '}' : ']';
+    return fail(`Unexpected end of input: '${last.ch}' opened at line ${line}, column ${column} is never closed`, end, 0, `Add the missing '${closer}'`);
+  }
+
+  function skipWs() {
+    while (i < end) {
+      const c = text.charCodeAt(i);
+      if (c === 32 || c === 9 || c === 10 || c === 13) { i++; continue; }
+      if (lenient && (c === 11 || c === 12 || c === 0xa0 || c === 0xfeff || c === 0x2028 || c === 0x2029)) { i++; continue; }
+      if (c === 47 /* / */ && (text[i + 1] === '/' || text[i + 1] === '*')) {
+        const block = text[i + 1] === '*';
+        let stop = block ? text.indexOf('*/', i + 2) : text.indexOf('\n', i + 2);
+        if (block && (stop === -1 || stop >= end)) fail('Unterminated block comment', i, 2, "Close the comment with '*/'");
+        stop = stop === -1 || stop > end ? end : stop + (block ? 2 : 0);
+        if (!lenient) fail('Comments are not allowed in JSON', i, stop - i, 'Remove the comment, or switch to JSON5 / JSONC mode');
+        i = stop;
+        continue;
+      }
+      break;
+    }
+  }
+
+  function progress() {
+    if (onProgress && i - lastReport >= PROGRESS_EVERY) {
+      lastReport = i;
+      onProgress(i);
+    }
+  }
+
+  function parseString(quote) {
+    const startAt = i;
+    i++;
+    let out = '';
+    let chunk = i;
+    for (;;) {
+      if (i >= end) fail('Unterminated string', startAt, end - startAt, `Add the closing ${quote}`);
+      const ch = text[i];
+      if (ch === quote) {
+        out += text.slice(chunk, i);
+        i++;
+        return out;
+      }
+      if (ch === '\\') {
+        out += text.slice(chunk, i);
+        const e = text[i + 1];
+        if (e === 'u') {
+          const hex = text.slice(i + 2, i + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid \\u escape: expected 4 hex digits', i, 2 + hex.length);
+          out += String.fromCharCode(parseInt(hex, 16));
+          i += 6;
+        } else if (ESCAPES[e] !== undefined) {
+          out += ESCAPES[e];
+          i += 2;
+        } else if (lenient && (e === "'" || e === '\n' || e === '\r' || e === 'v' || e === '0' || e === 'x')) {
+          if (e === "'") out += "'";
+          else if (e === 'v') out += '\v';
+          else if (e === '0') out += '\0';
+          else if (e === 'x') {
+            const hex = text.slice(i + 2, i + 4);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) fail('Invalid \\x escape: expected 2 hex digits', i, 2 + hex.length);
+            out += String.fromCharCode(parseInt(hex, 16));
+            i += 2;
+          } else if (e === '\r' && text[i + 2] === '\n') i++; // line continuation
+          i += 2;
+        } else {
+          fail(`Invalid escape sequence '\\${e === undefined ? '' : e}'`, i, 2, e === "'" ? "Single quotes don't need escaping in double-quoted strings" : 'Escape the backslash as \\\\');
+        }
+        chunk = i;
+        continue;
+      }
+      const c = text.charCodeAt(i);
+      if (c < 0x20) {
+        if (c === 10 || c === 13) fail('Unterminated string', startAt, i - startAt, 'Close the string before the line break, or write the line break as \\n');
+        fail('Control characters must be escaped in strings', i, 1, `Write it as \\u${c.toString(16).padStart(4, '0')}`);
+      }
+      i++;
+    }
+  }
+
+  function parseNumber() {
+    const re = lenient ? LENIENT_NUMBER : STRICT_NUMBER;
+    re.lastIndex = i;
+    const m = re.exec(text);
+    if (!m || i + m[0].length > end) fail(`Unexpected ${describe(text[i])}`);
+    const token = m[0];
+    // catch common non-JSON number forms in strict mode
+    if (!lenient) {
+      const next = text[i + token.length];
+      if (token.replace('-', '') === '0' && /\d/.test(next || '')) fail('Numbers cannot have leading zeros', i, token.length + 1, 'Remove the leading zero');
+      if ((next === 'x' || next === 'X') && /^-?0$/.test(token)) fail('Hexadecimal numbers are not allowed in JSON', i, 2, 'Use a decimal number, or switch to JSON5 mode');
+      if (next === '.') fail('A decimal point must be followed by digits', i + token.length, 1, `Write ${token}.0 or ${token}`);
+    }
+    i += token.length;
+    return toNumber(token);
+  }
+
+  function parseKey() {
+    const c = text[i];
+    if (c === '"') return parseString('"');
+    if (c === "'") {
+      if (!lenient) fail('Property names must use double quotes', i, 1, 'Replace the single quotes with double quotes');
+      return parseString("'");
+    }
+    IDENTIFIER.lastIndex = i;
+    const m = IDENTIFIER.exec(text);
+    if (m && i + m[0].length <= end) {
+      if (!lenient) fail('Property names must be double-quoted', i, m[0].length, `Wrap the key in double quotes: "${m[0]}"`);
+      i += m[0].length;
+      return m[0];
+    }
+    return null;
+  }
+
+  function setKey(obj, key, value) {
+    // assigning "__proto__" would change the prototype instead of adding a key
+    if (key === '__proto__') Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+    else obj[key] = value;
+  }
+
+  function parseObject() {
+    open.push({ ch: '{', at: i });
+    i++;
+    const obj = {};
+    let comma = -1;
+    for (;;) {
+      skipWs();
+      progress();
+      if (i >= end) failEnd();
+      if (text[i] === '}') {
+        if (comma !== -1 && !lenient) fail('Trailing comma', comma, 1, "Remove the trailing comma before '}'");
+        i++;
+        open.pop();
+        return obj;
+      }
+      if (comma === -1 && Object.keys(obj).length > 0) fail(`Expected ',' or '}' but found ${describe(text[i])}`);
+      const keyAt = i;
+      const key = parseKey();
+      if (key === null) fail(`Expected a property name but found ${describe(text[i])}`, keyAt);
+      skipWs();
+      if (text[i] !== ':') {
+        if (i >= end) failEnd();
+        fail(`Expected ':' after property name but found ${describe(text[i])}`, i, 1, "Add a ':' between the key and its value");
+      }
+      i++;
+      setKey(obj, key, parseValue());
+      skipWs();
+      comma = -1;
+      if (text[i] === ',') {
+        comma = i;
+        i++;
+      } else if (i < end && text[i] !== '}') {
+        const c = text[i];
+        const startsValue = c === '"' || c === "'" || /[A-Za-z_$]/.test(c);
+        fail(`Expected ',' or '}' but found ${describe(c)}`, i, 1, startsValue ? 'Add a comma between the properties' : null);
+      }
+    }
+  }
+
+  function parseArray() {
+    open.push({ ch: '[', at: i });
+    i++;
+    const arr = [];
+    let comma = -1;
+    for (;;) {
+      skipWs();
+      progress();
+      if (i >= end) failEnd();
+      if (text[i] === ']') {
+        if (comma !== -1 && !lenient) fail('Trailing comma', comma, 1, "Remove the trailing comma before ']'");
+        i++;
+        open.pop();
+        return arr;
+      }
+      if (comma === -1 && arr.length > 0) fail(`Expected ',' or ']' but found ${describe(text[i])}`);
+      arr.push(parseValue());
+      skipWs();
+      comma = -1;
+      if (text[i] === ',') {
+        comma = i;
+        i++;
+      } else if (i < end && text[i] !== ']') {
+        fail(`Expected ',' or ']' but found ${describe(text[i])}`, i, 1, arrayHint(text[i]));
+      }
+    }
+  }
+
+  // what to suggest when an item of the innermost array is followed by c
+  function arrayHint(c) {
+    if (c === '}') {
+      const { line, column } = lineColumn(text, open[open.length - 1].at);
+      return `Add the missing ']' for the '[' opened at line ${line}, column ${column}`;
+    }
+    return /["'{[\d.+\-A-Za-z_$]/.test(c) ? 'Add a comma between the items' : null;
+  }
+
+  function parseValue() {
+    skipWs();
+    if (i >= end) failEnd();
+    const c = text[i];
+    if (c === '{') return parseObject();
+    if (c === '[') return parseArray();
+    if (c === '"') return parseString('"');
+    if (c === "'") {
+      if (!lenient) {
+        const close = text.indexOf("'", i + 1);
+        fail('Strings must use double quotes', i, close === -1 ? 1 : close - i + 1, 'Replace the single quotes with double quotes');
+      }
+      return parseString("'");
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, i)) {
+        i += word.length;
+        return value;
+      }
+    }
+    if (c === '-' || c === '+' || c === '.' || (c >= '0' && c <= '9') || (lenient && (c === 'I' || c === 'N'))) {
+      if (!lenient && c === '+') fail('Numbers cannot start with +', i, 1, 'Remove the + sign');
+      if (!lenient && c === '.') fail('Numbers must start with a digit', i, 1, `Add a leading zero: 0${text.slice(i, i + 4)}…`);
+      return parseNumber();
+    }
+    IDENTIFIER.lastIndex = i;
+    const word = IDENTIFIER.exec(text);
+    if (word) {
+      const w = word[0];
+      const hint = w === 'undefined' ? 'Use null instead'
+        : w === 'True' || w === 'False' || w === 'None' ? `Use ${w === 'None' ? 'null' : w.toLowerCase()} (JSON literals are lowercase)`
+          : w === 'NaN' || w === 'Infinity' ? 'Use null or a string, or switch to JSON5 mode'
+            : 'Wrap text values in double quotes';
+      fail(`Unexpected word '${w}'`, i, w.length, hint);
+    }
+    return fail(`Unexpected ${describe(c)}`);
+  }
+
+  const value = parseValue();
+  skipWs();
+  if (i < end) {
+    const c = text[i];
+    fail('Unexpected content after the JSON value', i, end - i > 20 ? 1 : end - i,
+      c === ',' ? 'Remove the trailing comma' : c === '{' || c === '[' ? 'Wrap multiple values in an array, or switch to NDJSON mode' : null);
+  }
+  return value;
+}
+
+// parse text in the given mode; throws JsonParseError with location details.
+// onProgress(charsDone) is called periodically for large inputs.
+export function parseJson(text, { mode = 'json', onProgress } = {}) {
+  if (mode === 'json' && !/\d{16}/.test(text)) {
+    // no integer long enough to lose precision: the native parser is faster,
+    // and we only need our own to explain why a document fails
+    try {
+      return JSON.parse(text);
+    } catch { /* re-parse below for the error location */ }
+  }
+  if (mode !== 'ndjson') return parseRange(text, 0, text.length, mode === 'json5', onProgress);
+
+  const values = [];
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    if (text.slice(lineStart, lineEnd).trim() !== '') {
+      values.push(parseRange(text, lineStart, lineEnd, false, null));
+    }
+    if (onProgress && lineEnd - lineStart > 0) onProgress(lineEnd);
+    lineStart = lineEnd + 1;
+  }
+  return values;
+}
+
+// JSON.stringify that writes BigInt values as plain integer digits
+export function stringifyJson(value, indent) {
+  let hasBigInt = false;
+  const out = JSON.stringify(value, (key, v) => {
+    if (typeof v !== 'bigint') return v;
+    hasBigInt = true;
+    return `\u0000bigint:${v}\u0000`;
+  }, indent);
+  return hasBigInt ? out.replace(/"\\u0000bigint:(-?\d+)\\u0000"/g, '$1') : out;
+}
@@ -0,0 +1,440 @@
+// Small JSONPath evaluator used by the tree search.
+//
+// Supported syntax:
+//   $                    root
+//   .name  ['name']      child by key
+//   [0]  [-1]            array index (negative counts from the end)
+//   .*  [*]              wildcard
+//   ..name  ..*  ..[0]   recursive descent
+//   [start:end:step]     array slice
+//   [0,2]  ['a','b']     union of selectors
+//   [?(@.price > 10)]    filter; supports == != < <= > >= =~ && || ! and parens
+//
+// Results are returned as { path, value } where path is an array of keys
+// (strings) and indices (numbers) starting below the root.
+import { stringifyJson } from './jsonParser';
+
+export class JsonPathError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'JsonPathError';
+    this.position = position;
+  }
+}
+
+const NAME_CHAR = /[A-Za-z0-9_$\-\u0080-\uFFFF]/;
+// escapes in quoted keys; the tree's paths (utils/paths) write these
+const STRING_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// accept shorthand like "user.name", ".user" or "[0]" and turn it into a $-rooted query
+export function normalizeQuery(q) {
+  if (q === null || q === undefined) return null;
+  q = String(q).trim();
+  if (q === '') return null;
+  if (q.startsWith('$')) return q;
+  if (q.startsWith('.') || q.startsWith('[')) return '$' + q;
+  return '$.' + q;
+}
+
+// ---------------------------------------------------------------------------
+// parser
+
+export function parseJsonPath(query) {
+  const src = String(query);
+  let i = 0;
+
+  function fail(message, at = i) {
+    throw new JsonPathError(message, at);
+  }
+
+  function skipWs() {
+    while (i < src.length && /\s/.test(src[i])) i++;
+  }
+
+  function peek(s) {
+    return src.startsWith(s, i);
+  }
+
+  function expect(s) {
+    skipWs();
+    if (!peek(s)) fail(`Expected '${s}'`);
+    i += s.length;
+  }
+
+  function parseName() {
+    const start = i;
+    while (i < src.length && NAME_CHAR.test(src[i])) i++;
+    if (i === start) fail(src[i] === undefined ? 'Expected a key name but the query ended' : `Unexpected character '${src[i]}'`);
+    return src.slice(start, i);
+  }
+
+  function parseString() {
+    const quote = src[i];
+    const start = i;
+    i++;
+    let out = '';
+    while (i < src.length && src[i] !== quote) {
+      if (src[i] === '\\') {
+        i++;
+        const c = src[i];
+        if (c === undefined) break;
+        if (c === 'u' && /^[0-9a-fA-F]{4}$/.test(src.slice(i + 1, i + 5))) {
+          out += String.fromCharCode(parseInt(src.slice(i + 1, i + 5), 16));
+          i += 4;
+        } else {
+          out += STRING_ESCAPES[c] ?? c;
+        }
+      } else {
+        out += src[i];
+      }
+      i++;
+    }
+    if (src[i] !== quote) fail('Unterminated string', start);
+    i++;
+    return out;
+  }
+
+  function parseInteger() {
+    const m = /^-?\d+/.exec(src.slice(i));
+    if (!m) fail('Expected a number');
+    i += m[0].length;
+    return parseInt(m[0], 10);
+  }
+
+  // one comma-separated selector inside [...]
+  function parseSelector() {
+    skipWs();
+    const c = src[i];
+    if (c === '*') { i++; return { kind: 'wildcard' }; }
+    if (c === "'" || c === '"') return { kind: 'name', name: parseString() };
+    if (c === '?') {
+      i++;
+      skipWs();
+      // both [?(@.a)] and [?@.a] are accepted
+      return { kind: 'filter', expr: parseOr() };
+    }
+    if (c === ':' || c === '-' || /\d/.test(c || '')) {
+      const parts = [null, null, null];
+      let part = 0;
+      let isSlice = false;
+      for (;;) {
+        skipWs();
+        if (src[i] === '-' || /\d/.test(src[i] || '')) parts[part] = parseInteger();
+        skipWs();
+        if (src[i] !== ':') break;
+        isSlice = true;
+        i++;
+        part++;
+        if (part > 2) fail('Too many slice parts');
+      }
+      if (!isSlice) return { kind: 'index', index: parts[0] };
+      const [start, end, step] = parts;
+      if (step === 0) fail('Slice step cannot be 0');
+      return { kind: 'slice', start, end, step: step === null ? 1 : step };
+    }
+    if (c === undefined) fail('Unclosed bracket');
+    return fail(`Unexpected character '${c}' in brackets`);
+  }
+
+  function parseBracket() {
+    const open = i;
+    i++; // [
+    const selectors = [parseSelector()];
+    skipWs();
+    while (src[i] === ',') {
+      i++;
+      selectors.push(parseSelector());
+      skipWs();
+    }
+    if (src[i] !== ']') fail(src[i] === undefined ? 'Unclosed bracket' : `Expected ']'`, src[i] === undefined ? open : i);
+    i++;
+    return selectors;
+  }
+
+  // segments following $ or @; inFilter stops at anything that can't continue a path
+  function parseSegments(inFilter) {
+    const segments = [];
+    for (;;) {
+      if (inFilter) {
+        // whitespace ends a relative path inside filters (e.g. "@.a > 1")
+        if (!(peek('.') || peek('['))) break;
+      } else {
+        skipWs();
+        if (i >= src.length) break;
+      }
+      if (peek('..')) {
+        i += 2;
+        if (src[i] === '[') segments.push({ descendant: true, selectors: parseBracket() });
+        else if (src[i] === '*') { i++; segments.push({ descendant: true, selectors: [{ kind: 'wildcard' }] }); }
+        else segments.push({ descendant: true, selectors: [{ kind: 'name', name: parseName() }] });
+      } else if (peek('.')) {
+        i++;
+        if (src[i] === '*') { i++; segments.push({ descendant: false, selectors: [{ kind: 'wildcard' }] }); }
+        else segments.push({ descendant: false, selectors: [{ kind: 'name', name: parseName() }] });
+      } else if (peek('[')) {
+        segments.push({ descendant: false, selectors: parseBracket() });
+      } else {
+        fail(`Unexpected character '${src[i]}'`);
+      }
+    }
+    return segments;
+  }
+
+  // filter expressions: or -> and -> unary -> comparison -> primary
+  function parseOr() {
+    let left = parseAnd();
+    skipWs();
+    while (peek('||')) {
+      i += 2;
+      left = { op: '||', left, right: parseAnd() };
+      skipWs();
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    skipWs();
+    while (peek('&&')) {
+      i += 2;
+      left = { op: '&&', left, right: parseUnary() };
+      skipWs();
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    skipWs();
+    if (peek('!') && !peek('!=')) {
+      i++;
+      return { op: '!', expr: parseUnary() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parsePrimary();
+    skipWs();
+    for (const op of ['==', '!=', '<=', '>=', '=~', '<', '>']) {
+      if (peek(op)) {
+        i += op.length;
+        skipWs();
+        const right = op === '=~' ? parseRegex() : parsePrimary();
+        return { op, left, right };
+      }
+    }
+    return left;
+  }
+
+  function parseRegex() {
+    if (src[i] !== '/') fail("Expected a /regex/ after '=~'");
+    const start = i;
+    i++;
+    let body = '';
+    while (i < src.length && src[i] !== '/') {
+      if (src[i] === '\\') { body += src[i]; i++; }
+      body += src[i];
+      i++;
+    }
+    if (src[i] !== '/') fail('Unterminated regular expression', start);
+    i++;
+    const flags = /^[imsuy]*/.exec(src.slice(i))[0];
+    i += flags.length;
+    try {
+      return { literal: new RegExp(body, flags) };
+    } catch (err) {
+      return fail(`Invalid regular expression: ${err.message}`, start);
+    }
+  }
+
+  function parsePrimary() {
+    skipWs();
+    const c = src[i];
+    if (c === '(') {
+      i++;
+      const expr = parseOr();
+      expect(')');
+      return expr;
+    }
+    if (c === '@' || c === '$') {
+      i++;
+      return { ref: c, segments: parseSegments(true) };
+    }
+    if (c === "'" || c === '"') return { literal: parseString() };
+    const num = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      i += num[0].length;
+      return { literal: Number(num[0]) };
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (peek(word)) {
+        i += word.length;
+        return { literal: value };
+      }
+    }
+    if (c === undefined) return fail('Unexpected end of filter expression');
+    return fail(`Unexpected character '${c}' in filter`);
+  }
+
+  skipWs();
+  if (src[i] !== '$') fail("Query must start with '$'");
+  i++;
+  const segments = parseSegments(false);
+  return { segments };
+}
+
+// ---------------------------------------------------------------------------
+// evaluator
+
+function isContainer(v) {
+  return v !== null && typeof v === 'object';
+}
+
+function children(node) {
+  const { value, path } = node;
+  if (Array.isArray(value)) return value.map((v, i) => ({ value: v, path: [...path, i] }));
+  if (isContainer(value)) return Object.keys(value).map((k) => ({ value: value[k], path: [...path, k] }));
+  return [];
+}
+
+function descendantsAndSelf(node, out = []) {
+  out.push(node);
+  for (const c of children(node)) descendantsAndSelf(c, out);
+  return out;
+}
+
+function sliceIndices(length, { start, end, step }) {
+  const norm = (n, def) => {
+    if (n === null) return def;
+    return n < 0 ? Math.max(length + n, step > 0 ? 0 : -1) : Math.min(n, step > 0 ? length : length - 1);
+  };
+  const out = [];
+  if (step > 0) {
+    for (let k = norm(start, 0), stop = norm(end, length); k < stop; k += step) out.push(k);
+  } else {
+    for (let k = norm(start, length - 1), stop = norm(end, -1); k > stop; k += step) out.push(k);
+  }
+  return out;
+}
+
+function select(node, sel, root, out) {
+  const { value, path } = node;
+  switch (sel.kind) {
+    case 'name':
+      if (isContainer(value) && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, sel.name)) {
+        out.push({ value: value[sel.name], path: [...path, sel.name] });
+      }
+      break;
+    case 'wildcard':
+      out.push(...children(node));
+      break;
+    case 'index':
+      if (Array.isArray(value)) {
+        const idx = sel.index < 0 ? value.length + sel.index : sel.index;
+        if (idx >= 0 && idx < value.length) out.push({ value: value[idx], path: [...path, idx] });
+      }
+      break;
+    case 'slice':
+      if (Array.isArray(value)) {
+        for (const idx of sliceIndices(value.length, sel)) out.push({ value: value[idx], path: [...path, idx] });
+      }
+      break;
+    case 'filter':
+      for (const child of children(node)) {
+        if (truthy(evalExpr(sel.expr, child.value, root))) out.push(child);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function applySegments(nodes, segments, root, inFilter = false) {
+  for (const seg of segments) {
+    const next = [];
+    for (const node of nodes) {
+      const targets = seg.descendant ? descendantsAndSelf(node) : [node];
+      for (const t of targets) {
+        for (const sel of seg.selectors) {
+          // "@.length" on arrays/strings is convenient in filters
+          if (inFilter && sel.kind === 'name' && sel.name === 'length' && !seg.descendant
+            && (Array.isArray(t.value) || typeof t.value === 'string')) {
+            next.push({ value: t.value.length, path: [...t.path, 'length'] });
+            continue;
+          }
+          select(t, sel, root, next);
+        }
+      }
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
+// evaluation of filter expressions; path operands evaluate to a node list
+function evalExpr(expr, current, root) {
+  if ('literal' in expr) return { value: expr.literal };
+  if (expr.ref) {
+    const start = { value: expr.ref === '@' ? current : root, path: [] };
+    return { nodes: applySegments([start], expr.segments, root, true) };
+  }
+  switch (expr.op) {
+    case '!':
+      return { value: !truthy(evalExpr(expr.expr, current, root)) };
+    case '&&':
+      return { value: truthy(evalExpr(expr.left, current, root)) && truthy(evalExpr(expr.right, current, root)) };
+    case '||':
+      return { value: truthy(evalExpr(expr.left, current, root)) || truthy(evalExpr(expr.right, current, root)) };
+    default:
+      return { value: compare(expr.op, single(evalExpr(expr.left, current, root)), single(evalExpr(expr.right, current, root))) };
+  }
+}
+
+// a bare path is true when it selects something; literals use JS truthiness
+function truthy(result) {
+  if (result.nodes) return result.nodes.length > 0;
+  return Boolean(result.value);
+}
+
+// comparisons only apply to a path that selects exactly one value
+function single(result) {
+  if (result.nodes) return result.nodes.length === 1 ? result.nodes[0].value : undefined;
+  return result.value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b)) return false;
+  return stringifyJson(a) === stringifyJson(b);
+}
+
+function compare(op, a, b) {
+  if (op === '=~') return typeof a === 'string' && b instanceof RegExp && b.test(a);
+  if (op === '==') return a !== undefined && deepEqual(a, b);
+  if (op === '!=') return !(a !== undefined && deepEqual(a, b));
+  const isNum = (v) => typeof v === 'number' || typeof v === 'bigint';
+  const comparable = (isNum(a) && isNum(b)) || (typeof a === 'string' && typeof b === 'string');
+  if (!comparable) return false;
+  if (op === '<') return a < b;
+  if (op === '<=') return a <= b;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  return false;
+}
+
+// run a query against data; throws JsonPathError for invalid queries.
+// Duplicate matches (e.g. from overlapping unions) are returned once.
+export function queryJsonPath(data, query) {
+  const ast = parseJsonPath(query);
+  const nodes = applySegments([{ value: data, path: [] }], ast.segments, data);
+  const seen = new Set();
+  const out = [];
+  for (const n of nodes) {
+    // keeps 'a.b' apart from a → b, and '0' from index 0
+    const key = JSON.stringify(n.path);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(n);
+  }
+  return out;
+}
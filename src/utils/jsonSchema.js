@@ -0,0 +1,337 @@
+// JSON Schema validation (draft 2020-12 and draft-07) and schema generation.
+//
+// Supported keywords: type, enum, const, properties, patternProperties,
+// additionalProperties, propertyNames, required, min/maxProperties,
+// dependentRequired, dependentSchemas, dependencies (07), prefixItems, items,
+// additionalItems (07), contains, min/maxContains, min/maxItems, uniqueItems,
+// min/maxLength, pattern, format, minimum, maximum, exclusiveMinimum,
+// exclusiveMaximum, multipleOf, allOf, anyOf, oneOf, not, if/then/else and
+// local $ref / $dynamicRef ("#", "#/pointer", "#anchor").
+// format is asserted for date-time, date, time, email, uri, uuid, ipv4, ipv6
+// and hostname. unevaluatedProperties/unevaluatedItems and remote refs are
+// not supported.
+//
+// Errors are { segments, instancePath, schemaPath, keyword, message } where
+// segments/instancePath address the offending value like tree node paths.
+import { toJsonPath, toJsonPointer } from './paths';
+import { inferShape, isRequired } from './inferShape';
+import { stringifyJson } from './jsonParser';
+
+export const DRAFTS = {
+  '2020-12': 'https://json-schema.org/draft/2020-12/schema',
+  '07': 'http://json-schema.org/draft-07/schema#',
+};
+
+// stop listing after this many errors; huge lists aren't useful. Errors past
+// it are still counted (list.omitted), so validity never depends on the cap.
+const MAX_ERRORS = 500;
+// $ref chains deeper than this are treated as infinite recursion
+const MAX_DEPTH = 256;
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/,
+  uuid: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  ipv4: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+  ipv6: /^(([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}|(([0-9a-fA-F]{1,4}:)*[0-9a-fA-F]{1,4})?::(([0-9a-fA-F]{1,4}:)*[0-9a-fA-F]{1,4})?)$/,
+  hostname: /^(?=.{1,253}$)([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/,
+};
+
+// draft named by $schema ('2020-12' or '07'), 2020-12 when absent or unknown
+export function detectDraft(schema) {
+  const uri = schema && typeof schema === 'object' ? String(schema.$schema || '') : '';
+  if (/draft-0[4-7]/.test(uri)) return '07';
+  return '2020-12';
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  // integers beyond double precision are parsed as BigInt
+  if (typeof value === 'bigint') return 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value));
+  return typeOf(value) === type;
+}
+
+// key-order independent serialization, for const/enum/uniqueItems comparisons
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return stringifyJson(value);
+}
+
+function resolvePointer(root, pointer) {
+  let node = root;
+  for (const raw of pointer.split('/').slice(1)) {
+    const part = decodeURIComponent(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, part)) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+// "#name" anchors declared with $anchor (2020-12) or a fragment-only $id (07)
+function collectAnchors(root) {
+  const anchors = {};
+  (function walk(node, pointer) {
+    if (node === null || typeof node !== 'object') return;
+    if (!Array.isArray(node)) {
+      if (typeof node.$anchor === 'string') anchors[node.$anchor] = { schema: node, pointer };
+      if (typeof node.$dynamicAnchor === 'string') anchors[node.$dynamicAnchor] = { schema: node, pointer };
+      if (typeof node.$id === 'string' && node.$id.startsWith('#')) anchors[node.$id.slice(1)] = { schema: node, pointer };
+    }
+    for (const k of Object.keys(node)) {
+      if (k !== 'enum' && k !== 'const') walk(node[k], `${pointer}${toJsonPointer([k])}`);
+    }
+  })(root, '#');
+  return anchors;
+}
+
+// validate data against schema; returns a list of errors (empty when valid)
+// whose omitted property counts the errors past MAX_ERRORS left off it.
+// Throws for schemas that can't be used (e.g. unresolvable $ref).
+export function validateSchema(schema, data, { draft = detectDraft(schema) } = {}) {
+  const anchors = collectAnchors(schema);
+  const errors = [];
+
+  function resolveRef(ref) {
+    if (ref === '#') return { schema, pointer: '#' };
+    if (ref.startsWith('#/')) {
+      const target = resolvePointer(schema, ref.slice(1));
+      if (target === undefined) throw new Error(`Cannot resolve $ref "${ref}"`);
+      return { schema: target, pointer: ref };
+    }
+    if (ref.startsWith('#') && anchors[ref.slice(1)]) return anchors[ref.slice(1)];
+    throw new Error(`Unsupported $ref "${ref}" (only references inside this schema are supported)`);
+  }
+
+  // validate value against node, pushing errors into out; returns validity
+  function check(node, value, segs, spath, out, depth) {
+    if (depth > MAX_DEPTH) throw new Error(`$ref recursion deeper than ${MAX_DEPTH} levels at ${spath}`);
+    if (node === true || node === undefined) return true;
+    if (node === false) {
+      report(out, segs, spath, 'false', 'is not allowed by a false schema');
+      return false;
+    }
+    if (node === null || typeof node !== 'object') return true;
+
+    const before = found(out);
+    const fail = (keyword, message) => report(out, segs, `${spath}/${keyword}`, keyword, message);
+    const sub = (child, v, childSegs, childPath, target = out) => check(child, v, childSegs, childPath, target, depth + 1);
+
+    const ref = node.$ref !== undefined ? node.$ref : node.$dynamicRef;
+    if (typeof ref === 'string') {
+      const target = resolveRef(ref);
+      sub(target.schema, value, segs, target.pointer);
+      // in draft-07 $ref replaces every other keyword next to it
+      if (draft === '07' && node.$ref !== undefined) return found(out) === before;
+    }
+
+    // --- any type
+    if (node.type !== undefined) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some((t) => matchesType(value, t))) fail('type', `must be ${types.join(' or ')}`);
+    }
+    if (node.enum !== undefined && Array.isArray(node.enum)) {
+      const c = canonical(value);
+      if (!node.enum.some((e) => canonical(e) === c)) fail('enum', `must be one of ${node.enum.map((e) => JSON.stringify(e)).join(', ')}`);
+    }
+    if (node.const !== undefined && canonical(node.const) !== canonical(value)) {
+      fail('const', `must be ${JSON.stringify(node.const)}`);
+    }
+
+    // --- combinators
+    if (Array.isArray(node.allOf)) node.allOf.forEach((s, i) => sub(s, value, segs, `${spath}/allOf/${i}`));
+    if (Array.isArray(node.anyOf)) {
+      if (!node.anyOf.some((s, i) => sub(s, value, segs, `${spath}/anyOf/${i}`, []))) fail('anyOf', 'must match at least one schema in anyOf');
+    }
+    if (Array.isArray(node.oneOf)) {
+      const matches = node.oneOf.filter((s, i) => sub(s, value, segs, `${spath}/oneOf/${i}`, [])).length;
+      if (matches !== 1) fail('oneOf', `must match exactly one schema in oneOf (matched ${matches})`);
+    }
+    if (node.not !== undefined && sub(node.not, value, segs, `${spath}/not`, [])) fail('not', 'must not match the schema in "not"');
+    if (node.if !== undefined) {
+      if (sub(node.if, value, segs, `${spath}/if`, [])) {
+        if (node.then !== undefined) sub(node.then, value, segs, `${spath}/then`);
+      } else if (node.else !== undefined) {
+        sub(node.else, value, segs, `${spath}/else`);
+      }
+    }
+
+    const t = typeOf(value);
+
+    // --- numbers
+    if (t === 'number') {
+      if (typeof node.minimum === 'number' && value < node.minimum) fail('minimum', `must be >= ${node.minimum}`);
+      if (typeof node.maximum === 'number' && value > node.maximum) fail('maximum', `must be <= ${node.maximum}`);
+      if (typeof node.exclusiveMinimum === 'number' && value <= node.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${node.exclusiveMinimum}`);
+      if (typeof node.exclusiveMaximum === 'number' && value >= node.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${node.exclusiveMaximum}`);
+      if (typeof node.multipleOf === 'number' && node.multipleOf > 0) {
+        const q = Number(value) / node.multipleOf;
+        if (Math.abs(q - Math.round(q)) > 1e-9) fail('multipleOf', `must be a multiple of ${node.multipleOf}`);
+      }
+    }
+
+    // --- strings
+    if (t === 'string') {
+      // length counts code points, not UTF-16 units
+      const len = [...value].length;
+      if (typeof node.minLength === 'number' && len < node.minLength) fail('minLength', `must have at least ${node.minLength} characters`);
+      if (typeof node.maxLength === 'number' && len > node.maxLength) fail('maxLength', `must have at most ${node.maxLength} characters`);
+      if (typeof node.pattern === 'string' && !new RegExp(node.pattern, 'u').test(value)) fail('pattern', `must match pattern "${node.pattern}"`);
+      if (typeof node.format === 'string' && FORMATS[node.format] && !FORMATS[node.format].test(value)) {
+        fail('format', `must be a valid ${node.format}`);
+      }
+    }
+
+    // --- arrays
+    if (t === 'array') {
+      if (typeof node.minItems === 'number' && value.length < node.minItems) fail('minItems', `must have at least ${node.minItems} items`);
+      if (typeof node.maxItems === 'number' && value.length > node.maxItems) fail('maxItems', `must have at most ${node.maxItems} items`);
+      if (node.uniqueItems === true) {
+        const seen = new Map();
+        value.forEach((item, i) => {
+          const c = canonical(item);
+          if (seen.has(c)) fail('uniqueItems', `must not contain duplicates (items ${seen.get(c)} and ${i} are equal)`);
+          else seen.set(c, i);
+        });
+      }
+      // tuple part: prefixItems (2020-12) or array-form items (07)
+      const tuple = draft === '07' ? (Array.isArray(node.items) ? node.items : null) : node.prefixItems;
+      const tupleKeyword = draft === '07' ? 'items' : 'prefixItems';
+      const rest = draft === '07' ? (Array.isArray(node.items) ? node.additionalItems : node.items) : node.items;
+      const restKeyword = draft === '07' && Array.isArray(node.items) ? 'additionalItems' : 'items';
+      const start = Array.isArray(tuple) ? tuple.length : 0;
+      if (Array.isArray(tuple)) {
+        tuple.forEach((s, i) => { if (i < value.length) sub(s, value[i], [...segs, i], `${spath}/${tupleKeyword}/${i}`); });
+      }
+      if (rest !== undefined) {
+        for (let i = start; i < value.length; i++) sub(rest, value[i], [...segs, i], `${spath}/${restKeyword}`);
+      }
+      if (node.contains !== undefined) {
+        const hits = value.filter((item, i) => sub(node.contains, item, [...segs, i], `${spath}/contains`, [])).length;
+        const min = draft === '07' || typeof node.minContains !== 'number' ? 1 : node.minContains;
+        if (hits < min) fail('contains', min === 1 ? 'must contain at least one matching item' : `must contain at least ${min} matching items`);
+        if (draft !== '07' && typeof node.maxContains === 'number' && hits > node.maxContains) {
+          fail('maxContains', `must contain at most ${node.maxContains} matching items`);
+        }
+      }
+    }
+
+    // --- objects
+    if (t === 'object') {
+      const keys = Object.keys(value);
+      if (typeof node.minProperties === 'number' && keys.length < node.minProperties) fail('minProperties', `must have at least ${node.minProperties} properties`);
+      if (typeof node.maxProperties === 'number' && keys.length > node.maxProperties) fail('maxProperties', `must have at most ${node.maxProperties} properties`);
+      if (Array.isArray(node.required)) {
+        for (const k of node.required) {
+          if (!Object.prototype.hasOwnProperty.call(value, k)) fail('required', `must have required property '${k}'`);
+        }
+      }
+      const props = node.properties && typeof node.properties === 'object' ? node.properties : {};
+      const patterns = node.patternProperties && typeof node.patternProperties === 'object'
+        ? Object.keys(node.patternProperties).map((p) => [p, new RegExp(p, 'u')])
+        : [];
+      for (const k of keys) {
+        let matched = false;
+        if (Object.prototype.hasOwnProperty.call(props, k)) {
+          matched = true;
+          sub(props[k], value[k], [...segs, k], `${spath}/properties${toJsonPointer([k])}`);
+        }
+        for (const [p, re] of patterns) {
+          if (re.test(k)) {
+            matched = true;
+            sub(node.patternProperties[p], value[k], [...segs, k], `${spath}/patternProperties${toJsonPointer([p])}`);
+          }
+        }
+        if (!matched && node.additionalProperties !== undefined) {
+          if (node.additionalProperties === false) {
+            report(out, [...segs, k], `${spath}/additionalProperties`, 'additionalProperties', `property '${k}' is not allowed`);
+          } else {
+            sub(node.additionalProperties, value[k], [...segs, k], `${spath}/additionalProperties`);
+          }
+        }
+        if (node.propertyNames !== undefined && !sub(node.propertyNames, k, segs, `${spath}/propertyNames`, [])) {
+          fail('propertyNames', `property name '${k}' is invalid`);
+        }
+      }
+      // dependentRequired / dependentSchemas, or the combined draft-07 "dependencies"
+      const depRequired = draft === '07' ? node.dependencies : node.dependentRequired;
+      const depSchemas = draft === '07' ? node.dependencies : node.dependentSchemas;
+      if (depRequired && typeof depRequired === 'object') {
+        for (const [k, deps] of Object.entries(depRequired)) {
+          if (!Array.isArray(deps) || !Object.prototype.hasOwnProperty.call(value, k)) continue;
+          for (const d of deps) {
+            if (!Object.prototype.hasOwnProperty.call(value, d)) {
+              fail(draft === '07' ? 'dependencies' : 'dependentRequired', `must have property '${d}' when '${k}' is present`);
+            }
+          }
+        }
+      }
+      if (depSchemas && typeof depSchemas === 'object') {
+        for (const [k, s] of Object.entries(depSchemas)) {
+          if (Array.isArray(s) || !Object.prototype.hasOwnProperty.call(value, k)) continue;
+          sub(s, value, segs, `${spath}/${draft === '07' ? 'dependencies' : 'dependentSchemas'}${toJsonPointer([k])}`);
+        }
+      }
+    }
+
+    return found(out) === before;
+  }
+
+  check(schema, data, [], '#', errors, 0);
+  errors.omitted = errors.omitted ?? 0;
+  return errors;
+}
+
+// errors reported into out, listed or not
+function found(out) {
+  return out.length + (out.omitted ?? 0);
+}
+
+function report(out, segments, schemaPath, keyword, message) {
+  if (out.length >= MAX_ERRORS) {
+    out.omitted = (out.omitted ?? 0) + 1;
+    return;
+  }
+  out.push({ segments, instancePath: toJsonPath(segments), schemaPath, keyword, message });
+}
+
+function shapeToSchema(shape) {
+  const types = Object.keys(shape.types);
+  // integers are numbers too, so a mix only needs "number"
+  const names = types.includes('number') ? types.filter((t) => t !== 'integer') : types;
+  const schema = {};
+  if (names.length === 1) schema.type = names[0];
+  else if (names.length > 1) schema.type = names;
+
+  if (shape.types.object) {
+    schema.properties = {};
+    const required = [];
+    for (const [key, child] of shape.properties) {
+      // assigning "__proto__" would change the prototype instead of adding a key
+      Object.defineProperty(schema.properties, key, { value: shapeToSchema(child), enumerable: true, writable: true, configurable: true });
+      if (isRequired(shape, child)) required.push(key);
+    }
+    if (required.length) schema.required = required;
+  }
+  if (shape.types.array && shape.items && shape.items.count > 0) {
+    schema.items = shapeToSchema(shape.items);
+  }
+  return schema;
+}
+
+// draft 2020-12 schema describing data: types, required keys (present in
+// every sample) and merged array item shapes
+export function generateSchema(data) {
+  return { $schema: DRAFTS['2020-12'], ...shapeToSchema(inferShape(data)) };
+}
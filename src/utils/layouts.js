@@ -0,0 +1,196 @@
+// Layout engines for the tree. buildTreeNodes (utils/treeLayout) builds the
+// nodes and then hands a plain hierarchy to one of these engines:
+//
+//   { width, height, children: [...] }
+//
+// place(root) sets `x` and `y` on every item: the center of its node. Nothing
+// else about the nodes is visible to an engine, so adding a layout means adding
+// an entry to LAYOUTS: a label for the selector, place(), the handles and edge
+// type that suit its direction (see TreeNode in TreeVisualizer), and the arrow
+// keys that move to the parent, first child and siblings (utils/treeNavigation).
+//
+// Recursion follows the tree depth, like the rest of the layout code.
+
+// space between neighbouring nodes, between rows (top-down) and between
+// columns (left to right)
+const SIBLING_GAP = 40;
+const LEVEL_GAP = 50;
+const COLUMN_GAP = 80;
+// distance between the rings of the radial layout
+const RING_GAP = 200;
+
+// center of each depth along the layout's main axis: a level is as thick as
+// its largest node (size is 'width' or 'height'), followed by gap
+function levelCenters(root, size, gap) {
+  const largest = [];
+  (function measure(item, depth) {
+    largest[depth] = Math.max(largest[depth] ?? 0, item[size]);
+    for (const child of item.children) measure(child, depth + 1);
+  })(root, 0);
+  const centers = [];
+  let at = 0;
+  for (const l of largest) {
+    centers.push(at + l / 2);
+    at += l + gap;
+  }
+  return centers;
+}
+
+// Top-down: every leaf gets its own slot as wide as the leaf, and a parent is
+// centered over its children. Simple and predictable, but wide for flat objects.
+// A parent wider than its children pushes them right; the push is noted on the
+// parent (childShift) and applied to the whole subtree in one final pass.
+function placeTopDown(root) {
+  const rowY = levelCenters(root, 'height', LEVEL_GAP);
+  // lays out item with its left edge at `left`; returns the width it occupies
+  function place(item, left, depth) {
+    item.y = rowY[depth];
+    item.childShift = 0;
+    if (item.children.length === 0) {
+      item.x = left + item.width / 2;
+      return item.width;
+    }
+    let span = -SIBLING_GAP;
+    for (const child of item.children) span += SIBLING_GAP + place(child, left + span + SIBLING_GAP, depth + 1);
+    if (span < item.width) {
+      item.childShift = (item.width - span) / 2;
+      span = item.width;
+    }
+    item.x = (item.children[0].x + item.children[item.children.length - 1].x) / 2 + item.childShift;
+    return span;
+  }
+  // dx: the pushes of item's ancestors
+  function settle(item, dx) {
+    item.x += dx;
+    for (const child of item.children) settle(child, dx + item.childShift);
+    delete item.childShift;
+  }
+  place(root, 0, 0);
+  settle(root, 0);
+}
+
+// Left to right: one column per depth, as wide as its widest node, and one
+// row per leaf. Flat objects become a tall list instead of a wide row.
+function placeHorizontal(root) {
+  const columnX = levelCenters(root, 'width', COLUMN_GAP);
+  let top = 0;
+  (function place(item, depth) {
+    item.x = columnX[depth];
+    if (item.children.length === 0) {
+      item.y = top + item.height / 2;
+      top += item.height + SIBLING_GAP / 2;
+      return;
+    }
+    for (const child of item.children) place(child, depth + 1);
+    item.y = (item.children[0].y + item.children[item.children.length - 1].y) / 2;
+  })(root, 0);
+}
+
+// Reingold–Tilford tidy tree: subtrees are pushed together until their
+// contours (the leftmost and rightmost extent at each depth) would touch, so
+// a small subtree can tuck under a wide neighbour. Children are placed
+// relative to their parent first and made absolute in a second pass.
+function placeTidy(root) {
+  // returns the contour of item's subtree relative to item's center:
+  // { left: [...], right: [...] } with one entry per depth below item
+  function contour(item) {
+    item.offset = 0;
+    if (item.children.length === 0) return { left: [-item.width / 2], right: [item.width / 2] };
+
+    let acc = null;
+    for (const child of item.children) {
+      const c = contour(child);
+      if (!acc) {
+        acc = c;
+        continue;
+      }
+      // smallest shift that keeps the child clear of everything placed so far
+      let dx = -Infinity;
+      for (let d = 0; d < Math.min(acc.right.length, c.left.length); d++) {
+        dx = Math.max(dx, acc.right[d] - c.left[d] + SIBLING_GAP);
+      }
+      child.offset = dx;
+      for (let d = 0; d < c.left.length; d++) {
+        if (d >= acc.left.length) acc.left.push(c.left[d] + dx);
+        acc.right[d] = c.right[d] + dx;
+      }
+    }
+
+    // center the parent over its first and last child
+    const first = item.children[0];
+    const last = item.children[item.children.length - 1];
+    const center = (first.offset + last.offset) / 2;
+    for (const child of item.children) child.offset -= center;
+    return {
+      left: [-item.width / 2, ...acc.left.map((v) => v - center)],
+      right: [item.width / 2, ...acc.right.map((v) => v - center)],
+    };
+  }
+
+  contour(root);
+  const rowY = levelCenters(root, 'height', LEVEL_GAP);
+  (function place(item, x, depth) {
+    item.x = x;
+    item.y = rowY[depth];
+    for (const child of item.children) place(child, x + child.offset, depth + 1);
+    delete item.offset;
+  })(root, 0, 0);
+}
+
+// Radial: the root in the middle and each depth on a ring around it. Every
+// leaf gets an equal share of the circle and a parent sits in the middle of
+// its children's angles. A ring grows when its nodes wouldn't fit around it.
+function placeRadial(root) {
+  let leaves = 0;
+  const minRadius = [0];
+  (function count(item) {
+    item.leaves = 0;
+    if (item.children.length === 0) {
+      item.leaves = 1;
+      leaves++;
+    }
+    for (const child of item.children) {
+      count(child);
+      item.leaves += child.leaves;
+    }
+  })(root);
+
+  // the arc a node gets must hold its width (plus a gap)
+  const unit = (2 * Math.PI) / leaves;
+  (function need(item, depth) {
+    for (const child of item.children) {
+      const arc = Math.min(child.leaves * unit, Math.PI);
+      minRadius[depth + 1] = Math.max(minRadius[depth + 1] ?? 0, (child.width + SIBLING_GAP / 2) / arc);
+      need(child, depth + 1);
+    }
+  })(root, 0);
+  const radius = [0];
+  for (let d = 1; d < minRadius.length; d++) radius.push(Math.max(radius[d - 1] + RING_GAP, minRadius[d] ?? 0));
+
+  (function place(item, start, depth) {
+    const angle = start + (item.leaves * unit) / 2;
+    item.x = radius[depth] * Math.cos(angle);
+    item.y = radius[depth] * Math.sin(angle);
+    let next = start;
+    for (const child of item.children) {
+      const span = child.leaves * unit;
+      place(child, next, depth + 1);
+      next += span;
+    }
+    delete item.leaves;
+  })(root, -Math.PI / 2, 0);
+}
+
+// edge: handle ids on TreeNode and the React Flow edge type
+const TOP_DOWN_KEYS = { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'previous', ArrowRight: 'next' };
+const LEFT_RIGHT_KEYS = { ArrowLeft: 'parent', ArrowRight: 'child', ArrowUp: 'previous', ArrowDown: 'next' };
+
+export const LAYOUTS = {
+  vertical: { label: 'Top-down', place: placeTopDown, edge: { sourceHandle: 'b', targetHandle: 't', type: 'smoothstep' }, keys: TOP_DOWN_KEYS },
+  horizontal: { label: 'Left to right', place: placeHorizontal, edge: { sourceHandle: 'r', targetHandle: 'l', type: 'smoothstep' }, keys: LEFT_RIGHT_KEYS },
+  tidy: { label: 'Compact (tidy tree)', place: placeTidy, edge: { sourceHandle: 'b', targetHandle: 't', type: 'smoothstep' }, keys: TOP_DOWN_KEYS },
+  // no single direction leads inwards on a circle; use the top-down keys
+  radial: { label: 'Radial', place: placeRadial, edge: { sourceHandle: 'c', targetHandle: 'c', type: 'straight' }, keys: TOP_DOWN_KEYS },
+};
+
+export const DEFAULT_LAYOUT = 'vertical';
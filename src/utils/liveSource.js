@@ -0,0 +1,103 @@
+// Live sources for watch mode: a WebSocket, a server-sent event stream or an
+// HTTP endpoint polled at an interval. Each delivers the whole document as
+// text, once per update.
+//
+// watchSource({ kind, url, interval }, { onText, onStatus }) connects and
+// returns a function that disconnects. onStatus receives 'connecting',
+// 'live', 'reconnecting' or 'closed', and a message for problems.
+
+export const LIVE_KINDS = [
+  { id: 'websocket', label: 'WebSocket' },
+  { id: 'sse', label: 'Server-sent events' },
+  { id: 'poll', label: 'Poll' },
+];
+
+// polling interval in seconds: the default and the shortest allowed
+export const DEFAULT_POLL_INTERVAL = 2;
+export const MIN_POLL_INTERVAL = 0.5;
+
+// the example each kind offers, served by scripts/mock-server.js
+export const MOCK_URLS = {
+  websocket: 'ws://localhost:4000/live/socket',
+  sse: 'http://localhost:4000/live/events',
+  poll: 'http://localhost:4000/live.json',
+};
+
+// what is wrong with a source, or null
+export function sourceProblem({ kind, url, interval }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Enter a full URL';
+  }
+  const schemes = kind === 'websocket' ? ['ws:', 'wss:'] : ['http:', 'https:'];
+  if (!schemes.includes(parsed.protocol)) return `${LIVE_KINDS.find((k) => k.id === kind).label} URLs start with ${schemes.map((s) => `${s}//`).join(' or ')}`;
+  if (kind === 'poll' && !(interval >= MIN_POLL_INTERVAL)) return `Poll every ${MIN_POLL_INTERVAL} seconds or less often`;
+  return null;
+}
+
+function watchSocket(url, { onText, onStatus }) {
+  const socket = new WebSocket(url);
+  let stopped = false;
+  socket.onopen = () => onStatus('live');
+  socket.onmessage = (e) => {
+    if (typeof e.data === 'string') onText(e.data);
+  };
+  // the browser says nothing about why a socket failed; close follows error
+  socket.onclose = (e) => {
+    if (!stopped) onStatus('closed', e.wasClean ? null : `The connection to ${url} failed or was lost`);
+  };
+  return () => {
+    stopped = true;
+    socket.close();
+  };
+}
+
+function watchEvents(url, { onText, onStatus }) {
+  const events = new EventSource(url);
+  events.onopen = () => onStatus('live');
+  events.onmessage = (e) => onText(e.data);
+  // EventSource retries by itself unless the server refused the stream
+  events.onerror = () => {
+    if (events.readyState === EventSource.CLOSED) onStatus('closed', `${url} refused the event stream`);
+    else onStatus('reconnecting', 'The stream dropped; retrying');
+  };
+  return () => events.close();
+}
+
+function watchPolling(url, interval, { onText, onStatus }) {
+  let stopped = false;
+  let timer = null;
+  let last = null;
+  async function poll() {
+    try {
+      const res = await fetch(url, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`${url} answered ${res.status} ${res.statusText}`);
+      const text = await res.text();
+      if (stopped) return;
+      onStatus('live');
+      // an unchanged response is not an update
+      if (text !== last) {
+        last = text;
+        onText(text);
+      }
+    } catch (err) {
+      if (stopped) return;
+      onStatus('reconnecting', err instanceof TypeError ? `Could not reach ${url}` : err.message);
+    }
+    if (!stopped) timer = setTimeout(poll, interval * 1000);
+  }
+  poll();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+export function watchSource({ kind, url, interval = DEFAULT_POLL_INTERVAL }, handlers) {
+  handlers.onStatus('connecting');
+  if (kind === 'websocket') return watchSocket(url, handlers);
+  if (kind === 'sse') return watchEvents(url, handlers);
+  return watchPolling(url, interval, handlers);
+}
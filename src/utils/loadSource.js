@@ -0,0 +1,141 @@
+// Getting documents in from outside the editor: files (plain or gzip),
+// the clipboard and URLs. Each loader resolves with { text, format, name }
+// where format is a key of FORMATS (utils/formats).
+import { getCachedFetch, saveCachedFetch } from './documentStore';
+
+// documents longer than this (in characters) aren't put into the textarea
+export const LARGE_TEXT_LENGTH = 1_000_000;
+
+// file extensions that don't appear in FORMATS
+const EXTENSION_FORMATS = {
+  json: 'json',
+  json5: 'json5',
+  jsonc: 'json5',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  yaml: 'yaml',
+  yml: 'yaml',
+  csv: 'csv',
+  tsv: 'tsv',
+  xml: 'xml',
+  toml: 'toml',
+};
+
+const CONTENT_TYPE_FORMATS = [
+  [/ndjson|jsonl|json-seq/, 'ndjson'],
+  [/json/, 'json'],
+  [/yaml/, 'yaml'],
+  [/csv/, 'csv'],
+  [/tab-separated/, 'tsv'],
+  [/xml/, 'xml'],
+  [/toml/, 'toml'],
+];
+
+// format for a file name or URL path, ignoring a trailing .gz; null if unknown
+export function formatForName(name) {
+  const m = /\.([a-z0-9]+)$/i.exec(name.replace(/\.gz$/i, ''));
+  return m ? EXTENSION_FORMATS[m[1].toLowerCase()] ?? null : null;
+}
+
+// best guess from the text itself, for the clipboard and unlabeled responses
+export function sniffFormat(text, fallback = 'json') {
+  const start = text.trimStart();
+  if (start.startsWith('<')) return 'xml';
+  if (start.startsWith('{') || start.startsWith('[')) {
+    // several lines that each hold a whole object: NDJSON
+    const lines = start.split('\n').filter((l) => l.trim());
+    if (lines.length > 1 && lines.every((l) => /^\s*\{.*\}\s*$/.test(l))) return 'ndjson';
+    return 'json';
+  }
+  if (/^---\s*$/m.test(start.slice(0, 200)) || /^[\w"'-]+:\s/.test(start)) return 'yaml';
+  return fallback;
+}
+
+// bytes as text; gzip data (recognized by its magic number) is decompressed first
+export async function decodeBytes(bytes) {
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open gzip files');
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+      throw new Error('The gzip data is damaged or incomplete');
+    }
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+export async function readDocumentFile(file, fallbackFormat = 'json') {
+  const text = await decodeBytes(new Uint8Array(await file.arrayBuffer()));
+  const name = file.name.replace(/\.gz$/i, '');
+  return { text, name, format: formatForName(file.name) ?? sniffFormat(text, fallbackFormat) };
+}
+
+export async function readClipboard(fallbackFormat = 'json') {
+  if (!navigator.clipboard?.readText) throw new Error('This browser does not allow reading the clipboard; paste into the editor instead');
+  let text;
+  try {
+    text = await navigator.clipboard.readText();
+  } catch {
+    throw new Error('Reading the clipboard was not allowed');
+  }
+  if (!text.trim()) throw new Error('The clipboard is empty');
+  return { text, name: 'Clipboard', format: sniffFormat(text, fallbackFormat) };
+}
+
+// "Name: value" lines -> { Name: value }; blank lines are ignored
+export function parseHeaderLines(lines) {
+  const headers = {};
+  lines.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    const colon = line.indexOf(':');
+    if (colon <= 0) throw new Error(`Header line ${i + 1} should look like "Name: value"`);
+    headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+// cache key for a URL and request headers. Header values (often tokens) are
+// only stored as a SHA-256 digest; null when that can't be computed (no
+// SubtleCrypto outside secure contexts), which leaves the request uncached.
+async function cacheKey(href, headers) {
+  const names = Object.keys(headers).sort();
+  if (names.length === 0) return JSON.stringify([href, {}]);
+  if (!globalThis.crypto?.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify(names.map((n) => [n.toLowerCase(), headers[n]])));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return JSON.stringify([href, [...digest].map((b) => b.toString(16).padStart(2, '0')).join('')]);
+}
+
+// fetch a document; with useCache a copy fetched earlier with the same headers
+// is returned instead. cachedAt is set (ms) when the result came from the cache.
+export async function fetchDocument(url, { headers = {}, useCache = true, fallbackFormat = 'json' } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch {
+    throw new Error(`"${url}" is not a valid URL`);
+  }
+  const key = await cacheKey(parsed.href, headers);
+  if (useCache && key) {
+    const cached = await getCachedFetch(key).catch(() => null);
+    if (cached) return { text: cached.text, format: cached.format, name: cached.name, cachedAt: cached.fetchedAt };
+  }
+
+  let response;
+  try {
+    response = await fetch(parsed.href, { headers });
+  } catch {
+    throw new Error(`Could not reach ${parsed.host}. The server may be down or may not allow requests from this page (CORS).`);
+  }
+  if (!response.ok) throw new Error(`${parsed.href} answered ${response.status} ${response.statusText}`.trim());
+  const text = await decodeBytes(new Uint8Array(await response.arrayBuffer()));
+  const contentType = response.headers.get('content-type') ?? '';
+  const format = formatForName(parsed.pathname)
+    ?? CONTENT_TYPE_FORMATS.find(([re]) => re.test(contentType))?.[1]
+    ?? sniffFormat(text, fallbackFormat);
+  const name = parsed.pathname.split('/').pop() || parsed.host;
+  // caching is best effort (e.g. no IndexedDB in private browsing)
+  if (key) await saveCachedFetch({ key, url: parsed.href, name, text, format }).catch(() => {});
+  return { text, format, name, cachedAt: null };
+}
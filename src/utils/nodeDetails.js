@@ -0,0 +1,103 @@
+// Facts about one value for the node details panel: type, size, counts and
+// what a string appears to contain.
+import { stringifyJson, parseJson } from './jsonParser';
+import { valueType } from './jsonEdit';
+import { childCount } from './treeLayout';
+
+// longest preview rendered in the panel; copying still uses the whole value
+export const PREVIEW_LIMIT = 20000;
+
+// deepest nesting below value (0 for primitives and empty containers)
+function nestedDepth(value) {
+  if (value === null || typeof value !== 'object') return 0;
+  let max = 0;
+  for (const v of Object.values(value)) max = Math.max(max, 1 + nestedDepth(v));
+  return max;
+}
+
+// { type, bytes, children, depth, nestedDepth, text, preview, truncated }
+// bytes is the UTF-8 size of the compact JSON; text the pretty-printed JSON
+export function describeNodeValue(value, segments) {
+  const text = stringifyJson(value, 2);
+  const compact = stringifyJson(value);
+  const type = typeof value === 'bigint' ? 'number (big integer)' : valueType(value);
+  return {
+    type,
+    bytes: new TextEncoder().encode(compact).length,
+    children: childCount(value),
+    depth: segments.length,
+    nestedDepth: nestedDepth(value),
+    text,
+    preview: text.length > PREVIEW_LIMIT ? text.slice(0, PREVIEW_LIMIT) : text,
+    truncated: text.length > PREVIEW_LIMIT,
+  };
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_COLOR = /^(?:rgba?|hsla?)\(\s*[\d.]+%?\s*[,\s]\s*[\d.]+%?\s*[,\s]\s*[\d.]+%?\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/i;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$|^[A-Za-z0-9_-]+$/;
+const DATA_URL = /^data:([\w/+.-]+)?(;base64)?,/;
+
+// decoded base64 if it is readable text, else null
+function decodeBase64Text(s) {
+  let binary;
+  try {
+    binary = atob(s.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(s.length / 4) * 4, '='));
+  } catch {
+    return null;
+  }
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+  // mostly printable characters, or it's probably binary or a plain word
+  let printable = 0;
+  for (const ch of text) if (ch >= ' ' || ch === '\n' || ch === '\t' || ch === '\r') printable++;
+  return text.length > 0 && printable / text.length > 0.95 ? text : null;
+}
+
+// what a string looks like: [{ kind, ... }], most specific first.
+//   date:   { date }  (a Date)
+//   url:    { href }
+//   color:  { color } (a CSS color)
+//   image:  { src }   (a data: URL of an image)
+//   json:   { text }  (pretty-printed)
+//   base64: { text }  (decoded)
+export function detectString(s) {
+  const found = [];
+  const trimmed = s.trim();
+  if (ISO_DATE.test(trimmed)) {
+    const date = new Date(trimmed);
+    if (!Number.isNaN(date.getTime())) found.push({ kind: 'date', date });
+  }
+  const dataUrl = DATA_URL.exec(trimmed);
+  if (dataUrl) {
+    if (dataUrl[1]?.startsWith('image/')) found.push({ kind: 'image', src: trimmed });
+  } else if (/^(?:https?|ftp):\/\/\S+$/i.test(trimmed) || /^mailto:\S+$/i.test(trimmed)) {
+    try {
+      found.push({ kind: 'url', href: new URL(trimmed).href });
+    } catch { /* not a valid URL after all */ }
+  }
+  if (HEX_COLOR.test(trimmed) || FUNCTION_COLOR.test(trimmed)) found.push({ kind: 'color', color: trimmed });
+  if ((trimmed.startsWith('{') || trimmed.startsWith('[')) && trimmed.length > 1) {
+    try {
+      found.push({ kind: 'json', text: stringifyJson(parseJson(trimmed), 2) });
+    } catch { /* not JSON */ }
+  }
+  // short strings are too often plain words that happen to decode
+  if (found.length === 0 && trimmed.length >= 12 && BASE64.test(trimmed)) {
+    const text = decodeBase64Text(trimmed);
+    if (text !== null) found.push({ kind: 'base64', text });
+  }
+  return found;
+}
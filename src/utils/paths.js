@@ -0,0 +1,134 @@
+// A node's location written in the syntaxes people paste it into.
+// Every function takes the node's segments: keys (strings) and array
+// indices (numbers) from the root.
+//
+// The JSONPath form is also how the app names nodes: tree paths, node ids,
+// search results, diff and schema error locations all come from toJsonPath.
+// Keys that aren't identifiers are quoted ($['a.b'], $['items[0]'], $['']), so
+// no two nodes share a path and parsePath reads every path back.
+import { JsonPathError } from './jsonPath';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+// jq's .name shorthand doesn't allow $
+const JQ_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// escapes inside quoted keys, as in RFC 9535 normalized paths; other control
+// characters are written \u00XX
+const ESCAPES = { '\\': '\\\\', "'": "\\'", '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+const UNESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+function quoteKey(key) {
+  return `'${key.replace(/[\\']|[^\x20-\uffff]/g, (c) => ESCAPES[c] ?? `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`)}'`;
+}
+
+// one segment as toJsonPath writes it: .name, ['a.b'] or [0]
+export function segmentText(seg) {
+  if (typeof seg === 'number') return `[${seg}]`;
+  return IDENTIFIER.test(seg) ? `.${seg}` : `[${quoteKey(seg)}]`;
+}
+
+// $.a['b.c'][0]; with wildcardIndices every index is written [*]
+export function toJsonPath(segments, { wildcardIndices = false } = {}) {
+  let out = '$';
+  for (const seg of segments) out += wildcardIndices && typeof seg === 'number' ? '[*]' : segmentText(seg);
+  return out;
+}
+
+// path of a child given its parent's path, without rebuilding the whole string
+export function childPath(path, seg) {
+  return path + segmentText(seg);
+}
+
+// React Flow id of the node at path. Paths are unique per node (see above),
+// so the path itself is the id; ids go through here so that stays one rule.
+export function makeNodeId(path) {
+  return path;
+}
+
+// segments of a path: the form toJsonPath writes, plus double-quoted keys
+// ($["a.b"]); throws a JsonPathError for anything else (wildcards, filters, ...)
+export function parsePath(path) {
+  const src = String(path);
+  if (src[0] !== '$') throw new JsonPathError("Path must start with '$'", 0);
+  const segments = [];
+  let i = 1;
+  while (i < src.length) {
+    if (src[i] === '.') {
+      const name = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(src.slice(i + 1));
+      if (!name) throw new JsonPathError('Expected a key name', i + 1);
+      segments.push(name[0]);
+      i += 1 + name[0].length;
+    } else if (src[i] === '[' && (src[i + 1] === "'" || src[i + 1] === '"')) {
+      const quote = src[i + 1];
+      const start = i;
+      let key = '';
+      i += 2;
+      while (i < src.length && src[i] !== quote) {
+        if (src[i] === '\\') {
+          const c = src[++i];
+          if (c === 'u') {
+            const hex = src.slice(i + 1, i + 5);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw new JsonPathError('Invalid \\u escape', i - 1);
+            key += String.fromCharCode(parseInt(hex, 16));
+            i += 4;
+          } else if (c !== undefined) {
+            key += UNESCAPES[c] ?? c;
+          }
+        } else {
+          key += src[i];
+        }
+        i++;
+      }
+      if (src[i] !== quote || src[i + 1] !== ']') throw new JsonPathError('Unterminated key', start);
+      segments.push(key);
+      i += 2;
+    } else if (src[i] === '[') {
+      const index = /^(0|[1-9]\d*)\]/.exec(src.slice(i + 1));
+      if (!index) throw new JsonPathError('Expected an array index or a quoted key', i + 1);
+      segments.push(Number(index[1]));
+      i += 1 + index[0].length;
+    } else {
+      throw new JsonPathError(`Unexpected character '${src[i]}'`, i);
+    }
+  }
+  return segments;
+}
+
+// path in the form toJsonPath writes, or null when it can't be parsed
+export function canonicalPath(path) {
+  try {
+    return toJsonPath(parsePath(path));
+  } catch {
+    return null;
+  }
+}
+
+// obj["a"]["b.c"][0]
+export function toJsAccessor(segments, root = 'obj') {
+  return root + segments.map((seg) => `[${typeof seg === 'number' ? seg : JSON.stringify(seg)}]`).join('');
+}
+
+// /a/b.c/0 (RFC 6901); the root is the empty string
+export function toJsonPointer(segments) {
+  return segments.map((seg) => `/${String(seg).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+// .a["b.c"][0]
+export function toJq(segments) {
+  if (segments.length === 0) return '.';
+  const out = segments.map((seg) => {
+    if (typeof seg === 'number') return `[${seg}]`;
+    return JQ_IDENTIFIER.test(seg) ? `.${seg}` : `[${JSON.stringify(seg)}]`;
+  }).join('');
+  return out.startsWith('[') ? `.${out}` : out;
+}
+
+// label and text of each syntax, in the order they are offered
+export function pathSyntaxes(segments) {
+  return [
+    { label: 'JSONPath', text: toJsonPath(segments) },
+    { label: 'JavaScript', text: toJsAccessor(segments) },
+    { label: 'JSON Pointer', text: toJsonPointer(segments) },
+    { label: 'jq', text: toJq(segments) },
+  ];
+}
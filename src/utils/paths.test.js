@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { JsonPathError } from './jsonPath';
+import { canonicalPath, childPath, makeNodeId, parsePath, toJq, toJsonPath, toJsonPointer } from './paths';
+
+// keys that break naive path joining
+const AWKWARD_KEYS = [
+  'a.b',
+  'items[0]',
+  "['x']",
+  "it's",
+  'say "hi"',
+  'back\\slash',
+  'line\nbreak',
+  'tab\tand\rreturn',
+  '\u0000\u001f\u007f',
+  'ключ',
+  '名前',
+  '😀 emoji',
+  '',
+  ' ',
+  '0',
+  '$',
+  '-1',
+  'a/b~c',
+];
+
+describe('toJsonPath', () => {
+  it('writes identifiers with dots and indices in brackets', () => {
+    expect(toJsonPath([])).toBe('$');
+    expect(toJsonPath(['store', 'book', 0, 'title'])).toBe('$.store.book[0].title');
+    expect(toJsonPath(['items', 3], { wildcardIndices: true })).toBe('$.items[*]');
+  });
+
+  it('quotes keys that are not identifiers', () => {
+    expect(toJsonPath(['a.b'])).toBe("$['a.b']");
+    expect(toJsonPath(['items[0]'])).toBe("$['items[0]']");
+    expect(toJsonPath([''])).toBe("$['']");
+    expect(toJsonPath(['0'])).toBe("$['0']");
+    expect(toJsonPath(["it's"])).toBe("$['it\\'s']");
+    expect(toJsonPath(['line\nbreak'])).toBe("$['line\\nbreak']");
+    expect(toJsonPath(['\u0001'])).toBe("$['\\u0001']");
+    expect(toJsonPath(['ключ'])).toBe("$['ключ']");
+  });
+
+  it('builds child paths the same way', () => {
+    for (const key of AWKWARD_KEYS) expect(childPath('$.root', key)).toBe(toJsonPath(['root', key]));
+  });
+});
+
+describe('parsePath', () => {
+  it('reads back every path toJsonPath writes', () => {
+    for (const key of AWKWARD_KEYS) {
+      const segments = ['outer', key, 2, key];
+      expect(parsePath(toJsonPath(segments))).toEqual(segments);
+    }
+  });
+
+  it('reads double-quoted keys and \\u escapes', () => {
+    expect(parsePath('$["a.b"][1]')).toEqual(['a.b', 1]);
+    expect(parsePath("$['\\u00e9t\\u00E9']")).toEqual(['été']);
+  });
+
+  it('rejects what is not a single node path', () => {
+    for (const path of ['a.b', '$..a', '$[*]', "$['open", '$[01]', '$.', '$[?(@.a)]', "$['\\u12']"]) {
+      expect(() => parsePath(path)).toThrow(JsonPathError);
+    }
+  });
+});
+
+describe('canonicalPath', () => {
+  it('rewrites paths into the form toJsonPath writes', () => {
+    expect(canonicalPath('$["a"]["b.c"][0]')).toBe("$.a['b.c'][0]");
+    expect(canonicalPath("$['plain']")).toBe('$.plain');
+    for (const key of AWKWARD_KEYS) expect(canonicalPath(toJsonPath([key]))).toBe(toJsonPath([key]));
+  });
+
+  it('returns null for paths it cannot parse', () => {
+    expect(canonicalPath('$..a')).toBeNull();
+    expect(canonicalPath('store.book')).toBeNull();
+  });
+});
+
+describe('toJsonPointer', () => {
+  it('escapes ~ and / and leaves everything else as is', () => {
+    expect(toJsonPointer([])).toBe('');
+    expect(toJsonPointer(['a/b~c', 0])).toBe('/a~1b~0c/0');
+    expect(toJsonPointer(['', 'a.b', 'ключ'])).toBe('//a.b/ключ');
+    expect(toJsonPointer(['~1'])).toBe('/~01');
+  });
+});
+
+describe('toJq', () => {
+  it('uses .name for identifiers and quoted brackets for the rest', () => {
+    expect(toJq([])).toBe('.');
+    expect(toJq(['a', 0, 'b'])).toBe('.a[0].b');
+    expect(toJq([0])).toBe('.[0]');
+    expect(toJq(['a.b'])).toBe('.["a.b"]');
+    expect(toJq(['$id'])).toBe('.["$id"]');
+    expect(toJq(['', 'line\nbreak'])).toBe('.[""]["line\\nbreak"]');
+  });
+});
+
+describe('makeNodeId', () => {
+  it('gives every node of an awkward document its own id', () => {
+    // siblings whose keys collide under naive joining: a.b vs a → b, '0' vs
+    // index 0, '' vs the parent itself
+    const segmentLists = [[], ['a'], ['a', 'b'], [0], ['x', 0]];
+    for (const key of AWKWARD_KEYS) segmentLists.push([key], ['x', key], [key, 0]);
+    const ids = segmentLists.map((segments) => makeNodeId(toJsonPath(segments)));
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
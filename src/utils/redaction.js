@@ -0,0 +1,263 @@
+// Redaction: find likely sensitive values (emails, JWTs, API keys, secrets,
+// card and phone numbers, as text or as numbers) plus whatever the user's
+// JSONPath patterns select, and mask them or swap in fake values. The same
+// original always gets the same fake within a document, so equal values still
+// look equal. Replacements keep the JSON type of the original: numbers become
+// numbers, booleans false, and null stays null.
+//
+// options = { detectors: [ids of DETECTORS], patterns: 'one JSONPath per line', mode: 'mask' | 'fake' }
+//
+// Object keys the detectors match (e.g. a map keyed by email) are redacted
+// too, so paths under them differ from the original document; everything else
+// keeps its path.
+import { normalizeQuery, parseJsonPath, queryJsonPath } from './jsonPath';
+import { toNumber } from './jsonParser';
+import { toJsonPath } from './paths';
+
+export const DETECTORS = [
+  { id: 'email', label: 'Emails' },
+  { id: 'jwt', label: 'JWTs' },
+  { id: 'apiKey', label: 'API keys and tokens' },
+  { id: 'secret', label: 'Passwords and secrets (by key name)' },
+  { id: 'card', label: 'Card numbers' },
+  { id: 'phone', label: 'Phone numbers' },
+];
+
+export const DEFAULT_REDACTION = { detectors: DETECTORS.map((d) => d.id), patterns: '', mode: 'mask' };
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+// well-known key formats (Stripe, GitHub, AWS, Slack, Google) ...
+const API_KEY = /\b(?:[spr]k_(?:live|test)_[A-Za-z0-9]{10,}|gh[pousr]_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g;
+// ... and long random-looking strings: mixed case and digits, so lowercase
+// hex ids, hashes and UUIDs are left alone
+const TOKEN = /^[A-Za-z0-9_\-+/=.]{32,}$/;
+const SECRET_KEY = /(pass(word|wd)?|secret|token|api[-_]?key|auth(orization)?|credentials?|private[-_]?key)$/i;
+const CARD = /^[2-6]\d{3}(?:[ -]?\d{3,4}){2,4}$/;
+const PHONE = /^\+?\(?\d[\d ().-]{5,}\d$/;
+const PHONE_KEY = /phone|mobile|msisdn|^(tel|cell|fax)$/i;
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function isCard(s) {
+  if (!CARD.test(s)) return false;
+  const digits = s.replace(/\D/g, '');
+  return digits.length >= 13 && digits.length <= 19 && luhn(digits);
+}
+
+// key: the name of the property holding s, if any
+function isPhone(s, key) {
+  if (!PHONE.test(s)) return false;
+  const digits = s.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15) return false;
+  // dates, times and IP addresses look alike
+  if (/^\d{4}-\d{2}-\d{2}|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$|^\d{1,3}(\.\d{1,3}){3}$/.test(s)) return false;
+  // a bare run of digits is more likely an id, unless the key says otherwise
+  return s.startsWith('+') || /\d[ ().-]+\d/.test(s) || (key !== undefined && PHONE_KEY.test(key));
+}
+
+function isToken(s) {
+  return TOKEN.test(s) && /[a-z]/.test(s) && /[A-Z]/.test(s) && /\d/.test(s);
+}
+
+// what is wrong with each pattern line: [{ line, message }]
+export function patternProblems(patterns) {
+  const problems = [];
+  patterns.split('\n').forEach((line, i) => {
+    const query = normalizeQuery(line);
+    if (!query) return;
+    try {
+      parseJsonPath(query);
+    } catch (err) {
+      problems.push({ line: i + 1, message: err.message });
+    }
+  });
+  return problems;
+}
+
+function base64Url(text) {
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// consistent fakes: numbered per kind in the order originals are met, and
+// made once per original, so a name redacted under two keys reads the same
+function createFaker() {
+  const made = new Map();
+  const counts = {};
+  return function fake(kind, original, name) {
+    const key = `${kind}\u0000${typeof original}\u0000${original}`;
+    if (!made.has(key)) {
+      const counter = `${kind} ${typeof original}`;
+      counts[counter] = (counts[counter] || 0) + 1;
+      made.set(key, makeFake(kind, original, name, counts[counter]));
+    }
+    return made.get(key);
+  };
+}
+
+function makeFake(kind, original, name, n) {
+  if (typeof original === 'boolean') return false;
+  if (original === null) return null;
+  if (typeof original !== 'string') {
+    // numbers stay numbers: a card or phone number as its digits, anything else the counter
+    if (kind === 'card' || kind === 'phone') return toNumber(makeFake(kind, '', name, n).replace(/\D/g, ''));
+    return n;
+  }
+  switch (kind) {
+    case 'email': return `user${n}@example.com`;
+    case 'jwt': return `${base64Url('{"alg":"none"}')}.${base64Url(`{"sub":"user${n}"}`)}.`;
+    case 'apiKey': return `key_redacted_${n}`;
+    case 'secret': return `secret-${n}`;
+    case 'card': {
+      // a Luhn-valid number from the 4000… test range
+      const body = `400000${String(n).padStart(9, '0')}`;
+      const check = [...Array(10).keys()].find((d) => luhn(body + d));
+      return body + check;
+    }
+    case 'phone': return `+1 555 ${String(100 + n).padStart(4, '0')}`;
+    default: return `${name} ${n}`;
+  }
+}
+
+function mask(kind, original) {
+  if (typeof original === 'number' || typeof original === 'bigint') return 0;
+  if (typeof original === 'boolean') return false;
+  if (original === null) return null;
+  if (kind === 'card') return `•••• ${original.replace(/\D/g, '').slice(-4)}`;
+  if (kind === 'email') return '•••@•••';
+  return '••••••••';
+}
+
+// { data, items, problems }: data with the sensitive values and keys replaced
+// (the input is not changed), what was replaced and the problems of the
+// pattern lines. Each item is { path, segments, originalPath,
+// originalSegments, kind, original, replacement, key }: path and segments
+// locate it in the redacted data, and key is true for a redacted key.
+export function redactDocument(data, options) {
+  return redactDocuments([data], options)[0];
+}
+
+// redactDocument for several documents sharing one set of fakes, so a value
+// in both (e.g. the two sides of a diff) gets the same fake in both
+export function redactDocuments(documents, options) {
+  const fake = createFaker();
+  return documents.map((data) => redactWith(data, options, fake));
+}
+
+function redactWith(data, { detectors = [], patterns = '', mode = 'mask' } = {}, fake) {
+  const on = new Set(detectors);
+  const problems = patternProblems(patterns);
+  // paths the patterns select; everything under them is redacted too
+  const selected = new Set();
+  for (const line of patterns.split('\n')) {
+    const query = normalizeQuery(line);
+    if (!query) continue;
+    try {
+      for (const m of queryJsonPath(data, query)) selected.add(toJsonPath(m.path));
+    } catch { /* listed in problems */ }
+  }
+
+  const replace = (kind, original, name) => (mode === 'fake' ? fake(kind, original, name) : mask(kind, original));
+  const items = [];
+
+  const item = (segments, shown, kind, original, replacement, key = false) => ({
+    path: toJsonPath(shown),
+    segments: shown,
+    originalPath: toJsonPath(segments),
+    originalSegments: segments,
+    kind,
+    original,
+    replacement,
+    key,
+  });
+
+  // the new names of value's keys: detected keys are replaced, with a number
+  // added where that would reuse a name already in value
+  function redactKeys(value, segments, shown) {
+    const keys = Object.keys(value);
+    const found = keys.map((k) => redactString(k, undefined));
+    const taken = new Set(keys.filter((k, i) => !found[i].kind));
+    return keys.map((k, i) => {
+      const { kind, next } = found[i];
+      if (!kind) return k;
+      let name = next;
+      for (let n = 2; taken.has(name); n++) name = `${next} (${n})`;
+      taken.add(name);
+      items.push(item([...segments, k], [...shown, name], kind, k, name, true));
+      return name;
+    });
+  }
+
+  // the redacted value, or value itself when nothing in it changed; segments
+  // is its place in data, shown its place in the redacted data
+  function walk(value, segments, shown, key, inSelected) {
+    const picked = inSelected || selected.has(toJsonPath(segments));
+    if (value !== null && typeof value === 'object') {
+      const isArray = Array.isArray(value);
+      const keys = Object.keys(value);
+      const names = isArray ? keys : redactKeys(value, segments, shown);
+      let changed = false;
+      const out = isArray ? [] : {};
+      keys.forEach((k, i) => {
+        const seg = isArray ? Number(k) : k;
+        const name = isArray ? seg : names[i];
+        const next = walk(value[k], [...segments, seg], [...shown, name], isArray ? key : k, picked);
+        // assigning "__proto__" would change the prototype instead of adding a key
+        if (name === '__proto__') Object.defineProperty(out, name, { value: next, enumerable: true, writable: true, configurable: true });
+        else out[name] = next;
+        if (next !== value[k] || name !== seg) changed = true;
+      });
+      return changed ? out : value;
+    }
+    let next = value;
+    let kind = null;
+    if (picked) {
+      kind = 'path';
+      next = replace('path', value, key ?? 'value');
+    } else if (typeof value === 'string') {
+      ({ next, kind } = redactString(value, key));
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+      ({ next, kind } = redactNumber(value, key));
+    }
+    if (kind) items.push(item(segments, shown, kind, value, next));
+    return kind ? next : value;
+  }
+
+  // whole numbers can hold card and phone numbers, and a secret by its key
+  function redactNumber(n, key) {
+    if (on.has('secret') && key !== undefined && SECRET_KEY.test(key)) return { kind: 'secret', next: replace('secret', n) };
+    if (typeof n === 'number' && !Number.isInteger(n)) return { kind: null, next: n };
+    const digits = String(n);
+    if (on.has('card') && isCard(digits)) return { kind: 'card', next: replace('card', n) };
+    if (on.has('phone') && isPhone(digits, key)) return { kind: 'phone', next: replace('phone', n) };
+    return { kind: null, next: n };
+  }
+
+  function redactString(s, key) {
+    if (on.has('secret') && key !== undefined && SECRET_KEY.test(key) && s !== '') return { kind: 'secret', next: replace('secret', s) };
+    if (on.has('card') && isCard(s.trim())) return { kind: 'card', next: replace('card', s.trim()) };
+    if (on.has('phone') && isPhone(s.trim(), key)) return { kind: 'phone', next: replace('phone', s.trim()) };
+    // emails, JWTs and known key formats also hide inside longer text
+    let kind = null;
+    let next = s;
+    for (const [id, re] of [['jwt', JWT], ['apiKey', API_KEY], ['email', EMAIL]]) {
+      if (!on.has(id)) continue;
+      next = next.replace(re, (match) => {
+        kind = kind ?? id;
+        return replace(id, match);
+      });
+    }
+    if (!kind && on.has('apiKey') && isToken(s)) return { kind: 'apiKey', next: replace('apiKey', s) };
+    return { kind, next };
+  }
+
+  return { data: walk(data, [], [], undefined, false), items, problems };
+}
@@ -0,0 +1,82 @@
+// Sessions: the document together with how it is being looked at, so it can
+// be restored after a reload or sent to someone else as a link.
+//
+//   { text, format, query, theme, view, transform, annotations }
+//
+// view is what TreeVisualizer reports: { expandDepth, expandOverrides, layout,
+// viewport }; transform is the transform panel's expression and annotations
+// the notes pinned to nodes (utils/annotations). Share links carry the
+// session deflated and base64url-encoded in the URL fragment (#s=…), which
+// never reaches a server.
+
+const FRAGMENT_KEY = 's';
+// links beyond this length get cut off by chat apps, mail clients and some
+// browsers' address bars
+export const MAX_LINK_LENGTH = 32000;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // fromCharCode with too many arguments overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(s) {
+  const binary = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipe(bytes, transform) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+}
+
+// compressed, URL-safe form of a session
+export async function encodeSession(session) {
+  if (typeof CompressionStream === 'undefined') throw new Error('This browser cannot create share links');
+  const { text, format, query, theme, view, transform, annotations } = session;
+  const json = JSON.stringify({ v: 1, text, format, query, theme, view, transform, annotations });
+  return toBase64Url(await pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw')));
+}
+
+export async function decodeSession(encoded) {
+  let session;
+  try {
+    const bytes = await pipe(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+    session = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('The shared link is damaged or incomplete; it may have been cut off when it was sent');
+  }
+  if (!session || session.v !== 1 || typeof session.text !== 'string') {
+    throw new Error('The shared link was made by an incompatible version of this page');
+  }
+  return session;
+}
+
+// link to the current page that opens the session; throws when it would be too long
+export async function createShareLink(session, location = window.location) {
+  const url = `${location.origin}${location.pathname}${location.search}#${FRAGMENT_KEY}=${await encodeSession(session)}`;
+  if (url.length > MAX_LINK_LENGTH) {
+    const kb = (n) => `${Math.ceil(n / 1024)} KB`;
+    throw new Error(`This document is too big to share as a link: even compressed the link would be ${kb(url.length)}, and links over ${kb(MAX_LINK_LENGTH)} get cut off. Save a snapshot or download the file and send that instead.`);
+  }
+  return url;
+}
+
+// encoded session in a location hash such as "#s=…", or null
+export function sharedSessionParam(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(FRAGMENT_KEY);
+}
+
+// short name for a document in the documents list, e.g. "{name, tags, address…}"
+export function describeDocument(data, text) {
+  if (Array.isArray(data)) return `[${data.length} ${data.length === 1 ? 'item' : 'items'}]`;
+  if (data !== null && typeof data === 'object') {
+    const keys = Object.keys(data);
+    return `{${keys.slice(0, 3).join(', ')}${keys.length > 3 ? '…' : ''}}`;
+  }
+  const line = text.trim().split('\n')[0] ?? '';
+  return line.length > 40 ? line.slice(0, 39) + '…' : line || 'Empty document';
+}
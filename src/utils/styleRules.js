@@ -0,0 +1,179 @@
+// Conditional formatting of tree nodes. A rule is a flat record:
+//   { id, enabled, name, path, test, value, color, icon, badge, dim }
+// path is a JSONPath query (empty for every node), test/value a condition on
+// the node's value (see RULE_TESTS), and color/icon/badge/dim what a matching
+// node gets. Each style comes from the first enabled rule that matches and
+// sets it; nodes no rule matches keep their type colors.
+import { normalizeQuery, parseJsonPath, queryJsonPath } from './jsonPath';
+import { stringifyJson } from './jsonParser';
+import { valueType, VALUE_TYPES } from './jsonEdit';
+import { toJsonPath } from './paths';
+
+// value conditions: all but 'type' only match primitive values
+export const RULE_TESTS = [
+  { id: 'any', label: 'any value' },
+  { id: 'equals', label: 'equals' },
+  { id: 'contains', label: 'contains' },
+  { id: 'matches', label: 'matches regex' },
+  { id: '>', label: '>' },
+  { id: '>=', label: '≥' },
+  { id: '<', label: '<' },
+  { id: '<=', label: '≤' },
+  { id: 'type', label: 'is of type' },
+];
+const TEST_IDS = new Set(RULE_TESTS.map((t) => t.id));
+const NUMERIC_TESTS = new Set(['>', '>=', '<', '<=']);
+
+// written at the top of exported rule files, and checked on import
+const FILE_FORMAT = 'json-tree-style-rules';
+
+const RULE_DEFAULTS = { enabled: true, name: '', path: '', test: 'any', value: '', color: '', icon: '', badge: '', dim: false };
+const STYLE_FIELDS = ['color', 'icon', 'badge', 'dim'];
+
+let nextId = 1;
+
+export function newRule(fields = {}) {
+  return { id: `rule-${Date.now().toString(36)}-${nextId++}`, ...RULE_DEFAULTS, ...fields };
+}
+
+// the examples offered in the panel
+export function exampleRules() {
+  return [
+    newRule({ name: 'Errors', path: '$..status', test: 'equals', value: 'error', color: '#dc2626', icon: '⚠' }),
+    newRule({ name: 'Large numbers', test: '>', value: '1000', color: '#d97706', badge: 'large' }),
+    newRule({ name: 'Nulls', test: 'type', value: 'null', dim: true }),
+  ];
+}
+
+// what is wrong with a rule, or null; rules with problems are skipped
+export function ruleProblem(rule) {
+  const query = normalizeQuery(rule.path);
+  if (query) {
+    try {
+      parseJsonPath(query);
+    } catch (err) {
+      return `Path: ${err.message}`;
+    }
+  }
+  if (rule.test === 'matches') {
+    try {
+      new RegExp(rule.value);
+    } catch (err) {
+      return `Regex: ${err.message}`;
+    }
+  }
+  if (NUMERIC_TESTS.has(rule.test) && (rule.value.trim() === '' || !Number.isFinite(Number(rule.value)))) return 'Enter a number to compare with';
+  if (rule.test === 'type' && !VALUE_TYPES.includes(rule.value)) return `Type is one of ${VALUE_TYPES.join(', ')}`;
+  return null;
+}
+
+// text a primitive is compared as: strings as they are, the rest as JSON
+function valueText(value) {
+  return typeof value === 'string' ? value : stringifyJson(value);
+}
+
+function makeTest(rule) {
+  const wanted = rule.value;
+  switch (rule.test) {
+    case 'equals':
+      return (value) => valueText(value) === wanted;
+    case 'contains': {
+      const needle = wanted.toLowerCase();
+      return (value) => valueText(value).toLowerCase().includes(needle);
+    }
+    case 'matches': {
+      const re = new RegExp(wanted);
+      return (value) => re.test(valueText(value));
+    }
+    case '>': case '>=': case '<': case '<=': {
+      const limit = Number(wanted);
+      return (value) => {
+        if (valueType(value) !== 'number') return false;
+        const n = Number(value);
+        return rule.test === '>' ? n > limit : rule.test === '>=' ? n >= limit : rule.test === '<' ? n < limit : n <= limit;
+      };
+    }
+    default:
+      return () => true;
+  }
+}
+
+// the enabled, valid rules prepared for data: path queries are run once here
+// and tests built, so styling a node is a few set lookups and comparisons.
+// Rules may leave out fields (e.g. when passed to JsonTree by hand).
+export function compileStyleRules(data, rules) {
+  if (!rules?.length || data === undefined) return [];
+  const compiled = [];
+  for (const given of rules) {
+    const rule = { ...RULE_DEFAULTS, ...given };
+    if (!rule.enabled || ruleProblem(rule) || !STYLE_FIELDS.some((key) => rule[key])) continue;
+    const query = normalizeQuery(rule.path);
+    let paths = null;
+    if (query) {
+      try {
+        paths = new Set(queryJsonPath(data, query).map((m) => toJsonPath(m.path)));
+      } catch {
+        continue;
+      }
+    }
+    compiled.push({ rule, paths, test: makeTest(rule) });
+  }
+  return compiled;
+}
+
+// { color, icon, badge, dim } for the node at path with type (object, array
+// or primitive) and, for primitives, value; null when no rule matches
+export function ruleStyle(compiled, path, type, value) {
+  let style = null;
+  for (const { rule, paths, test } of compiled) {
+    if (paths && !paths.has(path)) continue;
+    if (rule.test === 'type') {
+      if ((type === 'primitive' ? valueType(value) : type) !== rule.value) continue;
+    } else if (rule.test !== 'any' && (type !== 'primitive' || !test(value))) {
+      continue;
+    }
+    style = style ?? {};
+    for (const key of STYLE_FIELDS) {
+      if (rule[key] && style[key] === undefined) style[key] = rule[key];
+    }
+  }
+  return style;
+}
+
+// ids are local to this browser and left out
+const EXPORTED_FIELDS = Object.keys(RULE_DEFAULTS);
+
+export function exportRules(rules) {
+  const list = rules.map((rule) => Object.fromEntries(EXPORTED_FIELDS.map((key) => [key, rule[key]])));
+  return JSON.stringify({ format: FILE_FORMAT, version: 1, rules: list }, null, 2) + '\n';
+}
+
+// rules from an exported file (or a bare array of rules), with fresh ids;
+// throws an Error saying what is wrong
+export function importRules(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (!Array.isArray(parsed) && parsed?.format !== FILE_FORMAT) throw new Error('Not a style rules file');
+  const list = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(list)) throw new Error('The file has no rules list');
+  return list.map((item, i) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) throw new Error(`Rule ${i + 1} is not an object`);
+    const rule = newRule();
+    for (const key of ['name', 'path', 'value', 'color', 'icon', 'badge']) {
+      if (item[key] === undefined) continue;
+      if (typeof item[key] !== 'string') throw new Error(`Rule ${i + 1}: ${key} must be a string`);
+      rule[key] = item[key];
+    }
+    if (item.test !== undefined) {
+      if (!TEST_IDS.has(item.test)) throw new Error(`Rule ${i + 1}: unknown test "${item.test}"`);
+      rule.test = item.test;
+    }
+    rule.enabled = item.enabled !== false;
+    rule.dim = item.dim === true;
+    return rule;
+  });
+}
@@ -0,0 +1,90 @@
+// Table of an array's items for the table view: one row per item, one column
+// per key found in any of the object items. Items that aren't objects put
+// their value in a VALUE_COLUMN column.
+import { stringifyCsv } from './csv';
+import { stringifyJson } from './jsonParser';
+import { valueType } from './jsonEdit';
+
+export const VALUE_COLUMN = '(value)';
+
+function isRecord(item) {
+  return valueType(item) === 'object';
+}
+
+// column names in the order their keys first appear
+export function tableColumns(items) {
+  const columns = [];
+  const known = new Set();
+  let plain = false;
+  for (const item of items) {
+    if (!isRecord(item)) {
+      plain = true;
+      continue;
+    }
+    for (const key of Object.keys(item)) {
+      if (!known.has(key)) {
+        known.add(key);
+        columns.push(key);
+      }
+    }
+  }
+  // "(value)" is also a valid key; a real key of that name wins
+  if (plain && !known.has(VALUE_COLUMN)) columns.push(VALUE_COLUMN);
+  return columns;
+}
+
+// { missing: true } or { value } for an item's cell in column
+export function cellOf(item, column) {
+  if (isRecord(item)) return Object.prototype.hasOwnProperty.call(item, column) ? { value: item[column] } : { missing: true };
+  return column === VALUE_COLUMN ? { value: item } : { missing: true };
+}
+
+// text a cell is filtered by, and shown as when it isn't a container
+export function cellText(cell) {
+  if (cell.missing) return '';
+  const v = cell.value;
+  return typeof v === 'string' ? v : stringifyJson(v);
+}
+
+// order used for sorting one column: numbers, then strings, booleans, null,
+// objects and arrays; missing cells always come last (see sortRows)
+const TYPE_ORDER = ['number', 'string', 'boolean', 'null', 'object', 'array'];
+
+function compareValues(a, b) {
+  const ta = valueType(a);
+  const tb = valueType(b);
+  if (ta !== tb) return TYPE_ORDER.indexOf(ta) - TYPE_ORDER.indexOf(tb);
+  if (ta === 'number') return a < b ? -1 : a > b ? 1 : 0;
+  if (ta === 'string') return a.localeCompare(b, undefined, { numeric: true });
+  if (ta === 'boolean') return Number(a) - Number(b);
+  if (ta === 'null') return 0;
+  return stringifyJson(a).localeCompare(stringifyJson(b));
+}
+
+// rows ({ index, item }) of items that match every filter (column -> text,
+// case-insensitive substring), sorted by sort ({ column, descending }) if given
+export function tableRows(items, { filters = {}, sort = null } = {}) {
+  const active = Object.entries(filters).filter(([, text]) => text.trim() !== '').map(([column, text]) => [column, text.trim().toLowerCase()]);
+  const rows = [];
+  items.forEach((item, index) => {
+    for (const [column, text] of active) {
+      if (!cellText(cellOf(item, column)).toLowerCase().includes(text)) return;
+    }
+    rows.push({ index, item });
+  });
+  if (sort) {
+    const direction = sort.descending ? -1 : 1;
+    rows.sort((a, b) => {
+      const ca = cellOf(a.item, sort.column);
+      const cb = cellOf(b.item, sort.column);
+      if (ca.missing || cb.missing) return (ca.missing ? 1 : 0) - (cb.missing ? 1 : 0) || a.index - b.index;
+      return compareValues(ca.value, cb.value) * direction || a.index - b.index;
+    });
+  }
+  return rows;
+}
+
+// CSV of the rows as shown: the given columns, missing cells left empty
+export function tableToCsv(columns, rows) {
+  return stringifyCsv([columns, ...rows.map(({ item }) => columns.map((column) => cellOf(item, column).value))]);
+}
@@ -0,0 +1,371 @@
+// TOML 1.0 reader and writer.
+//
+// parseToml() supports tables, arrays of tables, dotted and quoted keys,
+// inline tables, arrays, all four string forms, integers (decimal, hex,
+// octal, binary, with underscores), floats (inf, nan), booleans and
+// date/time values. Dates and times have no JSON type, so they are kept as
+// their original text.
+//
+// stringifyToml() needs an object at the top; TOML has no null, so nulls are
+// rejected with their path.
+import { toJsonPath } from './paths';
+import { parseErrorAt, toNumber } from './jsonParser';
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+const DATETIME = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+export function parseToml(text) {
+  let i = 0;
+  const n = text.length;
+  const root = {};
+  // tables created by a [header] or by a key = value, which can't be reopened
+  const defined = new Set();
+  // inline tables and arrays are closed for later additions
+  const frozen = new Set();
+  // arrays created by [[header]]; only their last table can be extended
+  const tableArrays = new Set();
+
+  function fail(message, at = i, length = 1, suggestion = null) {
+    throw parseErrorAt(text, message, at, length, suggestion);
+  }
+
+  function skipWs() {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  }
+
+  // whitespace, comments and newlines (inside arrays)
+  function skipWsLines() {
+    for (;;) {
+      skipWs();
+      if (text[i] === '#') while (i < n && text[i] !== '\n') i++;
+      if (text[i] === '\r' && text[i + 1] === '\n') i++;
+      if (text[i] !== '\n') return;
+      i++;
+    }
+  }
+
+  function endOfLine() {
+    skipWs();
+    if (text[i] === '#') while (i < n && text[i] !== '\n') i++;
+    if (text[i] === '\r' && text[i + 1] === '\n') i++;
+    if (i < n && text[i] !== '\n') fail(`Expected the end of the line but found '${text[i]}'`, i, 1, 'Put each key/value pair on its own line');
+    i++;
+  }
+
+  function basicString() {
+    const multi = text.startsWith('"""', i);
+    const start = i;
+    i += multi ? 3 : 1;
+    // a newline right after the opening quotes is trimmed
+    if (multi && text[i] === '\n') i++;
+    else if (multi && text[i] === '\r' && text[i + 1] === '\n') i += 2;
+    let out = '';
+    for (;;) {
+      if (i >= n) fail('Unterminated string', start, multi ? 3 : 1, `Add the closing ${multi ? '"""' : '"'}`);
+      const ch = text[i];
+      if (multi ? text.startsWith('"""', i) : ch === '"') {
+        if (multi) {
+          // up to two quotes may directly precede the closing delimiter
+          let q = 3;
+          while (text[i + q] === '"' && q < 5) q++;
+          out += '"'.repeat(q - 3);
+          i += q;
+        } else {
+          i++;
+        }
+        return out;
+      }
+      if (ch === '\\') {
+        const e = text[i + 1];
+        if (ESCAPES[e] !== undefined) {
+          out += ESCAPES[e];
+          i += 2;
+        } else if (e === 'u' || e === 'U') {
+          const len = e === 'u' ? 4 : 8;
+          const hex = text.slice(i + 2, i + 2 + len);
+          if (!new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) fail(`Invalid \\${e} escape`, i, 2 + hex.length);
+          out += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + len;
+        } else if (multi && /[ \t\r\n]/.test(e)) {
+          // line-ending backslash: trim the break and following whitespace
+          let k = i + 1;
+          while (text[k] === ' ' || text[k] === '\t') k++;
+          if (text[k] !== '\n' && text[k] !== '\r') fail('Invalid escape sequence', i, 2);
+          while (/[ \t\r\n]/.test(text[k] || '')) k++;
+          i = k;
+        } else {
+          fail(`Invalid escape sequence '\\${e ?? ''}'`, i, 2);
+        }
+        continue;
+      }
+      if (ch === '\n' && !multi) fail('Unterminated string', start, i - start, 'Close the string on the same line, or use """ for multi-line strings');
+      out += ch;
+      i++;
+    }
+  }
+
+  function literalString() {
+    const multi = text.startsWith("'''", i);
+    const start = i;
+    i += multi ? 3 : 1;
+    if (multi && text[i] === '\n') i++;
+    else if (multi && text[i] === '\r' && text[i + 1] === '\n') i += 2;
+    const close = multi ? "'''" : "'";
+    const end = text.indexOf(close, i);
+    const lineEnd = text.indexOf('\n', i);
+    if (end === -1 || (!multi && lineEnd !== -1 && lineEnd < end)) fail('Unterminated string', start, multi ? 3 : 1, `Add the closing ${close}`);
+    let stop = end;
+    if (multi) while (text[stop + 3] === "'" && stop - end < 2) stop++;
+    const out = text.slice(i, stop);
+    i = stop + close.length;
+    return out;
+  }
+
+  function key() {
+    if (text[i] === '"') {
+      if (text.startsWith('"""', i)) fail('Multi-line strings cannot be keys');
+      return basicString();
+    }
+    if (text[i] === "'") {
+      if (text.startsWith("'''", i)) fail('Multi-line strings cannot be keys');
+      return literalString();
+    }
+    BARE_KEY.lastIndex = i;
+    const m = BARE_KEY.exec(text);
+    if (!m) fail(`Expected a key but found '${text[i] ?? 'end of input'}'`, i, 1, 'Quote keys that contain other characters than A-Z a-z 0-9 _ -');
+    i += m[0].length;
+    return m[0];
+  }
+
+  // dotted key: a.b."c d"
+  function keyPath() {
+    const parts = [key()];
+    for (;;) {
+      skipWs();
+      if (text[i] !== '.') return parts;
+      i++;
+      skipWs();
+      parts.push(key());
+    }
+  }
+
+  function value() {
+    const ch = text[i];
+    if (ch === '"') return basicString();
+    if (ch === "'") return literalString();
+    if (ch === '[') return array();
+    if (ch === '{') return inlineTable();
+    if (text.startsWith('true', i) && !/[\w-]/.test(text[i + 4] || '')) {
+      i += 4;
+      return true;
+    }
+    if (text.startsWith('false', i) && !/[\w-]/.test(text[i + 5] || '')) {
+      i += 5;
+      return false;
+    }
+    DATETIME.lastIndex = i;
+    const dt = DATETIME.exec(text);
+    if (dt) {
+      i += dt[0].length;
+      return dt[0];
+    }
+    const m = /[+-]?(?:inf|nan)|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[+-]?[0-9_]+(?:\.[0-9_]+)?(?:[eE][+-]?[0-9_]+)?/y;
+    m.lastIndex = i;
+    const num = m.exec(text);
+    if (!num) fail(`Unexpected '${ch ?? 'end of input'}'`, i, 1, ch && /[A-Za-z]/.test(ch) ? 'Strings must be quoted' : null);
+    const token = num[0];
+    if (/__|^_|_$|_\.|\._/.test(token.replace(/^[+-]|^0[xob]/, ''))) fail('Underscores must sit between digits', i, token.length);
+    i += token.length;
+    const clean = token.replace(/_/g, '');
+    if (/inf$/.test(clean)) return clean.startsWith('-') ? -Infinity : Infinity;
+    if (/nan$/.test(clean)) return NaN;
+    if (/^0[xob]/.test(clean)) return parseInt(clean.slice(2), { x: 16, o: 8, b: 2 }[clean[1]]);
+    if (/^[+-]?0\d/.test(clean)) fail('Leading zeros are not allowed', i - token.length, token.length);
+    return toNumber(clean.replace(/^\+/, ''));
+  }
+
+  function array() {
+    const open = i;
+    i++;
+    const out = [];
+    for (;;) {
+      skipWsLines();
+      if (text[i] === ']') {
+        i++;
+        frozen.add(out);
+        return out;
+      }
+      if (i >= n) fail("Unterminated array: '[' is never closed", open, 1, "Add the missing ']'");
+      out.push(value());
+      skipWsLines();
+      if (text[i] === ',') i++;
+      else if (text[i] !== ']') fail(`Expected ',' or ']' but found '${text[i] ?? 'end of input'}'`, i, 1, 'Separate array items with commas');
+    }
+  }
+
+  function inlineTable() {
+    i++;
+    const out = {};
+    skipWs();
+    if (text[i] === '}') {
+      i++;
+      frozen.add(out);
+      return out;
+    }
+    for (;;) {
+      skipWs();
+      const at = i;
+      const path = keyPath();
+      skipWs();
+      if (text[i] !== '=') fail("Expected '=' after the key", i, 1, "Write key = value");
+      i++;
+      skipWs();
+      assign(out, path, value(), at);
+      skipWs();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      if (text[i] === '}') {
+        i++;
+        frozen.add(out);
+        return out;
+      }
+      fail(`Expected ',' or '}' but found '${text[i] ?? 'end of input'}'`, i, 1, 'Inline tables must stay on one line');
+    }
+  }
+
+  function setOwn(obj, k, v) {
+    if (k === '__proto__') Object.defineProperty(obj, k, { value: v, enumerable: true, writable: true, configurable: true });
+    else obj[k] = v;
+  }
+
+  // walk into (creating) the tables of a dotted key
+  function descend(table, parts, at) {
+    let t = table;
+    for (const part of parts) {
+      if (!Object.prototype.hasOwnProperty.call(t, part)) setOwn(t, part, {});
+      let next = t[part];
+      if (tableArrays.has(next)) next = next[next.length - 1];
+      if (!isPlainObject(next) || frozen.has(next)) fail(`'${part}' is already defined as a value`, at, parts.join('.').length);
+      t = next;
+    }
+    return t;
+  }
+
+  function assign(table, path, v, at) {
+    const target = descend(table, path.slice(0, -1), at);
+    const last = path[path.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, last)) fail(`Duplicate key '${path.join('.')}'`, at, path.join('.').length, 'Each key can only be set once');
+    setOwn(target, last, v);
+    if (isPlainObject(v)) defined.add(v);
+  }
+
+  let current = root;
+  for (;;) {
+    skipWsLines();
+    if (i >= n) break;
+    const at = i;
+    if (text[i] === '[') {
+      const arrayTable = text[i + 1] === '[';
+      i += arrayTable ? 2 : 1;
+      skipWs();
+      const path = keyPath();
+      skipWs();
+      if (arrayTable ? !text.startsWith(']]', i) : text[i] !== ']') fail(`Expected '${arrayTable ? ']]' : ']'}' to close the table header`, i);
+      i += arrayTable ? 2 : 1;
+      const parent = descend(root, path.slice(0, -1), at);
+      const last = path[path.length - 1];
+      const existing = Object.prototype.hasOwnProperty.call(parent, last) ? parent[last] : undefined;
+      if (arrayTable) {
+        if (existing === undefined) {
+          const list = [];
+          setOwn(parent, last, list);
+          tableArrays.add(list);
+        } else if (!tableArrays.has(existing)) {
+          fail(`'${path.join('.')}' is not an array of tables`, at, path.join('.').length + 4);
+        }
+        current = {};
+        parent[last].push(current);
+      } else {
+        if (existing === undefined) {
+          current = {};
+          setOwn(parent, last, current);
+        } else if (isPlainObject(existing) && !defined.has(existing) && !frozen.has(existing)) {
+          // a table implicitly created by a dotted header can be defined once
+          current = existing;
+        } else {
+          fail(`Table [${path.join('.')}] is defined more than once`, at, path.join('.').length + 2);
+        }
+        defined.add(current);
+      }
+      endOfLine();
+      continue;
+    }
+    const path = keyPath();
+    skipWs();
+    if (text[i] !== '=') fail(`Expected '=' after the key '${path.join('.')}'`, i, 1, 'Write key = value');
+    i++;
+    skipWs();
+    assign(current, path, value(), at);
+    endOfLine();
+  }
+  return root;
+}
+
+// --- writing
+
+function writeKey(k) {
+  return /^[A-Za-z0-9_-]+$/.test(k) ? k : JSON.stringify(k);
+}
+
+function writeValue(v, segments) {
+  if (v === null || v === undefined) throw new Error(`TOML has no null value (at ${toJsonPath(segments)})`);
+  if (typeof v === 'string') return JSON.stringify(v);
+  if (typeof v === 'number') {
+    if (Number.isNaN(v)) return 'nan';
+    if (!Number.isFinite(v)) return v > 0 ? 'inf' : '-inf';
+    return String(v);
+  }
+  if (typeof v === 'bigint' || typeof v === 'boolean') return String(v);
+  if (Array.isArray(v)) return `[${v.map((item, k) => writeValue(item, [...segments, k])).join(', ')}]`;
+  const entries = Object.keys(v).map((k) => `${writeKey(k)} = ${writeValue(v[k], [...segments, k])}`);
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+const isTableArray = (v) => Array.isArray(v) && v.length > 0 && v.every(isPlainObject);
+
+function writeTable(table, segments, out) {
+  const keys = Object.keys(table);
+  // plain values first: anything after a [header] belongs to that table
+  for (const k of keys) {
+    const v = table[k];
+    if (!isPlainObject(v) && !isTableArray(v)) out.push(`${writeKey(k)} = ${writeValue(v, [...segments, k])}`);
+  }
+  for (const k of keys) {
+    const v = table[k];
+    const segs = [...segments, k];
+    const header = segs.map((s) => writeKey(String(s))).join('.');
+    if (isPlainObject(v)) {
+      out.push('', `[${header}]`);
+      writeTable(v, segs, out);
+    } else if (isTableArray(v)) {
+      v.forEach((item) => {
+        out.push('', `[[${header}]]`);
+        writeTable(item, segs, out);
+      });
+    }
+  }
+}
+
+export function stringifyToml(data) {
+  if (!isPlainObject(data)) throw new Error('TOML needs an object (a table) at the top level');
+  const out = [];
+  writeTable(data, [], out);
+  // no blank line before the first header
+  while (out[0] === '') out.shift();
+  return out.join('\n') + '\n';
+}
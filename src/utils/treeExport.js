@@ -0,0 +1,225 @@
+// Export of the laid-out tree as SVG, PNG and printable pages.
+//
+// The tree is drawn from the React Flow nodes and edges rather than copied
+// from the page, so the export covers the whole tree and not only the nodes
+// mounted in the viewport. Nodes keep their computed style (colors, borders
+// of highlighted and selected nodes, opacity); describe(node) supplies the
+// lines of text drawn inside each box.
+
+// height used for nodes React Flow hasn't measured (outside the viewport)
+const DEFAULT_NODE_HEIGHT = 60;
+const DEFAULT_NODE_WIDTH = 140;
+const MARGIN = 40;
+// browsers refuse canvases beyond roughly these limits
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 100e6;
+// world-space size of one printed page (A4 landscape proportions)
+const PAGE_WIDTH = 1400;
+const PAGE_HEIGHT = 990;
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// cut text to roughly fit a width (no font metrics outside the DOM)
+function fit(text, width, fontSize) {
+  const max = Math.max(3, Math.floor(width / (fontSize * 0.6)));
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+// "3px dashed #ef4444" -> { width, color, dashed }
+function parseBorder(border) {
+  if (!border || border === '0' || border === 'none') return null;
+  const m = /^(\d+(?:\.\d+)?)px\s+(solid|dashed|dotted)\s+(.+)$/.exec(String(border).trim());
+  return m ? { width: Number(m[1]), dashed: m[2] !== 'solid', color: m[3] } : null;
+}
+
+// point where an edge meets a node, by handle id (see TreeNode)
+function anchor(b, handle) {
+  switch (handle) {
+    case 't': return [b.x + b.width / 2, b.y];
+    case 'l': return [b.x, b.y + b.height / 2];
+    case 'r': return [b.x + b.width, b.y + b.height / 2];
+    case 'c': return [b.x + b.width / 2, b.y + b.height / 2];
+    default: return [b.x + b.width / 2, b.y + b.height];
+  }
+}
+
+// SVG path data of an edge, following React Flow's straight and smoothstep
+// (right-angled) edge types
+function edgePath(edge, s, t) {
+  const [sx, sy] = anchor(s, edge.sourceHandle);
+  const [tx, ty] = anchor(t, edge.targetHandle);
+  if (edge.type === 'straight') return `M${sx},${sy} L${tx},${ty}`;
+  if (edge.sourceHandle === 'r') {
+    const mx = (sx + tx) / 2;
+    return `M${sx},${sy} H${mx} V${ty} H${tx}`;
+  }
+  const my = (sy + ty) / 2;
+  return `M${sx},${sy} V${my} H${tx} V${ty}`;
+}
+
+function box(node, sizes) {
+  const size = sizes?.get(node.id);
+  return {
+    x: node.position.x,
+    y: node.position.y,
+    width: size?.width || node.style?.width || DEFAULT_NODE_WIDTH,
+    height: size?.height || DEFAULT_NODE_HEIGHT,
+  };
+}
+
+// bounding box of all nodes: { x, y, width, height }
+export function treeBounds(nodes, sizes) {
+  if (nodes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const node of nodes) {
+    const b = box(node, sizes);
+    minX = Math.min(minX, b.x);
+    minY = Math.min(minY, b.y);
+    maxX = Math.max(maxX, b.x + b.width);
+    maxY = Math.max(maxY, b.y + b.height);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// SVG elements (no <svg> wrapper) for the edges and nodes.
+// sizes: Map node id -> { width, height } measured by React Flow.
+// describe(node) returns { title, lines: [{ text, color? }] }.
+function drawTree(nodes, edges, { sizes, describe }) {
+  const boxes = new Map(nodes.map((n) => [n.id, box(n, sizes)]));
+  const parts = [];
+
+  for (const edge of edges) {
+    const s = boxes.get(edge.source);
+    const t = boxes.get(edge.target);
+    if (!s || !t) continue;
+    const stroke = edge.style?.stroke || '#334155';
+    const width = edge.style?.strokeWidth || 2;
+    parts.push(`<path d="${edgePath(edge, s, t)}" fill="none" stroke="${escapeXml(stroke)}" stroke-width="${width}"/>`);
+  }
+
+  for (const node of nodes) {
+    const b = boxes.get(node.id);
+    const style = node.style || {};
+    const border = parseBorder(style.border);
+    const { title, lines = [] } = describe(node);
+    const opacity = style.opacity === undefined ? '' : ` opacity="${style.opacity}"`;
+    parts.push(`<g${opacity}>`);
+    parts.push(`<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" rx="12" fill="${escapeXml(style.background || '#64748b')}"`
+      + (border ? ` stroke="${escapeXml(border.color)}" stroke-width="${border.width}"${border.dashed ? ' stroke-dasharray="6 4"' : ''}` : '')
+      + '/>');
+    const cx = b.x + b.width / 2;
+    const color = style.color || '#ffffff';
+    // title, then each extra line, centered like the on-screen node
+    const rows = [{ text: title, size: 13, weight: 600 }, ...lines.map((l) => ({ ...l, size: 11, weight: 400 }))];
+    const total = rows.reduce((sum, r) => sum + r.size + 4, 0);
+    let y = b.y + (b.height - total) / 2;
+    for (const row of rows) {
+      y += row.size + 2;
+      parts.push(`<text x="${cx}" y="${y}" text-anchor="middle" font-size="${row.size}" font-weight="${row.weight}" fill="${escapeXml(row.color || color)}">${escapeXml(fit(row.text, b.width - 16, row.size))}</text>`);
+      y += 2;
+    }
+    parts.push('</g>');
+  }
+  return parts.join('\n');
+}
+
+// standalone SVG document of the whole tree: { svg, width, height }
+export function treeToSvg(nodes, edges, { sizes, describe, background }) {
+  const bounds = treeBounds(nodes, sizes);
+  const width = Math.ceil(bounds.width + MARGIN * 2);
+  const height = Math.ceil(bounds.height + MARGIN * 2);
+  const x = bounds.x - MARGIN;
+  const y = bounds.y - MARGIN;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}" font-family="Inter, system-ui, sans-serif">
+<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>
+${drawTree(nodes, edges, { sizes, describe })}
+</svg>
+`;
+  return { svg, width, height };
+}
+
+// rasterize an SVG document; rejects when the tree is too large for a canvas
+export function svgToPngBlob(svg, width, height, { scale = 2 } = {}) {
+  const s = Math.min(scale, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height, Math.sqrt(MAX_CANVAS_AREA / (width * height)));
+  if (s < 0.25) return Promise.reject(new Error('The tree is too large for a PNG; export it as SVG instead'));
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * s);
+      canvas.height = Math.round(height * s);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(s, s);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the PNG'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG'));
+    };
+    img.src = url;
+  });
+}
+
+// HTML document that tiles the tree over A4 landscape pages and opens the
+// print dialog (print to PDF from there). Pages without nodes are left out.
+export function printableHtml(nodes, edges, { sizes, describe, title }) {
+  const bounds = treeBounds(nodes, sizes);
+  const x0 = bounds.x - MARGIN;
+  const y0 = bounds.y - MARGIN;
+  const cols = Math.max(1, Math.ceil((bounds.width + MARGIN * 2) / PAGE_WIDTH));
+  const rows = Math.max(1, Math.ceil((bounds.height + MARGIN * 2) / PAGE_HEIGHT));
+
+  const boxes = nodes.map((n) => box(n, sizes));
+  const tiles = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const x = x0 + c * PAGE_WIDTH;
+      const y = y0 + r * PAGE_HEIGHT;
+      const used = boxes.some((b) => b.x < x + PAGE_WIDTH && b.x + b.width > x && b.y < y + PAGE_HEIGHT && b.y + b.height > y);
+      if (used) tiles.push({ x, y, r, c });
+    }
+  }
+
+  const pages = tiles.map((t, k) => `<section class="page">
+<div class="caption">${escapeXml(title)} · page ${k + 1} of ${tiles.length} (row ${t.r + 1}, column ${t.c + 1})</div>
+<svg viewBox="${t.x} ${t.y} ${PAGE_WIDTH} ${PAGE_HEIGHT}" preserveAspectRatio="xMidYMin meet" font-family="Inter, system-ui, sans-serif"><use href="#tree"/></svg>
+</section>`).join('\n');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+@page { size: A4 landscape; margin: 10mm; }
+body { margin: 0; font-family: Inter, system-ui, sans-serif; }
+.page { height: 188mm; display: flex; flex-direction: column; break-after: page; }
+.page:last-child { break-after: auto; }
+.page svg { flex: 1; width: 100%; min-height: 0; }
+.caption { font-size: 10px; color: #475569; margin-bottom: 4px; }
+</style>
+</head>
+<body>
+<svg width="0" height="0" style="position:absolute"><defs><g id="tree">
+${drawTree(nodes, edges, { sizes, describe })}
+</g></defs></svg>
+${pages}
+<script>window.addEventListener('load', () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+// file name for a node's path, e.g. "$.items[0].name" -> "items[0].name.json"
+export function pathFileName(path, extension = 'json') {
+  const base = path === '$' ? 'document' : path.replace(/^\$\.?/, '');
+  return `${base.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 120)}.${extension}`;
+}
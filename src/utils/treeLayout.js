@@ -0,0 +1,335 @@
+// Tree layout shared by the layout worker and the main thread.
+// Everything here is plain data in, plain data out so results can be posted
+// between threads.
+import { DEFAULT_LAYOUT, LAYOUTS } from './layouts';
+import { childPath, makeNodeId } from './paths';
+
+/*
+ Node type colors
+ - object: blue/purple
+ - array: green
+ - primitive: orange
+*/
+export const COLORS = {
+  object: '#60a5fa', // light blue
+  array: '#34d399',  // green
+  primitive: '#f59e0b', // orange
+  highlight: '#ef4444'
+};
+
+// node widths follow their text, within these bounds; longer text wraps
+const MIN_NODE_WIDTH = 90;
+const MAX_NODE_WIDTH = 320;
+// approximate advance of one character in the 13px bold title and 11px value line
+const TITLE_CHAR_WIDTH = 7.6;
+const VALUE_CHAR_WIDTH = 6.4;
+// node padding on both sides, plus room for the +/− toggle on containers
+const NODE_PADDING = 24;
+const TOGGLE_ROOM = 28;
+// distance of the tree from the canvas origin
+const MARGIN = 20;
+// report layout progress every N nodes
+const PROGRESS_EVERY = 2000;
+
+// utility: determine type of value
+export function nodeType(value) {
+  if (value === null) return 'primitive';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  return 'primitive';
+}
+
+// list the direct children of an object/array value with their paths;
+// segments is the key/index list from the root, path its string form
+export function childEntries(value, path, segments = []) {
+  if (Array.isArray(value)) {
+    return value.map((v, i) => ({ key: String(i), value: v, path: childPath(path, i), segments: [...segments, i] }));
+  }
+  return Object.keys(value).map(k => ({ key: k, value: value[k], path: childPath(path, k), segments: [...segments, k] }));
+}
+
+// number of direct children of an object/array (0 for primitives)
+export function childCount(value) {
+  const t = nodeType(value);
+  if (t === 'array') return value.length;
+  if (t === 'object') return Object.keys(value).length;
+  return 0;
+}
+
+// badge shown on collapsed nodes, e.g. "{12 keys}" or "[340 items]"
+export function countBadge(value) {
+  const n = childCount(value);
+  if (nodeType(value) === 'array') return `[${n} ${n === 1 ? 'item' : 'items'}]`;
+  return `{${n} ${n === 1 ? 'key' : 'keys'}}`;
+}
+
+// value found by following segments from data (undefined if missing)
+export function valueAtPath(data, segments) {
+  let v = data;
+  for (const seg of segments) {
+    if (v === null || typeof v !== 'object') return undefined;
+    v = v[seg];
+  }
+  return v;
+}
+
+// collect the paths of every object/array inside value (value itself included)
+export function containerPaths(value, path) {
+  const out = [];
+  (function walk(v, p) {
+    if (nodeType(v) === 'primitive') return;
+    out.push(p);
+    for (const c of childEntries(v, p)) walk(c.value, c.path);
+  })(value, path);
+  return out;
+}
+
+// containers shallower than expandDepth start expanded; overrides holds
+// explicit per-path choices (path -> true/false) made by the user
+export function makeIsExpanded(expandDepth, overrides = {}) {
+  return (path, depth) => {
+    if (Object.prototype.hasOwnProperty.call(overrides, path)) return overrides[path];
+    return depth < expandDepth;
+  };
+}
+
+// number of nodes buildTreeNodes will emit, used as the progress total
+export function countVisibleNodes(data, isExpanded = () => true) {
+  let count = 0;
+  (function walk(value, path, depth) {
+    count++;
+    if (nodeType(value) === 'primitive' || !isExpanded(path, depth)) return;
+    for (const c of childEntries(value, path)) walk(c.value, c.path, depth + 1);
+  })(data, '$', 0);
+  return count;
+}
+
+// size a node needs for its title, value line and badge (see TreeNode).
+// Heights are estimates: the layout runs before anything is rendered.
+export function measureNode(data) {
+  const value = data.type === 'primitive' ? String(data.value) : '';
+  const text = Math.max(data.label.length * TITLE_CHAR_WIDTH, value.length * VALUE_CHAR_WIDTH, data.badge ? data.badge.length * VALUE_CHAR_WIDTH + 16 : 0);
+  const room = NODE_PADDING + (data.childCount > 0 ? TOGGLE_ROOM : 0);
+  const width = Math.round(Math.min(MAX_NODE_WIDTH, Math.max(MIN_NODE_WIDTH, text + room)));
+  const lines = (chars, charWidth) => Math.max(1, Math.ceil((chars * charWidth) / (width - room)));
+  let height = 36 + lines(data.label.length, TITLE_CHAR_WIDTH) * 17;
+  if (value) height += 6 + lines(value.length, VALUE_CHAR_WIDTH) * 14;
+  if (data.collapsed) height += 26;
+  return { width, height };
+}
+
+// the data of the node for node ({ key, value, path, segments, depth }), and
+// whether its children are shown
+function describeNode(node, isExpanded) {
+  const t = nodeType(node.value);
+  const count = childCount(node.value);
+  const open = t !== 'primitive' && isExpanded(node.path, node.depth);
+  // node label for primitives include value
+  // keep $ for the root node
+  const label = t === 'primitive' && node.key !== undefined
+    ? `${node.key}: ${String(node.value)}`
+    : String(node.key === undefined ? '$' : node.key);
+  // containers don't carry their value: it would copy the whole subtree
+  // into every ancestor node when posted from the worker
+  const data = {
+    label,
+    path: node.path,
+    segments: node.segments,
+    value: t === 'primitive' ? node.value : undefined,
+    type: t,
+    depth: node.depth,
+    childCount: count,
+    collapsed: t !== 'primitive' && count > 0 && !open,
+    badge: t === 'primitive' ? null : countBadge(node.value),
+  };
+  return { data, open };
+}
+
+// React Flow node for data (see describeNode), sized to fit it; returns its
+// item for the layout engine
+function createItem(data) {
+  const { width, height } = measureNode(data);
+  const t = data.type;
+  const node = {
+    id: makeNodeId(data.path),
+    position: null,
+    data,
+    style: {
+      width,
+      padding: 12,
+      borderRadius: 12,
+      background: t === 'object' ? COLORS.object : t === 'array' ? COLORS.array : COLORS.primitive,
+      color: 'white',
+      textAlign: 'center',
+      overflowWrap: 'anywhere',
+      boxShadow: '0 8px 20px rgba(11,18,32,0.08)',
+    },
+  };
+  return { node, width, height, children: [] };
+}
+
+function createEdge(source, target, engine) {
+  return {
+    id: `${source}-${target}`,
+    source,
+    target,
+    sourceHandle: engine.edge.sourceHandle,
+    targetHandle: engine.edge.targetHandle,
+    type: engine.edge.type,
+    animated: false,
+    style: { stroke: 'rgba(51,65,85,0.18)', strokeWidth: 2 },
+  };
+}
+
+// runs the engine on the hierarchy under root and returns its items (root
+// first, parents before children) with `position`, the top-left corner of
+// their node, with the whole tree moved next to the origin
+function placeItems(root, engine) {
+  engine.place(root);
+  let minX = Infinity;
+  let minY = Infinity;
+  const items = [];
+  (function collect(item) {
+    if (item.node) {
+      items.push(item);
+      minX = Math.min(minX, item.x - item.width / 2);
+      minY = Math.min(minY, item.y - item.height / 2);
+    }
+    for (const child of item.children) collect(child);
+  })(root);
+  for (const item of items) {
+    item.position = { x: item.x - item.width / 2 - minX + MARGIN, y: item.y - item.height / 2 - minY + MARGIN };
+  }
+  return items;
+}
+
+// Walk the tree once and build React Flow nodes and edges.
+// Also returns a map of path -> node id.
+// isExpanded(path, depth) decides whether a container's children are built;
+// collapsed containers are emitted as a single node with a child-count badge.
+//
+// Positions come from the layout engine named by `layout` (see utils/layouts),
+// which also picks the handles and type of the edges.
+//
+// With hideRoot an array document is drawn as separate trees, one per item,
+// without the $ node (used for NDJSON, one root per line).
+export function buildTreeNodes(data, { isExpanded = () => true, onProgress, hideRoot = false, layout = DEFAULT_LAYOUT } = {}) {
+  const engine = LAYOUTS[layout] ?? LAYOUTS[DEFAULT_LAYOUT];
+  const edges = [];
+  const pathToNode = {};
+  let built = 0;
+
+  // builds node and its visible descendants; returns its item in the
+  // hierarchy handed to the layout engine
+  function build(node) {
+    const { data: nodeData, open } = describeNode(node, isExpanded);
+    const item = createItem(nodeData);
+    const id = item.node.id;
+    pathToNode[node.path] = id;
+
+    built++;
+    if (onProgress && built % PROGRESS_EVERY === 0) onProgress(built);
+
+    if (open) {
+      for (const child of childEntries(node.value, node.path, node.segments)) {
+        item.children.push(build({ ...child, depth: node.depth + 1 }));
+        edges.push(createEdge(id, makeNodeId(child.path), engine));
+      }
+    }
+    return item;
+  }
+
+  let root;
+  if (hideRoot && Array.isArray(data)) {
+    // an invisible root keeps the trees together for the engine
+    root = { node: null, width: 0, height: 0, children: childEntries(data, '$', []).map((child) => build({ ...child, depth: 1 })) };
+  } else {
+    root = build({ key: undefined, value: data, path: '$', segments: [], depth: 0 });
+  }
+  if (onProgress) onProgress(built);
+
+  const nodes = placeItems(root, engine).map((item) => {
+    item.node.position = item.position;
+    return item.node;
+  });
+  return { nodes, edges, pathToNode };
+}
+
+// whether node data from describeNode would be drawn the same
+function sameNodeData(a, b) {
+  return a.type === b.type && a.collapsed === b.collapsed && a.label === b.label && a.badge === b.badge && Object.is(a.value, b.value) && a.childCount === b.childCount;
+}
+
+// Update the result of buildTreeNodes ({ nodes, edges, pathToNode }) for a new
+// version of the document on this thread, without building it again: nodes
+// that look the same are kept, nodes that changed are rebuilt at their new
+// size, new ones are added and gone ones dropped. The engine then places the
+// kept boxes again, so only the nodes the change pushes aside (following
+// siblings and their subtrees, and ancestors re-centred over their children)
+// get a new position. Unchanged nodes and edges are the same objects; changed
+// lists the ids of the nodes that are new or show something new.
+//
+// Returns null when more than PROGRESS_EVERY nodes are new: building those
+// belongs in the worker, with progress.
+export function patchTreeNodes(previous, data, { isExpanded = () => true, hideRoot = false, layout = DEFAULT_LAYOUT } = {}) {
+  const engine = LAYOUTS[layout] ?? LAYOUTS[DEFAULT_LAYOUT];
+  const oldNodes = new Map(previous.nodes.map((n) => [n.id, n]));
+  const oldEdges = new Map(previous.edges.map((e) => [e.id, e]));
+  const edges = [];
+  const pathToNode = {};
+  const changed = [];
+  let added = 0;
+
+  // item of node and its visible descendants, or null when too many are new
+  function visit(node) {
+    const id = makeNodeId(node.path);
+    const old = oldNodes.get(id);
+    const { data: next, open } = describeNode(node, isExpanded);
+    let item;
+    if (old && sameNodeData(old.data, next)) {
+      item = { node: old, width: old.style.width, height: measureNode(old.data).height, children: [] };
+    } else {
+      if (!old && ++added > PROGRESS_EVERY) return null;
+      item = createItem(next);
+      changed.push(id);
+    }
+    pathToNode[node.path] = id;
+    if (open) {
+      for (const child of childEntries(node.value, node.path, node.segments)) {
+        const childItem = visit({ ...child, depth: node.depth + 1 });
+        if (!childItem) return null;
+        item.children.push(childItem);
+        const edgeId = `${id}-${childItem.node.id}`;
+        edges.push(oldEdges.get(edgeId) ?? createEdge(id, childItem.node.id, engine));
+      }
+    }
+    return item;
+  }
+
+  let root;
+  if (hideRoot && Array.isArray(data)) {
+    root = { node: null, width: 0, height: 0, children: [] };
+    for (const child of childEntries(data, '$', [])) {
+      const item = visit({ ...child, depth: 1 });
+      if (!item) return null;
+      root.children.push(item);
+    }
+  } else {
+    root = visit({ key: undefined, value: data, path: '$', segments: [], depth: 0 });
+    if (!root) return null;
+  }
+
+  const nodes = placeItems(root, engine).map(({ node, position }) => {
+    if (node.position === null) node.position = position;
+    else if (node.position.x !== position.x || node.position.y !== position.y) return { ...node, position };
+    return node;
+  });
+  // the same ids, so the same parents and children: keep the old objects
+  const sameNodes = added === 0 && nodes.length === previous.nodes.length;
+  return {
+    nodes,
+    edges: sameNodes ? previous.edges : edges,
+    pathToNode: sameNodes ? previous.pathToNode : pathToNode,
+    changed,
+  };
+}
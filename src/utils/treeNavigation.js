@@ -0,0 +1,70 @@
+// Moving between the visible nodes of the tree with the keyboard, for the
+// canvas and the outline. Works on the React Flow nodes and edges built by
+// utils/treeLayout: nodes come in document order (each node before its
+// children) and every edge joins a parent to one of its children.
+
+// { order, index, parent, children, roots, position }
+//   order:    node ids in document order, as the outline lists them
+//   index:    id -> position in order
+//   parent:   id -> parent id (roots have none)
+//   children: id -> child ids, in document order
+//   roots:    ids without a parent
+//   position: id -> position among its siblings
+export function buildNavigation(nodes, edges) {
+  const order = nodes.map((n) => n.id);
+  const index = new Map(order.map((id, i) => [id, i]));
+  const parent = new Map();
+  const children = new Map();
+  for (const e of edges) {
+    parent.set(e.target, e.source);
+    if (!children.has(e.source)) children.set(e.source, []);
+    children.get(e.source).push(e.target);
+  }
+  for (const list of children.values()) list.sort((a, b) => index.get(a) - index.get(b));
+  const roots = order.filter((id) => !parent.has(id));
+  const position = new Map();
+  for (const list of [roots, ...children.values()]) list.forEach((id, i) => position.set(id, i));
+  return { order, index, parent, children, roots, position };
+}
+
+// id of the node reached from id by move, or null when there is none:
+//   parent, child (the first one), previous / next (siblings),
+//   up / down (the node before or after it in document order), first, last
+export function neighbour(nav, id, move) {
+  if (move === 'first') return nav.order[0] ?? null;
+  if (move === 'last') return nav.order[nav.order.length - 1] ?? null;
+  const i = nav.index.get(id);
+  if (i === undefined) return null;
+  switch (move) {
+    case 'parent':
+      return nav.parent.get(id) ?? null;
+    case 'child':
+      return nav.children.get(id)?.[0] ?? null;
+    case 'previous':
+    case 'next': {
+      const p = nav.parent.get(id);
+      const siblings = p === undefined ? nav.roots : nav.children.get(p);
+      const at = nav.position.get(id) + (move === 'next' ? 1 : -1);
+      return siblings[at] ?? null;
+    }
+    case 'up':
+      return nav.order[i - 1] ?? null;
+    case 'down':
+      return nav.order[i + 1] ?? null;
+    default:
+      return null;
+  }
+}
+
+// what assistive technology reads for a node, e.g. "name: Ada, string" or
+// "items, array, 3 items, collapsed"
+export function describeForScreenReader(data) {
+  if (data.type === 'primitive') {
+    const kind = data.value === null ? 'null' : typeof data.value === 'bigint' ? 'number' : typeof data.value;
+    return `${data.label}, ${kind}`;
+  }
+  const n = data.childCount;
+  const noun = data.type === 'array' ? (n === 1 ? 'item' : 'items') : (n === 1 ? 'key' : 'keys');
+  const state = n === 0 ? 'empty' : data.collapsed ? 'collapsed' : 'expanded';
+  return `${data.label}, ${data.type}, ${n} ${noun}, ${state}`;
+}
@@ -0,0 +1,94 @@
+// Main-thread side of the tree worker (see workers/treeWorker.js).
+//
+// createTreeWorker() returns an object whose parse/layout methods return
+// promises. Starting a job while another is running cancels the older one:
+// the worker is synchronous, so cancelling means terminating it and starting
+// a fresh one on the next job.
+import { JsonParseError } from './jsonParser';
+import { parseDocument } from './formats';
+import { buildTreeNodes, makeIsExpanded } from './treeLayout';
+
+// rejection reason for jobs stopped by cancel() or superseded by a newer job
+export class TreeJobCancelled extends Error {
+  constructor() {
+    super('Cancelled');
+    this.name = 'TreeJobCancelled';
+  }
+}
+
+export function createTreeWorker() {
+  let worker = null;
+  let nextId = 1;
+  let pending = null; // { id, resolve, reject, onProgress }
+  // document the current worker already holds, so layouts can skip re-sending it
+  let workerData;
+
+  function spawn() {
+    worker = new Worker(new URL('../workers/treeWorker.js', import.meta.url), { type: 'module' });
+    workerData = undefined;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (!pending || msg.id !== pending.id) return;
+      if (msg.type === 'progress') {
+        pending.onProgress?.({ phase: msg.phase, done: msg.done, total: msg.total });
+        return;
+      }
+      const job = pending;
+      pending = null;
+      if (msg.type === 'result') job.resolve(msg.result);
+      else job.reject(msg.details ? new JsonParseError(msg.message, msg.details) : new Error(msg.message));
+    };
+  }
+
+  function cancel() {
+    if (!pending) return;
+    const job = pending;
+    pending = null;
+    worker?.terminate();
+    worker = null;
+    job.reject(new TreeJobCancelled());
+  }
+
+  // makeMessage runs after any older job is cancelled, so it sees the worker
+  // that will actually receive the message
+  function run(makeMessage, onProgress) {
+    cancel();
+    if (!worker) spawn();
+    const id = nextId++;
+    const message = makeMessage();
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress };
+      worker.postMessage({ ...message, id });
+    });
+  }
+
+  return {
+    // format is a key of FORMATS (utils/formats); syntax errors reject with JsonParseError
+    parse(text, { format = 'json' } = {}, onProgress) {
+      // without Worker support (old browsers, tests) parse inline
+      if (typeof Worker === 'undefined') return Promise.resolve().then(() => parseDocument(text, format));
+      return run(() => ({ type: 'parse', text, format }), onProgress);
+    },
+
+    // layout is a key of LAYOUTS (utils/layouts)
+    layout(data, { expandDepth, expandOverrides, hideRoot, layout }, onProgress) {
+      if (typeof Worker === 'undefined') {
+        return Promise.resolve().then(() => buildTreeNodes(data, { isExpanded: makeIsExpanded(expandDepth, expandOverrides), hideRoot, layout }));
+      }
+      return run(() => {
+        const message = { type: 'layout', expandDepth, expandOverrides, hideRoot, layout };
+        if (workerData !== data) message.data = data;
+        workerData = data;
+        return message;
+      }, onProgress);
+    },
+
+    cancel,
+
+    dispose() {
+      cancel();
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
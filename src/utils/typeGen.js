@@ -0,0 +1,156 @@
+// Type definitions for a document, from the shape inferShape folds it into:
+// TypeScript interfaces, Zod schemas and JSON Schema. Array items are merged,
+// keys some objects lack are optional, null makes a nullable union, and
+// nested objects are named after their keys (items after the singular).
+import { inferShape, isRequired } from './inferShape';
+import { generateSchema } from './jsonSchema';
+import { stringifyJson } from './jsonParser';
+
+export const TYPE_FORMATS = [
+  { id: 'typescript', label: 'TypeScript', file: 'types.ts', mime: 'text/typescript' },
+  { id: 'zod', label: 'Zod', file: 'schemas.ts', mime: 'text/typescript' },
+  { id: 'jsonschema', label: 'JSON Schema', file: 'schema.json', mime: 'application/schema+json' },
+];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// "first name" -> FirstName, "2fa" -> _2fa; '' when there is nothing to use
+export function typeName(key) {
+  const words = String(key).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words.map((w) => w[0].toUpperCase() + w.slice(1)).join('');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+// good enough for key names: users -> user, categories -> category; '' for
+// words that don't look plural
+function singular(word) {
+  if (/ies$/i.test(word)) return word.slice(0, -3) + 'y';
+  if (/(ss|us|is)$/i.test(word)) return '';
+  if (/(sh|ch|x)es$/i.test(word)) return word.slice(0, -2);
+  if (/s$/i.test(word)) return word.slice(0, -1);
+  return '';
+}
+
+function propertyKey(key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+// name every object shape: the root gets rootName, a property's object the
+// key's name and array items the key's singular. Names are made unique by
+// putting the parent's name in front, then a number. Returns the shapes in
+// the order they were named (parents first) and a Map shape -> name.
+function nameShapes(root, rootName) {
+  const names = new Map();
+  // the root's name is taken even when it is not an object (type Root = …)
+  const used = new Set([rootName]);
+  const order = [];
+
+  function claim(shape, wanted, parentName) {
+    let name = wanted;
+    if (shape !== root) {
+      if (used.has(name) && parentName) name = parentName + wanted;
+      for (let n = 2; used.has(name); n++) name = `${wanted}${n}`;
+    }
+    used.add(name);
+    names.set(shape, name);
+    order.push(shape);
+    return name;
+  }
+
+  // items of items (arrays of arrays) keep the name the outer items got
+  function visit(shape, wanted, parentName, isItems = false) {
+    const name = shape.types.object && shape.properties.size ? claim(shape, wanted, parentName) : parentName;
+    for (const [key, child] of shape.properties) visit(child, typeName(key) || 'Value', name);
+    if (shape.items) visit(shape.items, isItems ? wanted : typeName(singular(wanted)) || `${wanted}Item`, name, true);
+  }
+
+  visit(root, rootName, null);
+  return { order, names };
+}
+
+// the type names present in shape, with integer and number merged
+function typeList(shape) {
+  const types = Object.keys(shape.types);
+  return types.includes('number') ? types.filter((t) => t !== 'integer') : types;
+}
+
+function tsType(shape, names) {
+  if (!shape || shape.count === 0) return 'unknown';
+  const parts = typeList(shape).filter((t) => t !== 'null').map((t) => {
+    switch (t) {
+      case 'integer': return 'number';
+      case 'object': return shape.properties.size ? names.get(shape) : 'Record<string, unknown>';
+      case 'array': {
+        const item = tsType(shape.items, names);
+        return /[ |]/.test(item) ? `(${item})[]` : `${item}[]`;
+      }
+      default: return t;
+    }
+  });
+  if (shape.types.null) parts.push('null');
+  return parts.join(' | ');
+}
+
+export function toTypeScript(data, rootName = 'Root') {
+  const root = inferShape(data);
+  const { order, names } = nameShapes(root, rootName);
+  const blocks = [];
+  if (!names.has(root)) blocks.push(`export type ${rootName} = ${tsType(root, names)};`);
+  for (const shape of order) {
+    const lines = [...shape.properties].map(([key, child]) => `  ${propertyKey(key)}${isRequired(shape, child) ? '' : '?'}: ${tsType(child, names)};`);
+    blocks.push(`export interface ${names.get(shape)} {\n${lines.join('\n')}\n}`);
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+function zodType(shape, names) {
+  if (!shape || shape.count === 0) return 'z.unknown()';
+  const types = typeList(shape);
+  const parts = types.filter((t) => t !== 'null').map((t) => {
+    switch (t) {
+      case 'integer': return 'z.number().int()';
+      case 'object': return shape.properties.size ? `${names.get(shape)}Schema` : 'z.record(z.string(), z.unknown())';
+      case 'array': return `z.array(${zodType(shape.items, names)})`;
+      default: return `z.${t}()`;
+    }
+  });
+  if (parts.length === 0) return 'z.null()';
+  const type = parts.length === 1 ? parts[0] : `z.union([${parts.join(', ')}])`;
+  return shape.types.null ? `${type}.nullable()` : type;
+}
+
+export function toZod(data, rootName = 'Root') {
+  const root = inferShape(data);
+  const { order, names } = nameShapes(root, rootName);
+  const blocks = ["import { z } from 'zod';"];
+  // a schema has to be declared before the ones using it: children first
+  for (const shape of [...order].reverse()) {
+    const name = names.get(shape);
+    const lines = [...shape.properties].map(([key, child]) => `  ${propertyKey(key)}: ${zodType(child, names)}${isRequired(shape, child) ? '' : '.optional()'},`);
+    blocks.push(`export const ${name}Schema = z.object({\n${lines.join('\n')}\n});\nexport type ${name} = z.infer<typeof ${name}Schema>;`);
+  }
+  if (!names.has(root)) {
+    blocks.push(`export const ${rootName}Schema = ${zodType(root, names)};\nexport type ${rootName} = z.infer<typeof ${rootName}Schema>;`);
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+// the definitions for data in format (an id of TYPE_FORMATS)
+export function generateTypes(data, format, rootName = 'Root') {
+  const name = typeName(rootName) || 'Root';
+  if (format === 'zod') return toZod(data, name);
+  if (format === 'jsonschema') {
+    const { $schema, ...schema } = generateSchema(data);
+    return stringifyJson({ $schema, title: name, ...schema }, 2) + '\n';
+  }
+  return toTypeScript(data, name);
+}
+
+// a root type name for the value at segments: its key's name, or the
+// singular of the array holding it
+export function nameForPath(segments) {
+  const last = segments[segments.length - 1];
+  if (typeof last !== 'number') return last === undefined ? 'Root' : typeName(last) || 'Root';
+  const key = [...segments].reverse().find((s) => typeof s === 'string');
+  return key === undefined ? 'Item' : typeName(singular(key)) || `${typeName(key) || 'Root'}Item`;
+}
@@ -0,0 +1,271 @@
+// XML reader and writer.
+//
+// Mapping from XML to the tree's data model:
+//   <root>…</root>             { "root": … }  (the document element is the only key)
+//   <a>text</a>                "a": "text"     element with only text: a string
+//   <a/>  <a></a>              "a": ""
+//   <a id="1">text</a>         "a": { "@id": "1", "#text": "text" }
+//   <a><b>1</b><c>2</c></a>    "a": { "b": "1", "c": "2" }
+//   <a><b>1</b><b>2</b></a>    "a": { "b": ["1", "2"] }   repeated elements: an array
+//   mixed text and elements    text pieces are trimmed and joined into "#text"
+//
+// Attribute and text values stay strings. CDATA sections count as text;
+// comments, processing instructions and the DOCTYPE are skipped. The five
+// predefined entities and character references (&#65; &#x41;) are decoded.
+//
+// stringifyXml() reverses the mapping. A document that isn't an object with a
+// single key is wrapped in <root>; keys that aren't valid element names are
+// rewritten (invalid characters become "_"). Data the mapping can't carry back
+// (empty arrays, arrays directly inside arrays, keys that end up with the same
+// name) is rejected with its path rather than dropped or merged.
+import { toJsonPath } from './paths';
+import { parseErrorAt } from './jsonParser';
+
+const NAME = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export function parseXml(text) {
+  let i = 0;
+  const n = text.length;
+
+  function fail(message, at = i, length = 1, suggestion = null) {
+    throw parseErrorAt(text, message, at, length, suggestion);
+  }
+
+  function decode(s, at) {
+    return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);|&/g, (m, ref, offset) => {
+      if (!ref) fail("Unescaped '&'", at + offset, 1, 'Write it as &amp;');
+      if (ref[0] === '#') return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+      if (ENTITIES[ref] === undefined) fail(`Unknown entity '&${ref};'`, at + offset, m.length);
+      return ENTITIES[ref];
+    });
+  }
+
+  function skipSpace() {
+    while (i < n && /\s/.test(text[i])) i++;
+  }
+
+  function name() {
+    NAME.lastIndex = i;
+    const m = NAME.exec(text);
+    if (!m) fail(`Expected a name but found '${text[i] ?? 'end of input'}'`);
+    i += m[0].length;
+    return m[0];
+  }
+
+  // skip a <!-- -->, <? ?> or <!DOCTYPE …> at i; returns false if there is none
+  function skipMarkup() {
+    const skipTo = (end, what) => {
+      const k = text.indexOf(end, i);
+      if (k === -1) fail(`Unterminated ${what}`, i, 2);
+      i = k + end.length;
+      return true;
+    };
+    if (text.startsWith('<!--', i)) return skipTo('-->', 'comment');
+    if (text.startsWith('<?', i)) return skipTo('?>', 'processing instruction');
+    if (text.startsWith('<!DOCTYPE', i)) {
+      // the internal subset [ … ] may contain '>'
+      let depth = 0;
+      for (; i < n; i++) {
+        if (text[i] === '[') depth++;
+        else if (text[i] === ']') depth--;
+        else if (text[i] === '>' && depth === 0) {
+          i++;
+          return true;
+        }
+      }
+      fail('Unterminated DOCTYPE', i);
+    }
+    return false;
+  }
+
+  // name of the element starting at i ('<' included), without consuming it
+  function peekName() {
+    NAME.lastIndex = i + 1;
+    const m = NAME.exec(text);
+    if (!m) fail("Unexpected '<'", i, 1, 'Write a literal < as &lt;');
+    return m[0];
+  }
+
+  // element values are strings or objects, so an array can only come from
+  // repeated elements
+  function addChild(obj, key, value) {
+    if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+      if (key === '__proto__') Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+      else obj[key] = value;
+    } else if (Array.isArray(obj[key])) {
+      obj[key].push(value);
+    } else {
+      obj[key] = [obj[key], value];
+    }
+  }
+
+  function element() {
+    const openAt = i;
+    i++; // '<'
+    const tag = name();
+    const obj = {};
+    let hasAttributes = false;
+    for (;;) {
+      skipSpace();
+      if (text[i] === '/' && text[i + 1] === '>') {
+        i += 2;
+        return hasAttributes ? obj : '';
+      }
+      if (text[i] === '>') {
+        i++;
+        break;
+      }
+      if (i >= n) fail(`Unterminated start tag <${tag}>`, openAt, tag.length + 1);
+      const attrAt = i;
+      const attr = name();
+      skipSpace();
+      if (text[i] !== '=') fail(`Expected '=' after attribute '${attr}'`, i, 1, `Write ${attr}="…"`);
+      i++;
+      skipSpace();
+      const quote = text[i];
+      if (quote !== '"' && quote !== "'") fail('Attribute values must be quoted', i, 1, `Write ${attr}="…"`);
+      const end = text.indexOf(quote, i + 1);
+      if (end === -1) fail('Unterminated attribute value', i);
+      if (Object.prototype.hasOwnProperty.call(obj, `@${attr}`)) fail(`Duplicate attribute '${attr}'`, attrAt, attr.length);
+      obj[`@${attr}`] = decode(text.slice(i + 1, end), i + 1);
+      hasAttributes = true;
+      i = end + 1;
+    }
+
+    // text pieces between child elements
+    const pieces = [];
+    let hasChildren = false;
+    for (;;) {
+      if (i >= n) fail(`<${tag}> is never closed`, openAt, tag.length + 1, `Add </${tag}>`);
+      if (text.startsWith('</', i)) {
+        const closeAt = i;
+        i += 2;
+        const closing = name();
+        skipSpace();
+        if (closing !== tag) fail(`Closing tag </${closing}> does not match <${tag}>`, closeAt, closing.length + 3, `Close <${tag}> first`);
+        if (text[i] !== '>') fail(`Expected '>' to end </${closing}>`);
+        i++;
+        break;
+      }
+      if (text.startsWith('<![CDATA[', i)) {
+        const end = text.indexOf(']]>', i);
+        if (end === -1) fail('Unterminated CDATA section', i, 9);
+        pieces.push(text.slice(i + 9, end));
+        i = end + 3;
+        continue;
+      }
+      if (skipMarkup()) continue;
+      if (text[i] === '<') {
+        addChild(obj, peekName(), element());
+        hasChildren = true;
+        continue;
+      }
+      const start = i;
+      while (i < n && text[i] !== '<') i++;
+      pieces.push(decode(text.slice(start, i), start));
+    }
+
+    // next to child elements, whitespace-only text is just formatting
+    const textContent = hasChildren ? pieces.map((p) => p.trim()).filter(Boolean).join(' ') : pieces.join('');
+    if (!hasAttributes && !hasChildren) return textContent;
+    if (textContent !== '') obj['#text'] = textContent;
+    return obj;
+  }
+
+  let root;
+  for (;;) {
+    skipSpace();
+    if (i >= n) break;
+    if (skipMarkup()) continue;
+    if (text[i] !== '<') fail('Text outside the document element', i, 1);
+    if (root !== undefined) fail('Only one document element is allowed', i, 1, 'Wrap the elements in a single root element');
+    const tag = peekName();
+    root = {};
+    addChild(root, tag, element());
+  }
+  if (root === undefined) fail('The document has no element', n, 0);
+  return root;
+}
+
+function escapeText(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(s) {
+  return escapeText(s).replace(/"/g, '&quot;');
+}
+
+function elementName(key) {
+  let s = String(key).replace(/[^\w.\-:\u00B7\u00C0-\uFFFF]/g, '_');
+  if (!/^[A-Za-z_:\u00C0-\uFFFF]/.test(s)) s = `_${s}`;
+  return s;
+}
+
+function primitiveText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// two keys of one object written under the same element or attribute name
+function claimName(names, name, key, what, segments) {
+  const other = names.get(`${what} ${name}`);
+  if (other !== undefined) throw new Error(`XML can't keep both "${other}" and "${key}": both are written as the ${what} ${name} (at ${toJsonPath(segments)})`);
+  names.set(`${what} ${name}`, key);
+}
+
+function writeElement(key, value, indent, out, segments) {
+  const pad = '  '.repeat(indent);
+  const tag = elementName(key);
+  if (Array.isArray(value)) {
+    if (value.length === 0) throw new Error(`XML has no empty list: it would disappear (at ${toJsonPath(segments)})`);
+    value.forEach((item, k) => {
+      if (Array.isArray(item)) throw new Error(`XML can't hold a list directly inside a list: it would be flattened (at ${toJsonPath([...segments, k])})`);
+      writeElement(key, item, indent, out, [...segments, k]);
+    });
+    return;
+  }
+  if (value === null || typeof value !== 'object') {
+    const s = primitiveText(value);
+    out.push(s === '' ? `${pad}<${tag}/>` : `${pad}<${tag}>${escapeText(s)}</${tag}>`);
+    return;
+  }
+  let attrs = '';
+  let textContent = '';
+  const children = [];
+  const names = new Map();
+  for (const [k, v] of Object.entries(value)) {
+    if (k.startsWith('@') && (v === null || typeof v !== 'object')) {
+      claimName(names, elementName(k.slice(1)), k, 'attribute', segments);
+      attrs += ` ${elementName(k.slice(1))}="${escapeAttr(primitiveText(v))}"`;
+    } else if (k === '#text' && (v === null || typeof v !== 'object')) {
+      textContent = primitiveText(v);
+    } else {
+      claimName(names, elementName(k), k, 'element', segments);
+      children.push([k, v]);
+    }
+  }
+  if (children.length === 0) {
+    out.push(textContent === '' ? `${pad}<${tag}${attrs}/>` : `${pad}<${tag}${attrs}>${escapeText(textContent)}</${tag}>`);
+    return;
+  }
+  out.push(`${pad}<${tag}${attrs}>`);
+  if (textContent !== '') out.push(`${pad}  ${escapeText(textContent)}`);
+  for (const [k, v] of children) writeElement(k, v, indent + 1, out, [...segments, k]);
+  out.push(`${pad}</${tag}>`);
+}
+
+export function stringifyXml(data) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const keys = data !== null && typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [];
+  if (keys.length === 1 && !Array.isArray(data[keys[0]])) {
+    writeElement(keys[0], data[keys[0]], 0, out, [keys[0]]);
+  } else if (Array.isArray(data)) {
+    // each item becomes an <item> under <root>; paths stay the items' own
+    out.push('<root>');
+    writeElement('item', data, 1, out, []);
+    out.push('</root>');
+  } else {
+    writeElement('root', data, 0, out, []);
+  }
+  return out.join('\n') + '\n';
+}
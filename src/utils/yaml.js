@@ -0,0 +1,604 @@
+// YAML 1.2 reader and writer for the tree.
+//
+// parseYaml() covers what configuration files use: block mappings and
+// sequences, flow collections ([a, b], {a: 1}), plain, single- and
+// double-quoted scalars, literal (|) and folded (>) block scalars, comments,
+// anchors (&a) and aliases (*a), merge keys (<<) and the core schema tags
+// (!!str, !!int, !!float, !!bool, !!null). Other tags are ignored. A stream
+// with several documents (---) parses to an array of the documents.
+//
+// stringifyYaml() writes block style with two-space indentation.
+import { parseErrorAt, toNumber } from './jsonParser';
+
+const isBlank = (ch) => ch === undefined || ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+const FLOW_INDICATOR = /[,[\]{}]/;
+
+// core schema resolution of an untagged plain scalar
+function resolvePlain(s) {
+  if (s === '' || s === '~' || /^(?:null|Null|NULL)$/.test(s)) return null;
+  if (/^(?:true|True|TRUE)$/.test(s)) return true;
+  if (/^(?:false|False|FALSE)$/.test(s)) return false;
+  if (/^[-+]?\d+$/.test(s)) return toNumber(s.replace(/^\+/, ''));
+  if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s.slice(2), 16);
+  if (/^0o[0-7]+$/.test(s)) return parseInt(s.slice(2), 8);
+  if (/^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/.test(s)) return Number(s);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(s)) return s.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(s)) return NaN;
+  return s;
+}
+
+function applyTag(tag, value, raw) {
+  switch (tag) {
+    case '!!str': return raw === undefined ? String(value) : raw;
+    case '!!int':
+    case '!!float': return Number(raw === undefined ? value : raw);
+    case '!!bool': return /^(?:true|True|TRUE)$/.test(String(raw === undefined ? value : raw));
+    case '!!null': return null;
+    default: return value;
+  }
+}
+
+export function parseYaml(text) {
+  let i = 0;
+  const n = text.length;
+  const anchors = {};
+
+  function fail(message, at = i, length = 1, suggestion = null) {
+    throw parseErrorAt(text, message, at, length, suggestion);
+  }
+
+  function column(at = i) {
+    return at - (text.lastIndexOf('\n', at - 1) + 1);
+  }
+
+  // skip spaces and tabs on the current line, then a trailing comment
+  function skipInline() {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+    if (text[i] === '#' && (i === 0 || isBlank(text[i - 1]))) {
+      while (i < n && text[i] !== '\n') i++;
+    }
+  }
+
+  function atLineEnd() {
+    return i >= n || text[i] === '\n' || text[i] === '\r';
+  }
+
+  // skip whitespace, comments and line breaks up to the next content
+  function skipSpace() {
+    for (;;) {
+      skipInline();
+      if (text[i] === '\r') i++;
+      if (text[i] !== '\n') return;
+      i++;
+      // indentation must be spaces (tabs on otherwise blank lines are fine)
+      let k = i;
+      while (text[k] === ' ') k++;
+      if (text[k] === '\t') {
+        let e = k;
+        while (text[e] === ' ' || text[e] === '\t') e++;
+        if (e < n && !/[\r\n#]/.test(text[e])) fail('Tabs are not allowed for indentation', k, 1, 'Indent with spaces');
+      }
+    }
+  }
+
+  // document markers at the start of a line
+  function atDocumentMarker() {
+    return column() === 0 && (text.startsWith('---', i) || text.startsWith('...', i)) && isBlank(text[i + 3]);
+  }
+
+  function readName() {
+    const start = i;
+    while (i < n && !isBlank(text[i]) && !FLOW_INDICATOR.test(text[i])) i++;
+    if (i === start) fail('Expected a name');
+    return text.slice(start, i);
+  }
+
+  // anchor and tag properties in front of a node
+  function readProperties() {
+    let anchor = null;
+    let tag = null;
+    for (;;) {
+      if (text[i] === '&') {
+        i++;
+        anchor = readName();
+      } else if (text[i] === '!') {
+        tag = readName();
+      } else {
+        return { anchor, tag };
+      }
+      skipInline();
+    }
+  }
+
+  function alias() {
+    const at = i;
+    i++;
+    const name = readName();
+    if (!Object.prototype.hasOwnProperty.call(anchors, name)) fail(`Unknown alias '*${name}'`, at, name.length + 1, `Define it first with &${name}`);
+    return anchors[name];
+  }
+
+  function doubleQuoted() {
+    const start = i;
+    i++;
+    let out = '';
+    for (;;) {
+      if (i >= n) fail('Unterminated string', start, n - start, 'Add the closing "');
+      const ch = text[i];
+      if (ch === '"') {
+        i++;
+        return out;
+      }
+      if (ch === '\\') {
+        const e = text[i + 1];
+        const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0', a: '\x07', e: '\x1b', v: '\v', ' ': ' ', '"': '"', '/': '/', '\\': '\\', '\t': '\t', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029' };
+        if (simple[e] !== undefined) {
+          out += simple[e];
+          i += 2;
+        } else if (e === 'x' || e === 'u' || e === 'U') {
+          const len = e === 'x' ? 2 : e === 'u' ? 4 : 8;
+          const hex = text.slice(i + 2, i + 2 + len);
+          if (!new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) fail(`Invalid \\${e} escape`, i, 2 + hex.length);
+          out += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + len;
+        } else if (e === '\n' || e === '\r') {
+          // escaped line break: join without a space
+          i += e === '\r' && text[i + 2] === '\n' ? 3 : 2;
+          while (text[i] === ' ' || text[i] === '\t') i++;
+        } else {
+          fail(`Invalid escape sequence '\\${e ?? ''}'`, i, 2);
+        }
+        continue;
+      }
+      if (ch === '\n' || ch === '\r') {
+        out = out.replace(/[ \t]+$/, '') + foldBreaks();
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+  }
+
+  function singleQuoted() {
+    const start = i;
+    i++;
+    let out = '';
+    for (;;) {
+      if (i >= n) fail('Unterminated string', start, n - start, "Add the closing '");
+      const ch = text[i];
+      if (ch === "'") {
+        if (text[i + 1] === "'") {
+          out += "'";
+          i += 2;
+          continue;
+        }
+        i++;
+        return out;
+      }
+      if (ch === '\n' || ch === '\r') {
+        out = out.replace(/[ \t]+$/, '') + foldBreaks();
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+  }
+
+  // line folding inside multi-line scalars: one break becomes a space,
+  // each further (empty) line a newline
+  function foldBreaks() {
+    let breaks = 0;
+    while (i < n && /[ \t\r\n]/.test(text[i])) {
+      if (text[i] === '\n') breaks++;
+      i++;
+    }
+    return breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+  }
+
+  // plain scalar; in flow context it also ends at , [ ] { }.
+  // Continuation lines must be indented deeper than `indent`.
+  function plain(indent, flow) {
+    const start = i;
+    let out = '';
+    for (;;) {
+      const lineStart = i;
+      while (i < n) {
+        const ch = text[i];
+        if (ch === '\n' || ch === '\r') break;
+        if (ch === ':' && (isBlank(text[i + 1]) || (flow && FLOW_INDICATOR.test(text[i + 1])))) break;
+        if (ch === '#' && isBlank(text[i - 1])) break;
+        if (flow && FLOW_INDICATOR.test(ch)) break;
+        i++;
+      }
+      out += text.slice(lineStart, i).trim();
+      if (!atLineEnd()) break;
+      // look ahead for a continuation line
+      const save = i;
+      let breaks = 0;
+      while (i < n && /[ \t\r\n]/.test(text[i])) {
+        if (text[i] === '\n') breaks++;
+        i++;
+      }
+      const ch = text[i];
+      const continues = i < n && (flow || column() > indent) && ch !== '#' && !atDocumentMarker()
+        && !(flow ? FLOW_INDICATOR.test(ch) || ch === ':' : ch === '-' && isBlank(text[i + 1])) && !looksLikeKey(flow);
+      if (!continues) {
+        i = save;
+        break;
+      }
+      out += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+    }
+    if (out === '' && i === start) fail(`Unexpected '${text[i] ?? 'end of input'}'`);
+    return out;
+  }
+
+  // does a "key:" start at i (without consuming it)?
+  function looksLikeKey(flow) {
+    const save = i;
+    try {
+      if (text[i] === '"') doubleQuoted();
+      else if (text[i] === "'") singleQuoted();
+      else {
+        while (i < n && text[i] !== '\n' && text[i] !== '\r') {
+          if (text[i] === ':' && (isBlank(text[i + 1]) || (flow && FLOW_INDICATOR.test(text[i + 1])))) break;
+          if (text[i] === '#' && isBlank(text[i - 1])) return false;
+          if (flow && FLOW_INDICATOR.test(text[i])) return false;
+          i++;
+        }
+      }
+      while (text[i] === ' ' || text[i] === '\t') i++;
+      return text[i] === ':' && (isBlank(text[i + 1]) || (flow && FLOW_INDICATOR.test(text[i + 1])));
+    } catch {
+      return false;
+    } finally {
+      i = save;
+    }
+  }
+
+  function blockScalar(indent) {
+    const style = text[i];
+    i++;
+    let chomp = 'clip';
+    let explicit = 0;
+    for (let k = 0; k < 2; k++) {
+      if (text[i] === '-' || text[i] === '+') chomp = text[i++] === '-' ? 'strip' : 'keep';
+      else if (/[1-9]/.test(text[i])) explicit = Number(text[i++]);
+    }
+    skipInline();
+    if (!atLineEnd()) fail('Expected a line break after the block scalar header', i);
+    if (text[i] === '\r') i++;
+    i++;
+
+    // content indentation: explicit, or that of the first non-empty line
+    let contentIndent = explicit ? indent + explicit : 0;
+    if (!contentIndent) {
+      let k = i;
+      for (;;) {
+        let c = 0;
+        while (text[k + c] === ' ') c++;
+        if (text[k + c] === '\n' || text[k + c] === '\r') {
+          k = text.indexOf('\n', k) + 1;
+          if (k === 0) break;
+          continue;
+        }
+        contentIndent = c;
+        break;
+      }
+      if (contentIndent <= indent) contentIndent = indent + 1;
+    }
+
+    const lines = [];
+    while (i < n) {
+      let c = 0;
+      while (text[i + c] === ' ') c++;
+      const eol = text.indexOf('\n', i);
+      const end = eol === -1 ? n : eol;
+      const line = text.slice(i, end).replace(/\r$/, '');
+      const empty = line.trim() === '';
+      if (!empty && c < contentIndent) break;
+      if (!empty && column(i) === 0 && (line.startsWith('---') || line.startsWith('...')) && isBlank(line[3])) break;
+      lines.push(line.slice(contentIndent));
+      i = eol === -1 ? n : eol + 1;
+    }
+    // leave the position at the start of the line after the scalar
+    if (i > 0 && text[i - 1] === '\n') i--;
+
+    let trailing = 0;
+    while (trailing < lines.length && lines[lines.length - 1 - trailing].trim() === '') trailing++;
+    const body = lines.slice(0, lines.length - trailing);
+    let out;
+    if (style === '|') {
+      out = body.join('\n');
+    } else {
+      // folded: single breaks between normal lines become spaces;
+      // more-indented lines and empty lines keep their breaks
+      out = '';
+      body.forEach((line, k) => {
+        if (k === 0) {
+          out = line;
+          return;
+        }
+        const prev = body[k - 1];
+        if (line === '') out += '\n';
+        else if (prev === '') out += line;
+        else out += /^[ \t]/.test(line) || /^[ \t]/.test(prev) ? '\n' + line : ' ' + line;
+      });
+    }
+    if (body.length === 0) return chomp === 'keep' ? '\n'.repeat(trailing) : '';
+    if (chomp === 'clip') return out + '\n';
+    if (chomp === 'keep') return out + '\n' + '\n'.repeat(trailing);
+    return out;
+  }
+
+  function flowCollection() {
+    const open = text[i];
+    const openAt = i;
+    const close = open === '[' ? ']' : '}';
+    i++;
+    const out = open === '[' ? [] : {};
+    for (;;) {
+      skipSpace();
+      if (i >= n) fail(`Unterminated flow collection: '${open}' is never closed`, openAt, 1, `Add the missing '${close}'`);
+      if (text[i] === close) {
+        i++;
+        return out;
+      }
+      let key;
+      let value;
+      const entryAt = i;
+      if (text[i] === '?' && isBlank(text[i + 1])) i += 2;
+      const first = flowNode();
+      skipSpace();
+      if (text[i] === ':') {
+        i++;
+        skipSpace();
+        key = first;
+        value = text[i] === ',' || text[i] === close ? null : flowNode();
+      } else if (open === '{') {
+        key = first;
+        value = null;
+      } else {
+        value = first;
+      }
+      if (open === '[') {
+        // a single "key: value" pair inside a sequence is a one-key mapping
+        out.push(key === undefined ? value : setEntry({}, key, value, entryAt));
+      } else {
+        setEntry(out, key, value, entryAt);
+      }
+      skipSpace();
+      if (text[i] === ',') {
+        i++;
+      } else if (text[i] !== close) {
+        fail(`Expected ',' or '${close}' but found '${text[i] ?? 'end of input'}'`, i, 1, `Separate entries with ','`);
+      }
+    }
+  }
+
+  function flowNode() {
+    const { anchor, tag } = readProperties();
+    let value;
+    let raw;
+    const ch = text[i];
+    if (ch === '*') value = alias();
+    else if (ch === '[' || ch === '{') value = flowCollection();
+    else if (ch === '"') value = raw = doubleQuoted();
+    else if (ch === "'") value = raw = singleQuoted();
+    else {
+      raw = plain(-1, true);
+      value = resolvePlain(raw);
+    }
+    if (tag) value = applyTag(tag, value, raw);
+    if (anchor) anchors[anchor] = value;
+    return value;
+  }
+
+  function setEntry(obj, key, value, at) {
+    const k = key !== null && typeof key === 'object' ? JSON.stringify(key) : String(key);
+    if (k === '<<') {
+      // merge keys add the keys of one or more mappings without overriding
+      for (const source of Array.isArray(value) ? value : [value]) {
+        if (source === null || typeof source !== 'object' || Array.isArray(source)) fail('Merge key (<<) needs a mapping or a list of mappings', at);
+        for (const [mk, mv] of Object.entries(source)) {
+          if (!Object.prototype.hasOwnProperty.call(obj, mk)) defineKey(obj, mk, mv);
+        }
+      }
+      return obj;
+    }
+    defineKey(obj, k, value);
+    return obj;
+  }
+
+  function defineKey(obj, key, value) {
+    if (key === '__proto__') Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+    else obj[key] = value;
+  }
+
+  function blockMapping(col) {
+    const obj = {};
+    for (;;) {
+      const keyAt = i;
+      if (text[i] === '?' && isBlank(text[i + 1])) fail('Complex mapping keys (?) are not supported', i);
+      const { anchor: keyAnchor } = readProperties();
+      let key;
+      if (text[i] === '"') key = doubleQuoted();
+      else if (text[i] === "'") key = singleQuoted();
+      else if (text[i] === '*') key = alias();
+      else key = plain(col, false);
+      skipInline();
+      if (text[i] !== ':') fail(`Expected ':' after the key '${key}'`, i, 1, "Add ': ' between the key and its value");
+      if (keyAnchor) anchors[keyAnchor] = key;
+      i++;
+      const value = blockValue(col, true);
+      setEntry(obj, key, value, keyAt);
+
+      skipSpace();
+      if (i >= n || atDocumentMarker()) return obj;
+      const c = column();
+      if (c < col) return obj;
+      if (c > col) fail('Bad indentation: this line is indented deeper than its mapping', i, 1, `Indent it by ${col} spaces, like its sibling keys`);
+      // a sequence at the mapping's column belongs to the parent key
+      if (text[i] === '-' && isBlank(text[i + 1])) return obj;
+    }
+  }
+
+  function blockSequence(col) {
+    const arr = [];
+    for (;;) {
+      i++; // past '-'
+      arr.push(blockValue(col, false));
+      skipSpace();
+      if (i >= n || atDocumentMarker()) return arr;
+      const c = column();
+      if (c < col) return arr;
+      if (c > col) fail('Bad indentation in sequence', i, 1, `Align '-' with the other items at ${col} spaces`);
+      if (!(text[i] === '-' && isBlank(text[i + 1]))) return arr;
+    }
+  }
+
+  // value after "key:" or "-": on the same line, or on following lines indented
+  // deeper than `indent` (a mapping value may also be a sequence at `indent`)
+  function blockValue(indent, seqAtIndent) {
+    skipInline();
+    let props = { anchor: null, tag: null };
+    if (!atLineEnd()) {
+      props = readProperties();
+      skipInline();
+    }
+    if (!atLineEnd()) return blockNode(indent, props);
+    const save = i;
+    skipSpace();
+    const c = column();
+    const seq = text[i] === '-' && isBlank(text[i + 1]);
+    if (i >= n || atDocumentMarker() || c < indent || (c === indent && !(seqAtIndent && seq))) {
+      // empty value
+      i = save;
+      const value = props.tag ? applyTag(props.tag, null, '') : null;
+      if (props.anchor) anchors[props.anchor] = value;
+      return value;
+    }
+    return blockNode(indent, props);
+  }
+
+  // a node starting at i; `indent` is the indentation of its parent
+  function blockNode(indent, props = { anchor: null, tag: null }) {
+    if (!props.anchor && !props.tag) {
+      props = readProperties();
+      if (props.anchor || props.tag) {
+        skipInline();
+        if (atLineEnd()) return blockValue(indent, false);
+      }
+    }
+    const col = column();
+    const ch = text[i];
+    let value;
+    let raw;
+    if (ch === '-' && isBlank(text[i + 1])) value = blockSequence(col);
+    else if (ch === '|' || ch === '>') value = raw = blockScalar(indent);
+    else if (ch === '*') value = alias();
+    else if (ch === '[' || ch === '{') value = flowCollection();
+    else if (looksLikeKey(false)) value = blockMapping(col);
+    else if (ch === '"') value = raw = doubleQuoted();
+    else if (ch === "'") value = raw = singleQuoted();
+    else {
+      raw = plain(indent, false);
+      value = resolvePlain(raw);
+    }
+    if (props.tag) value = applyTag(props.tag, value, raw);
+    if (props.anchor) anchors[props.anchor] = value;
+    return value;
+  }
+
+  const documents = [];
+  skipSpace();
+  while (i < n) {
+    // directives (%YAML, %TAG) precede a document
+    while (text[i] === '%' && column() === 0) {
+      while (i < n && text[i] !== '\n') i++;
+      skipSpace();
+    }
+    let explicit = false;
+    if (text.startsWith('---', i) && isBlank(text[i + 3])) {
+      i += 3;
+      explicit = true;
+    }
+    skipSpace();
+    let value = null;
+    if (i < n && !atDocumentMarker()) value = blockNode(-1);
+    else if (!explicit && i >= n) break;
+    documents.push(value);
+    skipSpace();
+    if (text.startsWith('...', i) && isBlank(text[i + 3])) {
+      i += 3;
+      skipSpace();
+    }
+    if (i < n && !atDocumentMarker()) fail(`Unexpected '${text[i]}'`, i, 1, 'Check the indentation of this line');
+  }
+  if (documents.length === 0) return null;
+  return documents.length === 1 ? documents[0] : documents;
+}
+
+// --- writing
+
+// strings that read back as themselves when written without quotes
+function isPlainSafe(s) {
+  if (s === '' || s.trim() !== s) return false;
+  if (resolvePlain(s) !== s) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(s)) return false;
+  if (/: |:$| #/.test(s)) return false;
+  // control characters need escapes
+  for (let k = 0; k < s.length; k++) {
+    const c = s.charCodeAt(k);
+    if (c < 0x20 || c === 0x7f) return false;
+  }
+  return true;
+}
+
+function scalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (typeof value === 'bigint' || typeof value === 'boolean') return String(value);
+  const s = String(value);
+  // JSON string escapes are valid in YAML double-quoted scalars
+  return isPlainSafe(s) ? s : JSON.stringify(s);
+}
+
+function isContainer(v) {
+  return v !== null && typeof v === 'object';
+}
+
+function isEmptyContainer(v) {
+  return Array.isArray(v) ? v.length === 0 : Object.keys(v).length === 0;
+}
+
+function block(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (!isContainer(item) || isEmptyContainer(item)) return `${pad}- ${inline(item)}`;
+      // nested containers start on the dash line
+      return `${pad}- ${block(item, indent + 2).slice(indent + 2)}`;
+    }).join('\n');
+  }
+  return Object.keys(value).map((key) => {
+    const v = value[key];
+    const k = scalar(key);
+    if (!isContainer(v) || isEmptyContainer(v)) return `${pad}${k}: ${inline(v)}`;
+    return `${pad}${k}:\n${block(v, Array.isArray(v) ? indent : indent + 2)}`;
+  }).join('\n');
+}
+
+function inline(value) {
+  if (Array.isArray(value) && value.length === 0) return '[]';
+  if (isContainer(value) && isEmptyContainer(value)) return '{}';
+  return scalar(value);
+}
+
+export function stringifyYaml(data) {
+  if (!isContainer(data) || isEmptyContainer(data)) return inline(data) + '\n';
+  return block(data, 0) + '\n';
+}
@@ -0,0 +1,49 @@
+// Web Worker that parses JSON text and lays out the tree off the main thread.
+//
+// Requests:  { id, type: 'parse', text, format }
+//            { id, type: 'layout', data?, expandDepth, expandOverrides, hideRoot, layout }
+//            (layout reuses the last document when `data` is omitted)
+// Responses: { id, type: 'progress', phase, done, total }
+//            { id, type: 'result', result }
+//            { id, type: 'error', message, details? }
+//            (details carries the location of JsonParseError parse failures)
+import { JsonParseError } from '../utils/jsonParser';
+import { parseDocument } from '../utils/formats';
+import { buildTreeNodes, countVisibleNodes, makeIsExpanded } from '../utils/treeLayout';
+
+// the last document laid out, so expand/collapse doesn't have to re-send it
+let currentData;
+
+function parse(id, text, format) {
+  const total = text.length;
+  self.postMessage({ id, type: 'progress', phase: 'parse', done: 0, total });
+  return parseDocument(text, format, {
+    onProgress: (done) => self.postMessage({ id, type: 'progress', phase: 'parse', done, total }),
+  });
+}
+
+function layout(id, { data, expandDepth, expandOverrides, hideRoot, layout: layoutName }) {
+  if (data !== undefined) currentData = data;
+  const isExpanded = makeIsExpanded(expandDepth, expandOverrides);
+  const total = countVisibleNodes(currentData, isExpanded);
+  self.postMessage({ id, type: 'progress', phase: 'layout', done: 0, total });
+  return buildTreeNodes(currentData, {
+    isExpanded,
+    hideRoot,
+    layout: layoutName,
+    onProgress: (done) => self.postMessage({ id, type: 'progress', phase: 'layout', done, total }),
+  });
+}
+
+self.onmessage = (e) => {
+  const { id, type } = e.data;
+  try {
+    const result = type === 'parse' ? parse(id, e.data.text, e.data.format) : layout(id, e.data);
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    const details = err instanceof JsonParseError
+      ? { offset: err.offset, line: err.line, column: err.column, length: err.length, suggestion: err.suggestion }
+      : undefined;
+    self.postMessage({ id, type: 'error', message: err.message, details });
+  }
+};
@@ -0,0 +1,61 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Library build of the JsonTree component (src/lib), written to dist-lib/:
+// - json-tree.js: for React apps; react, react-dom and reactflow are imported, not bundled
+// - json-tree.standalone.js (--mode standalone): React included, for mount()
+// - json-tree.css: the app stylesheet, scoped to the component (see below)
+
+// The app's styles assume they own the page. For the library every selector is
+// moved under the .json-tree wrapper: :root variables and body.dark/body.light
+// become the wrapper's own, and the page margins of body are dropped.
+const SCOPE = '.json-tree'
+
+function scopeSelector(selector) {
+  if (selector === ':root' || selector === 'body') return SCOPE
+  if (selector.startsWith('body.')) return SCOPE + selector.slice('body'.length)
+  return `${SCOPE} ${selector}`
+}
+
+const scopeStyles = {
+  postcssPlugin: 'scope-json-tree',
+  Once(root) {
+    if (!root.source?.input.file?.replaceAll('\\', '/').endsWith('/src/styles.css')) return
+    root.walkRules((rule) => {
+      if (rule.parent.type === 'atrule' && rule.parent.name.endsWith('keyframes')) return
+      if (rule.selector === 'body') {
+        rule.walkDecls((decl) => {
+          if (decl.prop !== 'font-family') decl.remove()
+        })
+      }
+      rule.selectors = rule.selectors.map(scopeSelector)
+    })
+  },
+}
+
+export default defineConfig(({ mode }) => {
+  const standalone = mode === 'standalone'
+  return {
+    plugins: [react()],
+    // the layout worker is a file beside the bundle, found relative to it
+    base: './',
+    publicDir: false,
+    css: { postcss: { plugins: [scopeStyles] } },
+    // bundled React picks its build from this; library builds leave it to the app
+    define: standalone ? { 'process.env.NODE_ENV': JSON.stringify('production') } : {},
+    build: {
+      outDir: 'dist-lib',
+      // the standalone build runs second and keeps the first one's files
+      emptyOutDir: !standalone,
+      lib: {
+        entry: 'src/lib/index.js',
+        formats: ['es'],
+        fileName: standalone ? 'json-tree.standalone' : 'json-tree',
+        cssFileName: 'json-tree',
+      },
+      rollupOptions: {
+        external: standalone ? [] : [/^react($|\/)/, /^react-dom($|\/)/, /^reactflow($|\/)/],
+      },
+    },
+  }
+})